@@ -1,39 +1,120 @@
 module.exports = {
-  env: {
-    browser: true,
-    es2021: true,
-    webextensions: true
-  },
-  extends: [
-    'eslint:recommended'
-  ],
-  parserOptions: {
-    ecmaVersion: 12,
-    sourceType: 'module'
-  },
-  globals: {
-    chrome: 'readonly'
-  },
-  rules: {
-    'indent': ['error', 4],
-    'linebreak-style': ['error', 'unix'],
-    'quotes': ['error', 'single'],
-    'semi': ['error', 'always'],
-    'no-unused-vars': 'warn',
-    'no-console': 'warn',
-    'no-debugger': 'error',
-    'prefer-const': 'error',
-    'no-var': 'error',
-    'eqeqeq': 'error',
-    'curly': 'error',
-    'brace-style': ['error', '1tbs'],
-    'comma-dangle': ['error', 'never'],
-    'no-trailing-spaces': 'error',
-    'no-multiple-empty-lines': ['error', { max: 2, maxEOF: 1 }],
-    'space-before-function-paren': ['error', 'never'],
-    'keyword-spacing': 'error',
-    'space-infix-ops': 'error',
-    'object-curly-spacing': ['error', 'always'],
-    'array-bracket-spacing': ['error', 'never']
-  }
+    env: {
+        browser: true,
+        es2021: true,
+        webextensions: true
+    },
+    extends: [
+        'eslint:recommended'
+    ],
+    parserOptions: {
+        ecmaVersion: 12,
+        sourceType: 'module'
+    },
+    globals: {
+        chrome: 'readonly',
+        // Shared between the extension's scripts through window and importScripts;
+        // see the export block at the end of each file
+        // ai-providers.js
+        LLM_PROVIDERS: 'readonly',
+        PROVIDER_ERROR_CODES: 'readonly',
+        PROVIDER_KEY_HINTS: 'readonly',
+        ProviderError: 'readonly',
+        createProvider: 'readonly',
+        getProviderClass: 'readonly',
+        // ai-service.js
+        CONSENT_AUDIT_LOG_KEY: 'readonly',
+        CONSENT_KEY: 'readonly',
+        CONSENT_PAGE: 'readonly',
+        CONSENT_SCOPES: 'readonly',
+        DEFAULT_TONE_ID: 'readonly',
+        DraftlyAIService: 'readonly',
+        FORMALITY_LEVELS: 'readonly',
+        RATE_LIMIT_SETTINGS_KEY: 'readonly',
+        RATE_LIMIT_STATE_KEY: 'readonly',
+        REPLY_HISTORY_KEY: 'readonly',
+        REPLY_LANGUAGES: 'readonly',
+        REPLY_SETTINGS_KEY: 'readonly',
+        REPLY_TRANSLATION_LANGUAGE: 'readonly',
+        REWRITE_ACTIONS: 'readonly',
+        STYLE_PROFILE_KEY: 'readonly',
+        THREAD_SUMMARY_CACHE_KEY: 'readonly',
+        TONE_PROFILE_KEY_PREFIX: 'readonly',
+        // key-vault.js
+        KEY_VAULT_SESSION_KEY: 'readonly',
+        KeyVault: 'readonly',
+        // pii-redactor.js
+        PII_SETTINGS_KEY: 'readonly',
+        PII_TYPES: 'readonly',
+        PiiRedactor: 'readonly',
+        // prompt-templates.js
+        PROMPT_TEMPLATE_KEY_PREFIX: 'readonly',
+        PromptTemplateManager: 'readonly',
+        TEMPLATE_PLACEHOLDER_LABELS: 'readonly',
+        fillTemplate: 'readonly',
+        findTemplatePlaceholders: 'readonly',
+        getTemplateValues: 'readonly',
+        // generation-client.js
+        GENERATION_PORT_NAME: 'readonly',
+        extractItems: 'readonly',
+        formatActionItem: 'readonly',
+        formatReplyLanguage: 'readonly',
+        formatRetryStatus: 'readonly',
+        formatThreadSummary: 'readonly',
+        generateVariants: 'readonly',
+        sendPipelineMessage: 'readonly',
+        streamGeneration: 'readonly',
+        summarizeThread: 'readonly',
+        // i18n.js
+        formatLocalDate: 'readonly',
+        formatLocalNumber: 'readonly',
+        getLanguageDisplayName: 'readonly',
+        localize: 'readonly',
+        localizePage: 'readonly',
+        // task-export.js
+        TASK_EXPORT_FORMATS: 'readonly',
+        downloadTaskExport: 'readonly',
+        formatItemDate: 'readonly',
+        hasExtractedItems: 'readonly',
+        // content/site-adapters.js, content/compose-inserter.js and content/panel.js
+        ComposeInserter: 'readonly',
+        DraftlyPanel: 'readonly',
+        createSiteAdapter: 'readonly'
+    },
+    overrides: [
+        {
+            files: ['background/*.js'],
+            env: {
+                serviceworker: true
+            }
+        },
+        {
+            files: ['tests/**/*.js'],
+            env: {
+                node: true
+            }
+        }
+    ],
+    rules: {
+        'indent': ['error', 4],
+        'linebreak-style': ['error', 'unix'],
+        'quotes': ['error', 'single'],
+        'semi': ['error', 'always'],
+        'no-unused-vars': 'warn',
+        'no-console': 'warn',
+        'no-debugger': 'error',
+        'prefer-const': 'error',
+        'no-var': 'error',
+        'eqeqeq': 'error',
+        'curly': 'error',
+        'brace-style': ['error', '1tbs'],
+        'comma-dangle': ['error', 'never'],
+        'no-trailing-spaces': 'error',
+        'no-multiple-empty-lines': ['error', { max: 2, maxEOF: 1 }],
+        'space-before-function-paren': ['error', 'never'],
+        'keyword-spacing': 'error',
+        'space-infix-ops': 'error',
+        'object-curly-spacing': ['error', 'always'],
+        'array-bracket-spacing': ['error', 'never']
+    }
 };
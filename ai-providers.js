@@ -0,0 +1,931 @@
+/**
+ * Draftly AI Providers - LLM provider abstraction
+ * Shapes requests, validates keys and normalizes errors for each supported vendor
+ */
+
+/**
+ * Normalized error codes shared by every provider
+ */
+const PROVIDER_ERROR_CODES = {
+    CONFIG: 'config',
+    INVALID_KEY: 'invalid_key',
+    FORBIDDEN: 'forbidden',
+    QUOTA: 'quota',
+    RATE_LIMIT: 'rate_limit',
+    BAD_REQUEST: 'bad_request',
+    SERVER: 'server',
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    LOCKED: 'locked',
+    EMPTY_RESPONSE: 'empty_response',
+    ABORTED: 'aborted'
+};
+
+/**
+ * Provider Error Class
+ * Carries a normalized code so callers never need to parse vendor messages
+ */
+class ProviderError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {string} code - One of PROVIDER_ERROR_CODES
+     * @param {Object} details - Optional status, provider id, raw error payload and
+     *                           retryAfter (milliseconds the server asked us to wait)
+     */
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.code = code;
+        this.status = details.status || null;
+        this.provider = details.provider || null;
+        this.raw = details.raw || null;
+        this.partialText = details.partialText || '';
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+
+/**
+ * Parse a rate limit reset duration such as "1s", "6m0s", "1h2m3.5s" or "250ms",
+ * a number of seconds, or a timestamp
+ * @param {string} value - Header value
+ * @param {number} now - Current timestamp
+ * @returns {number|null} - Milliseconds to wait, or null if the value is not understood
+ */
+function parseResetDuration(value, now = Date.now()) {
+    const text = (value || '').trim();
+    if (!text) {
+        return null;
+    }
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Math.round(parseFloat(text) * 1000);
+    }
+
+    const duration = text.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+    if (duration && duration.slice(1).some(Boolean)) {
+        const [hours, minutes, seconds, milliseconds] = duration.slice(1).map(part => parseFloat(part || 0));
+        return Math.round(((hours * 60 + minutes) * 60 + seconds) * 1000 + milliseconds);
+    }
+
+    const timestamp = Date.parse(text);
+    return Number.isNaN(timestamp) ? null : Math.max(0, timestamp - now);
+}
+
+/**
+ * Work out how long a server asked us to wait before retrying
+ * Retry-After wins; otherwise the x-ratelimit-reset-* header of the exhausted limit
+ * @param {Headers} headers - Response headers
+ * @returns {number|null} - Milliseconds to wait, or null if the server did not say
+ */
+function parseRetryAfter(headers) {
+    if (!headers) {
+        return null;
+    }
+
+    const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+    if (!Number.isNaN(retryAfterMs)) {
+        return Math.round(retryAfterMs);
+    }
+
+    const retryAfter = parseResetDuration(headers.get('retry-after'));
+    if (retryAfter !== null) {
+        return retryAfter;
+    }
+
+    const resets = ['requests', 'tokens']
+        .map(limit => ({
+            exhausted: headers.get(`x-ratelimit-remaining-${limit}`) === '0',
+            wait: parseResetDuration(headers.get(`x-ratelimit-reset-${limit}`))
+        }))
+        .filter(reset => reset.wait !== null);
+    if (resets.length === 0) {
+        return null;
+    }
+
+    const exhausted = resets.filter(reset => reset.exhausted);
+    return Math.max(...(exhausted.length ? exhausted : resets).map(reset => reset.wait));
+}
+
+/**
+ * Read a server-sent events response body
+ * @param {Response} response - Streaming fetch response
+ * @param {Function} onEvent - Called with { event, data } for every event block
+ */
+async function readServerSentEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (block) => {
+        let event = 'message';
+        const data = [];
+        block.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data.push(line.slice(5).replace(/^ /, ''));
+            }
+        });
+        if (data.length > 0) {
+            onEvent({ event, data: data.join('\n') });
+        }
+    };
+
+    let finished = false;
+    while (!finished) {
+        const { value, done } = await reader.read();
+        finished = done;
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+        // Events are separated by a blank line; keep the trailing partial block
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = finished ? '' : blocks.pop();
+        blocks.filter(block => block.trim()).forEach(dispatch);
+    }
+}
+
+/**
+ * Base LLM Provider Class
+ * Subclasses describe how to talk to one vendor API
+ */
+class LLMProvider {
+    /**
+     * @param {Object} config - Provider settings (apiKey, model, endpoint, ...)
+     */
+    constructor(config = {}) {
+        this.apiKey = config.apiKey || null;
+        this.model = config.model || this.constructor.defaultModel;
+        this.endpoint = (config.endpoint || this.constructor.defaultEndpoint || '').replace(/\/+$/, '');
+    }
+
+    static get id() {
+        return 'base';
+    }
+
+    static get label() {
+        return 'LLM Provider';
+    }
+
+    static get defaultModel() {
+        return '';
+    }
+
+    static get defaultEndpoint() {
+        return '';
+    }
+
+    /**
+     * Storage key holding this provider's API key
+     */
+    static get storageKey() {
+        return `${this.id}_api_key`;
+    }
+
+    static get requiresApiKey() {
+        return true;
+    }
+
+    /**
+     * Whether one request can return several completions (request.choices)
+     * Providers without it get one request per completion
+     */
+    static get supportsChoices() {
+        return false;
+    }
+
+    /**
+     * Whether the API can be made to answer with a function call whose arguments follow
+     * a JSON schema (request.tool); other providers get JSON mode and the schema in the prompt
+     */
+    static get supportsTools() {
+        return false;
+    }
+
+    /**
+     * Validate an API key for this provider
+     * @param {string} apiKey - The key to check
+     * @returns {{valid: boolean, message: string}} - Validation result
+     */
+    static validateApiKey(apiKey) {
+        if (!this.requiresApiKey) {
+            return { valid: true, message: '' };
+        }
+        if (!apiKey || apiKey.trim().length === 0) {
+            return { valid: false, message: `${this.label} API key not configured` };
+        }
+        return { valid: true, message: '' };
+    }
+
+    get id() {
+        return this.constructor.id;
+    }
+
+    get label() {
+        return this.constructor.label;
+    }
+
+    /**
+     * Build the fetch request for a chat completion
+     * @param {Object} request - { systemPrompt, messages, maxTokens, temperature, choices, tool },
+     *                           tool = { name, description, schema } forces a structured answer
+     * @returns {{url: string, init: Object}} - Fetch arguments
+     */
+    buildRequest() {
+        throw new Error('buildRequest() must be implemented by the provider');
+    }
+
+    /**
+     * Turn one server-sent event into a token and/or usage update
+     * @param {{event: string, data: string}} event - Raw SSE event
+     * @returns {{token: string, usage: Object}} - Parsed chunk, fields optional
+     */
+    parseStreamEvent() {
+        throw new Error('parseStreamEvent() must be implemented by the provider');
+    }
+
+    /**
+     * Extract the completion from a successful response body
+     * @param {Object} data - Parsed JSON body
+     * @returns {{text: string, texts: Array<string>, usage: Object}} - First completion, all completions
+     *          (when request.choices asked for several) and token usage; with request.tool the
+     *          text is the JSON the model passed to the tool
+     */
+    parseResponse() {
+        throw new Error('parseResponse() must be implemented by the provider');
+    }
+
+    /**
+     * Map an HTTP error response to a ProviderError
+     * @param {number} status - HTTP status
+     * @param {Object} errorData - Parsed error body
+     * @returns {ProviderError} - Normalized error
+     */
+    normalizeError(status, errorData = {}) {
+        const vendorMessage = errorData.error?.message || errorData.message || '';
+        const details = { status, provider: this.id, raw: errorData };
+
+        if (status === 401) {
+            return new ProviderError(`❌ Invalid ${this.label} API key. Please check your API key in settings.`, PROVIDER_ERROR_CODES.INVALID_KEY, details);
+        }
+        if (status === 403) {
+            return new ProviderError(`❌ ${this.label} API access forbidden. Please check your API key permissions.`, PROVIDER_ERROR_CODES.FORBIDDEN, details);
+        }
+        if (status === 429) {
+            if (/quota|billing|credit/i.test(vendorMessage)) {
+                return new ProviderError(`❌ ${this.label} API quota exceeded. Please check your billing settings.`, PROVIDER_ERROR_CODES.QUOTA, details);
+            }
+            return new ProviderError(`❌ ${this.label} API rate limit exceeded. This is from ${this.label}'s servers, not Draftly. Please wait a moment and try again.`, PROVIDER_ERROR_CODES.RATE_LIMIT, details);
+        }
+        if (status === 400 || status === 404 || status === 422) {
+            return new ProviderError(`❌ Invalid request to ${this.label} API${vendorMessage ? `: ${vendorMessage}` : '. Please try a different prompt.'}`, PROVIDER_ERROR_CODES.BAD_REQUEST, details);
+        }
+        if (status >= 500) {
+            return new ProviderError(`❌ ${this.label} service temporarily unavailable (${status}). Please try again in a moment.`, PROVIDER_ERROR_CODES.SERVER, details);
+        }
+        return new ProviderError(`❌ ${this.label} API error (${status}): ${vendorMessage || 'Unknown error'}`, PROVIDER_ERROR_CODES.SERVER, details);
+    }
+
+    /**
+     * Send a chat completion request
+     * @param {Object} request - { systemPrompt, messages, maxTokens, temperature, choices }
+     * @param {Object} options - { signal } to abort the request
+     * @returns {Promise<{text: string, texts: Array<string>, usage: Object, model: string}>} - Completion result
+     */
+    async complete(request, { signal } = {}) {
+        const keyCheck = this.constructor.validateApiKey(this.apiKey);
+        if (!keyCheck.valid) {
+            throw new ProviderError(`❌ ${keyCheck.message}`, PROVIDER_ERROR_CODES.CONFIG, { provider: this.id });
+        }
+
+        const { url, init } = this.buildRequest(request);
+        console.log(`📤 Making ${this.label} API request to:`, url);
+        console.log('📋 Request model:', this.model);
+
+        const response = await this.fetchWithNormalizedErrors(url, { ...init, signal });
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            // Stopping while the body is still downloading rejects here, outside the fetch
+            if (error.name === 'AbortError') {
+                throw new ProviderError('Generation stopped', PROVIDER_ERROR_CODES.ABORTED, { provider: this.id });
+            }
+            throw error;
+        }
+        console.log(`✅ ${this.label} API response received successfully`);
+
+        const result = this.parseResponse(data);
+        if (!result.text) {
+            throw new ProviderError(`Empty response from ${this.label}`, PROVIDER_ERROR_CODES.EMPTY_RESPONSE, { provider: this.id });
+        }
+
+        return { texts: [result.text], ...result, model: this.model };
+    }
+
+    /**
+     * Send a streaming chat completion request
+     * @param {Object} request - { systemPrompt, messages, maxTokens, temperature }
+     * @param {Object} handlers - { onToken(token, textSoFar), signal }
+     * @returns {Promise<{text: string, usage: Object, model: string}>} - Completion result
+     */
+    async stream(request, { onToken, signal } = {}) {
+        const keyCheck = this.constructor.validateApiKey(this.apiKey);
+        if (!keyCheck.valid) {
+            throw new ProviderError(`❌ ${keyCheck.message}`, PROVIDER_ERROR_CODES.CONFIG, { provider: this.id });
+        }
+
+        const { url, init } = this.buildRequest({ ...request, stream: true });
+        console.log(`📤 Streaming ${this.label} API request to:`, url);
+
+        let text = '';
+        const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+        try {
+            const response = await this.fetchWithNormalizedErrors(url, { ...init, signal });
+
+            await readServerSentEvents(response, event => {
+                const chunk = this.parseStreamEvent(event);
+                if (chunk.token) {
+                    text += chunk.token;
+                    if (onToken) {
+                        onToken(chunk.token, text);
+                    }
+                }
+                if (chunk.usage) {
+                    Object.assign(usage, chunk.usage);
+                }
+            });
+        } catch (error) {
+            if (error.name === 'AbortError' || error.code === PROVIDER_ERROR_CODES.ABORTED) {
+                throw new ProviderError('Generation stopped', PROVIDER_ERROR_CODES.ABORTED, { provider: this.id, partialText: text });
+            }
+            throw error;
+        }
+
+        console.log(`✅ ${this.label} stream finished`);
+
+        text = text.trim();
+        if (!text) {
+            throw new ProviderError(`Empty response from ${this.label}`, PROVIDER_ERROR_CODES.EMPTY_RESPONSE, { provider: this.id });
+        }
+
+        usage.totalTokens = usage.totalTokens || usage.promptTokens + usage.completionTokens;
+        return { text, usage, model: this.model };
+    }
+
+    /**
+     * Check that the configured endpoint and key are accepted
+     * @returns {Promise<boolean>} - Whether the provider answered successfully
+     */
+    async testConnection() {
+        const { url, init } = this.buildTestRequest();
+        await this.fetchWithNormalizedErrors(url, init);
+        return true;
+    }
+
+    /**
+     * Build a lightweight request used by testConnection()
+     * @returns {{url: string, init: Object}} - Fetch arguments
+     */
+    buildTestRequest() {
+        throw new Error('buildTestRequest() must be implemented by the provider');
+    }
+
+    /**
+     * Fetch wrapper turning network failures and HTTP errors into ProviderErrors
+     * @param {string} url - Request URL
+     * @param {Object} init - Fetch options
+     * @returns {Promise<Response>} - The successful response
+     */
+    async fetchWithNormalizedErrors(url, init) {
+        let response;
+        try {
+            response = await fetch(url, init);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new ProviderError('Generation stopped', PROVIDER_ERROR_CODES.ABORTED, { provider: this.id });
+            }
+            throw new ProviderError(`🌐 Network error while contacting ${this.label}: ${error.message}`, PROVIDER_ERROR_CODES.NETWORK, { provider: this.id });
+        }
+
+        console.log(`📥 ${this.label} API response status:`, response.status);
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            console.error(`❌ ${this.label} API error details:`, errorData);
+            const error = this.normalizeError(response.status, errorData);
+            error.retryAfter = parseRetryAfter(response.headers);
+            throw error;
+        }
+
+        return response;
+    }
+}
+
+/**
+ * OpenAI Provider
+ * Chat Completions API on api.openai.com
+ */
+class OpenAIProvider extends LLMProvider {
+    static get id() {
+        return 'openai';
+    }
+
+    static get label() {
+        return 'OpenAI';
+    }
+
+    static get defaultModel() {
+        return 'gpt-3.5-turbo';
+    }
+
+    static get defaultEndpoint() {
+        return 'https://api.openai.com/v1';
+    }
+
+    /**
+     * Whether the API accepts stream_options.include_usage
+     */
+    static get supportsStreamUsage() {
+        return true;
+    }
+
+    static get supportsChoices() {
+        return true;
+    }
+
+    static get supportsTools() {
+        return true;
+    }
+
+    static validateApiKey(apiKey) {
+        const result = super.validateApiKey(apiKey);
+        if (!result.valid) {
+            return result;
+        }
+        if (!apiKey.startsWith('sk-')) {
+            return { valid: false, message: 'Invalid API key format. OpenAI API keys should start with "sk-"' };
+        }
+        return result;
+    }
+
+    /**
+     * Headers sent with every request
+     * @returns {Object} - Request headers
+     */
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    /**
+     * Chat completions URL
+     * @returns {string} - Endpoint URL
+     */
+    getChatUrl() {
+        return `${this.endpoint}/chat/completions`;
+    }
+
+    /**
+     * Request body shared by OpenAI-compatible APIs
+     * @param {Object} request - { systemPrompt, messages, maxTokens, temperature, choices, tool }
+     * @returns {Object} - JSON body
+     */
+    buildBody(request) {
+        const body = {
+            model: this.model,
+            messages: [
+                { role: 'system', content: request.systemPrompt },
+                ...request.messages
+            ],
+            max_tokens: request.maxTokens || 500,
+            temperature: request.temperature ?? 0.7,
+            top_p: 1,
+            frequency_penalty: 0.2,
+            presence_penalty: 0.1
+        };
+
+        if (request.choices > 1) {
+            body.n = request.choices;
+        }
+
+        if (request.tool && this.constructor.supportsTools) {
+            body.tools = [{
+                type: 'function',
+                function: { name: request.tool.name, description: request.tool.description, parameters: request.tool.schema }
+            }];
+            body.tool_choice = { type: 'function', function: { name: request.tool.name } };
+        } else if (request.tool) {
+            body.response_format = { type: 'json_object' };
+        }
+
+        if (request.stream) {
+            body.stream = true;
+            if (this.constructor.supportsStreamUsage) {
+                body.stream_options = { include_usage: true };
+            }
+        }
+
+        return body;
+    }
+
+    buildRequest(request) {
+        return {
+            url: this.getChatUrl(),
+            init: {
+                method: 'POST',
+                headers: this.getHeaders(),
+                body: JSON.stringify(this.buildBody(request))
+            }
+        };
+    }
+
+    parseResponse(data) {
+        const texts = (data.choices || [])
+            .map(choice => (choice.message?.tool_calls?.[0]?.function?.arguments || choice.message?.content)?.trim() || '')
+            .filter(Boolean);
+        return {
+            text: texts[0] || '',
+            texts,
+            usage: {
+                promptTokens: data.usage?.prompt_tokens || 0,
+                completionTokens: data.usage?.completion_tokens || 0,
+                totalTokens: data.usage?.total_tokens || 0
+            }
+        };
+    }
+
+    parseStreamEvent(event) {
+        if (event.data === '[DONE]') {
+            return {};
+        }
+
+        const data = JSON.parse(event.data);
+        const chunk = {
+            token: data.choices?.[0]?.delta?.content || ''
+        };
+        if (data.usage) {
+            chunk.usage = {
+                promptTokens: data.usage.prompt_tokens || 0,
+                completionTokens: data.usage.completion_tokens || 0,
+                totalTokens: data.usage.total_tokens || 0
+            };
+        }
+        return chunk;
+    }
+
+    normalizeError(status, errorData = {}) {
+        const error = super.normalizeError(status, errorData);
+        if (error.code === PROVIDER_ERROR_CODES.QUOTA) {
+            error.message = `❌ ${this.label} API quota exceeded. Please check your billing at https://platform.openai.com/account/billing`;
+        }
+        return error;
+    }
+
+    buildTestRequest() {
+        return {
+            url: `${this.endpoint}/models`,
+            init: { method: 'GET', headers: this.getHeaders() }
+        };
+    }
+}
+
+/**
+ * Azure OpenAI Provider
+ * Deployment-scoped Chat Completions on <resource>.openai.azure.com
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+    /**
+     * @param {Object} config - Adds deployment and apiVersion to the base config
+     */
+    constructor(config = {}) {
+        super(config);
+        this.deployment = config.deployment || '';
+        this.apiVersion = config.apiVersion || '2024-02-01';
+    }
+
+    static get id() {
+        return 'azure';
+    }
+
+    static get label() {
+        return 'Azure OpenAI';
+    }
+
+    static get defaultEndpoint() {
+        return '';
+    }
+
+    static get storageKey() {
+        return 'azure_openai_api_key';
+    }
+
+    static get supportsStreamUsage() {
+        return false;
+    }
+
+    static validateApiKey(apiKey) {
+        const result = LLMProvider.validateApiKey.call(this, apiKey);
+        if (!result.valid) {
+            return result;
+        }
+        if (!/^[A-Za-z0-9]{32,}$/.test(apiKey)) {
+            return { valid: false, message: 'Invalid API key format. Azure OpenAI keys are 32 or more letters and digits' };
+        }
+        return result;
+    }
+
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'api-key': this.apiKey
+        };
+    }
+
+    getChatUrl() {
+        this.assertConfigured();
+        return `${this.endpoint}/openai/deployments/${encodeURIComponent(this.deployment)}/chat/completions?api-version=${encodeURIComponent(this.apiVersion)}`;
+    }
+
+    buildBody(request) {
+        // The deployment selects the model, so the body must not name one
+        const body = super.buildBody(request);
+        delete body.model;
+        return body;
+    }
+
+    buildTestRequest() {
+        this.assertConfigured();
+        return {
+            url: `${this.endpoint}/openai/models?api-version=${encodeURIComponent(this.apiVersion)}`,
+            init: { method: 'GET', headers: this.getHeaders() }
+        };
+    }
+
+    /**
+     * Ensure the resource endpoint and deployment are set
+     */
+    assertConfigured() {
+        if (!this.endpoint || !this.deployment) {
+            throw new ProviderError('❌ Azure OpenAI needs a resource endpoint and a deployment name', PROVIDER_ERROR_CODES.CONFIG, { provider: this.id });
+        }
+    }
+}
+
+/**
+ * Local Provider
+ * Any self-hosted OpenAI-compatible server (Ollama, llama.cpp server, LM Studio)
+ */
+class LocalOpenAIProvider extends OpenAIProvider {
+    static get id() {
+        return 'local';
+    }
+
+    static get label() {
+        return 'Local model';
+    }
+
+    static get defaultModel() {
+        return 'llama3';
+    }
+
+    static get defaultEndpoint() {
+        return 'http://localhost:11434/v1';
+    }
+
+    static get requiresApiKey() {
+        return false;
+    }
+
+    static get supportsStreamUsage() {
+        return false;
+    }
+
+    static get supportsChoices() {
+        // Ollama and llama.cpp ignore n and answer once
+        return false;
+    }
+
+    static get supportsTools() {
+        // Tool calls depend on the model; JSON mode works with all of them
+        return false;
+    }
+
+    static validateApiKey() {
+        // Local servers usually run without authentication; any key is passed through as-is
+        return { valid: true, message: '' };
+    }
+
+    buildBody(request) {
+        // llama.cpp and Ollama reject some OpenAI-only sampling fields
+        const body = super.buildBody(request);
+        delete body.frequency_penalty;
+        delete body.presence_penalty;
+        return body;
+    }
+
+    normalizeError(status, errorData = {}) {
+        if (status === 404) {
+            return new ProviderError(`❌ Model "${this.model}" not found on the local server. Pull it first or check the model name.`, PROVIDER_ERROR_CODES.BAD_REQUEST, { status, provider: this.id, raw: errorData });
+        }
+        return super.normalizeError(status, errorData);
+    }
+
+    async fetchWithNormalizedErrors(url, init) {
+        try {
+            return await super.fetchWithNormalizedErrors(url, init);
+        } catch (error) {
+            if (error.code === PROVIDER_ERROR_CODES.NETWORK) {
+                error.message = `🌐 Could not reach the local model server at ${this.endpoint}. Is it running?`;
+            }
+            throw error;
+        }
+    }
+}
+
+/**
+ * Anthropic Provider
+ * Messages API on api.anthropic.com
+ */
+class AnthropicProvider extends LLMProvider {
+    static get id() {
+        return 'anthropic';
+    }
+
+    static get label() {
+        return 'Anthropic';
+    }
+
+    static get defaultModel() {
+        return 'claude-3-5-haiku-latest';
+    }
+
+    static get defaultEndpoint() {
+        return 'https://api.anthropic.com/v1';
+    }
+
+    static get supportsTools() {
+        return true;
+    }
+
+    static validateApiKey(apiKey) {
+        const result = super.validateApiKey(apiKey);
+        if (!result.valid) {
+            return result;
+        }
+        if (!apiKey.startsWith('sk-ant-')) {
+            return { valid: false, message: 'Invalid API key format. Anthropic API keys should start with "sk-ant-"' };
+        }
+        return result;
+    }
+
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01',
+            // Required for requests made directly from extension pages
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    }
+
+    buildRequest(request) {
+        const body = {
+            model: this.model,
+            system: request.systemPrompt,
+            messages: request.messages,
+            max_tokens: request.maxTokens || 500,
+            temperature: request.temperature ?? 0.7,
+            stream: Boolean(request.stream)
+        };
+
+        if (request.tool) {
+            body.tools = [{ name: request.tool.name, description: request.tool.description, input_schema: request.tool.schema }];
+            body.tool_choice = { type: 'tool', name: request.tool.name };
+        }
+
+        return {
+            url: `${this.endpoint}/messages`,
+            init: {
+                method: 'POST',
+                headers: this.getHeaders(),
+                body: JSON.stringify(body)
+            }
+        };
+    }
+
+    parseResponse(data) {
+        const toolUse = (data.content || []).find(block => block.type === 'tool_use');
+        const text = toolUse ? JSON.stringify(toolUse.input) : (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('')
+            .trim();
+        const promptTokens = data.usage?.input_tokens || 0;
+        const completionTokens = data.usage?.output_tokens || 0;
+        return {
+            text,
+            usage: {
+                promptTokens,
+                completionTokens,
+                totalTokens: promptTokens + completionTokens
+            }
+        };
+    }
+
+    parseStreamEvent(event) {
+        const data = JSON.parse(event.data);
+
+        if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+            return { token: data.delta.text };
+        }
+        if (data.type === 'message_start') {
+            return { usage: { promptTokens: data.message?.usage?.input_tokens || 0 } };
+        }
+        if (data.type === 'message_delta') {
+            return { usage: { completionTokens: data.usage?.output_tokens || 0 } };
+        }
+        if (data.type === 'error') {
+            // Errors after the stream started arrive as events, not HTTP statuses
+            const status = data.error?.type === 'overloaded_error' ? 529 : 500;
+            throw this.normalizeError(status, data);
+        }
+        return {};
+    }
+
+    normalizeError(status, errorData = {}) {
+        const vendorMessage = errorData.error?.message || '';
+        // Anthropic reports an empty balance as a 400 and overload as 529
+        if (status === 400 && /credit balance/i.test(vendorMessage)) {
+            return new ProviderError(`❌ ${this.label} API quota exceeded. Please check your plan and billing settings.`, PROVIDER_ERROR_CODES.QUOTA, { status, provider: this.id, raw: errorData });
+        }
+        return super.normalizeError(status, errorData);
+    }
+
+    buildTestRequest() {
+        return {
+            url: `${this.endpoint}/models`,
+            init: { method: 'GET', headers: this.getHeaders() }
+        };
+    }
+}
+
+/**
+ * Registry of available providers keyed by id
+ */
+const LLM_PROVIDERS = {
+    [OpenAIProvider.id]: OpenAIProvider,
+    [AnthropicProvider.id]: AnthropicProvider,
+    [AzureOpenAIProvider.id]: AzureOpenAIProvider,
+    [LocalOpenAIProvider.id]: LocalOpenAIProvider
+};
+
+/**
+ * Hints for each provider's API key field (popup setup and options page)
+ */
+const PROVIDER_KEY_HINTS = {
+    openai: { placeholder: 'sk-...', url: 'https://platform.openai.com/api-keys', site: 'OpenAI Platform' },
+    anthropic: { placeholder: 'sk-ant-...', url: 'https://console.anthropic.com/settings/keys', site: 'Anthropic Console' },
+    azure: { placeholder: '32-character resource key', url: 'https://portal.azure.com/', site: 'Azure Portal' },
+    local: { placeholder: 'Optional', url: 'https://ollama.com/', site: 'Ollama' }
+};
+
+/**
+ * Look up a provider class by id
+ * @param {string} providerId - Provider id
+ * @returns {typeof LLMProvider} - Provider class
+ */
+function getProviderClass(providerId) {
+    const ProviderClass = LLM_PROVIDERS[providerId];
+    if (!ProviderClass) {
+        throw new ProviderError(`Unknown AI provider "${providerId}"`, PROVIDER_ERROR_CODES.CONFIG);
+    }
+    return ProviderClass;
+}
+
+/**
+ * Create a provider instance
+ * @param {string} providerId - Provider id
+ * @param {Object} config - Provider settings
+ * @returns {LLMProvider} - Configured provider
+ */
+function createProvider(providerId, config = {}) {
+    const ProviderClass = getProviderClass(providerId);
+    return new ProviderClass(config);
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PROVIDER_ERROR_CODES = PROVIDER_ERROR_CODES;
+    window.ProviderError = ProviderError;
+    window.readServerSentEvents = readServerSentEvents;
+    window.parseRetryAfter = parseRetryAfter;
+    window.LLMProvider = LLMProvider;
+    window.LLM_PROVIDERS = LLM_PROVIDERS;
+    window.PROVIDER_KEY_HINTS = PROVIDER_KEY_HINTS;
+    window.getProviderClass = getProviderClass;
+    window.createProvider = createProvider;
+}
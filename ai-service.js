@@ -1,13 +1,388 @@
 /**
- * Draftly AI Service - OpenAI Integration
+ * Draftly AI Service - LLM Integration
  * Handles AI-powered email generation with rate limiting and user consent
+ * Requires ai-providers.js to be loaded first
  */
 
+/**
+ * Provider settings used until the user picks one
+ */
+const DEFAULT_PROVIDER_CONFIG = {
+    id: 'openai',
+    model: '',
+    endpoint: '',
+    deployment: '',
+    apiVersion: ''
+};
+
+/**
+ * Tone profiles that ship with Draftly; users add their own next to these
+ */
+const BUILT_IN_TONE_PROFILES = [
+    {
+        id: 'professional',
+        name: 'Professional',
+        instructions: 'Use a professional, business-appropriate tone. Be formal but approachable.',
+        examples: [],
+        formality: 4,
+        defaultLength: 'medium',
+        builtIn: true
+    },
+    {
+        id: 'friendly',
+        name: 'Friendly',
+        instructions: 'Use a friendly, warm tone while maintaining professionalism. Be conversational but respectful.',
+        examples: [],
+        formality: 2,
+        defaultLength: 'medium',
+        builtIn: true
+    },
+    {
+        id: 'formal',
+        name: 'Formal',
+        instructions: 'Use a very formal, structured tone. Be respectful and follow business etiquette strictly.',
+        examples: [],
+        formality: 5,
+        defaultLength: 'medium',
+        builtIn: true
+    },
+    {
+        id: 'casual',
+        name: 'Casual',
+        instructions: 'Use a casual, relaxed tone. Be informal but still professional and helpful.',
+        examples: [],
+        formality: 1,
+        defaultLength: 'short',
+        builtIn: true
+    }
+];
+
+const DEFAULT_TONE_ID = 'professional';
+
+/**
+ * Formality scale used by tone profiles, 1 (very informal) to 5 (very formal)
+ */
+const FORMALITY_LEVELS = {
+    1: 'very informal',
+    2: 'informal',
+    3: 'neutral',
+    4: 'formal',
+    5: 'very formal'
+};
+
+/**
+ * Custom tone profiles are stored one per sync key to stay under the per-item quota
+ */
+const TONE_PROFILE_KEY_PREFIX = 'tone_profile_';
+
+/**
+ * Generated replies are kept locally, newest first, within a size budget
+ */
+const REPLY_HISTORY_KEY = 'reply_history';
+
+const REPLY_HISTORY_LIMITS = {
+    maxEntries: 500,
+    maxBytes: 2 * 1024 * 1024,
+    maxInputLength: 20000
+};
+
+/**
+ * Thread summaries are cached locally per thread ID and made again when the thread gets
+ * new messages, so reopening a thread does not spend tokens twice
+ */
+const THREAD_SUMMARY_CACHE_KEY = 'thread_summaries';
+
+const THREAD_SUMMARY_LIMITS = {
+    maxEntries: 50,
+    maxTokens: 1200
+};
+
+/**
+ * The personal writing style is learned from a few emails the user wrote. The samples stay
+ * in this browser and only reach the provider, redacted, in the prompt of a reply that uses them.
+ */
+const STYLE_PROFILE_KEY = 'style_profile';
+
+const STYLE_PROFILE_LIMITS = {
+    maxSamples: 10,
+    minSampleLength: 40,
+    maxSampleLength: 3000,
+    promptExamples: 3,
+    promptExampleLength: 600,
+    maxHabits: 3,
+    maxPhrases: 6
+};
+
+// Opening and closing lines the style profile recognizes, in the languages Draftly replies in most
+const STYLE_GREETING_PATTERN = /^(hi there|hi|hello|hey|hiya|dear|good (?:morning|afternoon|evening)|greetings|hallo|liebe[rs]?|sehr geehrte[rs]?|guten (?:morgen|tag|abend)|moin|bonjour|salut|cher|chère|hola|buenos días|buenas tardes|estimad[oa]s?)(?=[\s,!.:]|$)/iu;
+const STYLE_SIGN_OFF_PATTERN = /^(best(?: regards| wishes)?|kind regards|warm(?:est)? regards|regards|many thanks|thanks(?: again| so much)?|thank you|cheers|sincerely|yours(?: sincerely| truly)?|all the best|talk soon|speak soon|take care|thx|(?:viele|beste|liebe) grüße|mit freundlichen grüßen|lg|vg|gruß|cordialement|bien à vous|bonne journée|amitiés|saludos|un saludo|atentamente|un abrazo)(?=[\s,!.]|$)/iu;
+const STYLE_FORMAL_PATTERN = /^(dear|good (?:morning|afternoon|evening)|sehr geehrte|estimad|sincerely|yours|kind regards|best regards|mit freundlichen|cordialement|bien à vous|atentamente)/iu;
+const STYLE_CASUAL_PATTERN = /^(hey|hiya|hi there|moin|salut|cheers|thx|talk soon|speak soon|lg|un abrazo)/iu;
+
+// Where quoted history starts in a sample; it was written by someone else
+const STYLE_QUOTE_HEADER_PATTERN = /^(on .+ wrote:|am .+ schrieb .+:|le .+ a écrit ?:|el .+ escribió:|-{2,} ?(original message|ursprüngliche nachricht) ?-{2,}|from: .+)$/iu;
+
+// Words too common to say anything about how someone writes
+const STYLE_STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'so', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'as',
+    'is', 'are', 'was', 'were', 'be', 'been', 'am', 'it', 'its', 'this', 'that', 'these', 'those', 'i', 'me', 'my',
+    'you', 'your', 'we', 'our', 'us', 'he', 'she', 'they', 'them', 'their', 'his', 'her', 'not', 'no', 'do', 'does',
+    'did', 'have', 'has', 'had', 'will', 'would', 'can', 'could', 'there', 'here', 'what', 'which', 'who', 'when'
+]);
+
+/**
+ * Action items, meeting requests and deadlines are returned as a call to this function,
+ * so the model answers with JSON that follows the schema instead of free text.
+ * Dates and times are ISO 8601 without a time zone, in the time zone of the email.
+ */
+const EXTRACTION_TOOL = {
+    name: 'record_email_items',
+    description: 'Record the action items, meeting requests and deadlines found in an email.',
+    schema: {
+        type: 'object',
+        properties: {
+            actionItems: {
+                type: 'array',
+                description: 'Tasks someone was asked to do or promised to do',
+                items: {
+                    type: 'object',
+                    properties: {
+                        task: { type: 'string', description: 'What to do, as a short imperative sentence' },
+                        owner: { type: 'string', description: 'Who does it; "me" for the user, empty when unknown' },
+                        due: { type: 'string', description: 'Due date as YYYY-MM-DD or YYYY-MM-DDTHH:MM, empty when none' }
+                    },
+                    required: ['task', 'owner', 'due']
+                }
+            },
+            meetings: {
+                type: 'array',
+                description: 'Meetings or calls that were proposed or agreed, with a date',
+                items: {
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string' },
+                        start: { type: 'string', description: 'YYYY-MM-DDTHH:MM, or YYYY-MM-DD for a whole day' },
+                        end: { type: 'string', description: 'Same format as start, empty when not mentioned' },
+                        location: { type: 'string', description: 'Room, address or meeting link, empty when none' },
+                        attendees: { type: 'array', items: { type: 'string' } },
+                        confirmed: { type: 'boolean', description: 'false while the time is only proposed' }
+                    },
+                    required: ['title', 'start', 'end', 'location', 'attendees', 'confirmed']
+                }
+            },
+            deadlines: {
+                type: 'array',
+                description: 'Dates by which something has to happen',
+                items: {
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string', description: 'What is due' },
+                        date: { type: 'string', description: 'YYYY-MM-DD or YYYY-MM-DDTHH:MM' }
+                    },
+                    required: ['title', 'date']
+                }
+            }
+        },
+        required: ['actionItems', 'meetings', 'deadlines']
+    }
+};
+
+// Dates in extracted items: a day, optionally with a time
+const EXTRACTED_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/;
+
+/**
+ * Drafts generated side by side for the user to compare, pick or merge
+ */
+const VARIANT_LIMITS = {
+    maxVariants: 3
+};
+
+const TONE_PROFILE_LIMITS = {
+    maxProfiles: 20,
+    nameLength: 40,
+    instructionsLength: 1000,
+    maxExamples: 5,
+    exampleLength: 200
+};
+
+/**
+ * Rate limiter state is kept locally so the popup, the panel and the service worker
+ * share one count; the limits themselves are user settings and follow the account
+ */
+const RATE_LIMIT_STATE_KEY = 'rate_limit_state';
+const RATE_LIMIT_SETTINGS_KEY = 'rate_limit_settings';
+
+/**
+ * Default limits; 0 turns a budget off. Costs are in US dollars per calendar month.
+ */
+const DEFAULT_RATE_LIMITS = {
+    maxPerMinute: 15,
+    maxPerHour: 100,
+    maxPerDay: 500,
+    dailyTokenBudget: 0,
+    monthlyTokenBudget: 0,
+    monthlyCostLimit: 0,
+    modelCostLimits: {},
+    warnAt: 0.8
+};
+
+/**
+ * Prices in US dollars per million tokens, matched against the start of the model name.
+ * Models that are not listed (local models, Azure deployment names) count as free.
+ */
+const MODEL_PRICING = {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-opus-4': { input: 15, output: 75 }
+};
+
+/**
+ * Retries for transient provider failures. Quota errors, bad requests and
+ * streams that already produced text are never retried.
+ */
+const RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 30000, // Longest wait between attempts, including Retry-After
+    timeout: 60000, // Per attempt; for streams, the longest silence between tokens
+    retryableStatuses: [500, 502, 503, 529] // 529 is Anthropic's "overloaded"
+};
+
+/**
+ * Reply preferences from the options page, synced with the user's account
+ */
+const REPLY_SETTINGS_KEY = 'reply_settings';
+
+const DEFAULT_REPLY_SETTINGS = {
+    language: 'auto', // 'auto' answers in the language of the email
+    signature: '',
+    useSignature: true
+};
+
+const REPLY_SETTINGS_LIMITS = {
+    signatureLength: 500
+};
+
+/**
+ * Languages a reply can be forced into
+ */
+const REPLY_LANGUAGES = {
+    auto: 'Same as the email',
+    en: 'English',
+    de: 'German',
+    es: 'Spanish',
+    fr: 'French',
+    it: 'Italian',
+    nl: 'Dutch',
+    pt: 'Portuguese'
+};
+
+// Language of the translation shown next to a reply written in another language
+const REPLY_TRANSLATION_LANGUAGE = 'en';
+
+/**
+ * Consent is given per scope and synced with the account; grants and revocations are
+ * also appended to a local audit log that is never edited, only exported
+ */
+const CONSENT_KEY = 'consent';
+const CONSENT_AUDIT_LOG_KEY = 'consent_audit_log';
+const LEGACY_CONSENT_KEYS = ['user_consent', 'consent_timestamp', 'consent_version'];
+
+// Options page section where consent is given
+const CONSENT_PAGE = 'options/options.html#privacy';
+
+/**
+ * Consent must be renewed after 6 months
+ */
+const CONSENT_VALIDITY_MS = 6 * 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * What the user can consent to, separately
+ */
+const CONSENT_SCOPES = {
+    ai_processing: {
+        label: 'AI processing',
+        description: 'Send the emails you reply to and your instructions to your AI provider to generate replies. Required to generate replies.'
+    },
+    local_history: {
+        label: 'Reply history',
+        description: 'Keep generated replies, and the emails they answer, in this browser so you can search and reuse them.'
+    },
+    analytics: {
+        label: 'Usage analytics',
+        description: 'Record which features you use and which errors occur, in this browser only.'
+    }
+};
+
+/**
+ * Consent policy versions, oldest first. Adding a version asks everyone to consent again
+ * and shows them the changes since the version they agreed to.
+ */
+const CONSENT_POLICY_VERSIONS = [
+    {
+        version: '1.0',
+        changes: ['Emails you reply to are sent to your AI provider to generate replies.']
+    },
+    {
+        version: '2.0',
+        changes: [
+            'Consent is now asked separately for AI processing, reply history and usage analytics.',
+            'Reply history and usage analytics are only kept if you allow them.',
+            'Your consent choices are recorded in a local audit log that you can export.'
+        ]
+    }
+];
+
+const CONSENT_POLICY_VERSION = CONSENT_POLICY_VERSIONS[CONSENT_POLICY_VERSIONS.length - 1].version;
+
+/**
+ * Reply lengths: prompt guideline and token budget for each
+ */
+const REPLY_LENGTHS = {
+    short: { guideline: 'Keep the reply short: two to four sentences.', maxTokens: 250 },
+    medium: { guideline: 'Keep the reply concise: one to three short paragraphs.', maxTokens: 500 },
+    long: { guideline: 'Write a detailed reply that covers every point thoroughly.', maxTokens: 1000 }
+};
+
+/**
+ * Editing actions for text the user already wrote; translate fills in {language}
+ */
+const REWRITE_ACTIONS = {
+    shorten: { label: 'Shorten', instruction: 'Make it shorter and more concise while keeping every important point.' },
+    expand: { label: 'Expand', instruction: 'Expand it with more detail and smoother transitions, without inventing facts.' },
+    grammar: { label: 'Fix grammar', instruction: 'Fix spelling, grammar and punctuation only; keep the wording, tone and meaning otherwise unchanged.' },
+    polite: { label: 'More polite', instruction: 'Make it more polite and considerate while keeping its message.' },
+    assertive: { label: 'More assertive', instruction: 'Make it more assertive, direct and confident, but still professional.' },
+    bullets: { label: 'Bullet points', instruction: 'Convert it into concise bullet points, one "- " item per line.' },
+    translate: { label: 'Translate', instruction: 'Translate it into {language}, keeping its tone and formatting.' }
+};
+
 class DraftlyAIService {
     constructor() {
-        this.apiKey = 'my api key'; 
+        this.apiKey = null;
+        this.keyLocked = false;
+        this.keyVault = new KeyVault(Object.values(LLM_PROVIDERS).map(ProviderClass => ProviderClass.storageKey));
+        this.providerConfig = { ...DEFAULT_PROVIDER_CONFIG };
+        this.replySettings = { ...DEFAULT_REPLY_SETTINGS };
         this.rateLimiter = new RateLimiter();
+        this.retryPolicy = new RetryPolicy();
         this.consentManager = new ConsentManager();
+        this.toneProfiles = new ToneProfileManager();
+        this.history = new ReplyHistory();
+        this.summaryCache = new ThreadSummaryCache();
+        this.styleProfile = new StyleProfileManager();
+        this.redactor = new PiiRedactor();
         this.isInitialized = false;
     }
 
@@ -20,6 +395,19 @@ class DraftlyAIService {
         try {
             // Check user consent
             await this.consentManager.initialize();
+
+            // Load the selected provider and its key, encrypting keys stored by older versions
+            await this.loadProviderConfig();
+            await this.keyVault.loadSettings();
+            await this.keyVault.migrate();
+            await this.loadAPIKey();
+
+            // Load the user's tone profiles, writing style, reply preferences, limits and redaction rules
+            await this.toneProfiles.load();
+            await this.styleProfile.load();
+            await this.loadReplySettings();
+            await this.rateLimiter.loadSettings();
+            await this.redactor.loadSettings();
             
             this.isInitialized = true;
             console.log('✅ Draftly AI Service initialized');
@@ -30,70 +418,112 @@ class DraftlyAIService {
     }
 
     /**
-     * Generate email reply using OpenAI
+     * Generate email reply using the configured provider
      * @param {string} input - The input email or prompt
      * @param {string} tone - The desired tone for the reply
-     * @param {Object} options - Additional options
+     * @param {Object} options - Additional options; pass onToken(token, textSoFar) to stream
+     *                           and signal (AbortSignal) to allow stopping the request;
+     *                           language (a REPLY_LANGUAGES key) overrides the reply language setting,
+     *                           onLanguage({ code, name, detected }) reports the language used and
+     *                           showTranslation calls onTranslation({ language, text } or { error })
+     *                           with an English translation of a reply in another language;
+     *                           replies follow the style learned from the user's own emails
+     *                           unless useStyle is false
      * @returns {Promise<string>} - The generated reply
      */
-    async generateEmailReply(input, tone = 'formal', options = {}) {
+    async generateEmailReply(input, tone = DEFAULT_TONE_ID, options = {}) {
         try {
             console.log('🤖 Starting AI email generation...', { tone, inputLength: input?.length });
 
-            if (!['formal', 'casual'].includes(tone.toLowerCase())) {
-                throw new Error('Invalid tone. Only "Formal" and "Casual" are allowed.');
-            }
-
-            // Check initialization
             if (!this.isInitialized) {
-                console.log('🔄 Initializing AI service...');
                 await this.initialize();
             }
 
-            // Check user consent
-            if (!await this.consentManager.hasConsent()) {
-                throw new Error('User consent required for AI processing');
-            }
-            console.log('✅ User consent verified');
-
-            // Check API key
-            if (!this.apiKey) {
-                throw new Error('OpenAI API key not configured');
+            // The reply language comes from the settings, so it is known before any request is reserved;
+            // a translation needs a second request only when the reply is not already in English
+            const replyLanguage = await this.resolveReplyLanguage(options.languageSample || input, options);
+            const translate = Boolean(options.showTranslation) && replyLanguage.code !== REPLY_TRANSLATION_LANGUAGE;
+            const { toneProfiles: [toneProfile], model } = await this.prepareGeneration(input, [tone], translate ? 2 : 1);
+            if (options.onLanguage) {
+                options.onLanguage(replyLanguage);
             }
-            console.log('✅ API key configured');
+            options = { ...options, length: options.length || toneProfile.defaultLength, replyLanguage };
 
-            // Check rate limit (our internal limiter)
-            const rateLimitStatus = this.rateLimiter.getUsageStats();
-            console.log('📊 Rate limit status:', rateLimitStatus);
-            
-            if (!this.rateLimiter.canMakeRequest()) {
-                const resetTime = this.rateLimiter.getResetTime();
-                throw new Error(`Draftly rate limit exceeded. Try again in ${Math.ceil(resetTime / 1000)} seconds.`);
+            // Replace personal data with placeholders before anything leaves the browser;
+            // streamed tokens and the reply get the original values back
+            const redaction = this.redactor.createRedaction();
+            const redactedInput = redaction.apply(input);
+            const providerOptions = { ...options, instructions: redaction.apply(options.instructions), writingStyle: this.getWritingStyle(options, redaction) };
+            const stream = options.onToken ? redaction.createStreamRestorer(options.onToken) : null;
+            if (stream) {
+                providerOptions.onToken = (token) => stream.push(token);
             }
-
-            // Validate input
-            if (!input || input.trim().length === 0) {
-                throw new Error('Input cannot be empty');
+            providerOptions.redacted = redaction.count > 0;
+            if (redaction.count > 0) {
+                console.log(`🛡️ Redacted ${redaction.count} personal data values`);
             }
 
-            console.log('🚀 Making OpenAI API request...');
+            console.log('🚀 Making AI provider request...');
             
             // Generate system prompt
-            const systemPrompt = this.createSystemPrompt(tone, options);
+            const systemPrompt = this.createSystemPrompt(toneProfile, providerOptions);
             
             // Make API request
-            const reply = await this.callOpenAI(systemPrompt, input);
+            const result = await this.callProvider(systemPrompt, redactedInput, providerOptions);
+            if (stream) {
+                stream.flush();
+            }
+            const reply = redaction.restore(result.text);
             
             console.log('✅ AI reply generated successfully');
             
-            // Record successful request
-            this.rateLimiter.recordRequest();
+            // Record successful request and the tokens it used
+            await this.rateLimiter.recordRequest({ model: result.model || model, usage: result.usage });
+
+            // The translation is only for reading; a failed one does not cost the user the reply
+            let translated = false;
+            if (translate) {
+                try {
+                    const translation = await this.translateReply(result.text, { ...providerOptions, model });
+                    options.onTranslation?.({ language: REPLY_LANGUAGES[REPLY_TRANSLATION_LANGUAGE], text: redaction.restore(translation) });
+                    translated = true;
+                } catch (error) {
+                    if (error.code === PROVIDER_ERROR_CODES.ABORTED) {
+                        throw error;
+                    }
+                    console.warn('Failed to translate the reply:', error);
+                    options.onTranslation?.({ error: error.message });
+                }
+            }
             
+            // Keep the reply in the local history, if the user allows it
+            if (await this.consentManager.hasConsent('local_history')) {
+                await this.history.add({
+                    input,
+                    instructions: options.instructions || '',
+                    template: options.template || '',
+                    inputType: options.inputType || 'email',
+                    subject: options.subject || '',
+                    tone: toneProfile.id,
+                    toneName: toneProfile.name,
+                    provider: this.providerConfig.id,
+                    model: result.model || model,
+                    output: reply
+                });
+            }
+
             // Track usage
             await this.trackUsage('generate_reply', {
                 tone,
+                provider: this.providerConfig.id,
                 inputLength: input.length,
                 outputLength: reply.length,
+                totalTokens: result.usage.totalTokens,
+                redacted: redaction.count,
+                language: replyLanguage.code,
+                languageDetected: replyLanguage.detected,
+                translated,
+                writingStyle: Boolean(providerOptions.writingStyle),
                 success: true
             });
 
@@ -105,8 +535,10 @@ class DraftlyAIService {
             // Track error
             await this.trackUsage('generate_reply_error', {
                 tone,
+                provider: this.providerConfig.id,
                 inputLength: input?.length || 0,
                 error: error.message,
+                errorCode: error.code || null,
                 success: false
             });
 
@@ -115,420 +547,2578 @@ class DraftlyAIService {
     }
 
     /**
-     * Create system prompt based on tone and options
-     * @param {string} tone - The desired tone
-     * @param {Object} options - Additional options
-     * @returns {string} - System prompt
+     * Generate several drafts to compare, one for each entry in tones
+     * Drafts in the same tone share one request when the provider can return several choices
+     * @param {string} input - The input email or prompt
+     * @param {Array<string>} tones - Tone profile ID of each draft; repeat a tone for several drafts in it
+     * @param {Object} options - Same options as generateEmailReply; drafts are not streamed or translated
+     * @returns {Promise<{variants: Array<Object>, historyId: string|null}>} - Drafts as { tone, toneName, text }
+     *          and the history entry that records which draft the user picks
      */
-    createSystemPrompt(tone, options = {}) {
-        const basePrompt = `You are a professional email assistant. Generate a well-structured email reply based on the user's input.`;
-        
-        const toneInstructions = {
-            professional: 'Use a professional, business-appropriate tone. Be formal but approachable.',
-            friendly: 'Use a friendly, warm tone while maintaining professionalism. Be conversational but respectful.',
-            formal: 'Use a very formal, structured tone. Be respectful and follow business etiquette strictly.',
-            casual: 'Use a casual, relaxed tone. Be informal but still professional and helpful.'
-        };
+    async generateEmailVariants(input, tones, options = {}) {
+        try {
+            if (!Array.isArray(tones) || tones.length < 2 || tones.length > VARIANT_LIMITS.maxVariants) {
+                throw new Error(`Choose between 2 and ${VARIANT_LIMITS.maxVariants} drafts.`);
+            }
+            console.log('🤖 Starting AI draft generation...', { tones, inputLength: input?.length });
 
-        const guidelines = `
-Guidelines:
-- Keep the response concise and relevant
-- Include appropriate greeting and closing
-- Address the main points from the input
-- Be helpful and constructive
-- Maintain the ${tone} tone throughout
-- Format as a proper email reply
-- Do not include subject lines or email headers
-- Ensure the response is complete and actionable
-`;
+            const groups = [];
+            tones.forEach(tone => {
+                const group = groups.find(other => other.tone === tone);
+                if (group) {
+                    group.count++;
+                } else {
+                    groups.push({ tone, count: 1 });
+                }
+            });
+            const supportsChoices = this.getProviderClass().supportsChoices;
+            const requests = supportsChoices ? groups.length : tones.length;
 
-        return `${basePrompt}
+            const { toneProfiles, model } = await this.prepareGeneration(input, groups.map(group => group.tone), requests);
+            const replyLanguage = await this.resolveReplyLanguage(options.languageSample || input, options);
 
-${toneInstructions[tone] || toneInstructions.professional}
+            // Redacted once so every draft uses the same placeholders
+            const redaction = this.redactor.createRedaction();
+            const redactedInput = redaction.apply(input);
+            const providerOptions = { ...options, onToken: null, instructions: redaction.apply(options.instructions), writingStyle: this.getWritingStyle(options, redaction), replyLanguage };
+            providerOptions.redacted = redaction.count > 0;
+            if (redaction.count > 0) {
+                console.log(`🛡️ Redacted ${redaction.count} personal data values`);
+            }
 
-${guidelines}`;
-    }
+            console.log(`🚀 Making ${requests} AI provider requests for ${tones.length} drafts...`);
 
-    /**
-     * Make API call to OpenAI
-     * @param {string} systemPrompt - System instructions
-     * @param {string} userInput - User's email input
-     * @returns {Promise<string>} - Generated reply
-     */
-    async callOpenAI(systemPrompt, userInput) {
-        // Validate API key format
-        if (!this.apiKey || !this.apiKey.startsWith('sk-')) {
-            throw new Error('❌ Invalid API key format. OpenAI API keys should start with "sk-"');
-        }
+            const calls = groups.flatMap((group, index) => {
+                const toneProfile = toneProfiles[index];
+                const groupOptions = { ...providerOptions, length: options.length || toneProfile.defaultLength };
+                const systemPrompt = this.createSystemPrompt(toneProfile, groupOptions);
+                const callGroup = (choices) => this.callProvider(systemPrompt, redactedInput, { ...groupOptions, choices })
+                    .then(result => ({ ...result, tone: group.tone }));
 
-        const requestBody = {
-            model: 'gpt-3.5-turbo',
-            messages: [
-                {
-                    role: 'system',
-                    content: systemPrompt
-                },
-                {
-                    role: 'user',
-                    content: `Please generate a professional email reply to the following message:\n\n${userInput}`
-                }
-            ],
-            max_tokens: 500,
-            temperature: 0.7,
-            top_p: 1,
-            frequency_penalty: 0.2,
-            presence_penalty: 0.1
-        };
+                return supportsChoices
+                    ? [callGroup(group.count)]
+                    : Array.from({ length: group.count }, () => callGroup(1));
+            });
+            const outcomes = await Promise.allSettled(calls);
+            const results = outcomes.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
 
-        console.log('📤 Making OpenAI API request to:', 'https://api.openai.com/v1/chat/completions');
-        console.log('📋 Request model:', requestBody.model);
+            // Tokens spent on requests that succeeded count even if another one failed
+            for (const result of results) {
+                await this.rateLimiter.recordRequest({ model: result.model || model, usage: result.usage });
+            }
+            const failed = outcomes.find(outcome => outcome.status === 'rejected');
+            if (failed) {
+                throw failed.reason;
+            }
 
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${this.apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestBody)
-        });
+            // Put the drafts back in the order the tones were asked for
+            const pools = new Map(groups.map(group => [group.tone, []]));
+            results.forEach(result => pools.get(result.tone).push(...(result.texts || [result.text])));
+            const variants = tones
+                .map(tone => ({ tone, text: pools.get(tone).shift() }))
+                .filter(variant => variant.text)
+                .map(variant => ({
+                    tone: variant.tone,
+                    toneName: this.toneProfiles.get(variant.tone).name,
+                    text: redaction.restore(variant.text)
+                }));
 
-        console.log('📥 OpenAI API response status:', response.status);
+            console.log(`✅ ${variants.length} AI drafts generated successfully`);
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            console.error('❌ OpenAI API error details:', errorData);
-            
-            if (response.status === 401) {
-                throw new Error('❌ Invalid OpenAI API key. Please check your API key in settings.');
-            } else if (response.status === 429) {
-                // Check if it's rate limiting or quota exceeded
-                const errorMessage = errorData.error?.message || '';
-                if (errorMessage.includes('quota')) {
-                    throw new Error('❌ OpenAI API quota exceeded. Please check your billing at https://platform.openai.com/account/billing');
-                } else {
-                    throw new Error('❌ OpenAI API rate limit exceeded. This is from OpenAI\'s servers, not Draftly. Please wait a moment and try again.');
-                }
-            } else if (response.status === 400) {
-                throw new Error('❌ Invalid request to OpenAI API. Please try a different prompt.');
-            } else if (response.status === 403) {
-                throw new Error('❌ OpenAI API access forbidden. Please check your API key permissions.');
-            } else {
-                const errorMsg = errorData.error?.message || 'Unknown error';
-                throw new Error(`❌ OpenAI API error (${response.status}): ${errorMsg}`);
+            // Keep the drafts in the local history until the user picks one, if the user allows it
+            let historyId = null;
+            if (await this.consentManager.hasConsent('local_history')) {
+                const entry = await this.history.add({
+                    input,
+                    instructions: options.instructions || '',
+                    template: options.template || '',
+                    inputType: options.inputType || 'email',
+                    subject: options.subject || '',
+                    tone: variants[0].tone,
+                    toneName: variants[0].toneName,
+                    provider: this.providerConfig.id,
+                    model: results[0].model || model,
+                    output: variants[0].text,
+                    variants,
+                    chosenVariant: null
+                });
+                historyId = entry?.id || null;
             }
-        }
 
-        const data = await response.json();
-        console.log('✅ OpenAI API response received successfully');
-        
-        if (!data.choices || data.choices.length === 0) {
-            throw new Error('No response generated by OpenAI');
-        }
-
-        const reply = data.choices[0].message?.content?.trim();
-        
-        if (!reply) {
-            throw new Error('Empty response from OpenAI');
-        }
+            // Track usage
+            await this.trackUsage('generate_variants', {
+                tones,
+                provider: this.providerConfig.id,
+                inputLength: input.length,
+                drafts: variants.length,
+                requests,
+                totalTokens: results.reduce((sum, result) => sum + result.usage.totalTokens, 0),
+                redacted: redaction.count,
+                writingStyle: Boolean(providerOptions.writingStyle),
+                success: true
+            });
 
-        console.log('📝 Generated reply length:', reply.length);
-        return reply;
-    }
+            return { variants, historyId };
 
-    /**
-     * Load API key from storage
-     */
-    async loadAPIKey() {
-        try {
-            const result = await chrome.storage.sync.get(['openai_api_key']);
-            this.apiKey = result.openai_api_key;
         } catch (error) {
-            console.error('Failed to load API key:', error);
+            console.error('❌ Error generating AI drafts:', error);
+
+            // Track error
+            await this.trackUsage('generate_variants_error', {
+                tones,
+                provider: this.providerConfig.id,
+                inputLength: input?.length || 0,
+                error: error.message,
+                errorCode: error.code || null,
+                success: false
+            });
+
+            throw error;
         }
     }
 
     /**
-     * Save API key to storage
-     * @param {string} apiKey - The OpenAI API key
+     * Rewrite text the user already wrote, e.g. shorten it or fix its grammar
+     * @param {string} text - Text to rewrite, usually the selection in a draft
+     * @param {string} action - Key of REWRITE_ACTIONS
+     * @param {Object} options - language (a REPLY_LANGUAGES key) for translate; onToken, onRetry
+     *                           and signal as for generateEmailReply
+     * @returns {Promise<string>} - The rewritten text
      */
-    async saveAPIKey(apiKey) {
+    async rewriteText(text, action, options = {}) {
         try {
-            if (!apiKey || !apiKey.startsWith('sk-')) {
-                throw new Error('Invalid OpenAI API key format');
+            console.log('✏️ Starting AI rewrite...', { action, inputLength: text?.length });
+
+            if (!REWRITE_ACTIONS[action]) {
+                throw new Error(`Unknown rewrite action "${action}".`);
             }
+            const { model } = await this.prepareGeneration(text, []);
+
+            const redaction = this.redactor.createRedaction();
+            const redactedText = redaction.apply(text);
+            const stream = options.onToken ? redaction.createStreamRestorer(options.onToken) : null;
+            const providerOptions = {
+                ...options,
+                onToken: stream ? (token) => stream.push(token) : null,
+                inputType: 'rewrite',
+                redacted: redaction.count > 0,
+                // Room for the rewrite, more when it should get longer
+                maxTokens: Math.min(2000, Math.max(250, Math.ceil(text.length / 4) * (action === 'expand' ? 3 : 2)))
+            };
+
+            const systemPrompt = this.createRewritePrompt(action, providerOptions);
+            const result = await this.callProvider(systemPrompt, redactedText, providerOptions);
+            if (stream) {
+                stream.flush();
+            }
+            const rewritten = redaction.restore(result.text);
+
+            console.log('✅ AI rewrite generated successfully');
+
+            await this.rateLimiter.recordRequest({ model: result.model || model, usage: result.usage });
+
+            await this.trackUsage('rewrite_text', {
+                action,
+                provider: this.providerConfig.id,
+                inputLength: text.length,
+                outputLength: rewritten.length,
+                totalTokens: result.usage.totalTokens,
+                redacted: redaction.count,
+                success: true
+            });
+
+            return rewritten;
 
-            await chrome.storage.sync.set({ openai_api_key: apiKey });
-            this.apiKey = apiKey;
-            console.log('✅ API key saved successfully');
         } catch (error) {
-            console.error('Failed to save API key:', error);
+            console.error('❌ Error rewriting text:', error);
+
+            await this.trackUsage('rewrite_text_error', {
+                action,
+                provider: this.providerConfig.id,
+                inputLength: text?.length || 0,
+                error: error.message,
+                errorCode: error.code || null,
+                success: false
+            });
+
             throw error;
         }
     }
 
     /**
-     * Check if API key is configured
-     * @returns {boolean} - Whether API key is set
-     */
-    hasAPIKey() {
-        return this.apiKey && this.apiKey.startsWith('sk-');
-    }
-
-    /**
-     * Track usage statistics
-     * @param {string} action - Action performed
-     * @param {Object} metadata - Additional data
+     * Create the system prompt for a rewrite action
+     * @param {string} action - Key of REWRITE_ACTIONS
+     * @param {Object} options - language for translate, redacted when placeholders were used
+     * @returns {string} - System prompt
      */
-    async trackUsage(action, metadata = {}) {
-        try {
-            const usage = {
-                action,
-                metadata,
-                timestamp: Date.now()
-            };
+    createRewritePrompt(action, options = {}) {
+        let instruction = REWRITE_ACTIONS[action].instruction;
+        if (action === 'translate') {
+            const language = REPLY_LANGUAGES[options.language] && options.language !== 'auto' ? options.language : this.getTranslationLanguage();
+            instruction = instruction.replace('{language}', REPLY_LANGUAGES[language]);
+        }
 
-            // Store locally for analytics
-            const { usage_stats = [] } = await chrome.storage.local.get(['usage_stats']);
-            usage_stats.push(usage);
+        const languageGuideline = action === 'translate' ? '' : '\n- Keep the language of the text';
+        const redactionGuideline = options.redacted
+            ? '\n- Personal data was replaced with placeholders such as [EMAIL_1] or [PHONE_2]; keep them exactly as written'
+            : '';
 
-            // Keep only last 100 entries
-            if (usage_stats.length > 100) {
-                usage_stats.splice(0, usage_stats.length - 100);
-            }
+        return `You are a professional email editor. The user sends part of an email they wrote. ${instruction}
 
-            await chrome.storage.local.set({ usage_stats });
-        } catch (error) {
-            console.error('Failed to track usage:', error);
-        }
+Guidelines:
+- Return only the rewritten text, without an introduction, quotes or explanations
+- Keep names, dates, numbers and facts unchanged
+- Do not add a greeting, sign-off or subject line that the text does not have${languageGuideline}${redactionGuideline}
+`;
     }
-}
 
-/**
- * Rate Limiter Class
- * Implements rate limiting to prevent API abuse
- */
-class RateLimiter {
-    constructor() {
-        this.requests = [];
-        this.maxRequestsPerMinute = 15; // Increased from 10 for better UX
-        this.maxRequestsPerHour = 100; // Increased from 50 for better UX
-        this.windowSizeMinute = 60 * 1000; // 1 minute
-        this.windowSizeHour = 60 * 60 * 1000; // 1 hour
+    /**
+     * Language translations go to when none is chosen: the reply language, or English
+     * @returns {string} - REPLY_LANGUAGES key
+     */
+    getTranslationLanguage() {
+        const { language } = this.replySettings;
+        return language && language !== 'auto' && REPLY_LANGUAGES[language] ? language : 'en';
     }
 
     /**
-     * Check if a request can be made
-     * @returns {boolean} - Whether request is allowed
+     * Decide the language of a reply: the one picked for this reply, the one from the
+     * settings or, with "auto", the language detected in the email
+     * @param {string} sample - Text to detect the language of, usually the message replied to
+     * @param {Object} options - language (a REPLY_LANGUAGES key) overrides the setting
+     * @returns {Promise<{code: string|null, name: string|null, detected: boolean}>} - code and name are
+     *          null when detection was not sure; the model then follows the language of the email
      */
-    canMakeRequest() {
-        const now = Date.now();
-        
-        // Clean old requests
-        this.cleanOldRequests(now);
-        
-        // Check minute limit
-        const recentRequests = this.requests.filter(
-            time => now - time < this.windowSizeMinute
-        );
-        
-        if (recentRequests.length >= this.maxRequestsPerMinute) {
-            return false;
+    async resolveReplyLanguage(sample, options = {}) {
+        const language = REPLY_LANGUAGES[options.language] ? options.language : this.replySettings.language;
+        if (language !== 'auto') {
+            return { code: language, name: REPLY_LANGUAGES[language], detected: false };
         }
 
-        // Check hour limit
-        const hourlyRequests = this.requests.filter(
-            time => now - time < this.windowSizeHour
-        );
-        
-        return hourlyRequests.length < this.maxRequestsPerHour;
+        const code = await this.detectLanguage(sample);
+        return { code, name: code ? this.getLanguageName(code) : null, detected: true };
     }
 
     /**
-     * Record a successful request
+     * Detect the language of an email with the browser's built-in detector; nothing leaves the device
+     * @param {string} text
+     * @returns {Promise<string|null>} - Language code such as "de", or null when the detector is not sure
      */
-    recordRequest() {
-        this.requests.push(Date.now());
+    async detectLanguage(text) {
+        if (!text?.trim() || !chrome.i18n?.detectLanguage) {
+            return null;
+        }
+
+        try {
+            const { isReliable, languages } = await chrome.i18n.detectLanguage(text);
+            const [top] = languages || [];
+            return isReliable && top && top.language !== 'und' ? top.language : null;
+        } catch (error) {
+            console.warn('Language detection failed:', error);
+            return null;
+        }
     }
 
     /**
-     * Get time until rate limit resets
-     * @returns {number} - Milliseconds until reset
+     * English name of a language, for prompts and the UI
+     * @param {string} code - Language code, e.g. "de" or "zh-Hant"
+     * @returns {string}
      */
-    getResetTime() {
-        if (this.requests.length === 0) return 0;
-        
-        const now = Date.now();
-        const oldestRecentRequest = Math.min(...this.requests.filter(
-            time => now - time < this.windowSizeMinute
-        ));
-        
-        return Math.max(0, this.windowSizeMinute - (now - oldestRecentRequest));
+    getLanguageName(code) {
+        if (code !== 'auto' && REPLY_LANGUAGES[code]) {
+            return REPLY_LANGUAGES[code];
+        }
+
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+        } catch (error) {
+            return code;
+        }
     }
 
     /**
-     * Clean old request timestamps
-     * @param {number} now - Current timestamp
+     * Translate a generated reply for the user to read, with the translate rewrite prompt
+     * @param {string} text - Reply as the model wrote it, with placeholders when it was redacted
+     * @param {Object} options - redacted, model, onRetry and signal of the reply
+     * @returns {Promise<string>} - The translation, still with placeholders
      */
-    cleanOldRequests(now) {
-        this.requests = this.requests.filter(
-            time => now - time < this.windowSizeHour
-        );
+    async translateReply(text, options) {
+        const providerOptions = {
+            onRetry: options.onRetry,
+            signal: options.signal,
+            inputType: 'rewrite',
+            redacted: options.redacted,
+            maxTokens: Math.min(2000, Math.max(250, Math.ceil(text.length / 4) * 2))
+        };
+        const systemPrompt = this.createRewritePrompt('translate', { ...providerOptions, language: REPLY_TRANSLATION_LANGUAGE });
+
+        const result = await this.callProvider(systemPrompt, text, providerOptions);
+        await this.rateLimiter.recordRequest({ model: result.model || options.model, usage: result.usage });
+        return result.text;
     }
 
     /**
-     * Get current usage statistics
-     * @returns {Object} - Usage stats
+     * Run the checks every generation needs: consent, API key, rate limits and input
+     * @param {string} input - The input email or prompt
+     * @param {Array<string>} tones - Tone profile IDs the generation uses
+     * @param {number} requests - Provider requests the generation will make
+     * @returns {Promise<{toneProfiles: Array<Object>, model: string}>} - The tone profiles, in order, and the model
      */
-    getUsageStats() {
-        const now = Date.now();
-        const recentRequests = this.requests.filter(
-            time => now - time < this.windowSizeMinute
-        );
-        const hourlyRequests = this.requests.filter(
-            time => now - time < this.windowSizeHour
-        );
+    async prepareGeneration(input, tones, requests = 1) {
+        // Check initialization
+        if (!this.isInitialized) {
+            console.log('🔄 Initializing AI service...');
+            await this.initialize();
+        }
+
+        // Check tone profiles
+        const toneProfiles = tones.map(tone => {
+            const toneProfile = this.toneProfiles.get(tone);
+            if (!toneProfile) {
+                throw new Error(`Unknown tone "${tone}". Choose one of your tone profiles.`);
+            }
+            return toneProfile;
+        });
+
+        // Check user consent
+        if (!await this.consentManager.hasConsent()) {
+            throw new Error('User consent required for AI processing');
+        }
+        console.log('✅ User consent verified');
+
+        // Check API key; reloaded every time so the auto-lock applies
+        await this.loadAPIKey();
+        if (this.keyLocked) {
+            throw new ProviderError('🔒 Your API keys are locked. Open Draftly and enter your passphrase.', PROVIDER_ERROR_CODES.LOCKED, { provider: this.providerConfig.id });
+        }
+        const keyCheck = this.getProviderClass().validateApiKey(this.apiKey);
+        if (!keyCheck.valid) {
+            throw new ProviderError(keyCheck.message, PROVIDER_ERROR_CODES.CONFIG, { provider: this.providerConfig.id });
+        }
+        console.log('✅ API key configured');
+
+        // Check rate limits and budgets (shared by all extension contexts)
+        const model = this.getModelName();
+        const rateLimitStatus = await this.rateLimiter.getUsageStats(model);
+        console.log('📊 Rate limit status:', rateLimitStatus);
+
+        if (!rateLimitStatus.canMakeRequest) {
+            throw new Error(rateLimitStatus.message);
+        }
+
+        // Several drafts may need several requests; all of them must fit the limits
+        const fullWindow = [
+            { name: 'minute', used: rateLimitStatus.requestsThisMinute, max: rateLimitStatus.maxPerMinute },
+            { name: 'hour', used: rateLimitStatus.requestsThisHour, max: rateLimitStatus.maxPerHour },
+            { name: 'day', used: rateLimitStatus.requestsToday, max: rateLimitStatus.maxPerDay }
+        ].find(limit => limit.max > 0 && limit.max - limit.used < requests);
+        if (fullWindow) {
+            throw new Error(`Not enough Draftly requests left for the ${requests} requests this needs: ${fullWindow.max - fullWindow.used} of ${fullWindow.max} per ${fullWindow.name} remaining. Choose fewer drafts, turn off the translation or try again later.`);
+        }
+
+        // Validate input
+        if (!input || input.trim().length === 0) {
+            throw new Error('Input cannot be empty');
+        }
+
+        return { toneProfiles, model };
+    }
+
+    /**
+     * Generate a reply to a structured email thread
+     * @param {Object} thread - { subject, userEmail, messages } as extracted by the content script
+     * @param {string} tone - The desired tone for the reply
+     * @param {Object} options - Same options as generateEmailReply
+     * @returns {Promise<string>} - The generated reply
+     */
+    async generateThreadReply(thread, tone = DEFAULT_TONE_ID, options = {}) {
+        const request = this.getThreadRequest(thread);
+        return this.generateEmailReply(request.input, tone, { ...options, ...request.options });
+    }
+
+    /**
+     * Generate several drafts replying to a structured email thread
+     * @param {Object} thread - { subject, userEmail, messages } as extracted by the content script
+     * @param {Array<string>} tones - Tone profile ID of each draft
+     * @param {Object} options - Same options as generateEmailVariants
+     * @returns {Promise<{variants: Array<Object>, historyId: string|null}>} - Drafts and their history entry
+     */
+    async generateThreadVariants(thread, tones, options = {}) {
+        const request = this.getThreadRequest(thread);
+        return this.generateEmailVariants(request.input, tones, { ...options, ...request.options });
+    }
+
+    /**
+     * Summarize a structured email thread: TL;DR, decisions, open questions and action items
+     * Summaries are cached per thread ID (with reply history consent) until the thread changes
+     * @param {Object} thread - { subject, threadId, messages } as extracted by the content script
+     * @param {Object} options - refresh skips the cache; onRetry and signal as for generateEmailReply
+     * @returns {Promise<Object>} - { tldr, decisions, openQuestions, actionItems: [{ owner, task, due }],
+     *          threadId, subject, messageCount, createdAt, cached }
+     */
+    async summarizeThread(thread, options = {}) {
+        try {
+            console.log('🧾 Starting thread summary...', { messages: thread?.messages?.length });
+
+            if (!thread || !Array.isArray(thread.messages) || thread.messages.length === 0) {
+                throw new Error('Email thread has no messages');
+            }
+
+            if (!this.isInitialized) {
+                await this.initialize();
+            }
+
+            // A cached summary is still AI output, so it needs the same consent as a new one.
+            // Consent is read from storage in case it was revoked since the service started.
+            await this.consentManager.initialize();
+            if (!this.consentManager.isGranted('ai_processing')) {
+                throw new Error('User consent required for AI processing');
+            }
+
+            const fingerprint = this.summaryCache.fingerprint(thread);
+            if (thread.threadId && !options.refresh) {
+                const cached = await this.summaryCache.get(thread.threadId, fingerprint);
+                if (cached) {
+                    console.log('✅ Thread summary loaded from cache');
+                    await this.trackUsage('summarize_thread', { provider: this.providerConfig.id, messages: thread.messages.length, cached: true, success: true });
+                    return { ...cached.summary, cached: true };
+                }
+            }
+
+            const input = this.formatThreadForPrompt(thread);
+            const { model } = await this.prepareGeneration(input, []);
+
+            const redaction = this.redactor.createRedaction();
+            const redactedInput = redaction.apply(input);
+            const providerOptions = {
+                onRetry: options.onRetry,
+                signal: options.signal,
+                inputType: 'summary',
+                redacted: redaction.count > 0,
+                maxTokens: THREAD_SUMMARY_LIMITS.maxTokens,
+                temperature: 0.3
+            };
+            if (redaction.count > 0) {
+                console.log(`🛡️ Redacted ${redaction.count} personal data values`);
+            }
+
+            const result = await this.callProvider(this.createSummaryPrompt(providerOptions), redactedInput, providerOptions);
+            const parsed = this.parseSummary(result.text);
+            const restore = (text) => redaction.restore(text);
+
+            const summary = {
+                tldr: restore(parsed.tldr),
+                decisions: parsed.decisions.map(restore),
+                openQuestions: parsed.openQuestions.map(restore),
+                actionItems: parsed.actionItems.map(item => ({ owner: restore(item.owner), task: restore(item.task), due: restore(item.due) })),
+                threadId: thread.threadId || null,
+                subject: thread.subject || '',
+                messageCount: thread.messages.length,
+                createdAt: Date.now()
+            };
+
+            console.log('✅ Thread summary generated successfully');
+
+            await this.rateLimiter.recordRequest({ model: result.model || model, usage: result.usage });
+
+            if (summary.threadId && await this.consentManager.hasConsent('local_history')) {
+                await this.summaryCache.set(summary.threadId, fingerprint, summary);
+            }
+
+            await this.trackUsage('summarize_thread', {
+                provider: this.providerConfig.id,
+                messages: thread.messages.length,
+                inputLength: input.length,
+                totalTokens: result.usage.totalTokens,
+                redacted: redaction.count,
+                cached: false,
+                success: true
+            });
+
+            return { ...summary, cached: false };
+
+        } catch (error) {
+            console.error('❌ Error summarizing thread:', error);
+
+            await this.trackUsage('summarize_thread_error', {
+                provider: this.providerConfig.id,
+                messages: thread?.messages?.length || 0,
+                error: error.message,
+                errorCode: error.code || null,
+                success: false
+            });
+
+            throw error;
+        }
+    }
+
+    /**
+     * Create the system prompt for thread summaries
+     * @param {Object} options - redacted when placeholders were used
+     * @returns {string} - System prompt
+     */
+    createSummaryPrompt(options = {}) {
+        const { language } = this.replySettings;
+        const languageGuideline = language === 'auto'
+            ? '- Write in the language of the thread'
+            : `- Write in ${REPLY_LANGUAGES[language]}`;
+        const redactionGuideline = options.redacted
+            ? '\n- Personal data was replaced with placeholders such as [EMAIL_1] or [PHONE_2]; keep them exactly as written'
+            : '';
+
+        return `You are an assistant that summarizes email threads for a busy reader who was copied on them.
+
+Respond with only a JSON object, without code fences or explanations, in this shape:
+{"tldr": "two or three sentences", "decisions": ["decision"], "openQuestions": ["question"], "actionItems": [{"owner": "name", "task": "what to do", "due": "deadline or empty"}]}
+
+Guidelines:
+- The TL;DR says what the thread is about and where it stands now
+- Decisions are only what people actually agreed on
+- Open questions are what is still unanswered or undecided
+- Every action item has the person responsible as owner; use "me" for messages marked "(me)" and "Unassigned" when nobody was named
+- Use empty arrays when there is nothing to list
+- Do not invent facts, names or dates
+${languageGuideline}${redactionGuideline}
+`;
+    }
+
+    /**
+     * Read the model's JSON summary; a reply that is not JSON becomes the TL;DR
+     * @param {string} text - Model output
+     * @returns {{tldr: string, decisions: Array<string>, openQuestions: Array<string>, actionItems: Array<Object>}}
+     */
+    parseSummary(text) {
+        const strings = (value) => (Array.isArray(value) ? value : [])
+            .map(item => String(item ?? '').trim())
+            .filter(Boolean);
+
+        let data = null;
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            try {
+                data = JSON.parse(text.slice(start, end + 1));
+            } catch (error) {
+                console.warn('Thread summary is not valid JSON, showing it as text');
+            }
+        }
+
+        if (!data || typeof data !== 'object') {
+            return { tldr: text.trim(), decisions: [], openQuestions: [], actionItems: [] };
+        }
+
+        return {
+            tldr: String(data.tldr || '').trim(),
+            decisions: strings(data.decisions),
+            openQuestions: strings(data.openQuestions),
+            actionItems: (Array.isArray(data.actionItems) ? data.actionItems : [])
+                .map(item => (typeof item === 'string' ? { task: item } : item || {}))
+                .map(item => ({
+                    owner: String(item.owner || 'Unassigned').trim(),
+                    task: String(item.task || '').trim(),
+                    due: String(item.due || '').trim()
+                }))
+                .filter(item => item.task)
+        };
+    }
+
+    /**
+     * Extract action items, meeting requests and deadlines from an email as structured data
+     * @param {string} input - Email text, or a thread formatted by formatThreadForPrompt
+     * @param {Object} options - subject for the exports; inputType 'thread' for threads;
+     *                           onRetry and signal as for generateEmailReply
+     * @returns {Promise<Object>} - { actionItems: [{ task, owner, due }], meetings: [{ title, start,
+     *          end, location, attendees, confirmed }], deadlines: [{ title, date }], subject, createdAt }
+     */
+    async extractEmailItems(input, options = {}) {
+        try {
+            console.log('📅 Starting extraction of action items and dates...', { inputLength: input?.length });
+
+            if (!input || input.trim().length === 0) {
+                throw new Error('Email content is required');
+            }
+            const { model } = await this.prepareGeneration(input, []);
+
+            const redaction = this.redactor.createRedaction();
+            const redactedInput = redaction.apply(input);
+            const providerOptions = {
+                onRetry: options.onRetry,
+                signal: options.signal,
+                inputType: options.inputType === 'thread' ? 'extract_thread' : 'extract',
+                redacted: redaction.count > 0,
+                maxTokens: 1500,
+                temperature: 0,
+                tool: EXTRACTION_TOOL
+            };
+            if (redaction.count > 0) {
+                console.log(`🛡️ Redacted ${redaction.count} personal data values`);
+            }
+
+            const result = await this.callProvider(this.createExtractionPrompt(providerOptions), redactedInput, providerOptions);
+            const items = this.parseExtraction(result.text, (text) => redaction.restore(text));
+
+            console.log('✅ Extraction completed successfully');
+
+            await this.rateLimiter.recordRequest({ model: result.model || model, usage: result.usage });
+
+            await this.trackUsage('extract_items', {
+                provider: this.providerConfig.id,
+                inputLength: input.length,
+                actionItems: items.actionItems.length,
+                meetings: items.meetings.length,
+                deadlines: items.deadlines.length,
+                totalTokens: result.usage.totalTokens,
+                redacted: redaction.count,
+                success: true
+            });
+
+            return { ...items, subject: options.subject || '', createdAt: Date.now() };
+
+        } catch (error) {
+            console.error('❌ Error extracting action items:', error);
+
+            await this.trackUsage('extract_items_error', {
+                provider: this.providerConfig.id,
+                inputLength: input?.length || 0,
+                error: error.message,
+                errorCode: error.code || null,
+                success: false
+            });
+
+            throw error;
+        }
+    }
+
+    /**
+     * Extract action items, meeting requests and deadlines from a structured email thread
+     * @param {Object} thread - { subject, threadId, messages } as extracted by the content script
+     * @param {Object} options - onRetry and signal as for generateEmailReply
+     * @returns {Promise<Object>} - Items as for extractEmailItems
+     */
+    async extractThreadItems(thread, options = {}) {
+        if (!thread || !Array.isArray(thread.messages) || thread.messages.length === 0) {
+            throw new Error('Email thread has no messages');
+        }
+        return this.extractEmailItems(this.formatThreadForPrompt(thread), { ...options, inputType: 'thread', subject: thread.subject });
+    }
+
+    /**
+     * Create the system prompt for extracting action items and dates
+     * Providers without function calling get the schema in the prompt instead
+     * @param {Object} options - redacted when placeholders were used
+     * @returns {string} - System prompt
+     */
+    createExtractionPrompt(options = {}) {
+        const now = new Date();
+        const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+        const weekday = now.toLocaleDateString('en-US', { weekday: 'long' });
+        const schemaGuideline = this.getProvider().constructor.supportsTools
+            ? `\n- Answer by calling ${EXTRACTION_TOOL.name}`
+            : `\n- Respond with only a JSON object, without code fences, that follows this JSON schema:\n${JSON.stringify(EXTRACTION_TOOL.schema)}`;
+        const redactionGuideline = options.redacted
+            ? '\n- Personal data was replaced with placeholders such as [EMAIL_1] or [PHONE_2]; keep them exactly as written'
+            : '';
+
+        return `You find the action items, meeting requests and deadlines in emails so they can be added to a calendar and a task list.
+
+Guidelines:
+- Today is ${weekday}, ${today}. Resolve relative dates such as "next Friday" or "tomorrow" against the date of the message they appear in, or today when it has none
+- Write dates as YYYY-MM-DD and times as YYYY-MM-DDTHH:MM in the time zone of the email; leave out a time that is not mentioned
+- Only list what the email actually asks for, proposes or agrees on; do not invent dates, people or tasks
+- Messages marked "(me)" were written by me; use "me" as the owner of my tasks
+- Keep titles short and in the language of the email
+- Use empty arrays when there is nothing to list${schemaGuideline}${redactionGuideline}
+`;
+    }
+
+    /**
+     * Read the model's extraction, dropping items without a task, title or valid date
+     * @param {string} text - JSON from the tool call or the reply
+     * @param {Function} restore - Puts redacted personal data back into a string
+     * @returns {{actionItems: Array<Object>, meetings: Array<Object>, deadlines: Array<Object>}}
+     */
+    parseExtraction(text, restore = (value) => value) {
+        let data = null;
+        try {
+            data = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+        } catch (error) {
+            console.warn('Extracted items are not valid JSON');
+        }
+        if (!data || typeof data !== 'object') {
+            throw new Error('The AI provider did not return the items in the expected format. Please try again.');
+        }
+
+        const string = (value) => restore(String(value ?? '').trim());
+        // A date may come back as a placeholder for redacted text, and then reads "2025-03-07 10:00"
+        const date = (value) => {
+            const restored = string(value).replace(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2})/, '$1T$2');
+            return EXTRACTED_DATE_PATTERN.test(restored) ? restored : '';
+        };
+        const list = (value) => (Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : []);
+
+        return {
+            actionItems: list(data.actionItems)
+                .map(item => ({ task: string(item.task), owner: string(item.owner), due: date(item.due) }))
+                .filter(item => item.task),
+            meetings: list(data.meetings)
+                .map(item => ({
+                    title: string(item.title),
+                    start: date(item.start),
+                    end: date(item.end),
+                    location: string(item.location),
+                    attendees: (Array.isArray(item.attendees) ? item.attendees : []).map(string).filter(Boolean),
+                    confirmed: item.confirmed !== false
+                }))
+                .filter(item => item.title && item.start),
+            deadlines: list(data.deadlines)
+                .map(item => ({ title: string(item.title), date: date(item.date) }))
+                .filter(item => item.title && item.date)
+        };
+    }
+
+    /**
+     * Turn a structured thread into the input and options of a generation request
+     * @param {Object} thread - { subject, messages }
+     * @returns {{input: string, options: Object}} - Formatted thread and thread options
+     */
+    getThreadRequest(thread) {
+        if (!thread || !Array.isArray(thread.messages) || thread.messages.length === 0) {
+            throw new Error('Email thread has no messages');
+        }
+
+        const replyTarget = this.getReplyTarget(thread);
+        return {
+            input: this.formatThreadForPrompt(thread),
+            options: {
+                inputType: 'thread',
+                subject: thread.subject || '',
+                replyTargetIndex: thread.messages.indexOf(replyTarget),
+                // The reply is in the language of the message it answers, not the whole thread
+                languageSample: replyTarget.body || ''
+            }
+        };
+    }
+
+    /**
+     * Pick the message being replied to: the latest one not sent by the user
+     * @param {Object} thread - Structured thread
+     * @returns {Object} - Message to reply to
+     */
+    getReplyTarget(thread) {
+        const incoming = thread.messages.filter(message => !message.isFromMe);
+        return incoming.length > 0 ? incoming[incoming.length - 1] : thread.messages[thread.messages.length - 1];
+    }
+
+    /**
+     * Render a structured thread as numbered messages with headers
+     * @param {Object} thread - { subject, messages }
+     * @returns {string} - Thread text for the model
+     */
+    formatThreadForPrompt(thread) {
+        const formatPerson = (person) => {
+            if (!person) {
+                return 'Unknown';
+            }
+            const name = person.name || person.email || 'Unknown';
+            return person.email && person.email !== name ? `${name} <${person.email}>` : name;
+        };
+
+        const total = thread.messages.length;
+        const blocks = thread.messages.map((message, index) => {
+            const lines = [
+                `Message ${index + 1} of ${total}${message.collapsed ? ' (preview only)' : ''}`,
+                `From: ${formatPerson(message.sender)}${message.isFromMe ? ' (me)' : ''}`
+            ];
+            if (message.recipients?.length) {
+                lines.push(`To: ${message.recipients.map(formatPerson).join(', ')}`);
+            }
+            if (message.timestamp || message.dateText) {
+                lines.push(`Date: ${message.dateText || message.timestamp}`);
+            }
+            if (message.attachments?.length) {
+                lines.push(`Attachments: ${message.attachments.join(', ')}`);
+            }
+            lines.push('', message.body || '(no text)');
+            return lines.join('\n');
+        });
+
+        const header = thread.subject ? `Subject: ${thread.subject}\n\n` : '';
+        return header + blocks.join('\n\n---\n\n');
+    }
+
+    /**
+     * Build the user message sent alongside the system prompt
+     * @param {string} userInput - Email, prompt or formatted thread
+     * @param {Object} options - inputType ('thread', 'instructions', 'rewrite', 'summary', 'extract' or
+     *                           'extract_thread'), replyTargetIndex for threads
+     *                           and extra instructions from the user
+     * @returns {string} - User message content
+     */
+    createUserMessage(userInput, options = {}) {
+        if (options.inputType === 'instructions') {
+            return `Write an email based on these instructions:\n\n${userInput}`;
+        }
+        if (options.inputType === 'rewrite') {
+            return `Text to rewrite:\n\n${userInput}`;
+        }
+        if (options.inputType === 'extract') {
+            return `Find the action items, meeting requests and deadlines in this email:\n\n${userInput}`;
+        }
+        if (options.inputType === 'extract_thread') {
+            return `Find the action items, meeting requests and deadlines in this email thread, oldest message first. Messages marked "(me)" were written by me.\n\n${userInput}`;
+        }
+        if (options.inputType === 'summary') {
+            return `Summarize this email thread, oldest message first. Messages marked "(me)" were written by me.\n\n${userInput}`;
+        }
+
+        const instructions = options.instructions ? `\n\nAdditional instructions from me: ${options.instructions}` : '';
+
+        if (options.inputType === 'thread') {
+            const target = (options.replyTargetIndex ?? -1) + 1;
+            const targetNote = target > 0
+                ? `Write my reply to message ${target}. Messages marked "(me)" were written by me.`
+                : 'Write my reply to the latest message.';
+            return `Below is an email thread, oldest message first. ${targetNote} Use earlier messages only as context and do not repeat the quoted history.\n\n${userInput}${instructions}`;
+        }
+
+        return `Please generate a professional email reply to the following message:\n\n${userInput}${instructions}`;
+    }
+
+    /**
+     * The writing style section of the system prompt, if this generation asks for it
+     * @param {Object} options - Generation options; useStyle false leaves the style out
+     * @param {PiiRedaction} redaction - Redaction of the request
+     * @returns {string} - Prompt section, empty when the style is off or not learned yet
+     */
+    getWritingStyle(options, redaction) {
+        return options.useStyle !== false && this.styleProfile.hasProfile() ? this.styleProfile.createPromptSection(redaction) : '';
+    }
+
+    /**
+     * Get the length settings for a reply
+     * @param {string} length - short, medium or long
+     * @returns {{guideline: string, maxTokens: number}}
+     */
+    getReplyLength(length) {
+        return REPLY_LENGTHS[length] || REPLY_LENGTHS.medium;
+    }
+
+    /**
+     * Create system prompt based on tone profile and options
+     * @param {Object} toneProfile - Tone profile from ToneProfileManager
+     * @param {Object} options - Additional options; replyLanguage from resolveReplyLanguage(),
+     *                           writingStyle from getWritingStyle()
+     * @returns {string} - System prompt
+     */
+    createSystemPrompt(toneProfile, options = {}) {
+        const basePrompt = `You are a professional email assistant. Generate a well-structured email reply based on the user's input.`;
+
+        const formality = FORMALITY_LEVELS[toneProfile.formality] || FORMALITY_LEVELS[3];
+        const examples = toneProfile.examples?.length
+            ? `\n\nExample phrases in this style:\n${toneProfile.examples.map(example => `- "${example}"`).join('\n')}`
+            : '';
+        const writingStyle = options.writingStyle ? `\n\n${options.writingStyle}` : '';
+
+        const { signature, useSignature } = this.replySettings;
+        const { name: languageName, detected } = options.replyLanguage || {};
+        let languageGuideline = '- Write in the same language as the email (or my instructions)';
+        if (languageName) {
+            languageGuideline = detected && options.inputType !== 'instructions'
+                ? `- Write the reply in ${languageName}, the language of the email, even if my instructions are in another language`
+                : `- Write the reply in ${languageName}`;
+        }
+        const signatureGuideline = useSignature && signature
+            ? `\n- End the email with exactly this signature instead of a generic sign-off:\n${signature}`
+            : '';
+        const redactionGuideline = options.redacted
+            ? '\n- Personal data was replaced with placeholders such as [EMAIL_1] or [PHONE_2]; keep them exactly as written wherever that data belongs'
+            : '';
+
+        const guidelines = `
+Guidelines:
+- ${this.getReplyLength(options.length).guideline}
+${languageGuideline}
+- Keep the response relevant
+- Include appropriate greeting and closing
+- Address the main points from the input
+- Be helpful and constructive
+- Maintain the "${toneProfile.name}" tone (${formality}) throughout
+- Format as a proper email reply
+- Do not include subject lines or email headers
+- Ensure the response is complete and actionable${redactionGuideline}${signatureGuideline}
+`;
+
+        return `${basePrompt}
+
+Tone: ${toneProfile.name} (${formality})
+${toneProfile.instructions}${examples}${writingStyle}
+${guidelines}`;
+    }
+
+    /**
+     * Make API call to the configured provider
+     * @param {string} systemPrompt - System instructions
+     * @param {string} userInput - User's email input
+     * Transient failures are retried according to this.retryPolicy
+     * @param {Object} options - onToken streams the reply, signal aborts it,
+     *                           onRetry({ attempt, maxAttempts, delay, reason }) reports retries,
+     *                           choices asks for several replies in one request,
+     *                           maxTokens overrides the budget of options.length,
+     *                           temperature the default of 0.7 and tool ({ name, description, schema })
+     *                           asks for a structured answer
+     * @returns {Promise<{text: string, texts: Array<string>, usage: Object, model: string}>} - Generated replies and token usage
+     */
+    async callProvider(systemPrompt, userInput, options = {}) {
+        const provider = this.getProvider();
+
+        const request = {
+            systemPrompt,
+            messages: [
+                {
+                    role: 'user',
+                    content: this.createUserMessage(userInput, options)
+                }
+            ],
+            maxTokens: options.maxTokens || this.getReplyLength(options.length).maxTokens,
+            temperature: options.temperature ?? 0.7
+        };
+        if (options.choices > 1) {
+            request.choices = options.choices;
+        }
+        if (options.tool) {
+            request.tool = options.tool;
+        }
+
+        let result;
+        for (let attempt = 1; !result; attempt++) {
+            // Retrying after the first token would repeat text the user already sees
+            let streamed = false;
+            const onToken = options.onToken && ((token, text) => {
+                streamed = true;
+                options.onToken(token, text);
+            });
+
+            try {
+                result = await this.sendWithTimeout(provider, request, { onToken, signal: options.signal });
+            } catch (error) {
+                if (streamed || !this.retryPolicy.shouldRetry(error, attempt)) {
+                    throw error;
+                }
+
+                const delay = this.retryPolicy.getDelay(error, attempt);
+                const reason = this.retryPolicy.describe(error, provider.label);
+                console.warn(`🔁 ${reason}, retrying in ${delay} ms (attempt ${attempt + 1} of ${this.retryPolicy.maxAttempts})`);
+                if (options.onRetry) {
+                    options.onRetry({ attempt: attempt + 1, maxAttempts: this.retryPolicy.maxAttempts, delay, reason });
+                }
+                await this.wait(delay, options.signal);
+            }
+        }
+
+        console.log('📝 Generated reply length:', result.text.length);
+
+        // Some servers (local models especially) report no usage; budgets then count about 4 characters per token
+        if (!result.usage?.totalTokens) {
+            const promptTokens = Math.ceil((systemPrompt.length + request.messages[0].content.length) / 4);
+            const completionTokens = Math.ceil((result.texts || [result.text]).join('').length / 4);
+            result.usage = { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+        }
+
+        return result;
+    }
+
+    /**
+     * Run one provider request, aborting it when the provider stays silent too long
+     * @param {LLMProvider} provider - Provider to call
+     * @param {Object} request - Completion request
+     * @param {Object} handlers - { onToken, signal } from the caller
+     * @returns {Promise<{text: string, usage: Object, model: string}>} - Completion result
+     */
+    async sendWithTimeout(provider, request, { onToken, signal }) {
+        const controller = new AbortController();
+        const timeout = this.retryPolicy.timeout;
+        let timedOut = false;
+        let timer = null;
+
+        const startTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+        };
+        const abortFromCaller = () => controller.abort();
+
+        if (signal?.aborted) {
+            controller.abort();
+        }
+        if (signal) {
+            signal.addEventListener('abort', abortFromCaller);
+        }
+        startTimer();
+
+        try {
+            return onToken
+                ? await provider.stream(request, {
+                    signal: controller.signal,
+                    onToken: (token, text) => {
+                        startTimer();
+                        onToken(token, text);
+                    }
+                })
+                : await provider.complete(request, { signal: controller.signal });
+        } catch (error) {
+            if (timedOut && !signal?.aborted) {
+                throw new ProviderError(`⏱️ ${provider.label} did not respond within ${Math.round(timeout / 1000)} seconds.`, PROVIDER_ERROR_CODES.TIMEOUT, {
+                    provider: provider.id,
+                    partialText: error.partialText
+                });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', abortFromCaller);
+            }
+        }
+    }
+
+    /**
+     * Wait before the next attempt, unless the caller stops the generation
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} [signal] - Caller's abort signal
+     * @returns {Promise<void>}
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const stopped = () => new ProviderError('Generation stopped', PROVIDER_ERROR_CODES.ABORTED, { provider: this.providerConfig.id });
+            if (signal?.aborted) {
+                reject(stopped());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(stopped());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Name of the model requests go to
+     * @returns {string} - Configured model, or the provider's default
+     */
+    getModelName() {
+        return this.providerConfig.model || this.getProviderClass().defaultModel;
+    }
+
+    /**
+     * Get the class of the selected provider
+     * @returns {typeof LLMProvider} - Provider class
+     */
+    getProviderClass() {
+        return getProviderClass(this.providerConfig.id);
+    }
+
+    /**
+     * Build a provider instance from the current settings
+     * @returns {LLMProvider} - Configured provider
+     */
+    getProvider() {
+        return createProvider(this.providerConfig.id, {
+            ...this.providerConfig,
+            apiKey: this.apiKey
+        });
+    }
+
+    /**
+     * Load provider settings from storage
+     */
+    async loadProviderConfig() {
+        try {
+            const { llm_provider } = await chrome.storage.sync.get(['llm_provider']);
+            this.providerConfig = { ...DEFAULT_PROVIDER_CONFIG, ...llm_provider };
+        } catch (error) {
+            console.error('Failed to load provider settings:', error);
+        }
+    }
+
+    /**
+     * Save provider settings to storage and load the matching API key
+     * @param {Object} config - { id, model, endpoint, deployment, apiVersion }
+     */
+    async saveProviderConfig(config) {
+        const providerConfig = { ...DEFAULT_PROVIDER_CONFIG, ...config };
+
+        // Throws for unknown providers before anything is persisted
+        getProviderClass(providerConfig.id);
+
+        await chrome.storage.sync.set({ llm_provider: providerConfig });
+        this.providerConfig = providerConfig;
+        await this.loadAPIKey();
+        console.log('✅ Provider settings saved:', providerConfig.id);
+    }
+
+    /**
+     * Load and decrypt the API key for the selected provider
+     * keyLocked is set when the passphrase is needed first
+     */
+    async loadAPIKey() {
+        try {
+            const { apiKey, locked } = await this.keyVault.getKey(this.getProviderClass().storageKey);
+            this.apiKey = apiKey;
+            this.keyLocked = locked;
+        } catch (error) {
+            console.error('Failed to load API key:', error);
+        }
+    }
+
+    /**
+     * Encrypt and save the API key for the selected provider
+     * @param {string} apiKey - The provider API key
+     */
+    async saveAPIKey(apiKey) {
+        try {
+            const ProviderClass = this.getProviderClass();
+            const keyCheck = ProviderClass.validateApiKey(apiKey);
+            if (!keyCheck.valid) {
+                throw new ProviderError(keyCheck.message, PROVIDER_ERROR_CODES.CONFIG, { provider: ProviderClass.id });
+            }
+
+            await this.keyVault.setKey(ProviderClass.storageKey, apiKey || '');
+            this.apiKey = apiKey;
+            this.keyLocked = false;
+            console.log('✅ API key saved successfully');
+        } catch (error) {
+            console.error('Failed to save API key:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if API key is configured
+     * @returns {boolean} - Whether API key is set
+     */
+    hasAPIKey() {
+        return this.getProviderClass().validateApiKey(this.apiKey).valid;
+    }
+
+    /**
+     * Check that the configured provider accepts our credentials
+     * @param {Object} [overrides] - Unsaved settings to test instead, { id, model, endpoint, deployment, apiKey };
+     *                               without an apiKey the key saved for that provider is used
+     * @returns {Promise<boolean>} - Whether the connection works
+     */
+    async testConnection(overrides = {}) {
+        const config = { ...this.providerConfig, ...overrides };
+        if (!config.apiKey) {
+            const { apiKey, locked } = await this.keyVault.getKey(getProviderClass(config.id).storageKey);
+            if (locked) {
+                throw new ProviderError('🔒 Your API keys are locked. Enter your passphrase first.', PROVIDER_ERROR_CODES.LOCKED, { provider: config.id });
+            }
+            config.apiKey = apiKey;
+        }
+        return createProvider(config.id, config).testConnection();
+    }
+
+    /**
+     * Load reply preferences (language, signature) from storage
+     */
+    async loadReplySettings() {
+        try {
+            const result = await chrome.storage.sync.get([REPLY_SETTINGS_KEY]);
+            this.replySettings = { ...DEFAULT_REPLY_SETTINGS, ...result[REPLY_SETTINGS_KEY] };
+        } catch (error) {
+            console.error('Failed to load reply settings:', error);
+        }
+    }
+
+    /**
+     * Validate and save reply preferences
+     * @param {Object} changes - Any of { language, signature, useSignature }
+     * @returns {Promise<Object>} - The saved settings
+     */
+    async saveReplySettings(changes) {
+        const settings = { ...this.replySettings, ...changes };
+        settings.signature = (settings.signature || '').trim();
+
+        if (!REPLY_LANGUAGES[settings.language]) {
+            throw new Error(`Unknown reply language "${settings.language}"`);
+        }
+        if (settings.signature.length > REPLY_SETTINGS_LIMITS.signatureLength) {
+            throw new Error(`The signature must be at most ${REPLY_SETTINGS_LIMITS.signatureLength} characters`);
+        }
+
+        await chrome.storage.sync.set({ [REPLY_SETTINGS_KEY]: settings });
+        this.replySettings = settings;
+        return settings;
+    }
+
+    /**
+     * Track usage statistics, if the user allows usage analytics
+     * @param {string} action - Action performed
+     * @param {Object} metadata - Additional data
+     */
+    async trackUsage(action, metadata = {}) {
+        try {
+            if (!await this.consentManager.hasConsent('analytics')) {
+                return;
+            }
+
+            const usage = {
+                action,
+                metadata,
+                timestamp: Date.now()
+            };
+
+            // Store locally for analytics
+            const { usage_stats = [] } = await chrome.storage.local.get(['usage_stats']);
+            usage_stats.push(usage);
+
+            // Keep only last 100 entries
+            if (usage_stats.length > 100) {
+                usage_stats.splice(0, usage_stats.length - 100);
+            }
+
+            await chrome.storage.local.set({ usage_stats });
+        } catch (error) {
+            console.error('Failed to track usage:', error);
+        }
+    }
+}
+
+/**
+ * Rate Limiter Class
+ * Request limits per minute, hour and day plus token and cost budgets.
+ * State lives in chrome.storage.local, so every extension context sees the same usage.
+ */
+class RateLimiter {
+    constructor() {
+        this.settings = { ...DEFAULT_RATE_LIMITS };
+        this.windowSizeMinute = 60 * 1000; // 1 minute
+        this.windowSizeHour = 60 * 60 * 1000; // 1 hour
+        this.windowSizeDay = 24 * 60 * 60 * 1000; // 24 hours
+    }
+
+    /**
+     * Load the user's limits from sync storage
+     */
+    async loadSettings() {
+        try {
+            const result = await chrome.storage.sync.get([RATE_LIMIT_SETTINGS_KEY]);
+            this.settings = { ...DEFAULT_RATE_LIMITS, ...result[RATE_LIMIT_SETTINGS_KEY] };
+        } catch (error) {
+            console.error('Failed to load rate limit settings:', error);
+        }
+    }
+
+    /**
+     * Validate limit settings
+     * @param {Object} settings - Limits to check
+     * @returns {{valid: boolean, message: string}} - Validation result
+     */
+    validateSettings(settings) {
+        const counts = ['maxPerMinute', 'maxPerHour', 'maxPerDay', 'dailyTokenBudget', 'monthlyTokenBudget'];
+        for (const name of counts) {
+            if (!Number.isInteger(settings[name]) || settings[name] < 0) {
+                return { valid: false, message: 'Limits and token budgets must be whole numbers (0 for no limit)' };
+            }
+        }
+
+        const costs = [settings.monthlyCostLimit, ...Object.values(settings.modelCostLimits || {})];
+        if (costs.some(cost => typeof cost !== 'number' || !Number.isFinite(cost) || cost < 0)) {
+            return { valid: false, message: 'Cost limits must be amounts in dollars (0 for no limit)' };
+        }
+
+        if (typeof settings.warnAt !== 'number' || settings.warnAt <= 0 || settings.warnAt > 1) {
+            return { valid: false, message: 'The warning threshold must be between 1% and 100%' };
+        }
+
+        return { valid: true, message: 'Limits are valid' };
+    }
+
+    /**
+     * Save limit settings to sync storage
+     * @param {Object} settings - Limits to change; missing fields keep their current value
+     * @returns {Promise<Object>} - The saved settings
+     */
+    async saveSettings(settings) {
+        const saved = { ...this.settings, ...settings };
+
+        // Drop per-model ceilings that were cleared
+        saved.modelCostLimits = Object.fromEntries(
+            Object.entries(saved.modelCostLimits || {}).filter(([model, limit]) => model && limit > 0)
+        );
+
+        const validation = this.validateSettings(saved);
+        if (!validation.valid) {
+            throw new Error(validation.message);
+        }
+
+        await chrome.storage.sync.set({ [RATE_LIMIT_SETTINGS_KEY]: saved });
+        this.settings = saved;
+        return saved;
+    }
+
+    /**
+     * Check if a request can be made
+     * @param {string} model - Model the request will use
+     * @returns {Promise<boolean>} - Whether request is allowed
+     */
+    async canMakeRequest(model) {
+        const stats = await this.getUsageStats(model);
+        return stats.canMakeRequest;
+    }
+
+    /**
+     * Record a successful request and the tokens it used
+     * @param {Object} request - { model, usage: { promptTokens, completionTokens, totalTokens } }
+     */
+    async recordRequest({ model = '', usage = {} } = {}) {
+        try {
+            const now = Date.now();
+            const state = await this.getState(now);
+            const { day, month } = RateLimiter.getPeriodKeys(now);
+            const tokens = usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0);
+            const cost = RateLimiter.estimateCost(model, usage);
+
+            state.requests.push(now);
+
+            const today = state.days[day] || (state.days[day] = { tokens: 0, cost: 0 });
+            today.tokens += tokens;
+            today.cost += cost;
+
+            const thisMonth = state.months[month] || (state.months[month] = { tokens: 0, cost: 0, models: {} });
+            thisMonth.tokens += tokens;
+            thisMonth.cost += cost;
+            const modelUsage = thisMonth.models[model] || (thisMonth.models[model] = { tokens: 0, cost: 0 });
+            modelUsage.tokens += tokens;
+            modelUsage.cost += cost;
+
+            await chrome.storage.local.set({ [RATE_LIMIT_STATE_KEY]: state });
+        } catch (error) {
+            console.error('Failed to record request:', error);
+        }
+    }
+
+    /**
+     * Read the shared state and drop what no limit looks at anymore
+     * @param {number} now - Current timestamp
+     * @returns {Promise<Object>} - { requests, days, months }
+     */
+    async getState(now = Date.now()) {
+        const result = await chrome.storage.local.get([RATE_LIMIT_STATE_KEY]);
+        const state = { requests: [], days: {}, months: {}, ...result[RATE_LIMIT_STATE_KEY] };
+        const { day, month } = RateLimiter.getPeriodKeys(now);
+
+        state.requests = state.requests.filter(time => now - time < this.windowSizeDay);
+        state.days = state.days[day] ? { [day]: state.days[day] } : {};
+
+        // Keep a year of monthly totals for reference
+        state.months = Object.fromEntries(
+            Object.entries(state.months).filter(([key]) => key <= month).sort().slice(-12)
+        );
+
+        return state;
+    }
+
+    /**
+     * Get current usage statistics, whether a request is allowed and budget warnings
+     * @param {string} model - Model to check per-model cost limits for
+     * @returns {Promise<Object>} - Usage stats
+     */
+    async getUsageStats(model = '') {
+        const now = Date.now();
+        const settings = this.settings;
+        let state;
+        try {
+            state = await this.getState(now);
+        } catch (error) {
+            console.error('Failed to load rate limit state:', error);
+            state = { requests: [], days: {}, months: {} };
+        }
+
+        const { day, month } = RateLimiter.getPeriodKeys(now);
+        const today = state.days[day] || { tokens: 0, cost: 0 };
+        const thisMonth = state.months[month] || { tokens: 0, cost: 0, models: {} };
+        const modelCost = thisMonth.models?.[model]?.cost || 0;
+        const modelCostLimit = settings.modelCostLimits?.[model] || 0;
+
+        const windows = [
+            { name: 'minute', size: this.windowSizeMinute, max: settings.maxPerMinute },
+            { name: 'hour', size: this.windowSizeHour, max: settings.maxPerHour },
+            { name: 'day', size: this.windowSizeDay, max: settings.maxPerDay }
+        ].map(limit => ({ ...limit, requests: state.requests.filter(time => now - time < limit.size) }));
+
+        const budgets = [
+            { name: 'dailyTokens', label: 'daily token budget', used: today.tokens, limit: settings.dailyTokenBudget, unit: 'tokens', resets: 'tomorrow' },
+            { name: 'monthlyTokens', label: 'monthly token budget', used: thisMonth.tokens, limit: settings.monthlyTokenBudget, unit: 'tokens', resets: 'next month' },
+            { name: 'monthlyCost', label: 'monthly spending limit', used: thisMonth.cost, limit: settings.monthlyCostLimit, unit: 'dollars', resets: 'next month' },
+            { name: 'modelCost', label: `monthly spending limit for ${model}`, used: modelCost, limit: modelCostLimit, unit: 'dollars', resets: 'next month' }
+        ].filter(budget => budget.limit > 0);
+
+        let blockedBy = null;
+        let message = '';
+        let resetTime = 0;
+
+        const fullWindow = windows.find(limit => limit.max > 0 && limit.requests.length >= limit.max);
+        const spentBudget = budgets.find(budget => budget.used >= budget.limit);
+
+        if (spentBudget) {
+            blockedBy = spentBudget.name;
+            message = `Draftly budget reached: your ${spentBudget.label} of ${RateLimiter.formatAmount(spentBudget.limit, spentBudget.unit)} is used up. It resets ${spentBudget.resets}.`;
+        } else if (fullWindow) {
+            blockedBy = fullWindow.name;
+            resetTime = Math.max(0, fullWindow.size - (now - Math.min(...fullWindow.requests)));
+            message = `Draftly rate limit exceeded (${fullWindow.max} requests per ${fullWindow.name}). Try again in ${Math.ceil(resetTime / 1000)} seconds.`;
+        }
+
+        const warnings = budgets
+            .filter(budget => budget.used < budget.limit && budget.used >= budget.limit * settings.warnAt)
+            .map(budget => `${Math.floor(budget.used / budget.limit * 100)}% of your ${budget.label} used ` +
+                `(${RateLimiter.formatAmount(budget.used, budget.unit)} of ${RateLimiter.formatAmount(budget.limit, budget.unit)}).`);
+
+        return {
+            canMakeRequest: !blockedBy,
+            blockedBy,
+            message,
+            resetTime,
+            warnings,
+            requestsThisMinute: windows[0].requests.length,
+            maxPerMinute: settings.maxPerMinute,
+            requestsThisHour: windows[1].requests.length,
+            maxPerHour: settings.maxPerHour,
+            requestsToday: windows[2].requests.length,
+            maxPerDay: settings.maxPerDay,
+            tokensToday: today.tokens,
+            dailyTokenBudget: settings.dailyTokenBudget,
+            tokensThisMonth: thisMonth.tokens,
+            monthlyTokenBudget: settings.monthlyTokenBudget,
+            costThisMonth: thisMonth.cost,
+            monthlyCostLimit: settings.monthlyCostLimit,
+            model,
+            modelCostThisMonth: modelCost,
+            modelCostLimit
+        };
+    }
+
+    /**
+     * Day and month keys in local time, e.g. 2025-03-07 and 2025-03
+     * @param {number} now - Timestamp
+     * @returns {{day: string, month: string}} - Period keys
+     */
+    static getPeriodKeys(now) {
+        const date = new Date(now);
+        const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        return { day: `${month}-${String(date.getDate()).padStart(2, '0')}`, month };
+    }
+
+    /**
+     * Price of a request in US dollars
+     * @param {string} model - Model name
+     * @param {Object} usage - { promptTokens, completionTokens }
+     * @returns {number} - Cost, 0 for models without a known price
+     */
+    static estimateCost(model, usage) {
+        const pricing = RateLimiter.getPricing(model);
+        if (!pricing) {
+            return 0;
+        }
+
+        return ((usage.promptTokens || 0) * pricing.input + (usage.completionTokens || 0) * pricing.output) / 1000000;
+    }
+
+    /**
+     * Look up the price of a model, preferring the longest matching name
+     * @param {string} model - Model name, e.g. claude-3-5-sonnet-20241022
+     * @returns {Object|null} - { input, output } in dollars per million tokens
+     */
+    static getPricing(model) {
+        const name = (model || '').toLowerCase();
+        const match = Object.keys(MODEL_PRICING)
+            .filter(prefix => name.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? MODEL_PRICING[match] : null;
+    }
+
+    /**
+     * Format a budget amount for messages
+     * @param {number} amount - Token count or dollars
+     * @param {string} unit - 'tokens' or 'dollars'
+     * @returns {string} - e.g. "50,000 tokens" or "$5.00"
+     */
+    static formatAmount(amount, unit) {
+        return unit === 'dollars'
+            ? `$${amount.toFixed(2)}`
+            : `${Math.round(amount).toLocaleString('en-US')} tokens`;
+    }
+}
+
+/**
+ * Retry Policy Class
+ * Decides which provider errors are worth another attempt and how long to wait
+ */
+class RetryPolicy {
+    /**
+     * @param {Object} options - Overrides for RETRY_POLICY
+     */
+    constructor(options = {}) {
+        Object.assign(this, RETRY_POLICY, options);
+    }
+
+    /**
+     * Whether a failed attempt should be retried
+     * @param {ProviderError} error - Error from the attempt
+     * @param {number} attempt - Number of the attempt that failed, starting at 1
+     * @returns {boolean} - Whether to try again
+     */
+    shouldRetry(error, attempt) {
+        if (attempt >= this.maxAttempts) {
+            return false;
+        }
+
+        // Do not sit in the popup for minutes when the server asks for a long pause
+        if (error.retryAfter !== null && error.retryAfter > this.maxDelay) {
+            return false;
+        }
+
+        // QUOTA has its own code, so only temporary rate limits are retried
+        const transientCodes = [PROVIDER_ERROR_CODES.RATE_LIMIT, PROVIDER_ERROR_CODES.NETWORK, PROVIDER_ERROR_CODES.TIMEOUT];
+        if (transientCodes.includes(error.code)) {
+            return true;
+        }
+
+        return error.code === PROVIDER_ERROR_CODES.SERVER && this.retryableStatuses.includes(error.status);
+    }
+
+    /**
+     * Delay before the next attempt: the server's Retry-After if it sent one,
+     * otherwise exponential backoff with jitter
+     * @param {ProviderError} error - Error from the attempt
+     * @param {number} attempt - Number of the attempt that failed, starting at 1
+     * @returns {number} - Delay in milliseconds
+     */
+    getDelay(error, attempt) {
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+            return error.retryAfter;
+        }
+
+        const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Short reason for the retry, shown while waiting
+     * @param {ProviderError} error - Error from the attempt
+     * @param {string} label - Provider name
+     * @returns {string} - e.g. "OpenAI is unavailable (503)"
+     */
+    describe(error, label) {
+        if (error.code === PROVIDER_ERROR_CODES.RATE_LIMIT) {
+            return `${label} rate limit reached`;
+        }
+        if (error.code === PROVIDER_ERROR_CODES.NETWORK) {
+            return `Could not reach ${label}`;
+        }
+        if (error.code === PROVIDER_ERROR_CODES.TIMEOUT) {
+            return `${label} did not respond in time`;
+        }
+        return `${label} is unavailable (${error.status})`;
+    }
+}
+
+/**
+ * Consent Manager Class
+ * Handles per-scope, versioned user consent for data processing and its audit log
+ */
+class ConsentManager {
+    constructor() {
+        this.state = { version: null, scopes: {} };
+    }
+
+    /**
+     * Initialize consent manager
+     */
+    async initialize() {
+        try {
+            const result = await chrome.storage.sync.get([CONSENT_KEY, ...LEGACY_CONSENT_KEYS]);
+
+            if (result[CONSENT_KEY]) {
+                this.state = result[CONSENT_KEY];
+            } else if (result.user_consent === true) {
+                // Consent from before scopes existed covered everything Draftly did then
+                const legacy = { granted: true, timestamp: result.consent_timestamp };
+                this.state = {
+                    version: result.consent_version || '1.0',
+                    scopes: { ai_processing: legacy, local_history: legacy, analytics: legacy }
+                };
+            } else {
+                this.state = { version: null, scopes: {} };
+            }
+        } catch (error) {
+            console.error('Failed to load consent settings:', error);
+        }
+    }
+
+    /**
+     * Whether a scope is granted under the current policy and not expired
+     * @param {string} scope - One of CONSENT_SCOPES
+     * @returns {boolean} - Whether the scope is granted
+     */
+    isGranted(scope) {
+        const entry = this.state.scopes[scope];
+        // A scope carried over from an older policy keeps the version it was granted under
+        const version = entry?.version || this.state.version;
+        if (version !== CONSENT_POLICY_VERSION || !entry?.granted) {
+            return false;
+        }
+        return Date.now() - entry.timestamp < CONSENT_VALIDITY_MS;
+    }
+
+    /**
+     * Check if user has given consent
+     * @param {string} [scope] - Scope to check, AI processing by default
+     * @returns {Promise<boolean>} - Whether consent is given
+     */
+    async hasConsent(scope = 'ai_processing') {
+        if (!this.isGranted(scope)) {
+            await this.initialize();
+        }
+        return this.isGranted(scope);
+    }
+
+    /**
+     * Whether the user agreed to an older policy and has to consent again
+     * @returns {boolean} - Whether the consent is outdated
+     */
+    isOutdated() {
+        return Boolean(this.state.version) && this.state.version !== CONSENT_POLICY_VERSION;
+    }
+
+    /**
+     * Policy changes since the version the user agreed to
+     * @returns {Array<{version: string, changes: string[]}>} - Newer policy versions, oldest first
+     */
+    getPolicyChanges() {
+        if (!this.isOutdated()) {
+            return [];
+        }
+
+        const agreed = CONSENT_POLICY_VERSIONS.findIndex(policy => policy.version === this.state.version);
+        return CONSENT_POLICY_VERSIONS.slice(agreed + 1);
+    }
+
+    /**
+     * Ask for consent on the options page and wait for the answer. Functions can't be
+     * sent through chrome.runtime messages, so the answer is read from storage instead.
+     * @param {string[]} [scopes] - Scopes that are needed
+     * @param {number} [timeout] - How long to wait for the user, in ms
+     * @returns {Promise<boolean>} - Whether all scopes were granted
+     */
+    async requestConsent(scopes = ['ai_processing'], timeout = 5 * 60 * 1000) {
+        if (scopes.every(scope => this.isGranted(scope))) {
+            return true;
+        }
+
+        return new Promise((resolve) => {
+            const finish = (granted) => {
+                clearTimeout(timer);
+                chrome.storage.onChanged.removeListener(onChanged);
+                resolve(granted);
+            };
+            const onChanged = (changes, namespace) => {
+                if (namespace !== 'sync' || !changes[CONSENT_KEY]) {
+                    return;
+                }
+                this.state = changes[CONSENT_KEY].newValue || { version: null, scopes: {} };
+                finish(scopes.every(scope => this.isGranted(scope)));
+            };
+            const timer = setTimeout(() => finish(false), timeout);
+
+            chrome.storage.onChanged.addListener(onChanged);
+
+            // Content scripts cannot open tabs, so the background opens the page for them
+            if (chrome.tabs?.create) {
+                chrome.tabs.create({ url: chrome.runtime.getURL(CONSENT_PAGE) });
+            } else {
+                chrome.runtime.sendMessage({ action: 'openConsentPage' });
+            }
+        });
+    }
+
+    /**
+     * Save the user's choice for each scope under the current policy
+     * @param {Object} choices - Scope → granted; scopes left out keep their current state
+     * @param {Object} [options] - { source } where the choice was made, for the audit log
+     */
+    async updateConsent(choices, { source = 'settings' } = {}) {
+        const now = Date.now();
+        const scopes = {};
+        const auditEntries = [];
+
+        Object.keys(CONSENT_SCOPES).forEach(scope => {
+            const current = this.state.scopes[scope];
+
+            // A scope that was left out is kept exactly as it was, including its date and policy version
+            if (!(scope in choices)) {
+                if (current) {
+                    scopes[scope] = current.granted && !current.version ? { ...current, version: this.state.version } : current;
+                }
+                return;
+            }
+
+            // Granting again renews the consent
+            const granted = Boolean(choices[scope]);
+            scopes[scope] = { granted, timestamp: now };
+            if (granted) {
+                auditEntries.push({ action: 'grant', scope });
+            } else if (current?.granted) {
+                auditEntries.push({ action: 'revoke', scope });
+            }
+        });
+
+        const previous = this.state;
+        this.state = { version: CONSENT_POLICY_VERSION, scopes };
+
+        await chrome.storage.sync.set({ [CONSENT_KEY]: this.state });
+        await chrome.storage.sync.remove(LEGACY_CONSENT_KEYS);
+        await this.appendAuditLog(auditEntries, source);
+
+        // Data kept under a scope that is no longer granted goes with it
+        const revoked = auditEntries.filter(entry => entry.action === 'revoke').map(entry => entry.scope);
+        if (revoked.length > 0) {
+            await this.removeScopeData(revoked);
+        }
+
+        console.log('✅ User consent saved', { from: previous.version, to: this.state.version, changes: auditEntries });
+    }
+
+    /**
+     * Grant user consent
+     * @param {string[]} [scopes] - Scopes to grant, all by default
+     * @param {Object} [options] - { source } for the audit log
+     */
+    async grantConsent(scopes = Object.keys(CONSENT_SCOPES), options = {}) {
+        try {
+            await this.updateConsent(Object.fromEntries(scopes.map(scope => [scope, true])), options);
+        } catch (error) {
+            console.error('Failed to save consent:', error);
+        }
+    }
+
+    /**
+     * Revoke user consent
+     * @param {string[]} [scopes] - Scopes to revoke, all by default
+     * @param {Object} [options] - { source } for the audit log
+     */
+    async revokeConsent(scopes = Object.keys(CONSENT_SCOPES), options = {}) {
+        try {
+            await this.updateConsent(Object.fromEntries(scopes.map(scope => [scope, false])), options);
+            console.log('✅ User consent revoked', scopes);
+        } catch (error) {
+            console.error('Failed to revoke consent:', error);
+        }
+    }
+
+    /**
+     * Remove what Draftly stored under revoked scopes. API keys are settings rather than
+     * data collected under a scope, so they are kept; AI processing has no data of its own.
+     * @param {string[]} scopes - Revoked scopes
+     */
+    async removeScopeData(scopes) {
+        if (scopes.includes('local_history')) {
+            await chrome.storage.local.remove([REPLY_HISTORY_KEY, THREAD_SUMMARY_CACHE_KEY]);
+        }
+        if (scopes.includes('analytics')) {
+            await chrome.storage.local.remove('usage_stats');
+        }
+    }
+
+    /**
+     * Append grants and revocations to the audit log
+     * @param {Array<{action: string, scope: string}>} entries - What changed
+     * @param {string} source - Where the change was made
+     */
+    async appendAuditLog(entries, source) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        const timestamp = new Date().toISOString();
+        const account = await this.getAccount();
+        const log = await this.getAuditLog();
+        entries.forEach(({ action, scope }) => {
+            log.push({ timestamp, action, scope, policyVersion: CONSENT_POLICY_VERSION, account, source });
+        });
+        await chrome.storage.local.set({ [CONSENT_AUDIT_LOG_KEY]: log });
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} - Audit log entries, oldest first
+     */
+    async getAuditLog() {
+        const result = await chrome.storage.local.get([CONSENT_AUDIT_LOG_KEY]);
+        return Array.isArray(result[CONSENT_AUDIT_LOG_KEY]) ? result[CONSENT_AUDIT_LOG_KEY] : [];
+    }
+
+    /**
+     * Serialize the audit log for a data protection officer
+     * @returns {Promise<string>} - JSON document
+     */
+    async exportAuditLog() {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            policyVersion: CONSENT_POLICY_VERSION,
+            scopes: Object.fromEntries(Object.entries(CONSENT_SCOPES).map(([scope, { description }]) => [scope, description])),
+            entries: await this.getAuditLog()
+        }, null, 2);
+    }
+
+    /**
+     * Email address of the signed-in Chrome profile, recorded with each consent
+     * @returns {Promise<string>} - Email address, '' when unknown
+     */
+    async getAccount() {
+        try {
+            const { email } = await chrome.identity.getProfileUserInfo();
+            return email || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Get consent information
+     * @returns {Object} - Consent details; granted and timestamp refer to AI processing
+     */
+    getConsentInfo() {
+        const scopes = {};
+        Object.keys(CONSENT_SCOPES).forEach(scope => {
+            const entry = this.state.scopes[scope];
+            scopes[scope] = {
+                granted: this.isGranted(scope),
+                previouslyGranted: Boolean(entry?.granted),
+                timestamp: entry?.timestamp || null,
+                expiresAt: entry?.granted && entry.timestamp ? new Date(entry.timestamp + CONSENT_VALIDITY_MS) : null
+            };
+        });
 
         return {
-            requestsThisMinute: recentRequests.length,
-            maxPerMinute: this.maxRequestsPerMinute,
-            requestsThisHour: hourlyRequests.length,
-            maxPerHour: this.maxRequestsPerHour,
-            resetTime: this.getResetTime()
+            granted: scopes.ai_processing.granted,
+            timestamp: scopes.ai_processing.timestamp,
+            expiresAt: scopes.ai_processing.expiresAt,
+            version: this.state.version,
+            policyVersion: CONSENT_POLICY_VERSION,
+            outdated: this.isOutdated(),
+            changes: this.getPolicyChanges(),
+            scopes
         };
     }
 }
 
 /**
- * Consent Manager Class
- * Handles user consent for data processing
+ * Tone Profile Manager Class
+ * Loads, validates and stores user-defined tone profiles (chrome.storage.sync)
  */
-class ConsentManager {
+class ToneProfileManager {
     constructor() {
-        this.consentGiven = false;
-        this.consentTimestamp = null;
+        this.customProfiles = [];
     }
 
     /**
-     * Initialize consent manager
+     * Load custom profiles from sync storage
      */
-    async initialize() {
+    async load() {
         try {
-            const result = await chrome.storage.sync.get([
-                'user_consent',
-                'consent_timestamp',
-                'consent_version'
-            ]);
-
-            this.consentGiven = result.user_consent === true;
-            this.consentTimestamp = result.consent_timestamp;
-            this.consentVersion = result.consent_version;
-
-            // Check if consent needs renewal (every 6 months)
-            if (this.consentGiven && this.consentTimestamp) {
-                const sixMonthsAgo = Date.now() - (6 * 30 * 24 * 60 * 60 * 1000);
-                if (this.consentTimestamp < sixMonthsAgo) {
-                    this.consentGiven = false;
-                    console.log('User consent expired, renewal required');
-                }
-            }
+            const items = await chrome.storage.sync.get(null);
+            this.customProfiles = Object.keys(items)
+                .filter(key => key.startsWith(TONE_PROFILE_KEY_PREFIX))
+                .map(key => items[key])
+                .filter(profile => this.validate(profile).valid)
+                .sort((a, b) => a.name.localeCompare(b.name));
         } catch (error) {
-            console.error('Failed to load consent settings:', error);
+            console.error('Failed to load tone profiles:', error);
         }
     }
 
     /**
-     * Check if user has given consent
-     * @returns {boolean} - Whether consent is given
+     * Get built-in and custom profiles
+     * @returns {Array<Object>} - Tone profiles, built-in first
      */
-    async hasConsent() {
-        if (!this.consentGiven) {
-            await this.initialize();
+    getAll() {
+        return [...BUILT_IN_TONE_PROFILES, ...this.customProfiles];
+    }
+
+    /**
+     * Find a profile by ID (case-insensitive, so old "Formal" preferences keep working)
+     * @param {string} id - Profile ID
+     * @returns {Object|null} - Tone profile
+     */
+    get(id) {
+        if (typeof id !== 'string') {
+            return null;
         }
-        return this.consentGiven;
+        const normalized = id.toLowerCase();
+        return this.getAll().find(profile => profile.id === normalized) || null;
     }
 
     /**
-     * Request user consent
-     * @returns {Promise<boolean>} - Whether consent was granted
+     * Validate a tone profile
+     * @param {Object} profile - Profile to check
+     * @returns {{valid: boolean, message: string}} - Validation result
      */
-    async requestConsent() {
-        return new Promise((resolve) => {
-            // This will be handled by the popup UI
-            chrome.runtime.sendMessage({
-                type: 'REQUEST_CONSENT',
-                data: {
-                    callback: (granted) => {
-                        if (granted) {
-                            this.grantConsent();
-                        }
-                        resolve(granted);
-                    }
-                }
-            });
+    validate(profile) {
+        const limits = TONE_PROFILE_LIMITS;
+        const invalid = (message) => ({ valid: false, message });
+
+        if (!profile || typeof profile !== 'object') {
+            return invalid('Tone profile is missing');
+        }
+        if (typeof profile.name !== 'string' || !profile.name.trim()) {
+            return invalid('Please give the tone profile a name');
+        }
+        if (profile.name.length > limits.nameLength) {
+            return invalid(`Tone name must be at most ${limits.nameLength} characters`);
+        }
+        if (typeof profile.instructions !== 'string' || !profile.instructions.trim()) {
+            return invalid('Please describe how replies in this tone should sound');
+        }
+        if (profile.instructions.length > limits.instructionsLength) {
+            return invalid(`Tone instructions must be at most ${limits.instructionsLength} characters`);
+        }
+        if (!Array.isArray(profile.examples) || profile.examples.length > limits.maxExamples) {
+            return invalid(`Add at most ${limits.maxExamples} example phrases`);
+        }
+        if (profile.examples.some(example => typeof example !== 'string' || example.length > limits.exampleLength)) {
+            return invalid(`Example phrases must be at most ${limits.exampleLength} characters`);
+        }
+        if (!FORMALITY_LEVELS[profile.formality]) {
+            return invalid('Formality must be between 1 and 5');
+        }
+        if (!REPLY_LENGTHS[profile.defaultLength]) {
+            return invalid('Default length must be short, medium or long');
+        }
+
+        return { valid: true, message: 'Tone profile is valid' };
+    }
+
+    /**
+     * Create or update a custom profile
+     * @param {Object} profile - Profile fields; without an ID a new profile is created
+     * @returns {Promise<Object>} - The saved profile
+     */
+    async save(profile) {
+        const existing = profile.id ? this.get(profile.id) : null;
+        if (existing?.builtIn) {
+            throw new Error('Built-in tones cannot be changed. Create a new tone instead.');
+        }
+        if (!existing && this.customProfiles.length >= TONE_PROFILE_LIMITS.maxProfiles) {
+            throw new Error(`You can save up to ${TONE_PROFILE_LIMITS.maxProfiles} tone profiles`);
+        }
+
+        const saved = {
+            id: existing ? existing.id : this.createId(profile.name),
+            name: (profile.name || '').trim(),
+            instructions: (profile.instructions || '').trim(),
+            examples: (profile.examples || []).map(example => example.trim()).filter(Boolean),
+            formality: Number(profile.formality),
+            defaultLength: profile.defaultLength,
+            updatedAt: Date.now()
+        };
+
+        const validation = this.validate(saved);
+        if (!validation.valid) {
+            throw new Error(validation.message);
+        }
+
+        const duplicate = this.getAll().find(other => other.id !== saved.id && other.name.toLowerCase() === saved.name.toLowerCase());
+        if (duplicate) {
+            throw new Error(`A tone named "${duplicate.name}" already exists`);
+        }
+
+        await chrome.storage.sync.set({ [TONE_PROFILE_KEY_PREFIX + saved.id]: saved });
+
+        this.customProfiles = this.customProfiles.filter(other => other.id !== saved.id).concat(saved)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        console.log('✅ Tone profile saved:', saved.name);
+        return saved;
+    }
+
+    /**
+     * Delete a custom profile
+     * @param {string} id - Profile ID
+     */
+    async remove(id) {
+        const profile = this.get(id);
+        if (!profile) {
+            return;
+        }
+        if (profile.builtIn) {
+            throw new Error('Built-in tones cannot be deleted');
+        }
+
+        await chrome.storage.sync.remove(TONE_PROFILE_KEY_PREFIX + profile.id);
+        this.customProfiles = this.customProfiles.filter(other => other.id !== profile.id);
+    }
+
+    /**
+     * Build a storage-safe ID from a profile name
+     * @param {string} name - Profile name
+     * @returns {string} - Unique profile ID
+     */
+    createId(name) {
+        const slug = (name || 'tone').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 24) || 'tone';
+        return `${slug}-${Date.now().toString(36)}`;
+    }
+}
+
+/**
+ * Reply History Class
+ * Stores generated replies in chrome.storage.local so they survive the popup closing
+ */
+class ReplyHistory {
+    /**
+     * Get all entries, newest first
+     * @returns {Promise<Array<Object>>} - History entries
+     */
+    async getAll() {
+        try {
+            const result = await chrome.storage.local.get(REPLY_HISTORY_KEY);
+            return result[REPLY_HISTORY_KEY] || [];
+        } catch (error) {
+            console.error('Failed to load reply history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Add a generated reply
+     * @param {Object} entry - { input, instructions, template, inputType, subject, tone, toneName, provider, model, output },
+     *                         plus variants and chosenVariant for drafts generated side by side
+     * @returns {Promise<Object|null>} - The stored entry, or null if it could not be saved
+     */
+    async add(entry) {
+        try {
+            const stored = {
+                ...entry,
+                id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                timestamp: Date.now(),
+                input: (entry.input || '').slice(0, REPLY_HISTORY_LIMITS.maxInputLength)
+            };
+
+            const entries = this.trimToBudget([stored, ...await this.getAll()]);
+            await chrome.storage.local.set({ [REPLY_HISTORY_KEY]: entries });
+            return stored;
+        } catch (error) {
+            console.error('Failed to save reply to history:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Change a stored entry, e.g. to record the draft the user picked
+     * @param {string} id - Entry ID
+     * @param {Object} changes - Fields to overwrite
+     * @returns {Promise<Object|null>} - The updated entry, or null if it is gone
+     */
+    async update(id, changes) {
+        const entries = await this.getAll();
+        const entry = entries.find(other => other.id === id);
+        if (!entry) {
+            return null;
+        }
+
+        Object.assign(entry, changes);
+        await chrome.storage.local.set({ [REPLY_HISTORY_KEY]: entries });
+        return entry;
+    }
+
+    /**
+     * Delete one entry
+     * @param {string} id - Entry ID
+     */
+    async remove(id) {
+        const entries = await this.getAll();
+        await chrome.storage.local.set({ [REPLY_HISTORY_KEY]: entries.filter(entry => entry.id !== id) });
+    }
+
+    /**
+     * Delete all entries
+     */
+    async clear() {
+        await chrome.storage.local.remove(REPLY_HISTORY_KEY);
+    }
+
+    /**
+     * Drop the oldest entries until the history fits the entry and size budget
+     * @param {Array<Object>} entries - Entries, newest first
+     * @returns {Array<Object>} - Entries that fit
+     */
+    trimToBudget(entries) {
+        const kept = entries.slice(0, REPLY_HISTORY_LIMITS.maxEntries);
+        let size = JSON.stringify(kept).length;
+
+        while (kept.length > 1 && size > REPLY_HISTORY_LIMITS.maxBytes) {
+            size -= JSON.stringify(kept.pop()).length + 1;
+        }
+
+        return kept;
+    }
+
+    /**
+     * Filter entries by text, tone and age
+     * @param {Array<Object>} entries - History entries
+     * @param {Object} filters - { query, tone, since (timestamp) }
+     * @returns {Array<Object>} - Matching entries
+     */
+    filter(entries, { query = '', tone = '', since = 0 } = {}) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return entries.filter(entry => {
+            if (tone && entry.tone !== tone) {
+                return false;
+            }
+            if (since && entry.timestamp < since) {
+                return false;
+            }
+
+            const drafts = (entry.variants || []).map(variant => variant.text);
+            const text = [entry.subject, entry.instructions, entry.input, entry.output, ...drafts].join('\n').toLowerCase();
+            return terms.every(term => text.includes(term));
         });
     }
+}
+
+/**
+ * Thread Summary Cache Class
+ * Keeps the latest summary of each thread in chrome.storage.local
+ */
+class ThreadSummaryCache {
+    /**
+     * Identify the state of a thread, so a summary is redone when messages arrive
+     * @param {Object} thread - Structured thread
+     * @returns {string} - Fingerprint
+     */
+    fingerprint(thread) {
+        const last = thread.messages[thread.messages.length - 1];
+        return `${thread.messages.length}:${last.timestamp || last.dateText || ''}`;
+    }
 
     /**
-     * Grant user consent
+     * Get all cached summaries
+     * @returns {Promise<Object>} - { [threadId]: { fingerprint, summary } }
      */
-    async grantConsent() {
+    async getAll() {
         try {
-            this.consentGiven = true;
-            this.consentTimestamp = Date.now();
-            this.consentVersion = '1.0';
-
-            await chrome.storage.sync.set({
-                user_consent: true,
-                consent_timestamp: this.consentTimestamp,
-                consent_version: this.consentVersion
-            });
+            const result = await chrome.storage.local.get(THREAD_SUMMARY_CACHE_KEY);
+            return result[THREAD_SUMMARY_CACHE_KEY] || {};
+        } catch (error) {
+            console.error('Failed to load thread summaries:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get the summary of a thread, if it still matches the thread
+     * @param {string} threadId - Thread ID from the mail client
+     * @param {string} fingerprint - Current fingerprint of the thread
+     * @returns {Promise<Object|null>} - { fingerprint, summary }, or null
+     */
+    async get(threadId, fingerprint) {
+        const entry = (await this.getAll())[threadId];
+        return entry?.fingerprint === fingerprint ? entry : null;
+    }
+
+    /**
+     * Store the summary of a thread, dropping the oldest ones beyond the limit
+     * @param {string} threadId - Thread ID from the mail client
+     * @param {string} fingerprint - Fingerprint of the summarized thread
+     * @param {Object} summary - Summary from summarizeThread
+     */
+    async set(threadId, fingerprint, summary) {
+        try {
+            const entries = await this.getAll();
+            entries[threadId] = { fingerprint, summary };
 
-            console.log('✅ User consent granted');
+            const kept = Object.entries(entries)
+                .sort(([, a], [, b]) => b.summary.createdAt - a.summary.createdAt)
+                .slice(0, THREAD_SUMMARY_LIMITS.maxEntries);
+            await chrome.storage.local.set({ [THREAD_SUMMARY_CACHE_KEY]: Object.fromEntries(kept) });
         } catch (error) {
-            console.error('Failed to save consent:', error);
+            console.error('Failed to cache thread summary:', error);
         }
     }
 
     /**
-     * Revoke user consent
+     * Delete all cached summaries
+     */
+    async clear() {
+        await chrome.storage.local.remove(THREAD_SUMMARY_CACHE_KEY);
+    }
+}
+
+/**
+ * Style Profile Manager Class
+ * Learns how the user writes from samples of their own emails, kept in chrome.storage.local
+ */
+class StyleProfileManager {
+    constructor() {
+        this.samples = [];
+        this.profile = null;
+    }
+
+    /**
+     * Load the samples, newest first, and analyze them
      */
-    async revokeConsent() {
+    async load() {
         try {
-            this.consentGiven = false;
-            this.consentTimestamp = null;
+            const result = await chrome.storage.local.get(STYLE_PROFILE_KEY);
+            this.samples = (result[STYLE_PROFILE_KEY]?.samples || []).filter(sample => typeof sample?.text === 'string');
+        } catch (error) {
+            console.error('Failed to load the writing style:', error);
+            this.samples = [];
+        }
+        this.profile = this.analyze(this.samples);
+    }
 
-            await chrome.storage.sync.set({
-                user_consent: false,
-                consent_timestamp: null
+    /**
+     * Whether there are samples to write in the user's style
+     * @returns {boolean}
+     */
+    hasProfile() {
+        return this.samples.length > 0;
+    }
+
+    /**
+     * Add emails the user wrote; beyond the limit the oldest samples are dropped
+     * @param {Array<string>} texts - Email bodies
+     * @param {Object} [details] - { source: 'pasted' or 'thread', subject }
+     * @returns {Promise<number>} - How many samples were added
+     */
+    async addSamples(texts, { source = 'pasted', subject = '' } = {}) {
+        const known = new Set(this.samples.map(sample => sample.text));
+        const cleaned = texts.map(text => this.cleanSample(text));
+        const added = [];
+
+        cleaned.forEach(text => {
+            if (text.length < STYLE_PROFILE_LIMITS.minSampleLength || known.has(text)) {
+                return;
+            }
+            known.add(text);
+            added.push({
+                id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                text,
+                source,
+                subject: subject.slice(0, 200),
+                addedAt: Date.now()
             });
+        });
 
-            // Clear API key as well
-            await chrome.storage.sync.remove(['openai_api_key']);
+        if (added.length === 0) {
+            const duplicates = cleaned.some(text => text.length >= STYLE_PROFILE_LIMITS.minSampleLength);
+            throw new Error(duplicates
+                ? 'These emails are already part of your writing style'
+                : `Writing samples need at least ${STYLE_PROFILE_LIMITS.minSampleLength} characters of your own text`);
+        }
 
-            console.log('✅ User consent revoked');
-        } catch (error) {
-            console.error('Failed to revoke consent:', error);
+        this.samples = [...added, ...this.samples].slice(0, STYLE_PROFILE_LIMITS.maxSamples);
+        await this.save();
+        return added.length;
+    }
+
+    /**
+     * Delete one sample
+     * @param {string} id - Sample ID
+     */
+    async remove(id) {
+        this.samples = this.samples.filter(sample => sample.id !== id);
+        await this.save();
+    }
+
+    /**
+     * Forget the writing style
+     */
+    async clear() {
+        await chrome.storage.local.remove(STYLE_PROFILE_KEY);
+        this.samples = [];
+        this.profile = null;
+    }
+
+    /**
+     * Store the samples and analyze them again
+     */
+    async save() {
+        await chrome.storage.local.set({ [STYLE_PROFILE_KEY]: { samples: this.samples, updatedAt: Date.now() } });
+        this.profile = this.analyze(this.samples);
+    }
+
+    /**
+     * Keep only what the user wrote: quoted history and "> " lines are dropped
+     * @param {string} text - Email body
+     * @returns {string} - Sample text
+     */
+    cleanSample(text) {
+        const lines = [];
+        for (const line of String(text || '').replace(/\r\n?/g, '\n').split('\n')) {
+            if (STYLE_QUOTE_HEADER_PATTERN.test(line.trim())) {
+                break;
+            }
+            if (!line.trim().startsWith('>')) {
+                lines.push(line.trimEnd());
+            }
         }
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim().slice(0, STYLE_PROFILE_LIMITS.maxSampleLength);
     }
 
     /**
-     * Get consent information
-     * @returns {Object} - Consent details
+     * Work out greeting and sign-off habits, length, formality and recurring phrases
+     * @param {Array<Object>} samples - Samples as { text }
+     * @returns {Object|null} - { sampleCount, greetings, signOffs (both [{ text, count }]), averageWords,
+     *                          averageSentenceWords, contractions, exclamations (both per 100 words),
+     *                          formality (1-5), phrases }, or null without samples
      */
-    getConsentInfo() {
+    analyze(samples) {
+        if (samples.length === 0) {
+            return null;
+        }
+
+        const greetings = new Map();
+        const signOffs = new Map();
+        const phrases = new Map();
+        const totals = { words: 0, sentences: 0, contractions: 0, exclamations: 0, formal: 0, casual: 0 };
+        const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+        samples.forEach(({ text }) => {
+            const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+            const greeting = this.findGreeting(lines[0] || '');
+            const signOffIndex = this.findSignOff(lines);
+
+            [greeting ? lines[0] : '', signOffIndex === -1 ? '' : lines[signOffIndex]].forEach(line => {
+                if (STYLE_FORMAL_PATTERN.test(line)) {
+                    totals.formal++;
+                }
+                if (STYLE_CASUAL_PATTERN.test(line)) {
+                    totals.casual++;
+                }
+            });
+            if (greeting) {
+                count(greetings, greeting);
+            }
+            if (signOffIndex !== -1) {
+                count(signOffs, lines[signOffIndex]);
+            }
+
+            // A short greeting line and everything from the sign-off down (the name) are not the body
+            const bodyStart = greeting && lines[0].split(/\s+/).length <= 6 ? 1 : 0;
+            const body = lines.slice(bodyStart, signOffIndex === -1 ? lines.length : signOffIndex).join('\n');
+            const words = body.match(/[\p{L}\p{N}'’]+/gu) || [];
+
+            totals.words += words.length;
+            totals.sentences += Math.max(1, (body.match(/[.!?]+(?=\s|$)/g) || []).length);
+            totals.contractions += (body.match(/\p{L}['’](?:s|t|re|ve|ll|d|m)(?!\p{L})/giu) || []).length;
+            totals.exclamations += (body.match(/!/g) || []).length;
+            this.findPhrases(body).forEach(phrase => count(phrases, phrase));
+        });
+
+        const per100Words = (value) => Math.round(value / Math.max(totals.words, 1) * 1000) / 10;
+        const contractions = per100Words(totals.contractions);
+        const exclamations = per100Words(totals.exclamations);
+
+        let formality = 3;
+        if (totals.formal > totals.casual) {
+            formality++;
+        }
+        if (totals.casual > totals.formal) {
+            formality--;
+        }
+
+        // Rates say little about a few short emails
+        if (totals.words >= 50) {
+            if (contractions >= 1.5) {
+                formality--;
+            }
+            if (contractions === 0) {
+                formality++;
+            }
+            if (exclamations >= 1) {
+                formality--;
+            }
+        }
+
         return {
-            granted: this.consentGiven,
-            timestamp: this.consentTimestamp,
-            version: this.consentVersion,
-            expiresAt: this.consentTimestamp ? 
-                new Date(this.consentTimestamp + (6 * 30 * 24 * 60 * 60 * 1000)) : null
+            sampleCount: samples.length,
+            greetings: this.getTopHabits(greetings),
+            signOffs: this.getTopHabits(signOffs),
+            averageWords: Math.round(totals.words / samples.length),
+            averageSentenceWords: Math.round(totals.words / Math.max(totals.sentences, 1)),
+            contractions,
+            exclamations,
+            formality: Math.min(5, Math.max(1, formality)),
+            phrases: this.getRecurringPhrases(phrases)
         };
     }
+
+    /**
+     * Turn an opening line into a greeting habit, with names left out
+     * @param {string} line - First line of a sample
+     * @returns {string|null} - e.g. "Hi <name>,", or null if the line is no greeting
+     */
+    findGreeting(line) {
+        const head = line.match(/^[^,!:]*[,!:]?/)[0].trim();
+        const match = STYLE_GREETING_PATTERN.exec(head);
+        if (!match) {
+            return null;
+        }
+
+        const punctuation = /[,!:]$/.test(head) ? head.slice(-1) : '';
+        const rest = head.slice(match[0].length).replace(/[,!:]$/, '').trim();
+        return `${match[0].charAt(0).toUpperCase()}${match[0].slice(1).toLowerCase()}${rest ? ' <name>' : ''}${punctuation}`;
+    }
+
+    /**
+     * Find the sign-off among the last lines of a sample
+     * @param {Array<string>} lines - Non-empty lines of a sample
+     * @returns {number} - Index of the sign-off line, -1 if there is none
+     */
+    findSignOff(lines) {
+        for (let index = lines.length - 1; index >= Math.max(1, lines.length - 4); index--) {
+            if (STYLE_SIGN_OFF_PATTERN.test(lines[index]) && lines[index].split(/\s+/).length <= 5) {
+                return index;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Collect the two- and three-word phrases of a sample, each once
+     * @param {string} body - Sample without greeting and sign-off
+     * @returns {Set<string>} - Phrases, lowercase
+     */
+    findPhrases(body) {
+        const phrases = new Set();
+        body.toLowerCase().split(/[.!?;:,\n]+/).forEach(sentence => {
+            const words = sentence.match(/[\p{L}'’]+/gu) || [];
+            for (let size = 2; size <= 3; size++) {
+                for (let index = 0; index + size <= words.length; index++) {
+                    const phrase = words.slice(index, index + size);
+                    if (STYLE_STOP_WORDS.has(phrase[0]) || STYLE_STOP_WORDS.has(phrase[size - 1])) {
+                        continue;
+                    }
+                    phrases.add(phrase.join(' '));
+                }
+            }
+        });
+        return phrases;
+    }
+
+    /**
+     * The most frequent habits
+     * @param {Map<string, number>} habits - How often each habit was seen
+     * @returns {Array<{text: string, count: number}>}
+     */
+    getTopHabits(habits) {
+        return Array.from(habits, ([text, count]) => ({ text, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, STYLE_PROFILE_LIMITS.maxHabits);
+    }
+
+    /**
+     * Phrases used in more than one sample, longest first where they overlap
+     * @param {Map<string, number>} phrases - In how many samples each phrase occurs
+     * @returns {Array<string>}
+     */
+    getRecurringPhrases(phrases) {
+        const recurring = Array.from(phrases).filter(([, count]) => count > 1)
+            .sort(([a, countA], [b, countB]) => countB - countA || b.length - a.length);
+        const kept = [];
+        recurring.forEach(([phrase]) => {
+            if (kept.length < STYLE_PROFILE_LIMITS.maxPhrases && !kept.some(other => other.includes(phrase))) {
+                kept.push(phrase);
+            }
+        });
+        return kept;
+    }
+
+    /**
+     * Describe the style for the system prompt, with the newest samples as examples
+     * @param {PiiRedaction} redaction - Redaction of the request, so the samples share its placeholders
+     * @returns {string} - Prompt section, empty without samples
+     */
+    createPromptSection(redaction) {
+        const profile = this.profile;
+        if (!profile) {
+            return '';
+        }
+
+        const habits = (list) => list.map(({ text, count }) => `"${text}" (${count} of ${profile.sampleCount})`).join(', ');
+        const notes = [
+            profile.greetings.length ? `- Greetings I use: ${habits(profile.greetings)}` : '- I usually start without a greeting',
+            profile.signOffs.length ? `- Sign-offs I use: ${habits(profile.signOffs)}` : '- I usually end without a sign-off',
+            `- Typical length: about ${profile.averageWords} words, in sentences of about ${profile.averageSentenceWords} words`,
+            `- Formality: ${FORMALITY_LEVELS[profile.formality]}; I ${profile.contractions > 0 ? 'use' : 'avoid'} contractions${profile.exclamations >= 1 ? ' and often use exclamation marks' : ''}`
+        ];
+        if (profile.phrases.length) {
+            notes.push(`- Words and phrases I often use: ${profile.phrases.map(phrase => `"${phrase}"`).join(', ')}`);
+        }
+
+        const examples = this.samples.slice(0, STYLE_PROFILE_LIMITS.promptExamples).map(({ text }) => {
+            if (text.length <= STYLE_PROFILE_LIMITS.promptExampleLength) {
+                return text;
+            }
+            return `${text.slice(0, STYLE_PROFILE_LIMITS.promptExampleLength).replace(/\s+\S*$/, '')} …`;
+        });
+
+        return redaction.apply(`My writing style, learned from ${profile.sampleCount} emails I wrote. Write the reply the way I write, within the tone above:
+${notes.join('\n')}
+
+Emails I wrote (copy the voice, not the content):
+${examples.map(example => `"""\n${example}\n"""`).join('\n')}`);
+    }
 }
 
 // Export for use in other modules
 if (typeof window !== 'undefined') {
+    window.BUILT_IN_TONE_PROFILES = BUILT_IN_TONE_PROFILES;
+    window.DEFAULT_TONE_ID = DEFAULT_TONE_ID;
+    window.FORMALITY_LEVELS = FORMALITY_LEVELS;
+    window.REPLY_LENGTHS = REPLY_LENGTHS;
+    window.TONE_PROFILE_KEY_PREFIX = TONE_PROFILE_KEY_PREFIX;
+    window.REPLY_HISTORY_KEY = REPLY_HISTORY_KEY;
+    window.VARIANT_LIMITS = VARIANT_LIMITS;
+    window.REWRITE_ACTIONS = REWRITE_ACTIONS;
+    window.RATE_LIMIT_STATE_KEY = RATE_LIMIT_STATE_KEY;
+    window.RATE_LIMIT_SETTINGS_KEY = RATE_LIMIT_SETTINGS_KEY;
+    window.REPLY_SETTINGS_KEY = REPLY_SETTINGS_KEY;
+    window.REPLY_LANGUAGES = REPLY_LANGUAGES;
+    window.REPLY_TRANSLATION_LANGUAGE = REPLY_TRANSLATION_LANGUAGE;
+    window.DEFAULT_REPLY_SETTINGS = DEFAULT_REPLY_SETTINGS;
+    window.REPLY_SETTINGS_LIMITS = REPLY_SETTINGS_LIMITS;
     window.DraftlyAIService = DraftlyAIService;
     window.RateLimiter = RateLimiter;
+    window.RetryPolicy = RetryPolicy;
+    window.DEFAULT_RATE_LIMITS = DEFAULT_RATE_LIMITS;
+    window.MODEL_PRICING = MODEL_PRICING;
+    window.CONSENT_KEY = CONSENT_KEY;
+    window.CONSENT_AUDIT_LOG_KEY = CONSENT_AUDIT_LOG_KEY;
+    window.CONSENT_PAGE = CONSENT_PAGE;
+    window.CONSENT_SCOPES = CONSENT_SCOPES;
+    window.CONSENT_POLICY_VERSION = CONSENT_POLICY_VERSION;
     window.ConsentManager = ConsentManager;
+    window.ToneProfileManager = ToneProfileManager;
+    window.ReplyHistory = ReplyHistory;
+    window.ThreadSummaryCache = ThreadSummaryCache;
+    window.StyleProfileManager = StyleProfileManager;
+    window.THREAD_SUMMARY_CACHE_KEY = THREAD_SUMMARY_CACHE_KEY;
+    window.STYLE_PROFILE_KEY = STYLE_PROFILE_KEY;
+    window.STYLE_PROFILE_LIMITS = STYLE_PROFILE_LIMITS;
+    window.EXTRACTION_TOOL = EXTRACTION_TOOL;
 }
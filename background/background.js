@@ -2,8 +2,21 @@
  * Draftly Email Assistant - Background Service Worker
  */
 
+importScripts('../ai-providers.js', '../key-vault.js', '../pii-redactor.js', '../ai-service.js', '../generation-client.js', '../i18n.js');
+
+// Context menu items rewrite-<action> and rewrite-translate-<language>
+const REWRITE_MENU_PREFIX = 'rewrite-';
+
+// Keyboard commands from manifest.json run by the content script; rebindable in chrome://extensions/shortcuts
+const PAGE_COMMANDS = ['reply-to-thread', 'generate-from-instructions', 'rewrite-selection', 'summarize-thread', 'open-panel'];
+
+/**
+ * Hosts the single generation pipeline shared by the popup, the content
+ * script buttons and the context menu
+ */
 class DraftlyBackground {
     constructor() {
+        this.aiService = new DraftlyAIService();
         this.initializeExtension();
     }
 
@@ -13,11 +26,21 @@ class DraftlyBackground {
 
         // Message handling
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-            if (message.action === 'generateReply') {
-                this.generateReply(message).then(sendResponse).catch(err => sendResponse({ success: false, error: err.message }));
+            if (['generateReply', 'replyToThread', 'generateVariants', 'rewriteText', 'summarizeThread', 'extractItems'].includes(message.action)) {
+                this.runGeneration(message)
+                    .then(reply => sendResponse({ success: true, reply }))
+                    .catch(err => sendResponse({ success: false, error: err.message, code: err.code || null }));
                 return true;
-            } else if (message.action === 'replyToThread') {
-                this.replyToThread().then(sendResponse).catch(err => sendResponse({ success: false, error: err.message }));
+            } else if (message.action === 'getStatus') {
+                this.getStatus().then(sendResponse).catch(err => sendResponse({ success: false, error: err.message }));
+                return true;
+            } else if (message.action === 'getToneProfiles') {
+                this.getToneProfiles().then(sendResponse).catch(err => sendResponse({ success: false, error: err.message }));
+                return true;
+            } else if (message.action === 'openConsentPage') {
+                chrome.tabs.create({ url: chrome.runtime.getURL(CONSENT_PAGE) })
+                    .then(() => sendResponse({ success: true }))
+                    .catch(err => sendResponse({ success: false, error: err.message }));
                 return true;
             } else {
                 sendResponse({ success: false, error: 'Unknown message action' });
@@ -25,8 +48,15 @@ class DraftlyBackground {
             }
         });
 
+        // Streaming generation
+        chrome.runtime.onConnect.addListener((port) => this.handleGenerationPort(port));
+
         // Context menu
         this.setupContextMenu();
+        chrome.contextMenus.onClicked.addListener((info, tab) => this.handleContextMenuClick(info, tab));
+
+        // Keyboard commands
+        chrome.commands.onCommand.addListener((command, tab) => this.handleCommand(command, tab));
 
         // Storage listener
         chrome.storage.onChanged.addListener((changes, namespace) => this.handleStorageChanges(changes, namespace));
@@ -45,7 +75,7 @@ class DraftlyBackground {
 
     async firstInstall() {
         await chrome.storage.sync.set({
-            preferredTone: 'professional',
+            preferredTone: DEFAULT_TONE_ID,
             installDate: Date.now(),
             version: '1.0.0',
             usageCount: 0,
@@ -65,33 +95,234 @@ class DraftlyBackground {
         console.log(`Updated from ${previousVersion} to ${currentVersion}`);
     }
 
-    async generateReply(message) {
-        const { OPENAI_API_KEY } = await chrome.storage.local.get("OPENAI_API_KEY");
-        if (!OPENAI_API_KEY) throw new Error("OpenAI API key is missing");
-
-        const response = await fetch("https://api.openai.com/v1/completions", {
-            method: "POST",
-            headers: {
-                "Authorization": `Bearer ${OPENAI_API_KEY}`,
-                "Content-Type": "application/json",
-            },
-            body: JSON.stringify({
-                prompt: message.prompt,
-                model: "text-davinci-003",
-                max_tokens: 150,
-            }),
-        });
-        const data = await response.json();
+    /**
+     * Run one request through the generation pipeline
+     * Consent, API key, rate limiting and usage tracking are enforced by DraftlyAIService
+     * @param {Object} request - { action, input, thread, tone, options }; generateVariants takes
+     *                           tones (one per draft) instead of tone, rewriteText takes rewriteAction,
+     *                           summarizeThread takes only the thread, extractItems input or thread
+     * @param {Object} handlers - { onToken, onRetry, onLanguage, onTranslation, signal } for streaming callers
+     * @returns {Promise<string|Object>} - The generated reply, { variants, historyId } for generateVariants,
+     *                                     the summary for summarizeThread or the items for extractItems
+     */
+    async runGeneration(request, handlers = {}) {
+        const options = { ...request.options, ...handlers };
+        let reply;
 
-        if (!response.ok) throw new Error(data.error?.message || 'API error');
+        if (request.action === 'summarizeThread') {
+            console.log(`📨 Pipeline request: ${request.action}`, { refresh: Boolean(options.refresh) });
+            reply = await this.aiService.summarizeThread(request.thread, options);
+
+            // A summary from the cache did not call the provider
+            if (reply.cached) {
+                return reply;
+            }
+        } else if (request.action === 'extractItems') {
+            console.log(`📨 Pipeline request: ${request.action}`, { thread: Boolean(request.thread) });
+            reply = request.thread
+                ? await this.aiService.extractThreadItems(request.thread, options)
+                : await this.aiService.extractEmailItems(request.input, options);
+        } else if (request.action === 'rewriteText') {
+            console.log(`📨 Pipeline request: ${request.action}`, { rewriteAction: request.rewriteAction });
+            reply = await this.aiService.rewriteText(request.input, request.rewriteAction, options);
+        } else if (request.action === 'generateVariants') {
+            const tones = await Promise.all((request.tones || []).map(tone => this.resolveTone(tone)));
+            console.log(`📨 Pipeline request: ${request.action}`, { tones });
+
+            reply = request.thread
+                ? await this.aiService.generateThreadVariants(request.thread, tones, options)
+                : await this.aiService.generateEmailVariants(request.input, tones, options);
+        } else {
+            const tone = await this.resolveTone(request.tone);
+            console.log(`📨 Pipeline request: ${request.action}`, { tone });
+
+            reply = request.action === 'replyToThread' && request.thread
+                ? await this.aiService.generateThreadReply(request.thread, tone, options)
+                : await this.aiService.generateEmailReply(request.input, tone, options);
+        }
 
         await this.incrementUsageCount();
+        return reply;
+    }
+
+    /**
+     * Use the requested tone, falling back to the user's saved preference
+     * @param {string} [tone] - Tone sent by the caller
+     * @returns {Promise<string>} - Tone to generate with
+     */
+    async resolveTone(tone) {
+        if (tone) {
+            return tone;
+        }
+
+        await this.aiService.initialize();
+        const { preferredTone } = await chrome.storage.sync.get('preferredTone');
+        return this.aiService.toneProfiles.get(preferredTone) ? preferredTone : DEFAULT_TONE_ID;
+    }
+
+    /**
+     * List tone profiles for the in-page panel, and how many emails the writing style was learned from
+     * @returns {Promise<Object>} - { success, profiles, preferredTone, styleSamples }
+     */
+    async getToneProfiles() {
+        const preferredTone = await this.resolveTone();
+
+        return {
+            success: true,
+            profiles: this.aiService.toneProfiles.getAll(),
+            preferredTone,
+            styleSamples: this.aiService.styleProfile.samples.length
+        };
+    }
+
+    /**
+     * Stream a generated reply over a long-lived port
+     * The request is aborted as soon as the caller disconnects
+     * @param {chrome.runtime.Port} port - Port opened by the popup or a content script
+     */
+    handleGenerationPort(port) {
+        if (port.name !== GENERATION_PORT_NAME) {
+            return;
+        }
+
+        const abortController = new AbortController();
+        let connected = true;
+        port.onDisconnect.addListener(() => {
+            connected = false;
+            abortController.abort();
+        });
+
+        const post = (message) => {
+            if (connected) {
+                port.postMessage(message);
+            }
+        };
+
+        port.onMessage.addListener(async(request) => {
+            try {
+                const reply = await this.runGeneration(request, {
+                    signal: abortController.signal,
+                    onToken: (token) => post({ type: 'token', token }),
+                    onRetry: (retry) => post({ type: 'retry', retry }),
+                    onLanguage: (language) => post({ type: 'language', language }),
+                    onTranslation: (translation) => post({ type: 'translation', translation })
+                });
+                post({ type: 'done', reply });
+            } catch (error) {
+                if (error.code !== PROVIDER_ERROR_CODES.ABORTED) {
+                    post({ type: 'error', error: error.message, code: error.code || null });
+                }
+            }
+        });
+    }
+
+    /**
+     * Report pipeline readiness and rate limit usage to the UI
+     * @returns {Promise<Object>} - Status response
+     */
+    async getStatus() {
+        await this.aiService.initialize();
+        await this.aiService.loadAPIKey();
+        const rateLimit = await this.aiService.rateLimiter.getUsageStats(this.aiService.getModelName());
+
+        return {
+            success: true,
+            provider: this.aiService.providerConfig.id,
+            hasApiKey: this.aiService.hasAPIKey(),
+            keyLocked: this.aiService.keyLocked,
+            hasConsent: await this.aiService.consentManager.hasConsent(),
+            canMakeRequest: rateLimit.canMakeRequest,
+            rateLimit
+        };
+    }
 
-        return { success: true, reply: data.choices[0].text };
+    /**
+     * Generate a reply for the selected text and hand it to the page
+     * @param {Object} info - Context menu click info
+     * @param {chrome.tabs.Tab} tab - Tab the menu was opened in
+     */
+    async handleContextMenuClick(info, tab) {
+        if (info.menuItemId.startsWith(REWRITE_MENU_PREFIX)) {
+            await this.handleRewriteMenuClick(info, tab);
+            return;
+        }
+        if (info.menuItemId !== 'generate-reply') {
+            return;
+        }
+
+        try {
+            const reply = await this.runGeneration({ action: 'generateReply', input: info.selectionText });
+            await this.deliverToTab(tab, { type: 'INSERT_REPLY', data: { reply } }, reply);
+        } catch (error) {
+            console.error('Context menu generation failed:', error);
+            await this.deliverToTab(tab, { type: 'GENERATION_ERROR', data: { error: error.message } });
+        }
     }
 
-    async replyToThread() {
-        return this.generateReply({ prompt: "Reply to this email thread." });
+    /**
+     * Pass a keyboard command to the content script of the active tab
+     * @param {string} command - Command name from manifest.json
+     * @param {chrome.tabs.Tab} [tab] - Active tab, when Chrome provides it
+     */
+    async handleCommand(command, tab) {
+        if (!PAGE_COMMANDS.includes(command)) {
+            return;
+        }
+
+        try {
+            const [target] = tab?.id ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!target) {
+                return;
+            }
+
+            await chrome.tabs.sendMessage(target.id, { type: 'RUN_COMMAND', data: { command } });
+        } catch (error) {
+            console.log(`No Draftly content script in the active tab, ignoring ${command}`);
+        }
+    }
+
+    /**
+     * Rewrite the selected text; in a draft the content script replaces the selection,
+     * other pages get the result in the popup
+     * @param {Object} info - Context menu click info
+     * @param {chrome.tabs.Tab} tab - Tab the menu was opened in
+     */
+    async handleRewriteMenuClick(info, tab) {
+        const [action, language = ''] = info.menuItemId.slice(REWRITE_MENU_PREFIX.length).split('-');
+
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, { type: 'REWRITE_SELECTION', data: { action, language } });
+            if (response?.success) {
+                return;
+            }
+        } catch (error) {
+            console.log('No Draftly content script in tab, keeping the rewrite for the popup');
+        }
+
+        try {
+            const reply = await this.runGeneration({ action: 'rewriteText', input: info.selectionText, rewriteAction: action, options: { language } });
+            await chrome.storage.local.set({ pending_reply: { reply, kind: 'rewrite', createdAt: Date.now() } });
+        } catch (error) {
+            console.error('Context menu rewrite failed:', error);
+        }
+    }
+
+    /**
+     * Send a message to a tab's content script
+     * Pages without the content script keep the reply for the popup to show
+     * @param {chrome.tabs.Tab} tab - Target tab
+     * @param {Object} message - Message for the content script
+     * @param {string} [reply] - Reply to keep if the tab cannot receive it
+     */
+    async deliverToTab(tab, message, reply) {
+        try {
+            await chrome.tabs.sendMessage(tab.id, message);
+        } catch (error) {
+            console.log('No Draftly content script in tab, keeping reply for the popup');
+            if (reply) {
+                await chrome.storage.local.set({ pending_reply: { reply, createdAt: Date.now() } });
+            }
+        }
     }
 
     setupContextMenu() {
@@ -99,15 +330,33 @@ class DraftlyBackground {
             chrome.contextMenus.removeAll(() => {
                 chrome.contextMenus.create({
                     id: 'generate-reply',
-                    title: 'Generate email reply with Draftly',
+                    title: localize('menuGenerateReply'),
                     contexts: ['selection'],
                     documentUrlPatterns: ['*://*/*']
                 });
 
-                chrome.contextMenus.onClicked.addListener((info, tab) => {
-                    if (info.menuItemId === 'generate-reply') {
-                        chrome.tabs.sendMessage(tab.id, { type: 'PROCESS_SELECTED_TEXT', data: { selectedText: info.selectionText } });
-                    }
+                // Rewrite actions for text the user is writing
+                chrome.contextMenus.create({
+                    id: 'rewrite',
+                    title: localize('menuRewrite'),
+                    contexts: ['editable'],
+                    documentUrlPatterns: ['*://*/*']
+                });
+                Object.keys(REWRITE_ACTIONS).forEach(action => {
+                    chrome.contextMenus.create({
+                        id: `${REWRITE_MENU_PREFIX}${action}`,
+                        parentId: 'rewrite',
+                        title: localize(`rewriteAction_${action}`),
+                        contexts: ['editable']
+                    });
+                });
+                Object.entries(REPLY_LANGUAGES).filter(([language]) => language !== 'auto').forEach(([language, name]) => {
+                    chrome.contextMenus.create({
+                        id: `${REWRITE_MENU_PREFIX}translate-${language}`,
+                        parentId: `${REWRITE_MENU_PREFIX}translate`,
+                        title: getLanguageDisplayName(language, name),
+                        contexts: ['editable']
+                    });
                 });
             });
         } catch (error) {
@@ -117,6 +366,17 @@ class DraftlyBackground {
 
     handleStorageChanges(changes, namespace) {
         if (namespace === 'sync' && changes.usageCount) this.updateBadge();
+
+        // Reload provider settings, API keys, consent, tone profiles, the writing style, reply settings, limits and redaction rules
+        // before the next generation (encrypted keys and key vault settings live in local storage unless key sync is on)
+        const aiSettingsChanged = Object.keys(changes).some(key =>
+            key === 'llm_provider' || key.endsWith('_api_key') || key === CONSENT_KEY || key === STYLE_PROFILE_KEY ||
+            key.startsWith(TONE_PROFILE_KEY_PREFIX) || key === RATE_LIMIT_SETTINGS_KEY || key === REPLY_SETTINGS_KEY || key === PII_SETTINGS_KEY ||
+            key.startsWith('key_vault_')
+        );
+        if (['sync', 'local'].includes(namespace) && aiSettingsChanged) {
+            this.aiService.isInitialized = false;
+        }
     }
 
     async updateBadge() {
@@ -0,0 +1,330 @@
+/**
+ * Draftly Compose Inserter
+ * Puts generated text into a draft the way the mail client's own editor would:
+ * paragraphs and lists become HTML, replies go above the signature and the quoted
+ * history, and Ctrl+Z takes an insertion back out.
+ */
+
+// Lines that make up a list in model output
+const LIST_LINE_PATTERNS = {
+    ul: /^\s*[-*•]\s+(.*)$/,
+    ol: /^\s*\d+[.)]\s+(.*)$/
+};
+
+// Markdown bold, the only inline formatting models use in email replies
+const BOLD_PATTERN = /\*\*([^*\n]+)\*\*/g;
+
+// Insertions that can be undone per draft; older ones are dropped
+const MAX_UNDO_STEPS = 20;
+
+/**
+ * Compose Inserter Class
+ * Edits the draft through the DOM instead of the deprecated execCommand, and keeps
+ * its own undo history because the browser's undo stack does not see those edits
+ */
+class ComposeInserter {
+    constructor() {
+        // Per compose box: [{ before, after }] innerHTML snapshots, newest last
+        this.undoStacks = new WeakMap();
+    }
+
+    /**
+     * Insert text into a compose box
+     * @param {HTMLElement} composeBox
+     * @param {string} text - Plain text from the model
+     * @param {Object} options - mode 'insert' (at range), 'append' (after the user's text)
+     *                           or 'replace' (everything above the signature); range is the caret
+     *                           or selection for 'insert'; boundarySelector matches signatures
+     *                           and quoted history
+     * @returns {Range|null} caret after the inserted text
+     */
+    insert(composeBox, text, { mode = 'insert', range = null, boundarySelector = '' } = {}) {
+        const before = composeBox.innerHTML;
+        const { target, atCaret } = this.getTargetRange(composeBox, mode, range, boundarySelector);
+        // A single line typed at the caret stays part of the line it lands in
+        const fragment = this.textToFragment(text, { inline: atCaret && !/\n/.test(text.trim()) });
+        const last = fragment.lastChild;
+
+        target.deleteContents();
+        if (last) {
+            target.insertNode(fragment);
+            target.setStartAfter(last);
+        }
+        target.collapse(true);
+
+        this.recordUndo(composeBox, before);
+        this.notifyEditor(composeBox, 'insertFromPaste');
+        return this.placeCaret(composeBox, target);
+    }
+
+    /**
+     * Start inserting a reply that is still being generated; tokens are typed as plain
+     * text and formatted once the reply is complete. The whole reply is one undo step.
+     * @param {HTMLElement} composeBox
+     * @param {Object} options - mode, range and boundarySelector as for insert()
+     * @returns {{type: Function, finish: Function}} stream
+     */
+    startStream(composeBox, { mode = 'insert', range = null, boundarySelector = '' } = {}) {
+        const before = composeBox.innerHTML;
+        const { target } = this.getTargetRange(composeBox, mode, range, boundarySelector);
+        const container = document.createElement('div');
+        let typed = '';
+
+        target.deleteContents();
+        target.insertNode(container);
+        this.recordUndo(composeBox, before);
+
+        return {
+            type: (token) => {
+                typed += token;
+                container.appendChild(this.textToFragment(token, { inline: true }));
+                this.updateUndo(composeBox);
+                this.notifyEditor(composeBox, 'insertText');
+            },
+            finish: (text = typed) => {
+                if (!container.isConnected) {
+                    return;
+                }
+
+                const fragment = this.textToFragment(text);
+                const last = fragment.lastChild;
+                container.replaceWith(fragment);
+                this.updateUndo(composeBox);
+                this.notifyEditor(composeBox, 'insertFromPaste');
+
+                if (last?.isConnected) {
+                    const caret = document.createRange();
+                    caret.setStartAfter(last);
+                    caret.collapse(true);
+                    this.placeCaret(composeBox, caret);
+                }
+            }
+        };
+    }
+
+    /**
+     * Take the last insertion back out of a compose box
+     * @param {HTMLElement} composeBox
+     * @returns {boolean} false when there is nothing to undo, or the user edited the
+     *                    draft since; the browser's own undo applies then
+     */
+    undo(composeBox) {
+        const stack = this.undoStacks.get(composeBox);
+        const step = stack?.[stack.length - 1];
+        if (!step || step.after !== composeBox.innerHTML) {
+            this.undoStacks.delete(composeBox);
+            return false;
+        }
+
+        stack.pop();
+        composeBox.innerHTML = step.before;
+        this.notifyEditor(composeBox, 'historyUndo');
+
+        const caret = document.createRange();
+        caret.selectNodeContents(composeBox);
+        caret.collapse(true);
+        this.placeCaret(composeBox, caret);
+        return true;
+    }
+
+    /**
+     * Work out where text goes
+     * @param {HTMLElement} composeBox
+     * @param {string} mode - insert, append or replace
+     * @param {Range|null} range - Caret or selection for 'insert'
+     * @param {string} boundarySelector - Signatures and quoted history
+     * @returns {{target: Range, atCaret: boolean}} range to replace with the new text,
+     *          and whether it is the given caret or selection
+     */
+    getTargetRange(composeBox, mode, range, boundarySelector) {
+        const boundary = this.findBoundary(composeBox, boundarySelector);
+        const target = document.createRange();
+        target.selectNodeContents(composeBox);
+        if (boundary) {
+            target.setEndBefore(boundary);
+        }
+
+        if (mode === 'replace') {
+            return { target, atCaret: false };
+        }
+
+        // The caret counts only when it is in the user's part of the draft
+        if (mode === 'insert' && range && composeBox.contains(range.startContainer)) {
+            const inUserText = target.comparePoint(range.startContainer, range.startOffset) === 0
+                && target.comparePoint(range.endContainer, range.endOffset) === 0;
+            if (inUserText) {
+                return { target: range.cloneRange(), atCaret: true };
+            }
+        }
+
+        target.collapse(false);
+        return { target, atCaret: false };
+    }
+
+    /**
+     * Find where the user's text ends: at the signature or quoted history, including
+     * the blank lines and the "-- " separator above it so they stay below the reply
+     * @param {HTMLElement} composeBox
+     * @param {string} boundarySelector
+     * @returns {Node|null} first child of the compose box after the user's text
+     */
+    findBoundary(composeBox, boundarySelector) {
+        const match = boundarySelector ? composeBox.querySelector(boundarySelector) : null;
+        let boundary = null;
+        let node = composeBox.lastChild;
+
+        if (match) {
+            boundary = match;
+            while (boundary.parentNode !== composeBox) {
+                boundary = boundary.parentNode;
+            }
+            node = boundary.previousSibling;
+        }
+
+        while (node && this.isSeparator(node)) {
+            boundary = node;
+            node = node.previousSibling;
+        }
+        return boundary;
+    }
+
+    /**
+     * Whether a node is only spacing or a signature separator
+     * @param {Node} node
+     * @returns {boolean}
+     */
+    isSeparator(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return /^\s*(--\s*)?$/.test(node.textContent);
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return true;
+        }
+        return node.tagName === 'BR' || (!node.textContent.trim() && !node.querySelector('img'));
+    }
+
+    /**
+     * Convert model output to the markup Gmail and Outlook write themselves:
+     * a div per line, an empty div between paragraphs and real lists
+     * @param {string} text
+     * @param {Object} options - inline: text and line breaks only, for text inside a line
+     * @returns {DocumentFragment}
+     */
+    textToFragment(text, { inline = false } = {}) {
+        const fragment = document.createDocumentFragment();
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+
+        if (inline) {
+            lines.forEach((line, index) => {
+                if (index > 0) {
+                    fragment.appendChild(document.createElement('br'));
+                }
+                this.appendInline(fragment, line);
+            });
+            return fragment;
+        }
+
+        const trimmed = text.replace(/\r\n?/g, '\n').replace(/\n{3,}/g, '\n\n').trim().split('\n');
+        let list = null;
+
+        trimmed.forEach(line => {
+            const listType = Object.keys(LIST_LINE_PATTERNS).find(type => LIST_LINE_PATTERNS[type].test(line));
+            if (listType) {
+                if (list?.tagName.toLowerCase() !== listType) {
+                    list = document.createElement(listType);
+                    fragment.appendChild(list);
+                }
+                const item = document.createElement('li');
+                this.appendInline(item, LIST_LINE_PATTERNS[listType].exec(line)[1]);
+                list.appendChild(item);
+                return;
+            }
+
+            list = null;
+            const block = document.createElement('div');
+            if (line.trim()) {
+                this.appendInline(block, line);
+            } else {
+                block.appendChild(document.createElement('br'));
+            }
+            fragment.appendChild(block);
+        });
+
+        return fragment;
+    }
+
+    /**
+     * Append a line of text, with **bold** as <b>
+     * @param {Node} parent
+     * @param {string} line
+     */
+    appendInline(parent, line) {
+        let index = 0;
+        for (const match of line.matchAll(BOLD_PATTERN)) {
+            if (match.index > index) {
+                parent.appendChild(document.createTextNode(line.slice(index, match.index)));
+            }
+            const bold = document.createElement('b');
+            bold.textContent = match[1];
+            parent.appendChild(bold);
+            index = match.index + match[0].length;
+        }
+        if (index < line.length) {
+            parent.appendChild(document.createTextNode(line.slice(index)));
+        }
+    }
+
+    /**
+     * Remember the draft before an insertion
+     * @param {HTMLElement} composeBox
+     * @param {string} before - innerHTML before the insertion
+     */
+    recordUndo(composeBox, before) {
+        const stack = this.undoStacks.get(composeBox) || [];
+        stack.push({ before, after: composeBox.innerHTML });
+        if (stack.length > MAX_UNDO_STEPS) {
+            stack.shift();
+        }
+        this.undoStacks.set(composeBox, stack);
+    }
+
+    /**
+     * Keep the newest undo step in sync while a stream is still typing
+     * @param {HTMLElement} composeBox
+     */
+    updateUndo(composeBox) {
+        const stack = this.undoStacks.get(composeBox);
+        if (stack?.length) {
+            stack[stack.length - 1].after = composeBox.innerHTML;
+        }
+    }
+
+    /**
+     * Let the client's editor know the draft changed, so it saves and updates its state
+     * @param {HTMLElement} composeBox
+     * @param {string} inputType
+     */
+    notifyEditor(composeBox, inputType) {
+        composeBox.dispatchEvent(new InputEvent('input', { bubbles: true, inputType }));
+    }
+
+    /**
+     * Focus the draft with the caret at a position
+     * @param {HTMLElement} composeBox
+     * @param {Range} caret
+     * @returns {Range|null} copy of the caret
+     */
+    placeCaret(composeBox, caret) {
+        composeBox.focus();
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(caret);
+        return selection.rangeCount ? selection.getRangeAt(0).cloneRange() : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ComposeInserter = ComposeInserter;
+}
@@ -1,58 +1,209 @@
 /**
  * Draftly Content Script
- * Injects two buttons into Gmail compose area:
+ * Injects two buttons into every open compose box of a supported webmail client:
  * 1. Reply to Thread (automatic)
- * 2. Generate Reply (user prompt)
+ * 2. Generate Reply (user instructions)
+ * Both open the Draftly panel (content/panel.js) for that draft, which can also
+ * summarize the open thread and extract its action items, meetings and deadlines.
+ * Site specifics live in the adapters of content/site-adapters.js.
  */
 
 (function() {
-    const BUTTON_IDS = {
+    // Classes rather than IDs: every open draft gets its own pair of buttons
+    const BUTTON_CLASSES = {
         replyToThread: 'draftly-reply-thread-btn',
         generateReply: 'draftly-generate-btn'
     };
 
-    // Observe DOM changes to handle Gmail's dynamic loading
+    // Gmail or Outlook on the web; the manifest only injects on supported hosts
+    const adapter = createSiteAdapter(window.location.hostname);
+    if (!adapter) {
+        return;
+    }
+
+    // Compose box the user worked in last, target for context menu replies
+    let lastFocusedComposeBox = null;
+
+    // Per compose box state: { buttons, caret }
+    const composeStates = new WeakMap();
+
+    // Boxes that have buttons, rechecked on DOM changes so closed drafts get cleaned up
+    const attachedComposeBoxes = new Set();
+
+    // One panel for the page, pointed at the compose box that opened it
+    const panel = new DraftlyPanel({
+        generate: generateForPanel,
+        insert: insertFromPanel,
+        rewrite: rewriteForPanel,
+        replaceSelection: replaceSelectionFromPanel,
+        undo: undoFromPanel,
+        summarize: summarizeForPanel,
+        extract: extractForPanel
+    });
+    let panelComposeBox = null;
+
+    // Draft and selected text a running rewrite replaces: { composeBox, range }
+    let rewriteTarget = null;
+
+    // Prompt templates live in sync storage, reloaded whenever the panel opens
+    const promptTemplates = new PromptTemplateManager();
+
+    // Observe DOM changes to handle dynamic loading of drafts
     const observer = new MutationObserver(() => {
+        cleanupClosedComposeBoxes();
         addDraftlyButtons();
     });
 
     observer.observe(document.body, { childList: true, subtree: true });
 
+    document.addEventListener('focusin', (event) => {
+        const box = adapter.getComposeBox(event.target);
+        if (box) {
+            lastFocusedComposeBox = box;
+        }
+    });
+
+    // Remember the caret of each draft, focus moves to the panel before inserting
+    document.addEventListener('selectionchange', () => {
+        const selection = window.getSelection();
+        if (!selection.rangeCount) {
+            return;
+        }
+
+        const node = selection.anchorNode;
+        const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+        const box = adapter.getComposeBox(element);
+        const state = box && composeStates.get(box);
+        if (state) {
+            state.caret = selection.getRangeAt(0).cloneRange();
+        }
+    });
+
+    // Ctrl+Z takes Draftly's last insertion back out; the browser's undo does not see it
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.shiftKey || event.altKey || event.key.toLowerCase() !== 'z') {
+            return;
+        }
+
+        const box = adapter.getComposeBox(event.target);
+        if (box && adapter.undoInsert(box)) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+    }, true);
+
+    // Replies generated from the context menu by the background pipeline, text the popup
+    // inserts from the reply history, rewrites of selected text, keyboard commands and
+    // the thread the popup summarizes or extracts items from
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'INSERT_REPLY') {
+            handleIncomingReply(message.data.reply);
+        } else if (message.type === 'GENERATION_ERROR') {
+            openPanel(getActiveComposeBox(), { context: 'Context menu reply' });
+            panel.showError('Error generating reply: ' + message.data.error);
+        } else if (message.type === 'INSERT_TEXT') {
+            sendResponse(insertIntoActiveDraft(message.data.text));
+        } else if (message.type === 'REWRITE_SELECTION') {
+            sendResponse(rewriteSelection(message.data.action, message.data.language));
+        } else if (message.type === 'RUN_COMMAND') {
+            sendResponse(runCommand(message.data.command));
+        } else if (message.type === 'GET_THREAD') {
+            const thread = getThreadToRead();
+            sendResponse(thread ? { success: true, thread } : { success: false, error: 'No email thread is open on this page' });
+        }
+    });
+
     /**
-     * Add Draftly buttons to all visible Gmail compose boxes
+     * Add Draftly buttons to every compose box that does not have them yet
+     * (new messages, inline replies and pop-out drafts alike)
      */
     function addDraftlyButtons() {
-        const composeBoxes = document.querySelectorAll('div[role="textbox"][contenteditable="true"]');
+        adapter.findComposeBoxes().forEach(box => {
+            if (composeStates.has(box)) {
+                return;
+            }
 
-        composeBoxes.forEach(box => {
-            const container = box.parentElement;
+            const container = adapter.getButtonContainer(box);
             if (!container) return;
 
-            // Add Reply to Thread button
-            if (!document.getElementById(BUTTON_IDS.replyToThread)) {
-                const btn = createButton('Reply to Thread', BUTTON_IDS.replyToThread);
-                btn.addEventListener('click', () => handleReplyToThread(box));
-                container.appendChild(btn);
+            const replyBtn = createButton('Reply to Thread', BUTTON_CLASSES.replyToThread);
+            replyBtn.addEventListener('click', () => handleReplyToThread(box));
+
+            const generateBtn = createButton('Generate Reply', BUTTON_CLASSES.generateReply);
+            generateBtn.addEventListener('click', () => handleGenerateReplyPrompt(box));
+
+            const state = { buttons: [replyBtn, generateBtn], caret: null };
+            state.buttons.forEach(btn => container.appendChild(btn));
+
+            composeStates.set(box, state);
+            attachedComposeBoxes.add(box);
+        });
+    }
+
+    /**
+     * Remove buttons and close the panel for drafts that were sent, discarded or closed
+     */
+    function cleanupClosedComposeBoxes() {
+        attachedComposeBoxes.forEach(box => {
+            if (box.isConnected) {
+                return;
+            }
+
+            const state = composeStates.get(box);
+            if (state) {
+                state.buttons.forEach(btn => btn.remove());
+            }
+
+            if (panelComposeBox === box) {
+                panel.close();
+                panelComposeBox = null;
             }
 
-            // Add Generate Reply button
-            if (!document.getElementById(BUTTON_IDS.generateReply)) {
-                const btn = createButton('Generate Reply', BUTTON_IDS.generateReply);
-                btn.addEventListener('click', () => handleGenerateReplyPrompt(box));
-                container.appendChild(btn);
+            composeStates.delete(box);
+            attachedComposeBoxes.delete(box);
+            if (lastFocusedComposeBox === box) {
+                lastFocusedComposeBox = null;
             }
         });
     }
 
+    /**
+     * Read the thread a compose box replies to
+     * @param {HTMLElement|null} composeBox
+     * @returns {Object|null} thread with at least one message, or null
+     */
+    function getThreadForComposeBox(composeBox) {
+        return composeBox ? adapter.getThreadForComposeBox(composeBox) : null;
+    }
+
+    /**
+     * Thread to summarize or extract items from: the one the panel's draft replies to, or the one open on the page
+     * @returns {Object|null} thread with at least one message, or null
+     */
+    function getThreadToRead() {
+        return getThreadForComposeBox(panelComposeBox) || adapter.getOpenThread();
+    }
+
+    /**
+     * Compose box the user worked in last, or the first one on the page
+     * @returns {HTMLElement|null}
+     */
+    function getActiveComposeBox() {
+        return lastFocusedComposeBox?.isConnected
+            ? lastFocusedComposeBox
+            : adapter.findComposeBoxes()[0] || null;
+    }
+
     /**
      * Create a styled button
      * @param {string} text - Button text
-     * @param {string} id - Button ID
+     * @param {string} className - Button class
      * @returns {HTMLElement} button
      */
-    function createButton(text, id) {
+    function createButton(text, className) {
         const btn = document.createElement('button');
-        btn.id = id;
+        btn.type = 'button';
+        btn.className = `draftly-button ${className}`;
         btn.textContent = text;
         btn.style.margin = '0 4px';
         btn.style.padding = '4px 8px';
@@ -65,95 +216,372 @@
     }
 
     /**
-     * Handle Reply to Thread button click
-     * @param {HTMLElement} composeBox - Gmail compose textbox
+     * Handle Reply to Thread button click: open the panel and start right away
+     * @param {HTMLElement} composeBox - Compose textbox
+     */
+    function handleReplyToThread(composeBox) {
+        openPanel(composeBox, { autoGenerate: true });
+    }
+
+    /**
+     * Handle Generate Reply button click: open the panel for instructions
+     * @param {HTMLElement} composeBox - Compose textbox
+     */
+    function handleGenerateReplyPrompt(composeBox) {
+        openPanel(composeBox);
+    }
+
+    /**
+     * Point the panel at a compose box and show it
+     * @param {HTMLElement|null} composeBox - Target draft, null when there is none
+     * @param {Object} options - { context, autoGenerate }
+     */
+    function openPanel(composeBox, { context, autoGenerate = false } = {}) {
+        panelComposeBox = composeBox;
+        const thread = getThreadForComposeBox(composeBox);
+
+        if (!context) {
+            context = thread
+                ? `Replying to "${thread.subject || '(no subject)'}" · ${thread.messages.length} message(s)`
+                : 'New message from your instructions';
+        }
+
+        panel.open({ context, canInsert: Boolean(composeBox), canReadThread: Boolean(getThreadToRead()), autoGenerate });
+        loadToneOptions();
+        loadTemplateOptions(thread);
+        loadStatusNotice();
+    }
+
+    /**
+     * Warn in the panel when the API keys are locked or a usage budget is close or used up
      */
-    async function handleReplyToThread(composeBox) {
+    async function loadStatusNotice() {
         try {
-            const threadText = getEmailThreadText();
-            if (!threadText) {
-                alert('Unable to read email thread.');
+            const { canMakeRequest, keyLocked, rateLimit } = await sendPipelineMessage({ action: 'getStatus' });
+            if (keyLocked) {
+                panel.setNotice('🔒 Your API keys are locked. Open the Draftly popup and enter your passphrase.');
                 return;
             }
 
-            const response = await sendMessageToBackground({
-                action: 'replyToThread',
-                prompt: threadText
-            });
-
-            if (response.success) {
-                insertTextIntoComposeBox(composeBox, response.reply);
-            } else {
-                alert('Error generating reply: ' + response.error);
-            }
+            const budgetReached = !canMakeRequest && rateLimit.resetTime === 0;
+            panel.setNotice(budgetReached ? rateLimit.message : rateLimit.warnings.join(' '));
         } catch (error) {
-            console.error('Error in replyToThread:', error);
-            alert('Failed to generate reply.');
+            console.error('Failed to load usage status:', error);
         }
     }
 
     /**
-     * Handle Generate Reply button click
-     * @param {HTMLElement} composeBox - Gmail compose textbox
+     * Fill the panel's tone picker with the user's tone profiles and offer their writing style
      */
-    async function handleGenerateReplyPrompt(composeBox) {
+    async function loadToneOptions() {
         try {
-            const userPrompt = prompt('Enter your instructions for the email reply:');
-            if (!userPrompt) return;
+            const { profiles, styleSamples } = await sendPipelineMessage({ action: 'getToneProfiles' });
+            panel.setToneOptions([
+                { value: '', label: 'Saved preference' },
+                ...profiles.map(profile => ({ value: profile.id, label: profile.name }))
+            ]);
+            panel.setStyleAvailable(styleSamples || 0);
+        } catch (error) {
+            console.error('Failed to load tone profiles:', error);
+        }
+    }
+
+    /**
+     * Fill the panel's template picker, with placeholder values taken from the thread
+     * @param {Object|null} thread - Thread the draft replies to
+     */
+    async function loadTemplateOptions(thread) {
+        await promptTemplates.load();
+        panel.setTemplates(promptTemplates.getAll(), getTemplateValues(thread));
+    }
 
-            const response = await sendMessageToBackground({
-                action: 'generateReply',
-                prompt: userPrompt
-            });
+    /**
+     * Generate handler for the panel
+     * Replies to the thread when there is one (instructions are extra guidance),
+     * otherwise writes a new email from the instructions
+     * @param {Object} settings - { instructions, tone, length, language, showTranslation, useStyle, live, template }
+     * @param {Object} handlers - { onToken, onRetry, onLanguage, onTranslation, signal }
+     * @returns {Promise<string>} reply
+     */
+    function generateForPanel(settings, { onToken, onRetry, onLanguage, onTranslation, signal }) {
+        const composeBox = panelComposeBox;
+        const thread = getThreadForComposeBox(composeBox);
+        const options = { length: settings.length };
+        let request;
+
+        if (thread) {
+            request = { action: 'replyToThread', thread };
+            if (settings.instructions) {
+                options.instructions = settings.instructions;
+            }
+        } else if (settings.instructions) {
+            request = { action: 'generateReply', input: settings.instructions };
+            options.inputType = 'instructions';
+        } else {
+            return Promise.reject(new Error('No email thread found for this draft. Enter instructions for a new message.'));
+        }
 
-            if (response.success) {
-                insertTextIntoComposeBox(composeBox, response.reply);
+        if (settings.tone) {
+            request.tone = settings.tone;
+        }
+        if (settings.template) {
+            options.template = settings.template;
+        }
+        if (settings.language) {
+            options.language = settings.language;
+        }
+        if (settings.showTranslation) {
+            options.showTranslation = true;
+        }
+        if (!settings.useStyle) {
+            options.useStyle = false;
+        }
+        request.options = options;
+
+        const typer = settings.live && composeBox ? createComposeTyper(composeBox) : null;
+
+        const generation = streamGeneration(request, {
+            signal,
+            onRetry,
+            onLanguage,
+            onTranslation,
+            onToken: (token, text) => {
+                if (typer) {
+                    typer.type(token);
+                }
+                onToken(token, text);
+            }
+        });
+        if (!typer) {
+            return generation;
+        }
+
+        // Stopped or failed replies keep what was typed so far
+        return generation.then(reply => {
+            typer.finish(reply);
+            return reply;
+        }, error => {
+            typer.finish();
+            throw error;
+        });
+    }
+
+    /**
+     * Insert handler for the panel
+     * @param {string} text - Reply text
+     * @param {string} mode - 'insert' at the caret, 'append' after the user's text or
+     *                        'replace' the user's text; signature and quote stay below
+     * @returns {boolean} false when the target draft is gone
+     */
+    function insertFromPanel(text, mode) {
+        if (!panelComposeBox?.isConnected) {
+            return false;
+        }
+
+        const range = composeStates.get(panelComposeBox)?.caret;
+        adapter.insertText(panelComposeBox, text, { mode, range });
+        return true;
+    }
+
+    /**
+     * Rewrite handler for the panel: rewrites the text selected in the panel's draft
+     * @param {Object} settings - { action, language }
+     * @param {Object} handlers - { onToken, onRetry, signal }
+     * @returns {Promise<string>} rewritten text
+     */
+    function rewriteForPanel({ action, language }, handlers) {
+        const composeBox = panelComposeBox;
+        const range = composeBox?.isConnected ? composeStates.get(composeBox)?.caret : null;
+        const text = range && !range.collapsed ? adapter.getRangeText(range) : '';
+        if (!text) {
+            rewriteTarget = null;
+            return Promise.reject(new Error('Select the text in your draft that Draftly should rewrite.'));
+        }
+
+        rewriteTarget = { composeBox, range: range.cloneRange() };
+        const options = language ? { language } : {};
+        return streamGeneration({ action: 'rewriteText', input: text, rewriteAction: action, options }, handlers);
+    }
+
+    /**
+     * Put a finished rewrite in place of the text it was made from
+     * @param {string} text - Rewritten text
+     * @returns {boolean} false when the draft or the selected text is gone
+     */
+    function replaceSelectionFromPanel(text) {
+        const target = rewriteTarget;
+        rewriteTarget = null;
+        if (!target?.composeBox.isConnected || !target.composeBox.contains(target.range.startContainer)) {
+            return false;
+        }
+
+        // Ctrl+Z in the draft, or Undo in the panel, brings the original back
+        adapter.insertText(target.composeBox, text, { range: target.range });
+        return true;
+    }
+
+    /**
+     * Undo handler for the panel
+     * @returns {boolean} false when the draft is gone or changed since Draftly's last edit
+     */
+    function undoFromPanel() {
+        if (!panelComposeBox?.isConnected) {
+            return false;
+        }
+
+        return adapter.undoInsert(panelComposeBox);
+    }
+
+    /**
+     * Summarize handler for the panel
+     * @param {Object} settings - { refresh }
+     * @param {Object} handlers - { onRetry, signal }
+     * @returns {Promise<Object>} summary
+     */
+    function summarizeForPanel({ refresh }, { onRetry, signal }) {
+        const thread = getThreadToRead();
+        if (!thread) {
+            return Promise.reject(new Error('Open the conversation you want summarized.'));
+        }
+        return summarizeThread(thread, { refresh, onRetry, signal });
+    }
+
+    /**
+     * Extract handler for the panel
+     * @param {Object} handlers - { onRetry, signal }
+     * @returns {Promise<Object>} action items, meetings and deadlines
+     */
+    function extractForPanel({ onRetry, signal }) {
+        const thread = getThreadToRead();
+        if (!thread) {
+            return Promise.reject(new Error('Open the conversation you want to find tasks and dates in.'));
+        }
+        return extractItems({ thread }, { onRetry, signal });
+    }
+
+    /**
+     * Run a keyboard command (manifest.json commands, routed by the background)
+     * on the draft the user worked in last
+     * @param {string} command - reply-to-thread, generate-from-instructions, rewrite-selection,
+     *                           summarize-thread or open-panel
+     * @returns {{success: boolean, error?: string}} response for the sender
+     */
+    function runCommand(command) {
+        const composeBox = getActiveComposeBox();
+
+        if (command === 'open-panel') {
+            if (panel.isOpen() && panelComposeBox === composeBox) {
+                panel.close();
             } else {
-                alert('Error generating reply: ' + response.error);
+                openPanel(composeBox);
             }
-        } catch (error) {
-            console.error('Error in generateReply:', error);
-            alert('Failed to generate reply.');
+            return { success: true };
+        }
+
+        if (command === 'generate-from-instructions') {
+            handleGenerateReplyPrompt(composeBox);
+            return { success: true };
+        }
+
+        if (command === 'reply-to-thread') {
+            if (!getThreadForComposeBox(composeBox)) {
+                openPanel(composeBox, { context: 'Keyboard shortcut' });
+                panel.showError('Open a reply in the conversation you want to answer, then press the shortcut again.');
+                return { success: false, error: 'No thread to reply to' };
+            }
+            handleReplyToThread(composeBox);
+            return { success: true };
+        }
+
+        if (command === 'rewrite-selection') {
+            const range = composeBox ? composeStates.get(composeBox)?.caret : null;
+            openPanel(composeBox, { context: 'Rewriting the selected text' });
+            if (!range || range.collapsed) {
+                panel.showError('Select the text in your draft that Draftly should rewrite.');
+                return { success: false, error: 'No text selected' };
+            }
+            panel.focusRewrite();
+            return { success: true };
         }
+
+        if (command === 'summarize-thread') {
+            openPanel(composeBox, { context: 'Summarizing the open thread' });
+            if (!getThreadToRead()) {
+                panel.showError('Open the conversation you want summarized, then press the shortcut again.');
+                return { success: false, error: 'No thread to summarize' };
+            }
+            panel.summarize();
+            return { success: true };
+        }
+
+        return { success: false, error: `Unknown command ${command}` };
     }
 
     /**
-     * Insert text into Gmail compose box
-     * @param {HTMLElement} composeBox
-     * @param {string} text
+     * Rewrite the text selected in a draft, for the context menu and the popup
+     * @param {string} action - Rewrite action
+     * @param {string} [language] - Translation target for 'translate'
+     * @returns {{success: boolean, error?: string}} response for the sender
      */
-    function insertTextIntoComposeBox(composeBox, text) {
-        composeBox.focus();
-        document.execCommand('insertText', false, text);
+    function rewriteSelection(action, language) {
+        const composeBox = getActiveComposeBox();
+        if (!composeBox) {
+            return { success: false, error: 'No open draft on this page' };
+        }
+
+        const range = composeStates.get(composeBox)?.caret;
+        if (!range || range.collapsed) {
+            return { success: false, error: 'Select the text in your draft that Draftly should rewrite.' };
+        }
+
+        openPanel(composeBox, { context: 'Rewriting the selected text' });
+        panel.rewrite(action, language);
+        return { success: true };
     }
 
     /**
-     * Retrieve email thread content from Gmail
-     * @returns {string} concatenated email thread
+     * Create a typer that types streamed text at the caret, even if the page or the panel
+     * moves the selection between tokens, and formats the reply once it is complete
+     * @param {HTMLElement} composeBox
+     * @returns {{type: Function, finish: Function}} typer
      */
-    function getEmailThreadText() {
-        const threadElements = document.querySelectorAll('div.a3s'); // Gmail email body
-        if (!threadElements.length) return '';
+    function createComposeTyper(composeBox) {
+        // Started by the first token, so a failed request leaves the draft alone
+        let stream = null;
 
-        let threadText = '';
-        threadElements.forEach(el => {
-            threadText += el.innerText + '\n\n';
-        });
+        return {
+            type(text) {
+                stream = stream || adapter.startTextStream(composeBox, { range: composeStates.get(composeBox)?.caret });
+                stream.type(text);
+            },
+            finish(text) {
+                stream?.finish(text);
+            }
+        };
+    }
+
+    /**
+     * Insert text at the caret of the draft the user worked in last
+     * @param {string} text
+     * @returns {{success: boolean, error?: string}} response for the sender
+     */
+    function insertIntoActiveDraft(text) {
+        const composeBox = getActiveComposeBox();
+        if (!composeBox) {
+            return { success: false, error: 'No open draft on this page' };
+        }
 
-        return threadText.trim();
+        adapter.insertText(composeBox, text, { range: composeStates.get(composeBox)?.caret });
+        return { success: true };
     }
 
     /**
-     * Send message to background script and return the response
-     * @param {Object} message
-     * @returns {Promise<Object>}
+     * Show a reply generated outside the compose box (context menu) in the panel
+     * @param {string} reply
      */
-    function sendMessageToBackground(message) {
-        return new Promise((resolve) => {
-            chrome.runtime.sendMessage(message, (response) => {
-                resolve(response);
-            });
-        });
+    function handleIncomingReply(reply) {
+        openPanel(getActiveComposeBox(), { context: 'Context menu reply' });
+        panel.showReply(reply);
     }
 
 })();
@@ -0,0 +1,1117 @@
+/**
+ * Draftly In-Page Panel
+ * Floating panel inside the webmail page, rendered in a closed Shadow DOM so the page's
+ * CSS cannot leak in. Replaces the prompt()/alert() dialogs of the content script.
+ */
+
+// Tone choices until the user's tone profiles are loaded; '' uses the saved preference
+const PANEL_DEFAULT_TONES = [
+    { value: '', label: 'Saved preference' },
+    { value: 'professional', label: 'Professional' },
+    { value: 'friendly', label: 'Friendly' },
+    { value: 'formal', label: 'Formal' },
+    { value: 'casual', label: 'Casual' }
+];
+
+// '' uses the default length of the selected tone profile
+const PANEL_LENGTHS = [
+    { value: '', label: 'Tone default' },
+    { value: 'short', label: 'Short' },
+    { value: 'medium', label: 'Medium' },
+    { value: 'long', label: 'Long' }
+];
+
+// Same actions as REWRITE_ACTIONS in ai-service.js, which content scripts do not load
+const PANEL_REWRITE_ACTIONS = [
+    { value: 'shorten', label: 'Shorten' },
+    { value: 'expand', label: 'Expand' },
+    { value: 'grammar', label: 'Fix grammar' },
+    { value: 'polite', label: 'More polite' },
+    { value: 'assertive', label: 'More assertive' },
+    { value: 'bullets', label: 'Bullet points' },
+    { value: 'translate', label: 'Translate' }
+];
+
+// Translation targets; '' uses the reply language from the settings, or English
+const PANEL_TRANSLATE_LANGUAGES = [
+    { value: '', label: 'Default language' },
+    { value: 'en', label: 'English' },
+    { value: 'de', label: 'German' },
+    { value: 'es', label: 'Spanish' },
+    { value: 'fr', label: 'French' },
+    { value: 'it', label: 'Italian' },
+    { value: 'nl', label: 'Dutch' },
+    { value: 'pt', label: 'Portuguese' }
+];
+
+// Reply languages; '' uses the reply language from the settings, 'auto' detects it in the email
+const PANEL_REPLY_LANGUAGES = [
+    { value: '', label: 'Saved preference' },
+    { value: 'auto', label: 'Same as the email' },
+    ...PANEL_TRANSLATE_LANGUAGES.slice(1)
+];
+
+// Status after each insert action; Undo or Ctrl+Z takes the text back out
+const INSERT_STATUS = {
+    insert: 'Reply inserted.',
+    append: 'Reply added below your text.',
+    replace: 'Draft replaced. The signature and quote were kept.'
+};
+
+const PANEL_STYLES = `
+    :host { all: initial; }
+    .panel {
+        position: fixed;
+        right: 24px;
+        bottom: 24px;
+        width: 360px;
+        max-height: calc(100vh - 48px);
+        display: flex;
+        flex-direction: column;
+        background: #ffffff;
+        color: #2d3748;
+        border-radius: 12px;
+        box-shadow: 0 12px 32px rgba(0, 0, 0, 0.2);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+        font-size: 13px;
+        line-height: 1.5;
+        z-index: 2147483000;
+        overflow: hidden;
+    }
+    .panel[hidden] { display: none; }
+    header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: 10px 14px;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: #ffffff;
+        font-weight: 600;
+    }
+    .close {
+        background: transparent;
+        border: none;
+        color: inherit;
+        font-size: 18px;
+        cursor: pointer;
+        line-height: 1;
+    }
+    .body {
+        padding: 12px 14px;
+        overflow-y: auto;
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+    }
+    .context { font-size: 12px; color: #6b7280; }
+    .template-fields { display: flex; flex-direction: column; gap: 6px; }
+    .template-fields:empty { display: none; }
+    .template-fields input {
+        font: inherit;
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        padding: 5px 8px;
+        background: #ffffff;
+        color: inherit;
+    }
+    label { display: flex; flex-direction: column; gap: 4px; font-weight: 500; color: #374151; }
+    label.check { flex-direction: row; align-items: center; font-weight: 400; }
+    label[hidden] { display: none; }
+    textarea, select {
+        font: inherit;
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        padding: 6px 8px;
+        background: #ffffff;
+        color: inherit;
+    }
+    textarea { resize: vertical; min-height: 56px; }
+    input:focus, textarea:focus, select:focus { outline: none; border-color: #667eea; box-shadow: 0 0 0 2px rgba(102, 126, 234, 0.2); }
+    .row { display: flex; gap: 8px; }
+    .row label { flex: 1; }
+    button.primary, .actions button {
+        font: inherit;
+        border-radius: 6px;
+        cursor: pointer;
+        padding: 7px 10px;
+    }
+    button.primary {
+        border: none;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: #ffffff;
+        font-weight: 500;
+    }
+    button.primary.stop { background: #ef4444; }
+    .rewrite {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        padding-top: 10px;
+        border-top: 1px solid #e5e7eb;
+    }
+    button.secondary {
+        font: inherit;
+        border: 1px solid #667eea;
+        border-radius: 6px;
+        background: #ffffff;
+        color: #667eea;
+        cursor: pointer;
+        padding: 6px 10px;
+    }
+    button.secondary:hover:not(:disabled) { background: #667eea; color: #ffffff; }
+    .actions { display: flex; gap: 6px; flex-wrap: wrap; }
+    .actions button {
+        flex: 1;
+        border: 1px solid #667eea;
+        background: #ffffff;
+        color: #667eea;
+    }
+    .actions button:hover:not(:disabled) { background: #667eea; color: #ffffff; }
+    button:disabled { opacity: 0.5; cursor: not-allowed; }
+    .preview {
+        border: 1px solid #e5e7eb;
+        border-radius: 6px;
+        background: #f9fafb;
+        padding: 8px 10px;
+        min-height: 80px;
+        max-height: 260px;
+        overflow-y: auto;
+    }
+    .preview:empty::before { content: 'Your draft will appear here.'; color: #9ca3af; }
+    .preview p { margin: 0 0 8px; }
+    .preview ul, .preview ol { margin: 0 0 8px; padding-left: 20px; }
+    .preview.streaming::after { content: '▍'; color: #667eea; }
+    .translation {
+        border: 1px dashed #d1d5db;
+        border-radius: 6px;
+        padding: 8px 10px;
+        max-height: 200px;
+        overflow-y: auto;
+        white-space: pre-wrap;
+        color: #4b5563;
+    }
+    .translation[hidden] { display: none; }
+    .translation strong { display: block; margin-bottom: 4px; font-size: 12px; color: #6b7280; }
+    .error {
+        padding: 8px 10px;
+        border-radius: 6px;
+        background: #fee2e2;
+        color: #991b1b;
+        border: 1px solid #fca5a5;
+    }
+    .notice {
+        padding: 6px 10px;
+        border-radius: 6px;
+        background: #fffbeb;
+        color: #92400e;
+        border: 1px solid #fcd34d;
+        font-size: 12px;
+    }
+    .error[hidden], .notice:empty, .status:empty { display: none; }
+    .status { font-size: 12px; color: #065f46; }
+    .thread-actions[hidden], .result[hidden] { display: none; }
+    .thread-actions button { flex: 1; }
+    .result {
+        border: 1px solid #e5e7eb;
+        border-radius: 6px;
+        padding: 8px 10px;
+        max-height: 260px;
+        overflow-y: auto;
+    }
+    .result-header { display: flex; align-items: center; gap: 8px; font-weight: 600; }
+    .result-header span { flex: 1; }
+    .result-header button {
+        font: inherit;
+        font-size: 12px;
+        border: none;
+        background: transparent;
+        color: #667eea;
+        cursor: pointer;
+        padding: 0;
+    }
+    .result-header button:disabled { color: #9ca3af; cursor: not-allowed; }
+    .result h4 { margin: 8px 0 2px; font-size: 12px; color: #6b7280; text-transform: uppercase; }
+    .result p { margin: 4px 0 0; }
+    .result ul { margin: 0; padding-left: 18px; }
+    @media (prefers-color-scheme: dark) {
+        .panel { background: #1f2937; color: #e5e7eb; }
+        label { color: #e5e7eb; }
+        textarea, select, .template-fields input { background: #111827; border-color: #374151; }
+        .preview { background: #111827; border-color: #374151; }
+        .actions button, button.secondary { background: #1f2937; }
+        .rewrite, .result, .translation { border-color: #374151; }
+        .translation { color: #d1d5db; }
+    }
+`;
+
+/**
+ * Draftly Panel Class
+ * A view only: generation and insertion are delegated to the content script
+ */
+class DraftlyPanel {
+    /**
+     * @param {Object} handlers
+     * @param {Function} handlers.generate - (settings, { onToken, onRetry, onLanguage, onTranslation, signal })
+     *                                      => Promise<string>, settings = { instructions, tone, length,
+     *                                      language, showTranslation, useStyle, live, template }
+     * @param {Function} handlers.insert - (text, mode) => boolean, mode is 'insert', 'append' or 'replace'
+     * @param {Function} handlers.rewrite - ({ action, language }, { onToken, onRetry, signal }) => Promise<string>,
+     *                                     rewrites the text selected in the draft
+     * @param {Function} handlers.replaceSelection - (text) => boolean, puts a rewrite in place of the selection
+     * @param {Function} handlers.undo - () => boolean, undoes Draftly's last change in the draft
+     * @param {Function} handlers.summarize - ({ refresh }, { onRetry, signal }) => Promise<Object>,
+     *                                       summarizes the open thread
+     * @param {Function} handlers.extract - ({ onRetry, signal }) => Promise<Object>, extracts action items,
+     *                                     meetings and deadlines from the open thread
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.reply = '';
+        this.partialReply = '';
+        this.replyLanguage = null;
+        this.abortController = null;
+        this.canInsert = false;
+        this.canUndo = false;
+        this.result = null;
+        this.templates = [];
+        this.templateValues = {};
+        this.host = null;
+        this.elements = {};
+    }
+
+    /**
+     * Create the shadow root and panel markup on first use
+     */
+    mount() {
+        if (this.host) {
+            return;
+        }
+
+        this.host = document.createElement('div');
+        this.host.id = 'draftly-panel-host';
+        const shadow = this.host.attachShadow({ mode: 'closed' });
+
+        const style = document.createElement('style');
+        style.textContent = PANEL_STYLES;
+
+        const panel = document.createElement('div');
+        panel.className = 'panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', 'Draftly');
+        panel.hidden = true;
+        panel.innerHTML = `
+            <header>
+                <span>✨ Draftly</span>
+                <button type="button" class="close" aria-label="Close">×</button>
+            </header>
+            <div class="body">
+                <div class="context"></div>
+                <div class="notice" role="status"></div>
+                <label>Template <select class="template"></select></label>
+                <div class="template-fields"></div>
+                <label>Instructions
+                    <textarea class="instructions" rows="3" placeholder="e.g. Accept the invitation and suggest Tuesday at 10"></textarea>
+                </label>
+                <div class="row">
+                    <label>Tone <select class="tone"></select></label>
+                    <label>Length <select class="length"></select></label>
+                </div>
+                <div class="row">
+                    <label>Language <select class="language"></select></label>
+                    <label class="check" title="Shown below the reply for reading; only the reply is inserted"><input type="checkbox" class="translate"> English translation</label>
+                </div>
+                <label class="check my-style-label"><input type="checkbox" class="my-style" checked> Write in my style</label>
+                <label class="check"><input type="checkbox" class="live"> Type into the draft while generating</label>
+                <button type="button" class="primary generate">Generate</button>
+                <div class="row thread-actions" hidden>
+                    <button type="button" class="secondary summarize">🧾 Summarize thread</button>
+                    <button type="button" class="secondary extract" title="Action items, meetings and deadlines for your calendar or task list">📅 Tasks &amp; dates</button>
+                </div>
+                <div class="result" aria-live="polite" hidden></div>
+                <div class="rewrite">
+                    <div class="row">
+                        <label>Rewrite selected text <select class="rewrite-action"></select></label>
+                        <label class="rewrite-language-label" hidden>Into <select class="rewrite-language"></select></label>
+                    </div>
+                    <button type="button" class="secondary rewrite-selection">✏️ Rewrite selection</button>
+                </div>
+                <div class="error" role="alert" hidden></div>
+                <div class="preview" aria-live="polite"></div>
+                <div class="translation" hidden></div>
+                <div class="actions">
+                    <button type="button" data-action="insert" title="Insert at the cursor">Insert</button>
+                    <button type="button" data-action="append" title="Add below your text, above the signature">Append</button>
+                    <button type="button" data-action="replace" title="Replace your text, keeping the signature and quote">Replace</button>
+                    <button type="button" data-action="regenerate">Regenerate</button>
+                    <button type="button" data-action="copy">Copy</button>
+                    <button type="button" data-action="undo" hidden>Undo</button>
+                </div>
+                <div class="status" aria-live="polite"></div>
+            </div>
+        `;
+
+        shadow.append(style, panel);
+
+        this.elements = {
+            panel,
+            context: panel.querySelector('.context'),
+            notice: panel.querySelector('.notice'),
+            template: panel.querySelector('.template'),
+            templateFields: panel.querySelector('.template-fields'),
+            instructions: panel.querySelector('.instructions'),
+            tone: panel.querySelector('.tone'),
+            length: panel.querySelector('.length'),
+            language: panel.querySelector('.language'),
+            translate: panel.querySelector('.translate'),
+            useStyle: panel.querySelector('.my-style'),
+            useStyleLabel: panel.querySelector('.my-style-label'),
+            live: panel.querySelector('.live'),
+            generate: panel.querySelector('.generate'),
+            threadActions: panel.querySelector('.thread-actions'),
+            summarize: panel.querySelector('.summarize'),
+            extract: panel.querySelector('.extract'),
+            result: panel.querySelector('.result'),
+            rewrite: panel.querySelector('.rewrite'),
+            rewriteAction: panel.querySelector('.rewrite-action'),
+            rewriteLanguage: panel.querySelector('.rewrite-language'),
+            rewriteLanguageLabel: panel.querySelector('.rewrite-language-label'),
+            rewriteSelection: panel.querySelector('.rewrite-selection'),
+            error: panel.querySelector('.error'),
+            preview: panel.querySelector('.preview'),
+            translation: panel.querySelector('.translation'),
+            status: panel.querySelector('.status'),
+            actions: panel.querySelectorAll('.actions button')
+        };
+
+        this.setToneOptions(PANEL_DEFAULT_TONES);
+        this.fillSelect(this.elements.length, PANEL_LENGTHS, '');
+        this.fillSelect(this.elements.language, PANEL_REPLY_LANGUAGES, '');
+        this.fillSelect(this.elements.rewriteAction, PANEL_REWRITE_ACTIONS, 'shorten');
+        this.fillSelect(this.elements.rewriteLanguage, PANEL_TRANSLATE_LANGUAGES, '');
+        this.setTemplates([], {});
+
+        panel.querySelector('.close').addEventListener('click', () => this.close());
+        this.elements.template.addEventListener('change', () => this.applyTemplate());
+        this.elements.templateFields.addEventListener('input', () => this.fillInstructionsFromTemplate());
+        this.elements.generate.addEventListener('click', () => {
+            if (this.abortController) {
+                this.stop();
+            } else {
+                this.generate();
+            }
+        });
+        this.elements.summarize.addEventListener('click', () => this.summarize());
+        this.elements.extract.addEventListener('click', () => this.extractItems());
+        this.elements.result.addEventListener('click', (event) => {
+            const action = event.target.closest('button')?.dataset.resultAction;
+            if (action) {
+                this.handleResultAction(action);
+            }
+        });
+        this.elements.rewriteAction.addEventListener('change', () => this.updateRewriteLanguage());
+        this.elements.rewriteSelection.addEventListener('click', () => this.rewrite());
+        this.elements.actions.forEach(button => {
+            button.addEventListener('click', () => this.handleAction(button.dataset.action));
+        });
+
+        // Keep the mail client's keyboard shortcuts from firing while typing in the panel
+        panel.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Escape') {
+                this.close();
+            }
+            if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                if (event.composedPath().includes(this.elements.rewrite)) {
+                    this.rewrite();
+                } else {
+                    this.generate();
+                }
+            }
+        });
+
+        document.body.appendChild(this.host);
+        this.updateActions();
+    }
+
+    /**
+     * Show the panel for a compose box or a standalone result
+     * @param {Object} options
+     * @param {string} options.context - One-line description of what the reply is for
+     * @param {boolean} options.canInsert - Whether a compose box is available
+     * @param {boolean} options.canReadThread - Whether a thread is open to summarize or extract items from
+     * @param {boolean} options.autoGenerate - Start generating immediately
+     */
+    open({ context = '', canInsert = true, canReadThread = false, autoGenerate = false } = {}) {
+        this.mount();
+        this.stop();
+        this.canInsert = canInsert;
+        this.elements.threadActions.hidden = !canReadThread;
+        this.clearResult();
+        this.elements.context.textContent = context;
+        this.elements.panel.hidden = false;
+        this.hideError();
+        this.setStatus('');
+        this.updateActions();
+
+        if (autoGenerate) {
+            this.generate();
+        } else {
+            this.elements.instructions.focus();
+        }
+    }
+
+    /**
+     * Move the keyboard focus to the rewrite picker; Ctrl+Enter there rewrites the selection
+     */
+    focusRewrite() {
+        this.mount();
+        this.elements.rewriteAction.focus();
+        this.setStatus('Pick a rewrite and press Ctrl+Enter.');
+    }
+
+    /**
+     * Hide the panel and stop any running generation
+     */
+    close() {
+        this.stop();
+        if (this.elements.panel) {
+            this.elements.panel.hidden = true;
+        }
+    }
+
+    /**
+     * Whether the panel is currently shown
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.elements.panel && !this.elements.panel.hidden);
+    }
+
+    /**
+     * Replace the tone choices
+     * @param {Array<{value: string, label: string}>} tones
+     */
+    setToneOptions(tones) {
+        this.fillSelect(this.elements.tone, tones, this.elements.tone?.value || '');
+    }
+
+    /**
+     * Offer the personal writing style once it has been learned; it is on until the user turns it off
+     * @param {number} sampleCount - How many of the user's emails the style was learned from
+     */
+    setStyleAvailable(sampleCount) {
+        const { useStyle, useStyleLabel } = this.elements;
+        if (!sampleCount) {
+            useStyle.checked = false;
+        } else if (useStyle.disabled) {
+            useStyle.checked = true;
+        }
+        useStyle.disabled = !sampleCount;
+        useStyleLabel.title = sampleCount
+            ? `Learned from ${sampleCount} of your emails`
+            : 'Add emails you wrote under "My writing style" in the Draftly popup first';
+    }
+
+    /**
+     * Replace the template choices and the values Draftly knows for their placeholders
+     * @param {Array<Object>} templates - Prompt templates ({ id, name, body })
+     * @param {Object} values - Placeholder values read from the thread
+     */
+    setTemplates(templates, values) {
+        this.templates = templates;
+        this.templateValues = values;
+        this.fillSelect(this.elements.template, [
+            { value: '', label: 'No template' },
+            ...templates.map(template => ({ value: template.id, label: template.name }))
+        ], '');
+        this.elements.templateFields.textContent = '';
+    }
+
+    /**
+     * Show an input for every placeholder of the selected template and fill the instructions
+     */
+    applyTemplate() {
+        const fields = this.elements.templateFields;
+        const template = this.getSelectedTemplate();
+        fields.textContent = '';
+
+        if (!template) {
+            this.elements.instructions.value = '';
+            return;
+        }
+
+        findTemplatePlaceholders(template.body).forEach(name => {
+            const label = document.createElement('label');
+            label.textContent = TEMPLATE_PLACEHOLDER_LABELS[name] || name.replace(/_/g, ' ');
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.dataset.placeholder = name;
+            input.value = this.templateValues[name] || '';
+            label.appendChild(input);
+            fields.appendChild(label);
+        });
+
+        this.fillInstructionsFromTemplate();
+
+        // Start with the first value Draftly could not fill in
+        const firstEmpty = Array.from(fields.querySelectorAll('input')).find(input => !input.value);
+        (firstEmpty || this.elements.instructions).focus();
+    }
+
+    /**
+     * Rebuild the instructions from the selected template and the placeholder inputs
+     */
+    fillInstructionsFromTemplate() {
+        const template = this.getSelectedTemplate();
+        if (!template) {
+            return;
+        }
+        this.elements.instructions.value = fillTemplate(template.body, this.getTemplateInputValues());
+    }
+
+    /**
+     * Values typed into the placeholder inputs
+     * @returns {Object} - Values by placeholder name
+     */
+    getTemplateInputValues() {
+        const values = {};
+        this.elements.templateFields.querySelectorAll('input').forEach(input => {
+            values[input.dataset.placeholder] = input.value.trim();
+        });
+        return values;
+    }
+
+    /**
+     * @returns {Object|null} - The selected template
+     */
+    getSelectedTemplate() {
+        const id = this.elements.template?.value;
+        return this.templates.find(template => template.id === id) || null;
+    }
+
+    /**
+     * Fill a select with options, keeping the selection when possible
+     * @param {HTMLSelectElement} select
+     * @param {Array<{value: string, label: string}>} options
+     * @param {string} selected
+     */
+    fillSelect(select, options, selected) {
+        if (!select) {
+            return;
+        }
+        select.textContent = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        if (options.some(option => option.value === selected)) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * Run the generate handler and stream the result into the preview
+     */
+    async generate() {
+        if (this.abortController) {
+            return;
+        }
+
+        const instructions = this.elements.instructions.value.trim();
+        const missing = findTemplatePlaceholders(instructions);
+        if (missing.length) {
+            this.showError(`Fill in ${missing.map(name => `{{${name}}}`).join(', ')} before generating.`);
+            return;
+        }
+
+        const reply = await this.runStreaming(handlers => this.handlers.generate({
+            instructions,
+            tone: this.elements.tone.value,
+            length: this.elements.length.value,
+            language: this.elements.language.value,
+            showTranslation: this.elements.translate.checked,
+            useStyle: this.elements.useStyle.checked,
+            live: this.elements.live.checked && this.canInsert,
+            template: this.getSelectedTemplate()?.name || ''
+        }, handlers));
+        if (reply !== null && this.replyLanguage) {
+            this.setStatus(formatReplyLanguage(this.replyLanguage));
+        }
+    }
+
+    /**
+     * Rewrite the text selected in the draft and put the result in its place
+     * @param {string} [action] - Rewrite action, defaults to the one picked in the panel
+     * @param {string} [language] - Translation target for 'translate'
+     */
+    async rewrite(action = this.elements.rewriteAction.value, language = this.elements.rewriteLanguage.value) {
+        if (this.abortController) {
+            return;
+        }
+
+        this.elements.rewriteAction.value = action;
+        this.elements.rewriteLanguage.value = language || '';
+        this.updateRewriteLanguage();
+
+        const text = await this.runStreaming(handlers => this.handlers.rewrite({ action, language }, handlers));
+        if (text === null) {
+            return;
+        }
+
+        if (this.handlers.replaceSelection(text)) {
+            this.canUndo = true;
+            this.updateActions();
+            this.setStatus('Selection rewritten. Click Undo, or press Ctrl+Z in the draft, to get the original back.');
+        } else {
+            this.showError('The selected text is no longer in the draft. Copy the rewrite from the preview instead.');
+        }
+    }
+
+    /**
+     * Summarize the open thread into the result box; the reply preview is left alone
+     * @param {Object} options - refresh makes a new summary instead of using the cached one
+     */
+    async summarize({ refresh = false } = {}) {
+        const summary = await this.runThreadTask('🧾 Summarizing the thread…', handlers => this.handlers.summarize({ refresh }, handlers));
+        if (!summary) {
+            return;
+        }
+
+        this.showSummary(summary);
+        this.setStatus(summary.cached ? 'Summary from cache; no tokens used. Click Refresh for a new one.' : '');
+    }
+
+    /**
+     * Extract action items, meetings and deadlines from the open thread into the result box
+     */
+    async extractItems() {
+        const items = await this.runThreadTask('📅 Looking for action items, meetings and deadlines…', handlers => this.handlers.extract(handlers));
+        if (!items) {
+            return;
+        }
+
+        this.showExtraction(items);
+        this.setStatus(hasExtractedItems(items) ? 'Export the items for your calendar or task list.' : 'No action items, meetings or deadlines found.');
+    }
+
+    /**
+     * Run a handler that reads the thread, with Stop and retries like a generation
+     * @param {string} status - Shown while the task runs
+     * @param {Function} task - ({ onRetry, signal }) => Promise<Object>
+     * @returns {Promise<Object|null>} - The result, or null when it failed or was stopped
+     */
+    async runThreadTask(status, task) {
+        if (this.abortController) {
+            return null;
+        }
+
+        const abortController = new AbortController();
+        this.abortController = abortController;
+        // stop() keeps partialReply, which is the reply shown before the task
+        this.partialReply = this.reply;
+        this.hideError();
+        this.setStatus(status);
+        this.setGenerating(true);
+
+        try {
+            const result = await task({
+                signal: abortController.signal,
+                onRetry: (retry) => this.setStatus(formatRetryStatus(retry))
+            });
+            if (this.abortController === abortController) {
+                return result;
+            }
+        } catch (error) {
+            if (this.abortController === abortController) {
+                this.setStatus('');
+                this.showError(error.message);
+            }
+        } finally {
+            if (this.abortController === abortController) {
+                this.abortController = null;
+                this.setGenerating(false);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Render a thread summary without using innerHTML
+     * @param {Object} summary - { tldr, decisions, openQuestions, actionItems }
+     */
+    showSummary(summary) {
+        this.result = summary;
+        const box = this.createResultBox('Thread summary', [['refresh', 'Refresh'], ['copy', 'Copy']]);
+
+        const tldr = document.createElement('p');
+        tldr.textContent = summary.tldr;
+        box.appendChild(tldr);
+
+        this.appendResultList(localize('summaryDecisions'), summary.decisions);
+        this.appendResultList(localize('summaryOpenQuestions'), summary.openQuestions);
+        this.appendResultList(localize('summaryActionItems'), summary.actionItems.map(formatActionItem));
+    }
+
+    /**
+     * Render extracted items with their dates in the user's locale, and the export buttons
+     * @param {Object} items - { actionItems, meetings, deadlines, subject }
+     */
+    showExtraction(items) {
+        this.result = items;
+        const exports = hasExtractedItems(items)
+            ? Object.entries(TASK_EXPORT_FORMATS).map(([format, { label }]) => [format, label])
+            : [];
+        this.createResultBox('Tasks & dates', exports);
+
+        this.appendResultList('Action items', items.actionItems.map(item => [
+            item.task,
+            item.owner,
+            item.due ? `due ${formatItemDate(item.due)}` : ''
+        ].filter(Boolean).join(' · ')));
+        this.appendResultList('Meetings', items.meetings.map(meeting => [
+            meeting.title,
+            formatItemDate(meeting.start),
+            meeting.location,
+            meeting.confirmed ? '' : 'proposed'
+        ].filter(Boolean).join(' · ')));
+        this.appendResultList('Deadlines', items.deadlines.map(deadline => `${formatItemDate(deadline.date)}: ${deadline.title}`));
+    }
+
+    /**
+     * Empty the result box and give it a header
+     * @param {string} title
+     * @param {Array<Array<string>>} actions - [action, label] pairs for the header buttons
+     * @returns {HTMLElement} - The result box
+     */
+    createResultBox(title, actions) {
+        const box = this.elements.result;
+        box.textContent = '';
+        box.hidden = false;
+
+        const header = document.createElement('div');
+        header.className = 'result-header';
+        const heading = document.createElement('span');
+        heading.textContent = title;
+        header.appendChild(heading);
+        actions.forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.resultAction = action;
+            button.textContent = label;
+            header.appendChild(button);
+        });
+        box.appendChild(header);
+        return box;
+    }
+
+    /**
+     * Add a titled list to the result box, if it has items
+     * @param {string} title
+     * @param {Array<string>} items
+     */
+    appendResultList(title, items) {
+        if (!items.length) {
+            return;
+        }
+
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        const list = document.createElement('ul');
+        items.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        this.elements.result.append(heading, list);
+    }
+
+    /**
+     * Hide the result box
+     */
+    clearResult() {
+        this.result = null;
+        this.elements.result.textContent = '';
+        this.elements.result.hidden = true;
+    }
+
+    /**
+     * Handle one of the result box's header buttons
+     * @param {string} action - refresh, copy, or a TASK_EXPORT_FORMATS key
+     */
+    async handleResultAction(action) {
+        if (action === 'refresh') {
+            this.summarize({ refresh: true });
+            return;
+        }
+
+        if (action === 'copy') {
+            try {
+                await navigator.clipboard.writeText(formatThreadSummary(this.result));
+                this.setStatus('Summary copied to clipboard.');
+            } catch (error) {
+                this.showError('Failed to copy to clipboard.');
+            }
+            return;
+        }
+
+        if (TASK_EXPORT_FORMATS[action]) {
+            downloadTaskExport(this.result, action);
+            this.setStatus(`${TASK_EXPORT_FORMATS[action].label} file downloaded.`);
+        }
+    }
+
+    /**
+     * Show the language picker only for translations
+     */
+    updateRewriteLanguage() {
+        this.elements.rewriteLanguageLabel.hidden = this.elements.rewriteAction.value !== 'translate';
+    }
+
+    /**
+     * Run a handler that streams text into the preview
+     * @param {Function} task - ({ onToken, onRetry, signal }) => Promise<string>
+     * @returns {Promise<string|null>} - The finished text, or null when it failed or was stopped
+     */
+    async runStreaming(task) {
+        const abortController = new AbortController();
+        this.abortController = abortController;
+        this.reply = '';
+        this.partialReply = '';
+        this.replyLanguage = null;
+        this.canUndo = false;
+        this.hideError();
+        this.setStatus('');
+        this.renderPreview('');
+        this.elements.translation.hidden = true;
+        this.setGenerating(true);
+
+        try {
+            const text = await task({
+                signal: abortController.signal,
+                onToken: (token, textSoFar) => {
+                    this.partialReply = textSoFar;
+                    this.renderPreview(textSoFar);
+                    this.setStatus('');
+                },
+                onRetry: (retry) => this.setStatus(formatRetryStatus(retry)),
+                onLanguage: (language) => {
+                    this.replyLanguage = language;
+                },
+                onTranslation: (translation) => this.showTranslation(translation)
+            });
+            if (this.abortController === abortController) {
+                this.showReply(text);
+                return text;
+            }
+        } catch (error) {
+            // Stopped requests are already settled by stop()
+            if (this.abortController === abortController) {
+                this.showError(error.message);
+            }
+        } finally {
+            if (this.abortController === abortController) {
+                this.abortController = null;
+                this.setGenerating(false);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Abort a running generation, keeping what was written so far
+     */
+    stop() {
+        if (!this.abortController) {
+            return;
+        }
+
+        this.abortController.abort();
+        this.abortController = null;
+        this.reply = this.partialReply || '';
+        this.setGenerating(false);
+        if (this.reply) {
+            this.setStatus('Generation stopped.');
+        }
+    }
+
+    /**
+     * Show a finished reply in the preview
+     * @param {string} reply
+     */
+    showReply(reply) {
+        this.mount();
+        this.reply = reply;
+        this.renderPreview(reply);
+        this.updateActions();
+    }
+
+    /**
+     * Show the translation of a reply below the preview; it is for reading and never inserted
+     * @param {Object} translation - { language, text }, or { error } when translating failed
+     */
+    showTranslation({ language, text, error }) {
+        const box = this.elements.translation;
+        const title = document.createElement('strong');
+        title.textContent = error ? 'No translation' : `${language} translation`;
+        box.textContent = '';
+        box.append(title, error || text);
+        box.hidden = false;
+    }
+
+    /**
+     * Show an error inside the panel
+     * @param {string} message
+     */
+    showError(message) {
+        this.mount();
+        this.elements.error.textContent = message;
+        this.elements.error.hidden = false;
+    }
+
+    hideError() {
+        if (this.elements.error) {
+            this.elements.error.hidden = true;
+        }
+    }
+
+    /**
+     * Show a warning above the form, e.g. a budget that is almost used up
+     * @param {string} message - Warning, '' to hide it
+     */
+    setNotice(message) {
+        if (this.elements.notice) {
+            this.elements.notice.textContent = message;
+        }
+    }
+
+    /**
+     * Show a short confirmation below the actions
+     * @param {string} message
+     */
+    setStatus(message) {
+        if (this.elements.status) {
+            this.elements.status.textContent = message;
+        }
+    }
+
+    /**
+     * Toggle the Generate/Stop button and disable actions while streaming
+     * @param {boolean} isGenerating
+     */
+    setGenerating(isGenerating) {
+        this.elements.generate.textContent = isGenerating ? '⏹ Stop' : 'Generate';
+        this.elements.generate.classList.toggle('stop', isGenerating);
+        this.elements.preview.classList.toggle('streaming', isGenerating);
+        this.elements.rewriteSelection.disabled = isGenerating;
+        this.elements.summarize.disabled = isGenerating;
+        this.elements.extract.disabled = isGenerating;
+        this.elements.result.querySelectorAll('button').forEach(button => {
+            button.disabled = isGenerating;
+        });
+        this.updateActions();
+    }
+
+    /**
+     * Enable actions that make sense for the current state
+     */
+    updateActions() {
+        const busy = Boolean(this.abortController);
+        this.elements.actions.forEach(button => {
+            const action = button.dataset.action;
+            if (action === 'undo') {
+                button.hidden = !this.canUndo;
+                button.disabled = busy;
+                return;
+            }
+
+            const needsReply = action !== 'regenerate';
+            const needsComposeBox = ['insert', 'append', 'replace'].includes(action);
+            button.disabled = busy || (needsReply && !this.reply) || (needsComposeBox && !this.canInsert);
+        });
+    }
+
+    /**
+     * Handle one of the action buttons
+     * @param {string} action - insert, append, replace, regenerate, copy or undo
+     */
+    async handleAction(action) {
+        if (action === 'regenerate') {
+            this.generate();
+            return;
+        }
+
+        if (action === 'undo') {
+            this.canUndo = false;
+            this.updateActions();
+            if (this.handlers.undo()) {
+                this.setStatus('Draft restored.');
+            } else {
+                this.showError('The draft changed since Draftly edited it. Press Ctrl+Z in the draft instead.');
+            }
+            return;
+        }
+
+        if (action === 'copy') {
+            try {
+                await navigator.clipboard.writeText(this.reply);
+                this.setStatus('Copied to clipboard.');
+            } catch (error) {
+                this.showError('Failed to copy to clipboard.');
+            }
+            return;
+        }
+
+        if (this.handlers.insert(this.reply, action)) {
+            this.canUndo = true;
+            this.updateActions();
+            this.setStatus(INSERT_STATUS[action]);
+        } else {
+            this.showError('The draft this reply was for is no longer open.');
+        }
+    }
+
+    /**
+     * Render reply text as paragraphs and lists without using innerHTML
+     * @param {string} text
+     */
+    renderPreview(text) {
+        const preview = this.elements.preview;
+        preview.textContent = '';
+
+        text.split(/\n{2,}/).filter(block => block.trim()).forEach(block => {
+            const lines = block.split('\n');
+            const isBulleted = lines.every(line => /^\s*[-*•]\s+/.test(line));
+            const isNumbered = lines.every(line => /^\s*\d+[.)]\s+/.test(line));
+
+            if (isBulleted || isNumbered) {
+                const list = document.createElement(isNumbered ? 'ol' : 'ul');
+                lines.forEach(line => {
+                    const item = document.createElement('li');
+                    item.textContent = line.replace(/^\s*([-*•]|\d+[.)])\s+/, '');
+                    list.appendChild(item);
+                });
+                preview.appendChild(list);
+                return;
+            }
+
+            const paragraph = document.createElement('p');
+            lines.forEach((line, index) => {
+                if (index > 0) {
+                    paragraph.appendChild(document.createElement('br'));
+                }
+                paragraph.appendChild(document.createTextNode(line));
+            });
+            preview.appendChild(paragraph);
+        });
+
+        preview.scrollTop = preview.scrollHeight;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DraftlyPanel = DraftlyPanel;
+}
@@ -0,0 +1,614 @@
+/**
+ * Draftly Site Adapters
+ * Everything the content script needs to know about a webmail client:
+ * finding compose boxes, extracting the thread a draft replies to and inserting text
+ * (through ComposeInserter, content/compose-inserter.js).
+ * Add a client by subclassing SiteAdapter and registering it in SITE_ADAPTERS.
+ */
+
+// Quoted history and signatures shared by most clients (Outlook markup also shows up in Gmail)
+const COMMON_QUOTE_SELECTORS = [
+    'blockquote'
+];
+
+// Markers Outlook puts before the quoted message, which follows as sibling elements
+const QUOTE_START_SELECTORS = [
+    '#divRplyFwdMsg',
+    '[id$="_divRplyFwdMsg"]',
+    '#appendonsend',
+    '[id$="_appendonsend"]'
+].join(', ');
+
+// Plain-text markers that start quoted history or a signature
+const QUOTE_HEADER_PATTERNS = [
+    /^On .+wrote:\s*$/m,
+    /^-{2,}\s*Original Message\s*-{2,}/im,
+    /^-{2,}\s*Forwarded message\s*-{2,}/im,
+    /^From: .+\n(Sent|Date): /m,
+    /^_{10,}\s*$/m,
+    /^-- ?$/m
+];
+
+// Subjects of replies in the supported UI languages
+const REPLY_SUBJECT_PATTERN = /^(re|aw|sv|antw|réf|rif|res):/i;
+
+const BLOCK_TAGS = new Set(['DIV', 'P', 'LI', 'TR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'UL', 'OL', 'TABLE']);
+
+/**
+ * Base Site Adapter Class
+ * Subclasses provide selectors and thread parsing; insertion and text cleanup are shared
+ */
+class SiteAdapter {
+    constructor() {
+        this.inserter = new ComposeInserter();
+    }
+
+    static get id() {
+        throw new Error('Site adapter must define an id');
+    }
+
+    static get label() {
+        return this.id;
+    }
+
+    /**
+     * Hostnames served by this client
+     * @returns {Array<string>}
+     */
+    static get hostnames() {
+        return [];
+    }
+
+    /**
+     * Selector matching the editable body of every open draft
+     * @returns {string}
+     */
+    get composeSelector() {
+        throw new Error('Site adapter must define a compose selector');
+    }
+
+    /**
+     * Selectors for quoted history and signatures inside a message body
+     * @returns {Array<string>}
+     */
+    get quoteSelectors() {
+        return COMMON_QUOTE_SELECTORS;
+    }
+
+    /**
+     * Selector for the parts of a draft replies must stay above: signature and quoted history
+     * @returns {string}
+     */
+    get draftBoundarySelector() {
+        return [...this.quoteSelectors, QUOTE_START_SELECTORS].join(', ');
+    }
+
+    /**
+     * Find all open compose boxes
+     * @param {ParentNode} root
+     * @returns {Array<HTMLElement>}
+     */
+    findComposeBoxes(root = document) {
+        return Array.from(root.querySelectorAll(this.composeSelector));
+    }
+
+    /**
+     * Get the compose box an element belongs to
+     * @param {Element|null} element
+     * @returns {HTMLElement|null}
+     */
+    getComposeBox(element) {
+        return element?.closest?.(this.composeSelector) || null;
+    }
+
+    /**
+     * Element the Draftly buttons are appended to
+     * @param {HTMLElement} composeBox
+     * @returns {HTMLElement|null}
+     */
+    getButtonContainer(composeBox) {
+        return composeBox.parentElement;
+    }
+
+    /**
+     * Read the thread a compose box replies to
+     * @param {HTMLElement} composeBox
+     * @returns {Object|null} thread with at least one message, or null for a new message
+     */
+    getThreadForComposeBox(composeBox) {
+        const threadRoot = this.getThreadRoot(composeBox);
+        const thread = threadRoot ? this.extractThread(threadRoot) : null;
+        return thread?.messages.length ? thread : null;
+    }
+
+    /**
+     * Read the thread open on the page, with or without a draft
+     * @returns {Object|null} thread with at least one message, or null
+     */
+    getOpenThread() {
+        const threadRoot = this.getOpenThreadRoot();
+        const thread = threadRoot ? this.extractThread(threadRoot) : null;
+        return thread?.messages.length ? thread : null;
+    }
+
+    /**
+     * Find the part of the page holding the thread a compose box replies to
+     * @param {HTMLElement} composeBox
+     * @returns {HTMLElement|null}
+     */
+    getThreadRoot() {
+        throw new Error('Site adapter must implement getThreadRoot');
+    }
+
+    /**
+     * Find the part of the page holding the open conversation
+     * @returns {HTMLElement|null}
+     */
+    getOpenThreadRoot() {
+        throw new Error('Site adapter must implement getOpenThreadRoot');
+    }
+
+    /**
+     * Extract a thread as structured messages, oldest first
+     * @param {ParentNode} root - Element containing the thread
+     * @returns {{subject: string, threadId: string|null, userEmail: string|null, messages: Array<Object>}}
+     */
+    extractThread() {
+        throw new Error('Site adapter must implement extractThread');
+    }
+
+    /**
+     * Address of the signed-in account
+     * @returns {string|null} lowercase email
+     */
+    getAccountEmail() {
+        return null;
+    }
+
+    /**
+     * Mark messages sent by the signed-in account
+     * @param {Array<Object>} messages
+     * @param {string|null} userEmail
+     */
+    markOwnMessages(messages, userEmail) {
+        messages.forEach(message => {
+            message.isFromMe = Boolean(userEmail && message.sender.email?.toLowerCase() === userEmail);
+        });
+    }
+
+    /**
+     * Insert text into a compose box as formatted paragraphs and lists,
+     * above the signature and quoted history
+     * @param {HTMLElement} composeBox
+     * @param {string} text
+     * @param {Object} options - mode 'insert' (at range, or after the user's text), 'append'
+     *                           (after the user's text) or 'replace' (the user's text);
+     *                           range is the caret or selection to insert at
+     * @returns {Range|null} caret after the inserted text
+     */
+    insertText(composeBox, text, { mode = 'insert', range = null } = {}) {
+        return this.inserter.insert(composeBox, text, { mode, range, boundarySelector: this.draftBoundarySelector });
+    }
+
+    /**
+     * Start typing a reply into a compose box while it is generated
+     * @param {HTMLElement} composeBox
+     * @param {Object} options - mode and range as for insertText()
+     * @returns {{type: Function, finish: Function}} stream
+     */
+    startTextStream(composeBox, { mode = 'insert', range = null } = {}) {
+        return this.inserter.startStream(composeBox, { mode, range, boundarySelector: this.draftBoundarySelector });
+    }
+
+    /**
+     * Undo Draftly's last insertion into a compose box
+     * @param {HTMLElement} composeBox
+     * @returns {boolean} false when the draft changed since, or nothing was inserted
+     */
+    undoInsert(composeBox) {
+        return this.inserter.undo(composeBox);
+    }
+
+    /**
+     * Get the text of a selection in a compose box, keeping its line breaks
+     * @param {Range} range
+     * @returns {string} text
+     */
+    getRangeText(range) {
+        const container = document.createElement('div');
+        container.appendChild(range.cloneContents());
+        return nodeToPlainText(container).replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Get a message body without quoted history or signature
+     * @param {HTMLElement} bodyEl - Message body element
+     * @returns {string} body text
+     */
+    extractMessageBody(bodyEl) {
+        const clone = bodyEl.cloneNode(true);
+        clone.querySelectorAll(QUOTE_START_SELECTORS).forEach(el => {
+            while (el.nextSibling) {
+                el.nextSibling.remove();
+            }
+            el.remove();
+        });
+        clone.querySelectorAll(this.quoteSelectors.join(', ')).forEach(el => el.remove());
+
+        let text = nodeToPlainText(clone);
+
+        // Plain-text mail carries its history inline
+        QUOTE_HEADER_PATTERNS.forEach(pattern => {
+            const match = pattern.exec(text);
+            if (match) {
+                text = text.slice(0, match.index);
+            }
+        });
+
+        return text
+            .split('\n')
+            .filter(line => !line.startsWith('>'))
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Convert a date string shown by the client to an ISO timestamp
+     * @param {string} text
+     * @returns {string|null} ISO timestamp, or null when the format cannot be parsed
+     */
+    parseDate(text) {
+        const date = new Date((text || '').replace(/\s+at\s+/, ' ').replace(/\u202f/g, ' '));
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+}
+
+// Gmail thread markup
+const GMAIL_SELECTORS = {
+    compose: 'div[role="textbox"][contenteditable="true"]',
+    subject: 'h2.hP',
+    message: 'div.adn',
+    collapsedMessage: 'div.kv',
+    sender: 'span.gD',
+    collapsedSender: 'span.zF',
+    recipients: 'span.g2',
+    date: 'span.g3',
+    body: 'div.a3s',
+    snippet: 'span.y2',
+    attachmentName: 'span.aV3'
+};
+
+/**
+ * Gmail Adapter
+ */
+class GmailAdapter extends SiteAdapter {
+    static get id() {
+        return 'gmail';
+    }
+
+    static get label() {
+        return 'Gmail';
+    }
+
+    static get hostnames() {
+        return ['mail.google.com'];
+    }
+
+    get composeSelector() {
+        return GMAIL_SELECTORS.compose;
+    }
+
+    get quoteSelectors() {
+        return [
+            '.gmail_quote',
+            '.gmail_extra',
+            '.gmail_signature',
+            '[data-smartmail="gmail_signature"]',
+            'div.yj6qo',
+            ...COMMON_QUOTE_SELECTORS
+        ];
+    }
+
+    getThreadRoot(composeBox) {
+        const dialog = composeBox.closest('[role="dialog"]');
+
+        // Inline replies sit inside the conversation they answer
+        if (!dialog) {
+            for (let el = composeBox.parentElement; el; el = el.parentElement) {
+                if (el.querySelector(GMAIL_SELECTORS.message)) {
+                    return el;
+                }
+            }
+            return null;
+        }
+
+        // Pop-out replies float above the conversation that is still open
+        const subject = dialog.querySelector('input[name="subjectbox"]')?.value || '';
+        return REPLY_SUBJECT_PATTERN.test(subject) ? document.querySelector('[role="main"]') : null;
+    }
+
+    getOpenThreadRoot() {
+        const main = document.querySelector('[role="main"]');
+        return main?.querySelector(`${GMAIL_SELECTORS.message}, ${GMAIL_SELECTORS.collapsedMessage}`) ? main : null;
+    }
+
+    extractThread(root = document) {
+        const subjectEl = root.querySelector(GMAIL_SELECTORS.subject) || document.querySelector(GMAIL_SELECTORS.subject);
+        const userEmail = this.getAccountEmail();
+        const nodes = root.querySelectorAll(`${GMAIL_SELECTORS.message}, ${GMAIL_SELECTORS.collapsedMessage}`);
+
+        const messages = Array.from(nodes)
+            .map(node => node.matches(GMAIL_SELECTORS.message) ? this.parseExpandedMessage(node) : this.parseCollapsedMessage(node))
+            .filter(message => message && (message.body || message.attachments.length));
+
+        this.markOwnMessages(messages, userEmail);
+
+        return {
+            subject: subjectEl?.textContent.trim() || '',
+            threadId: subjectEl?.getAttribute('data-legacy-thread-id') || subjectEl?.getAttribute('data-thread-perm-id') || null,
+            userEmail,
+            messages
+        };
+    }
+
+    /**
+     * Parse a fully expanded message
+     * @param {HTMLElement} node - div.adn message container
+     * @returns {Object|null} message
+     */
+    parseExpandedMessage(node) {
+        const bodyEl = node.querySelector(GMAIL_SELECTORS.body);
+        if (!bodyEl) {
+            return null;
+        }
+
+        const dateEl = node.querySelector(GMAIL_SELECTORS.date);
+
+        return {
+            id: node.getAttribute('data-legacy-message-id') || node.querySelector('[data-legacy-message-id]')?.getAttribute('data-legacy-message-id') || null,
+            sender: this.parsePerson(node.querySelector(GMAIL_SELECTORS.sender)),
+            recipients: Array.from(node.querySelectorAll(GMAIL_SELECTORS.recipients)).map(el => this.parsePerson(el)),
+            timestamp: this.parseDate(dateEl?.getAttribute('title')),
+            dateText: dateEl?.getAttribute('title') || dateEl?.textContent.trim() || '',
+            body: this.extractMessageBody(bodyEl),
+            attachments: Array.from(node.querySelectorAll(GMAIL_SELECTORS.attachmentName))
+                .map(el => el.textContent.trim())
+                .filter(Boolean),
+            collapsed: false
+        };
+    }
+
+    /**
+     * Parse a collapsed message, which only exposes a snippet
+     * @param {HTMLElement} node - div.kv collapsed message
+     * @returns {Object} message
+     */
+    parseCollapsedMessage(node) {
+        const dateEl = node.querySelector(GMAIL_SELECTORS.date);
+
+        return {
+            id: null,
+            sender: this.parsePerson(node.querySelector(`${GMAIL_SELECTORS.sender}, ${GMAIL_SELECTORS.collapsedSender}`)),
+            recipients: [],
+            timestamp: this.parseDate(dateEl?.getAttribute('title')),
+            dateText: dateEl?.getAttribute('title') || dateEl?.textContent.trim() || '',
+            body: node.querySelector(GMAIL_SELECTORS.snippet)?.textContent.replace(/^\s*-\s*/, '').trim() || '',
+            attachments: [],
+            collapsed: true
+        };
+    }
+
+    /**
+     * Read name and address from a Gmail person chip
+     * @param {HTMLElement|null} el - Element carrying name/email attributes
+     * @returns {{name: string, email: string|null}} person
+     */
+    parsePerson(el) {
+        if (!el) {
+            return { name: '', email: null };
+        }
+        return {
+            name: el.getAttribute('name') || el.textContent.trim(),
+            email: el.getAttribute('email') || null
+        };
+    }
+
+    /**
+     * Gmail puts the account address in the page title
+     */
+    getAccountEmail() {
+        const match = document.title.match(/[\w.+-]+@[\w-]+\.[\w.-]+/);
+        return match ? match[0].toLowerCase() : null;
+    }
+}
+
+// Outlook on the web markup (outlook.office.com, outlook.live.com)
+const OUTLOOK_SELECTORS = {
+    compose: 'div[contenteditable="true"][role="textbox"][aria-multiline="true"], div[id^="editorParent"] div[contenteditable="true"]',
+    composeForm: '[data-app-section="ComposeForm"], [role="dialog"], form',
+    subjectInput: 'input[aria-label*="subject" i], input[id^="subjectLine"]',
+    readingPane: '#ReadingPaneContainerId, [data-app-section="ConversationContainer"]',
+    subject: '[data-app-section="ConversationContainer"] [role="heading"], #ReadingPaneContainerId [role="heading"]',
+    message: '[data-app-section="ConversationContainer"] [role="listitem"], #ReadingPaneContainerId [role="listitem"]',
+    body: 'div[aria-label="Message body"], div.allowTextSelection',
+    person: 'span[title*="@"]',
+    recipients: '[aria-label^="To" i] span[title*="@"], [data-testid="RecipientWell"] span[title*="@"]',
+    date: '[data-testid="SentReceivedSavedTime"]',
+    preview: '[data-testid="ConversationReadingPaneMessagePreview"], span[title]:not([title*="@"])',
+    attachmentName: '[data-testid="AttachmentCard"] [title], [role="listitem"][aria-label*="attachment" i] [title]',
+    accountEmail: '#mectrl_currentAccount_secondary'
+};
+
+/**
+ * Outlook on the web Adapter (Microsoft 365 and Outlook.com)
+ */
+class OutlookAdapter extends SiteAdapter {
+    static get id() {
+        return 'outlook';
+    }
+
+    static get label() {
+        return 'Outlook';
+    }
+
+    static get hostnames() {
+        return ['outlook.office.com', 'outlook.office365.com', 'outlook.live.com'];
+    }
+
+    get composeSelector() {
+        return OUTLOOK_SELECTORS.compose;
+    }
+
+    get quoteSelectors() {
+        return [
+            '#Signature',
+            '[id$="_Signature"]',
+            '[id^="signature"]',
+            ...COMMON_QUOTE_SELECTORS
+        ];
+    }
+
+    getThreadRoot(composeBox) {
+        // Inline replies are rendered inside the reading pane, below the conversation
+        const readingPane = composeBox.closest(OUTLOOK_SELECTORS.readingPane);
+        if (readingPane?.querySelector(OUTLOOK_SELECTORS.body)) {
+            return readingPane;
+        }
+
+        // Popped-out replies keep the conversation open behind them
+        const form = composeBox.closest(OUTLOOK_SELECTORS.composeForm) || document;
+        const subject = form.querySelector(OUTLOOK_SELECTORS.subjectInput)?.value || '';
+        const conversation = document.querySelector(OUTLOOK_SELECTORS.readingPane);
+        return REPLY_SUBJECT_PATTERN.test(subject) && conversation?.querySelector(OUTLOOK_SELECTORS.body)
+            ? conversation
+            : null;
+    }
+
+    getOpenThreadRoot() {
+        const conversation = document.querySelector(OUTLOOK_SELECTORS.readingPane);
+        return conversation?.querySelector(OUTLOOK_SELECTORS.message) ? conversation : null;
+    }
+
+    extractThread(root = document) {
+        const userEmail = this.getAccountEmail();
+        const subjectEl = root.querySelector(OUTLOOK_SELECTORS.subject);
+
+        // Compose boxes are list items too; skip anything that is being edited
+        const messages = Array.from(root.querySelectorAll(OUTLOOK_SELECTORS.message))
+            .filter(node => !node.querySelector(this.composeSelector) && !node.parentElement.closest(OUTLOOK_SELECTORS.message))
+            .map(node => this.parseMessage(node))
+            .filter(message => message.body || message.attachments.length);
+
+        this.markOwnMessages(messages, userEmail);
+
+        return {
+            subject: subjectEl?.textContent.trim() || '',
+            threadId: (root.closest('[data-convid]') || root.querySelector('[data-convid]'))?.getAttribute('data-convid') || null,
+            userEmail,
+            messages
+        };
+    }
+
+    /**
+     * Parse a conversation item; collapsed items only show a preview line
+     * @param {HTMLElement} node - Conversation list item
+     * @returns {Object} message
+     */
+    parseMessage(node) {
+        const bodyEl = node.querySelector(OUTLOOK_SELECTORS.body);
+        const dateEl = node.querySelector(OUTLOOK_SELECTORS.date);
+        const dateText = dateEl?.getAttribute('title') || dateEl?.textContent.trim() || '';
+        const recipientEls = node.querySelectorAll(OUTLOOK_SELECTORS.recipients);
+        const sender = this.parsePerson(Array.from(node.querySelectorAll(OUTLOOK_SELECTORS.person))
+            .find(el => !Array.from(recipientEls).includes(el)));
+
+        return {
+            id: node.getAttribute('data-item-id') || null,
+            sender,
+            recipients: Array.from(recipientEls).map(el => this.parsePerson(el)),
+            timestamp: this.parseDate(dateText),
+            dateText,
+            body: bodyEl
+                ? this.extractMessageBody(bodyEl)
+                : node.querySelector(OUTLOOK_SELECTORS.preview)?.textContent.trim() || '',
+            attachments: Array.from(node.querySelectorAll(OUTLOOK_SELECTORS.attachmentName))
+                .map(el => el.getAttribute('title').trim())
+                .filter(Boolean),
+            collapsed: !bodyEl
+        };
+    }
+
+    /**
+     * Outlook persona chips show the name and keep the address in the title
+     * @param {HTMLElement|undefined} el
+     * @returns {{name: string, email: string|null}} person
+     */
+    parsePerson(el) {
+        if (!el) {
+            return { name: '', email: null };
+        }
+        const email = el.getAttribute('title').match(/[\w.+-]+@[\w-]+\.[\w.-]+/)?.[0] || null;
+        return {
+            name: el.textContent.trim().replace(/[<>]/g, '') || email || '',
+            email
+        };
+    }
+
+    /**
+     * The Microsoft account menu holds the signed-in address
+     */
+    getAccountEmail() {
+        const text = document.querySelector(OUTLOOK_SELECTORS.accountEmail)?.textContent || '';
+        const match = text.match(/[\w.+-]+@[\w-]+\.[\w.-]+/);
+        return match ? match[0].toLowerCase() : null;
+    }
+}
+
+/**
+ * Registry of supported webmail clients
+ */
+const SITE_ADAPTERS = [GmailAdapter, OutlookAdapter];
+
+/**
+ * Create the adapter for the current page
+ * @param {string} hostname - location.hostname
+ * @returns {SiteAdapter|null} - null when the site is not supported
+ */
+function createSiteAdapter(hostname) {
+    const AdapterClass = SITE_ADAPTERS.find(adapter => adapter.hostnames.includes(hostname));
+    return AdapterClass ? new AdapterClass() : null;
+}
+
+/**
+ * Convert a detached DOM tree to text, keeping line and paragraph breaks
+ * (innerText does not work on nodes that are not rendered)
+ * @param {Node} node
+ * @returns {string} text
+ */
+function nodeToPlainText(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return '';
+    }
+    if (node.tagName === 'BR') {
+        return '\n';
+    }
+    if (['STYLE', 'SCRIPT'].includes(node.tagName)) {
+        return '';
+    }
+
+    const inner = Array.from(node.childNodes).map(nodeToPlainText).join('');
+    return BLOCK_TAGS.has(node.tagName) ? `\n${inner}\n` : inner;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SiteAdapter = SiteAdapter;
+    window.GmailAdapter = GmailAdapter;
+    window.OutlookAdapter = OutlookAdapter;
+    window.SITE_ADAPTERS = SITE_ADAPTERS;
+    window.createSiteAdapter = createSiteAdapter;
+}
@@ -31,9 +31,10 @@ function debugOpenAIIssue() {
     });
     
     // Check rate limiting
-    const rateLimitStats = ai.rateLimiter.getUsageStats();
-    console.log('📊 Rate Limit Status:', rateLimitStats);
-    console.log(`📊 Can make request: ${ai.rateLimiter.canMakeRequest()}`);
+    ai.rateLimiter.getUsageStats(ai.getModelName()).then(rateLimitStats => {
+        console.log('📊 Rate Limit Status:', rateLimitStats);
+        console.log(`📊 Can make request: ${rateLimitStats.canMakeRequest}`);
+    });
     
     // Test API key by making a simple request
     if (hasKey) {
@@ -0,0 +1,216 @@
+/**
+ * Draftly Generation Client
+ * Talks to the generation pipeline hosted by the background service worker.
+ * Loaded by the popup, the content script and the service worker itself.
+ */
+
+// Long-lived port used to stream replies from the background
+const GENERATION_PORT_NAME = 'draftly-generate';
+
+// Same value as PROVIDER_ERROR_CODES.ABORTED, which content scripts do not load
+const GENERATION_ABORTED = 'aborted';
+
+/**
+ * Generation Error Class
+ * Rebuilds errors reported by the background so callers can check error.code
+ */
+class GenerationError extends Error {
+    /**
+     * @param {string} message - Error message from the pipeline
+     * @param {string|null} code - Normalized provider error code, if any
+     */
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'GenerationError';
+        this.code = code;
+    }
+}
+
+/**
+ * Stream a generation request through the background pipeline
+ * @param {Object} request - { action, input or thread, tone, options }
+ * @param {Object} handlers - { onToken(token, textSoFar), onRetry({ attempt, maxAttempts, delay, reason }),
+ *                            onLanguage({ code, name, detected }), onTranslation({ language, text } or { error }), signal }
+ * @returns {Promise<string|Object>} - The complete reply, or { variants, historyId } for generateVariants
+ */
+function streamGeneration(request, { onToken, onRetry, onLanguage, onTranslation, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new GenerationError('Generation stopped', GENERATION_ABORTED));
+            return;
+        }
+
+        const port = chrome.runtime.connect({ name: GENERATION_PORT_NAME });
+        let text = '';
+        let settled = false;
+
+        const settle = (callback, value) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            if (signal) {
+                signal.removeEventListener('abort', handleAbort);
+            }
+            port.disconnect();
+            callback(value);
+        };
+
+        // Disconnecting the port makes the background abort the provider request
+        const handleAbort = () => {
+            const error = new GenerationError('Generation stopped', GENERATION_ABORTED);
+            error.partialText = text;
+            settle(reject, error);
+        };
+
+        if (signal) {
+            signal.addEventListener('abort', handleAbort);
+        }
+
+        port.onMessage.addListener((message) => {
+            if (message.type === 'token') {
+                text += message.token;
+                if (onToken) {
+                    onToken(message.token, text);
+                }
+            } else if (message.type === 'retry') {
+                if (onRetry) {
+                    onRetry(message.retry);
+                }
+            } else if (message.type === 'language') {
+                if (onLanguage) {
+                    onLanguage(message.language);
+                }
+            } else if (message.type === 'translation') {
+                if (onTranslation) {
+                    onTranslation(message.translation);
+                }
+            } else if (message.type === 'done') {
+                settle(resolve, message.reply);
+            } else if (message.type === 'error') {
+                settle(reject, new GenerationError(message.error, message.code));
+            }
+        });
+
+        port.onDisconnect.addListener(() => {
+            settle(reject, new GenerationError('Draftly background service disconnected. Please try again.'));
+        });
+
+        port.postMessage(request);
+    });
+}
+
+/**
+ * Generate several drafts to compare through the background pipeline
+ * Drafts arrive together when all of them are done; nothing is streamed
+ * @param {Object} request - { input or thread, tones (one tone ID per draft), options }
+ * @param {Object} handlers - { onRetry, signal } as for streamGeneration
+ * @returns {Promise<{variants: Array<Object>, historyId: string|null}>} - Drafts as { tone, toneName, text }
+ */
+function generateVariants(request, { onRetry, signal } = {}) {
+    return streamGeneration({ ...request, action: 'generateVariants' }, { onRetry, signal });
+}
+
+/**
+ * Summarize an email thread through the background pipeline
+ * The summary arrives when it is complete; a cached one comes back without calling the provider
+ * @param {Object} thread - Structured thread from the content script
+ * @param {Object} handlers - { refresh (skip the cache), onRetry, signal }
+ * @returns {Promise<Object>} - { tldr, decisions, openQuestions, actionItems, cached, ... }
+ */
+function summarizeThread(thread, { refresh = false, onRetry, signal } = {}) {
+    return streamGeneration({ action: 'summarizeThread', thread, options: { refresh } }, { onRetry, signal });
+}
+
+/**
+ * Extract action items, meeting requests and deadlines through the background pipeline
+ * @param {Object} source - { input } with the email text, or { thread } from the content script
+ * @param {Object} handlers - { onRetry, signal } as for streamGeneration
+ * @returns {Promise<Object>} - { actionItems, meetings, deadlines, subject, createdAt }
+ */
+function extractItems({ input, thread }, { onRetry, signal } = {}) {
+    return streamGeneration({ action: 'extractItems', input, thread, options: {} }, { onRetry, signal });
+}
+
+/**
+ * Write a thread summary as plain text in the UI language, for copying
+ * @param {Object} summary - Summary from summarizeThread
+ * @returns {string}
+ */
+function formatThreadSummary(summary) {
+    const sections = [localize('summaryTldr', summary.tldr)];
+    const list = (title, items) => {
+        if (items.length) {
+            sections.push(`${localize(title)}:\n${items.map(item => `- ${item}`).join('\n')}`);
+        }
+    };
+
+    list('summaryDecisions', summary.decisions);
+    list('summaryOpenQuestions', summary.openQuestions);
+    list('summaryActionItems', summary.actionItems.map(formatActionItem));
+    return sections.join('\n\n');
+}
+
+/**
+ * Describe an action item of a thread summary
+ * @param {Object} item - { owner, task, due }
+ * @returns {string} - e.g. "Anna: Send the contract (due Friday)"
+ */
+function formatActionItem({ owner, task, due }) {
+    return due ? localize('actionItemDue', [owner, task, due]) : localize('actionItem', [owner, task]);
+}
+
+/**
+ * Describe a pending retry in the UI language
+ * @param {Object} retry - { attempt, maxAttempts, delay, reason }
+ * @returns {string} - e.g. "⏳ OpenAI is unavailable (503). Retrying in 2s (attempt 2 of 3)…"
+ */
+function formatRetryStatus({ attempt, maxAttempts, delay, reason }) {
+    return localize('statusRetrying', [reason, Math.max(1, Math.round(delay / 1000)), attempt, maxAttempts]);
+}
+
+/**
+ * Describe the language a reply is written in, in the UI language
+ * @param {Object} language - { code, name, detected } as reported to onLanguage
+ * @returns {string} - e.g. "Replying in German (detected)."
+ */
+function formatReplyLanguage({ code, name, detected }) {
+    if (!name) {
+        return localize('replyLanguageOfEmail');
+    }
+    return localize(detected ? 'replyLanguageDetected' : 'replyLanguageChosen', getLanguageDisplayName(code, name));
+}
+
+/**
+ * Send a one-shot request to the background pipeline
+ * @param {Object} message - Message with an action field
+ * @returns {Promise<Object>} - The successful response
+ */
+function sendPipelineMessage(message) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new GenerationError(chrome.runtime.lastError.message));
+            } else if (!response || !response.success) {
+                reject(new GenerationError(response?.error || 'Unknown error', response?.code || null));
+            } else {
+                resolve(response);
+            }
+        });
+    });
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.GENERATION_PORT_NAME = GENERATION_PORT_NAME;
+    window.GenerationError = GenerationError;
+    window.streamGeneration = streamGeneration;
+    window.generateVariants = generateVariants;
+    window.summarizeThread = summarizeThread;
+    window.extractItems = extractItems;
+    window.formatThreadSummary = formatThreadSummary;
+    window.formatActionItem = formatActionItem;
+    window.formatRetryStatus = formatRetryStatus;
+    window.formatReplyLanguage = formatReplyLanguage;
+    window.sendPipelineMessage = sendPipelineMessage;
+}
@@ -0,0 +1,115 @@
+/**
+ * Draftly UI Localization
+ * Looks up UI strings in _locales/<locale>/messages.json through chrome.i18n and formats
+ * dates and numbers for the browser's UI language. Chrome falls back to the English
+ * messages (default_locale) for anything a locale does not translate.
+ * Shared by the popup, the options page, the content script and the service worker.
+ */
+
+// Attributes translated from data-i18n-<attribute>="<message name>"
+const LOCALIZED_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+// Stand-ins for child elements while a data-i18n message is split around them
+const CHILD_MARKER = /\uE000(\d+)\uE001/;
+
+/**
+ * Get a UI string
+ * @param {string} key - Message name in messages.json
+ * @param {string|number|Array<string|number>} [substitutions] - Values for $1 to $9
+ * @returns {string} - The message, or the key itself when no locale defines it
+ */
+function localize(key, substitutions = []) {
+    const values = [].concat(substitutions).map(String);
+    return chrome.i18n.getMessage(key, values) || key;
+}
+
+/**
+ * Translate the page: elements with data-i18n get the message as their text, and
+ * data-i18n-placeholder, data-i18n-title and data-i18n-aria-label set those attributes.
+ * Child elements, such as a checkbox inside its label, stay where the message has $1, $2…
+ * in document order. Elements keep their English markup when no message is found.
+ * @param {ParentNode} root - Document or element to translate
+ */
+function localizePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        const children = Array.from(element.children);
+        const message = chrome.i18n.getMessage(element.dataset.i18n, children.map((child, index) => `\uE000${index}\uE001`));
+        if (!message) {
+            return;
+        }
+
+        element.textContent = '';
+        message.split(CHILD_MARKER).forEach((part, index) => {
+            if (index % 2) {
+                element.appendChild(children[Number(part)]);
+            } else if (part) {
+                element.append(part);
+            }
+        });
+    });
+
+    LOCALIZED_ATTRIBUTES.forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            const message = chrome.i18n.getMessage(element.getAttribute(`data-i18n-${attribute}`));
+            if (message) {
+                element.setAttribute(attribute, message);
+            }
+        });
+    });
+
+    if (root.documentElement) {
+        root.documentElement.lang = getUILocale();
+    }
+}
+
+/**
+ * The browser's UI language, which chrome.i18n picks the messages for
+ * @returns {string} - BCP 47 tag, e.g. "de" or "en-US"
+ */
+function getUILocale() {
+    return chrome.i18n.getUILanguage?.() || 'en';
+}
+
+/**
+ * Format a date and time for the UI language
+ * @param {Date|number|string} value - Date, timestamp or date string
+ * @param {Object} [options] - Intl.DateTimeFormat options; medium date and short time by default
+ * @returns {string} - e.g. "18 Oct 2026, 14:05" in en-GB
+ */
+function formatLocalDate(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+    return new Intl.DateTimeFormat(getUILocale(), options).format(new Date(value));
+}
+
+/**
+ * Format a number for the UI language
+ * @param {number} value
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string} - e.g. "12.500" in de
+ */
+function formatLocalNumber(value, options) {
+    return new Intl.NumberFormat(getUILocale(), options).format(value);
+}
+
+/**
+ * Name a language in the UI language
+ * @param {string} code - Language code, e.g. "ja"
+ * @param {string} [fallback] - Name to use when the browser cannot name it
+ * @returns {string} - e.g. "Japanisch" in a German UI
+ */
+function getLanguageDisplayName(code, fallback = code) {
+    try {
+        return new Intl.DisplayNames([getUILocale()], { type: 'language' }).of(code) || fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.localize = localize;
+    window.localizePage = localizePage;
+    window.getUILocale = getUILocale;
+    window.formatLocalDate = formatLocalDate;
+    window.formatLocalNumber = formatLocalNumber;
+    window.getLanguageDisplayName = getLanguageDisplayName;
+}
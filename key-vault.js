@@ -0,0 +1,519 @@
+/**
+ * Draftly Key Vault
+ * Encrypts provider API keys with WebCrypto (AES-GCM) before they are stored.
+ * Keys stay in chrome.storage.local unless the user opts in to sync, which
+ * requires a passphrase so the encryption key never leaves the device.
+ */
+
+const KEY_VAULT_SETTINGS_KEY = 'key_vault_settings';
+
+// Random AES key that protects API keys when no passphrase is set (local only)
+const KEY_VAULT_DEVICE_KEY = 'key_vault_device_key';
+
+// Salt and check value for the passphrase, stored next to the encrypted keys
+const KEY_VAULT_PASSPHRASE_KEY = 'key_vault_passphrase';
+
+// Unlocked passphrase key in chrome.storage.session, cleared when the browser closes
+const KEY_VAULT_SESSION_KEY = 'key_vault_session';
+
+const DEFAULT_KEY_VAULT_SETTINGS = {
+    syncKeys: false,
+    autoLockMinutes: 15 // 0 keeps the vault unlocked until the browser closes
+};
+
+const KEY_VAULT_LIMITS = {
+    minPassphraseLength: 8,
+    maxAutoLockMinutes: 1440,
+    pbkdf2Iterations: 310000
+};
+
+// Encrypted with the passphrase key so a wrong passphrase can be detected
+const KEY_VAULT_CHECK_TEXT = 'draftly-key-vault';
+
+/**
+ * Encode bytes as base64 for storage
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes to encode
+ * @returns {string} - Base64 text
+ */
+function bytesToBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+/**
+ * Decode base64 text from storage
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Key Vault Class
+ * Stores encrypted API keys and handles the optional passphrase lock
+ */
+class KeyVault {
+    /**
+     * @param {Array<string>} storageKeys - Storage keys of every provider's API key
+     */
+    constructor(storageKeys = []) {
+        this.storageKeys = storageKeys;
+        this.settings = { ...DEFAULT_KEY_VAULT_SETTINGS };
+    }
+
+    /**
+     * Load vault settings from local storage
+     */
+    async loadSettings() {
+        try {
+            const result = await chrome.storage.local.get([KEY_VAULT_SETTINGS_KEY]);
+            this.settings = { ...DEFAULT_KEY_VAULT_SETTINGS, ...result[KEY_VAULT_SETTINGS_KEY] };
+        } catch (error) {
+            console.error('Failed to load key vault settings:', error);
+        }
+    }
+
+    /**
+     * Save the auto-lock timeout
+     * @param {number} autoLockMinutes - Minutes without use before the vault locks, 0 for never
+     */
+    async setAutoLock(autoLockMinutes) {
+        if (!Number.isInteger(autoLockMinutes) || autoLockMinutes < 0 || autoLockMinutes > KEY_VAULT_LIMITS.maxAutoLockMinutes) {
+            throw new Error(`Auto-lock must be a whole number of minutes between 0 and ${KEY_VAULT_LIMITS.maxAutoLockMinutes}`);
+        }
+
+        await this.saveSettings({ autoLockMinutes });
+
+        // Apply the new timeout to the current session right away
+        const session = await this.getSession();
+        if (session) {
+            await this.startSession(session.key);
+        }
+    }
+
+    /**
+     * Storage area that holds the encrypted keys
+     * @returns {chrome.storage.StorageArea} - sync when the user opted in, otherwise local
+     */
+    getArea() {
+        return this.settings.syncKeys ? chrome.storage.sync : chrome.storage.local;
+    }
+
+    /**
+     * Current state for the UI
+     * @returns {Promise<{protected: boolean, locked: boolean, syncKeys: boolean, autoLockMinutes: number}>}
+     */
+    async getStatus() {
+        const isProtected = await this.isProtected();
+        return {
+            protected: isProtected,
+            locked: isProtected && !await this.getSession(),
+            syncKeys: this.settings.syncKeys,
+            autoLockMinutes: this.settings.autoLockMinutes
+        };
+    }
+
+    /**
+     * Whether the keys are protected by a passphrase
+     * @returns {Promise<boolean>}
+     */
+    async isProtected() {
+        const result = await this.getArea().get([KEY_VAULT_PASSPHRASE_KEY]);
+        return Boolean(result[KEY_VAULT_PASSPHRASE_KEY]);
+    }
+
+    /**
+     * Read and decrypt an API key
+     * @param {string} storageKey - Provider's storage key
+     * @returns {Promise<{apiKey: string|null, locked: boolean}>} - The key, or locked when the passphrase is needed
+     */
+    async getKey(storageKey) {
+        const result = await this.getArea().get([storageKey]);
+        const record = result[storageKey];
+        if (!record || typeof record !== 'object') {
+            return { apiKey: null, locked: false };
+        }
+
+        const cryptoKey = await this.getCryptoKey(record.scheme);
+        if (!cryptoKey) {
+            return { apiKey: null, locked: true };
+        }
+
+        if (record.scheme === 'passphrase') {
+            await this.touchSession();
+        }
+        return { apiKey: await this.decrypt(record, cryptoKey), locked: false };
+    }
+
+    /**
+     * Encrypt and store an API key
+     * @param {string} storageKey - Provider's storage key
+     * @param {string} apiKey - Key to store; empty removes it
+     */
+    async setKey(storageKey, apiKey) {
+        if (!apiKey) {
+            await this.removeKey(storageKey);
+            return;
+        }
+
+        const scheme = await this.isProtected() ? 'passphrase' : 'device';
+        const cryptoKey = await this.getCryptoKey(scheme);
+        if (!cryptoKey) {
+            throw new Error('🔒 Unlock Draftly with your passphrase before changing API keys');
+        }
+
+        await this.getArea().set({ [storageKey]: await this.encrypt(apiKey, cryptoKey, scheme) });
+
+        // A profile that does not sync keys leaves the ones other profiles sync alone
+        if (this.settings.syncKeys) {
+            await chrome.storage.local.remove(storageKey);
+        }
+    }
+
+    /**
+     * Delete an API key from this profile, and from sync when keys sync
+     * @param {string} storageKey - Provider's storage key
+     */
+    async removeKey(storageKey) {
+        await chrome.storage.local.remove(storageKey);
+        await this.getArea().remove(storageKey);
+    }
+
+    /**
+     * Encrypt plaintext keys left by earlier versions and remove them from sync
+     * Keys are skipped while the vault is locked and migrated after the next unlock
+     */
+    async migrate() {
+        for (const area of [chrome.storage.sync, chrome.storage.local]) {
+            const result = await area.get(this.storageKeys);
+            const plaintext = Object.entries(result).filter(([, value]) => typeof value === 'string');
+
+            for (const [storageKey, apiKey] of plaintext) {
+                try {
+                    const { apiKey: existing } = await this.getKey(storageKey);
+                    if (!existing && apiKey) {
+                        await this.setKey(storageKey, apiKey);
+                    }
+                    if (area !== this.getArea() || !apiKey) {
+                        await area.remove(storageKey);
+                    }
+                    console.log('🔐 Encrypted stored API key:', storageKey);
+                } catch (error) {
+                    console.warn('Could not migrate API key yet:', storageKey, error.message);
+                }
+            }
+        }
+    }
+
+    /**
+     * Protect the keys with a passphrase, or change it
+     * @param {string} passphrase - New passphrase
+     */
+    async setPassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < KEY_VAULT_LIMITS.minPassphraseLength) {
+            throw new Error(`The passphrase must be at least ${KEY_VAULT_LIMITS.minPassphraseLength} characters`);
+        }
+
+        const apiKeys = await this.readAllKeys();
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = KEY_VAULT_LIMITS.pbkdf2Iterations;
+        const cryptoKey = await this.deriveKey(passphrase, salt, iterations);
+
+        await this.getArea().set({
+            [KEY_VAULT_PASSPHRASE_KEY]: {
+                salt: bytesToBase64(salt),
+                iterations,
+                check: await this.encrypt(KEY_VAULT_CHECK_TEXT, cryptoKey, 'passphrase')
+            }
+        });
+        await this.startSession(cryptoKey);
+        await this.writeAllKeys(apiKeys);
+    }
+
+    /**
+     * Stop using a passphrase; keys go back to the device key
+     * Synced keys always need a passphrase, so sync has to be turned off first
+     */
+    async removePassphrase() {
+        if (this.settings.syncKeys) {
+            throw new Error('Synced API keys need a passphrase. Turn off key sync first.');
+        }
+
+        const apiKeys = await this.readAllKeys();
+        await this.getArea().remove(KEY_VAULT_PASSPHRASE_KEY);
+        await this.lock();
+        await this.writeAllKeys(apiKeys);
+    }
+
+    /**
+     * Unlock the keys for this browser session
+     * @param {string} passphrase - The user's passphrase
+     */
+    async unlock(passphrase) {
+        const result = await this.getArea().get([KEY_VAULT_PASSPHRASE_KEY]);
+        const params = result[KEY_VAULT_PASSPHRASE_KEY];
+        if (!params) {
+            return;
+        }
+
+        await this.startSession(await this.verifyPassphrase(params, passphrase));
+        await this.migrate();
+    }
+
+    /**
+     * Derive the key for a passphrase and check it against the stored check value
+     * @param {Object} params - Stored { salt, iterations, check }
+     * @param {string} passphrase - Passphrase to check
+     * @returns {Promise<CryptoKey>} - The passphrase key; rejects when the passphrase is wrong
+     */
+    async verifyPassphrase(params, passphrase) {
+        const cryptoKey = await this.deriveKey(passphrase || '', base64ToBytes(params.salt), params.iterations);
+        try {
+            await this.decrypt(params.check, cryptoKey);
+        } catch (error) {
+            throw new Error('Wrong passphrase');
+        }
+        return cryptoKey;
+    }
+
+    /**
+     * Forget the unlocked passphrase key
+     */
+    async lock() {
+        await chrome.storage.session.remove(KEY_VAULT_SESSION_KEY);
+    }
+
+    /**
+     * Opt in to (or out of) syncing the encrypted keys with chrome.storage.sync
+     * @param {boolean} enabled - Whether keys should sync
+     * @param {string} [passphrase] - Passphrase of the keys another profile already syncs
+     */
+    async setSyncKeys(enabled, passphrase = '') {
+        if (enabled === this.settings.syncKeys) {
+            return;
+        }
+
+        // Another profile syncs keys already; its passphrase record must not be replaced
+        const synced = enabled ? (await chrome.storage.sync.get([KEY_VAULT_PASSPHRASE_KEY]))[KEY_VAULT_PASSPHRASE_KEY] : null;
+        if (synced) {
+            await this.joinSyncedKeys(synced, passphrase);
+            return;
+        }
+
+        if (enabled && !await this.isProtected()) {
+            throw new Error('Set a passphrase before syncing API keys');
+        }
+
+        const status = await this.getStatus();
+        if (status.locked) {
+            throw new Error('🔒 Unlock Draftly with your passphrase first');
+        }
+
+        // Records are encrypted with the passphrase, so they move as they are
+        const from = this.getArea();
+        const moved = await from.get([...this.storageKeys, KEY_VAULT_PASSPHRASE_KEY]);
+        await this.saveSettings({ syncKeys: enabled });
+        await this.getArea().set(moved);
+        await from.remove(Object.keys(moved));
+    }
+
+    /**
+     * Turn on sync where another profile already syncs keys: unlock with the synced
+     * passphrase and add the keys only this profile has. Keys that are already synced
+     * win over this profile's keys for the same provider.
+     * @param {Object} params - Synced { salt, iterations, check }
+     * @param {string} passphrase - The synced keys' passphrase
+     */
+    async joinSyncedKeys(params, passphrase) {
+        if (!passphrase) {
+            throw new Error('Your API keys already sync from another Chrome profile. Enter their passphrase to sync this profile too.');
+        }
+
+        const apiKeys = await this.readAllKeys();
+        const cryptoKey = await this.verifyPassphrase(params, passphrase);
+        const syncedKeys = await chrome.storage.sync.get(this.storageKeys);
+
+        await this.saveSettings({ syncKeys: true });
+        await this.startSession(cryptoKey);
+        for (const [storageKey, apiKey] of Object.entries(apiKeys)) {
+            if (!syncedKeys[storageKey]) {
+                await this.setKey(storageKey, apiKey);
+            }
+        }
+        await chrome.storage.local.remove([...this.storageKeys, KEY_VAULT_PASSPHRASE_KEY]);
+    }
+
+    /**
+     * Persist vault settings
+     * @param {Object} changes - Settings to update
+     */
+    async saveSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        await chrome.storage.local.set({ [KEY_VAULT_SETTINGS_KEY]: this.settings });
+    }
+
+    /**
+     * Decrypt every stored key, for re-encryption with a new scheme
+     * @returns {Promise<Object>} - API keys by storage key
+     */
+    async readAllKeys() {
+        const apiKeys = {};
+        for (const storageKey of this.storageKeys) {
+            const { apiKey, locked } = await this.getKey(storageKey);
+            if (locked) {
+                throw new Error('🔒 Unlock Draftly with your passphrase first');
+            }
+            if (apiKey) {
+                apiKeys[storageKey] = apiKey;
+            }
+        }
+        return apiKeys;
+    }
+
+    /**
+     * Encrypt and store several keys with the current scheme
+     * @param {Object} apiKeys - API keys by storage key
+     */
+    async writeAllKeys(apiKeys) {
+        for (const [storageKey, apiKey] of Object.entries(apiKeys)) {
+            await this.setKey(storageKey, apiKey);
+        }
+    }
+
+    /**
+     * AES key for a record's scheme
+     * @param {string} scheme - 'device' or 'passphrase'
+     * @returns {Promise<CryptoKey|null>} - null while the passphrase key is locked
+     */
+    async getCryptoKey(scheme) {
+        if (scheme === 'passphrase') {
+            const session = await this.getSession();
+            return session ? this.importKey(session.key) : null;
+        }
+        return this.getDeviceKey();
+    }
+
+    /**
+     * Device key, created on first use; it never leaves chrome.storage.local
+     * @returns {Promise<CryptoKey>}
+     */
+    async getDeviceKey() {
+        const result = await chrome.storage.local.get([KEY_VAULT_DEVICE_KEY]);
+        if (result[KEY_VAULT_DEVICE_KEY]) {
+            return this.importKey(result[KEY_VAULT_DEVICE_KEY]);
+        }
+
+        const rawKey = bytesToBase64(crypto.getRandomValues(new Uint8Array(32)));
+        await chrome.storage.local.set({ [KEY_VAULT_DEVICE_KEY]: rawKey });
+        return this.importKey(rawKey);
+    }
+
+    /**
+     * Derive an AES key from a passphrase (PBKDF2-SHA-256)
+     * @param {string} passphrase - The user's passphrase
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} - Extractable so it can be kept for the session
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Import a stored raw AES key
+     * @param {string} rawKey - Base64 key bytes
+     * @returns {Promise<CryptoKey>}
+     */
+    importKey(rawKey) {
+        return crypto.subtle.importKey('raw', base64ToBytes(rawKey), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Encrypt text with AES-GCM
+     * @param {string} text - Plaintext
+     * @param {CryptoKey} cryptoKey - AES key
+     * @param {string} scheme - Recorded so the right key is used to decrypt
+     * @returns {Promise<{version: number, scheme: string, iv: string, data: string}>} - Storable record
+     */
+    async encrypt(text, cryptoKey, scheme) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(text));
+        return { version: 1, scheme, iv: bytesToBase64(iv), data: bytesToBase64(data) };
+    }
+
+    /**
+     * Decrypt a record created by encrypt()
+     * @param {Object} record - { iv, data }
+     * @param {CryptoKey} cryptoKey - AES key
+     * @returns {Promise<string>} - Plaintext; rejects when the key is wrong
+     */
+    async decrypt(record, cryptoKey) {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(record.iv) }, cryptoKey, base64ToBytes(record.data));
+        return new TextDecoder().decode(data);
+    }
+
+    /**
+     * Keep the passphrase key for this session
+     * @param {CryptoKey|string} cryptoKey - Extractable key, or raw base64 key bytes
+     */
+    async startSession(cryptoKey) {
+        const key = typeof cryptoKey === 'string'
+            ? cryptoKey
+            : bytesToBase64(await crypto.subtle.exportKey('raw', cryptoKey));
+        await chrome.storage.session.set({
+            [KEY_VAULT_SESSION_KEY]: { key, expiresAt: this.getExpiry() }
+        });
+    }
+
+    /**
+     * Unlocked session, if it has not timed out
+     * @returns {Promise<{key: string, expiresAt: number}|null>}
+     */
+    async getSession() {
+        const result = await chrome.storage.session.get([KEY_VAULT_SESSION_KEY]);
+        const session = result[KEY_VAULT_SESSION_KEY];
+        if (!session) {
+            return null;
+        }
+        if (session.expiresAt && session.expiresAt <= Date.now()) {
+            await this.lock();
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Restart the auto-lock timer after the key was used
+     */
+    async touchSession() {
+        const session = await this.getSession();
+        if (session && this.settings.autoLockMinutes > 0) {
+            await chrome.storage.session.set({
+                [KEY_VAULT_SESSION_KEY]: { ...session, expiresAt: this.getExpiry() }
+            });
+        }
+    }
+
+    /**
+     * When a session started now would lock
+     * @returns {number} - Timestamp, or 0 for no timeout
+     */
+    getExpiry() {
+        return this.settings.autoLockMinutes > 0 ? Date.now() + this.settings.autoLockMinutes * 60000 : 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DEFAULT_KEY_VAULT_SETTINGS = DEFAULT_KEY_VAULT_SETTINGS;
+    window.KEY_VAULT_LIMITS = KEY_VAULT_LIMITS;
+    window.KEY_VAULT_SESSION_KEY = KEY_VAULT_SESSION_KEY;
+    window.KeyVault = KeyVault;
+}
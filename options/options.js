@@ -0,0 +1,1036 @@
+/**
+ * Draftly Options Page
+ * Provider and API keys, key security, reply defaults, tone profiles, usage limits,
+ * consent and stored data. Every change is written to chrome.storage right away; the
+ * service worker and open popups pick it up through chrome.storage.onChanged, and this
+ * page re-renders the same way when settings change somewhere else.
+ */
+
+class DraftlyOptions {
+    constructor() {
+        this.aiService = new DraftlyAIService();
+        this.editingToneId = null;
+
+        this.statusMessage = document.getElementById('statusMessage');
+        this.navLinks = document.querySelectorAll('.options-nav-link');
+
+        // Provider elements
+        this.providerSelect = document.getElementById('providerSelect');
+        this.modelInput = document.getElementById('modelInput');
+        this.endpointGroup = document.getElementById('endpointGroup');
+        this.endpointInput = document.getElementById('endpointInput');
+        this.deploymentGroup = document.getElementById('deploymentGroup');
+        this.deploymentInput = document.getElementById('deploymentInput');
+        this.apiKeyInput = document.getElementById('apiKeyInput');
+        this.apiKeyLabel = document.getElementById('apiKeyLabel');
+        this.apiKeyState = document.getElementById('apiKeyState');
+        this.apiKeyHelp = document.getElementById('apiKeyHelp');
+        this.saveProviderBtn = document.getElementById('saveProviderBtn');
+        this.testConnectionBtn = document.getElementById('testConnectionBtn');
+        this.removeApiKeyBtn = document.getElementById('removeApiKeyBtn');
+        this.connectionResult = document.getElementById('connectionResult');
+
+        // Key security elements
+        this.securityStatus = document.getElementById('securityStatus');
+        this.unlockGroup = document.getElementById('unlockGroup');
+        this.unlockPassphraseInput = document.getElementById('unlockPassphraseInput');
+        this.unlockBtn = document.getElementById('unlockBtn');
+        this.passphraseInput = document.getElementById('passphraseInput');
+        this.passphraseConfirmInput = document.getElementById('passphraseConfirmInput');
+        this.setPassphraseBtn = document.getElementById('setPassphraseBtn');
+        this.removePassphraseBtn = document.getElementById('removePassphraseBtn');
+        this.lockNowBtn = document.getElementById('lockNowBtn');
+        this.autoLockInput = document.getElementById('autoLockInput');
+        this.syncKeysInput = document.getElementById('syncKeysInput');
+
+        // Reply elements
+        this.defaultToneSelect = document.getElementById('defaultToneSelect');
+        this.languageSelect = document.getElementById('languageSelect');
+        this.signatureInput = document.getElementById('signatureInput');
+        this.useSignatureInput = document.getElementById('useSignatureInput');
+        this.saveRepliesBtn = document.getElementById('saveRepliesBtn');
+
+        // Tone profile elements
+        this.toneProfileSelect = document.getElementById('toneProfileSelect');
+        this.toneNameInput = document.getElementById('toneNameInput');
+        this.toneInstructionsInput = document.getElementById('toneInstructionsInput');
+        this.toneExamplesInput = document.getElementById('toneExamplesInput');
+        this.toneFormalityInput = document.getElementById('toneFormalityInput');
+        this.toneFormalityLabel = document.getElementById('toneFormalityLabel');
+        this.toneLengthSelect = document.getElementById('toneLengthSelect');
+        this.saveToneBtn = document.getElementById('saveToneBtn');
+        this.deleteToneBtn = document.getElementById('deleteToneBtn');
+
+        // Usage limit elements
+        this.limitsUsage = document.getElementById('limitsUsage');
+        this.limitInputs = {
+            maxPerMinute: document.getElementById('maxPerMinuteInput'),
+            maxPerHour: document.getElementById('maxPerHourInput'),
+            maxPerDay: document.getElementById('maxPerDayInput'),
+            dailyTokenBudget: document.getElementById('dailyTokenBudgetInput'),
+            monthlyTokenBudget: document.getElementById('monthlyTokenBudgetInput'),
+            monthlyCostLimit: document.getElementById('monthlyCostLimitInput')
+        };
+        this.modelCostLimitInput = document.getElementById('modelCostLimitInput');
+        this.modelCostLimitModel = document.getElementById('modelCostLimitModel');
+        this.warnAtInput = document.getElementById('warnAtInput');
+        this.saveLimitsBtn = document.getElementById('saveLimitsBtn');
+
+        // Redaction elements
+        this.redactionEnabledInput = document.getElementById('redactionEnabledInput');
+        this.redactionTypes = document.getElementById('redactionTypes');
+        this.customPatternsInput = document.getElementById('customPatternsInput');
+        this.redactionTestInput = document.getElementById('redactionTestInput');
+        this.redactionTestResult = document.getElementById('redactionTestResult');
+        this.saveRedactionBtn = document.getElementById('saveRedactionBtn');
+
+        // Privacy elements
+        this.consentInfo = document.getElementById('consentInfo');
+        this.consentChanges = document.getElementById('consentChanges');
+        this.consentScopes = document.getElementById('consentScopes');
+        this.saveConsentBtn = document.getElementById('saveConsentBtn');
+        this.revokeConsentBtn = document.getElementById('revokeConsentBtn');
+        this.auditLogSummary = document.getElementById('auditLogSummary');
+        this.exportAuditLogBtn = document.getElementById('exportAuditLogBtn');
+        this.dataSummary = document.getElementById('dataSummary');
+        this.clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        this.clearUsageBtn = document.getElementById('clearUsageBtn');
+        this.eraseAllBtn = document.getElementById('eraseAllBtn');
+
+        // Help elements
+        this.shortcutList = document.getElementById('shortcutList');
+        this.changeShortcutsBtn = document.getElementById('changeShortcutsBtn');
+    }
+
+    /**
+     * Load the settings, render every section and start listening for changes
+     */
+    async initialize() {
+        localizePage(document);
+
+        try {
+            await this.aiService.initialize();
+        } catch (error) {
+            console.error('Failed to load Draftly settings:', error);
+            this.showStatusMessage(localize('statusSettingsLoadFailed'), 'error');
+        }
+
+        const version = `v${chrome.runtime.getManifest().version}`;
+        document.getElementById('versionBadge').textContent = version;
+        document.getElementById('aboutVersion').textContent = version;
+
+        this.renderProvider();
+        this.renderReplies();
+        this.renderTones();
+        this.renderLimits();
+        this.renderRedaction();
+        this.renderPrivacy();
+        await this.renderAuditLogSummary();
+        await this.renderSecurity();
+        await this.renderLimitsUsage();
+        await this.renderDataSummary();
+        await this.renderShortcuts();
+
+        this.initializeEventListeners();
+        chrome.storage.onChanged.addListener((changes, namespace) => this.handleStorageChanges(changes, namespace));
+        this.highlightNav();
+    }
+
+    /**
+     * Attach event listeners
+     */
+    initializeEventListeners() {
+        window.addEventListener('hashchange', () => this.highlightNav());
+
+        // Provider
+        this.providerSelect.addEventListener('change', () => {
+            this.updateProviderFields();
+            this.renderKeyState();
+            this.connectionResult.textContent = '';
+        });
+        this.saveProviderBtn.addEventListener('click', () => this.handleSaveProvider());
+        this.testConnectionBtn.addEventListener('click', () => this.handleTestConnection());
+        this.removeApiKeyBtn.addEventListener('click', () => this.handleRemoveApiKey());
+
+        // Key security
+        this.unlockBtn.addEventListener('click', () => this.handleUnlock());
+        this.unlockPassphraseInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.handleUnlock();
+            }
+        });
+        this.setPassphraseBtn.addEventListener('click', () => this.handleSetPassphrase());
+        this.removePassphraseBtn.addEventListener('click', () => this.handleRemovePassphrase());
+        this.lockNowBtn.addEventListener('click', () => this.handleLockNow());
+        this.autoLockInput.addEventListener('change', () => this.handleAutoLockChange());
+        this.syncKeysInput.addEventListener('change', () => this.handleSyncKeysChange());
+
+        // Replies
+        this.saveRepliesBtn.addEventListener('click', () => this.handleSaveReplies());
+
+        // Tone profiles
+        this.toneProfileSelect.addEventListener('change', () => this.fillToneEditor(this.toneProfileSelect.value));
+        this.toneFormalityInput.addEventListener('input', () => this.updateFormalityLabel());
+        this.saveToneBtn.addEventListener('click', () => this.handleSaveTone());
+        this.deleteToneBtn.addEventListener('click', () => this.handleDeleteTone());
+
+        // Usage limits
+        this.saveLimitsBtn.addEventListener('click', () => this.handleSaveLimits());
+
+        // Redaction
+        this.saveRedactionBtn.addEventListener('click', () => this.handleSaveRedaction());
+        this.redactionTestInput.addEventListener('input', () => this.renderRedactionTest());
+
+        // Privacy and data
+        this.saveConsentBtn.addEventListener('click', () => this.handleSaveConsent());
+        this.revokeConsentBtn.addEventListener('click', () => this.handleRevokeConsent());
+        this.exportAuditLogBtn.addEventListener('click', () => this.handleExportAuditLog());
+        this.clearHistoryBtn.addEventListener('click', () => this.handleClearHistory());
+        this.clearUsageBtn.addEventListener('click', () => this.handleClearUsage());
+        this.eraseAllBtn.addEventListener('click', () => this.handleEraseAll());
+
+        // Shortcuts are edited on a Chrome page, show the new ones when coming back
+        this.changeShortcutsBtn.addEventListener('click', () => chrome.tabs.create({ url: 'chrome://extensions/shortcuts' }));
+        window.addEventListener('focus', () => this.renderShortcuts());
+    }
+
+    /**
+     * Re-render the sections whose settings changed, here or in another Draftly window
+     * @param {Object} changes - Changed storage keys
+     * @param {string} namespace - 'sync', 'local' or 'session'
+     */
+    async handleStorageChanges(changes, namespace) {
+        const keys = Object.keys(changes);
+        const changed = (test) => keys.some(test);
+
+        if (changed(key => key === 'llm_provider')) {
+            await this.aiService.loadProviderConfig();
+            this.renderProvider();
+            this.renderLimits();
+        }
+        if (this.isLockChange(changes, namespace) || (namespace !== 'session' && changed(key => key.endsWith('_api_key') || key.startsWith('key_vault_')))) {
+            await this.aiService.keyVault.loadSettings();
+            await this.renderSecurity();
+            await this.renderKeyState();
+        }
+        if (changed(key => key.startsWith(TONE_PROFILE_KEY_PREFIX))) {
+            await this.aiService.toneProfiles.load();
+            this.renderTones();
+            this.renderReplies();
+        }
+        if (changed(key => key === REPLY_SETTINGS_KEY || key === 'preferredTone')) {
+            await this.aiService.loadReplySettings();
+            this.renderReplies();
+        }
+        if (changed(key => key === RATE_LIMIT_SETTINGS_KEY)) {
+            await this.aiService.rateLimiter.loadSettings();
+            this.renderLimits();
+        }
+        if (changed(key => key === RATE_LIMIT_SETTINGS_KEY || key === RATE_LIMIT_STATE_KEY)) {
+            await this.renderLimitsUsage();
+        }
+        if (changed(key => key === PII_SETTINGS_KEY)) {
+            await this.aiService.redactor.loadSettings();
+            this.renderRedaction();
+        }
+        if (changed(key => key === CONSENT_KEY)) {
+            await this.aiService.consentManager.initialize();
+            this.renderPrivacy();
+        }
+        if (changed(key => key === REPLY_HISTORY_KEY || key === THREAD_SUMMARY_CACHE_KEY || key === 'usage_stats')) {
+            await this.renderDataSummary();
+        }
+        if (changed(key => key === CONSENT_AUDIT_LOG_KEY)) {
+            await this.renderAuditLogSummary();
+        }
+    }
+
+    /**
+     * Whether the API keys were locked or unlocked; the vault also rewrites its session
+     * on every use to extend the auto-lock, which is not a change worth re-rendering for
+     * @param {Object} changes - Changed storage keys
+     * @param {string} namespace - Storage area
+     * @returns {boolean} - Whether the lock state changed
+     */
+    isLockChange(changes, namespace) {
+        const session = changes[KEY_VAULT_SESSION_KEY];
+        return namespace === 'session' && Boolean(session) && !session.oldValue !== !session.newValue;
+    }
+
+    /**
+     * Mark the navigation link of the section in the URL hash
+     */
+    highlightNav() {
+        this.navLinks.forEach(link => {
+            link.classList.toggle('active', link.getAttribute('href') === window.location.hash);
+        });
+    }
+
+    /**
+     * Fill the provider form from the saved settings
+     */
+    renderProvider() {
+        const config = this.aiService.providerConfig;
+        this.providerSelect.value = config.id;
+        this.modelInput.value = config.model || '';
+        this.endpointInput.value = config.endpoint || '';
+        this.deploymentInput.value = config.deployment || '';
+        this.updateProviderFields();
+        this.renderKeyState();
+    }
+
+    /**
+     * Show the fields and hints relevant to the selected provider
+     */
+    updateProviderFields() {
+        const ProviderClass = getProviderClass(this.providerSelect.value);
+        const hints = PROVIDER_KEY_HINTS[ProviderClass.id];
+
+        this.modelInput.placeholder = ProviderClass.defaultModel || localize('modelDeploymentDefault');
+        this.modelInput.disabled = ProviderClass.id === 'azure';
+        this.endpointGroup.style.display = ['azure', 'local'].includes(ProviderClass.id) ? 'block' : 'none';
+        this.endpointInput.placeholder = ProviderClass.defaultEndpoint || 'https://my-resource.openai.azure.com';
+        this.deploymentGroup.style.display = ProviderClass.id === 'azure' ? 'block' : 'none';
+        this.apiKeyLabel.textContent = localize('apiKeyLabel', ProviderClass.label);
+        this.apiKeyInput.placeholder = hints.placeholder;
+        this.apiKeyHelp.innerHTML = localize('apiKeyHelp', `<a href="${hints.url}" target="_blank">${hints.site}</a>`);
+    }
+
+    /**
+     * Show whether a key is saved for the selected provider
+     */
+    async renderKeyState() {
+        const ProviderClass = getProviderClass(this.providerSelect.value);
+        try {
+            const { apiKey, locked } = await this.aiService.keyVault.getKey(ProviderClass.storageKey);
+            this.apiKeyState.textContent = localize(locked ? 'keyStateLocked' : apiKey ? 'keyStateSaved' : 'keyStateNotSaved');
+            this.removeApiKeyBtn.disabled = !apiKey && !locked;
+        } catch (error) {
+            console.error('Failed to read API key:', error);
+            this.apiKeyState.textContent = localize('keyStateUnreadable');
+        }
+    }
+
+    /**
+     * Provider settings as entered in the form
+     * @returns {Object} - { id, model, endpoint, deployment }
+     */
+    getProviderForm() {
+        return {
+            id: this.providerSelect.value,
+            model: this.modelInput.value.trim(),
+            endpoint: this.endpointInput.value.trim(),
+            deployment: this.deploymentInput.value.trim()
+        };
+    }
+
+    /**
+     * Save the provider settings and, if one was entered, its API key
+     */
+    async handleSaveProvider() {
+        const config = this.getProviderForm();
+        const ProviderClass = getProviderClass(config.id);
+        const apiKey = this.apiKeyInput.value.trim();
+
+        if (apiKey) {
+            const keyCheck = ProviderClass.validateApiKey(apiKey);
+            if (!keyCheck.valid) {
+                this.showStatusMessage(`🔑 ${keyCheck.message}`, 'error');
+                return;
+            }
+        }
+
+        this.saveProviderBtn.disabled = true;
+        try {
+            await this.aiService.saveProviderConfig(config);
+            if (apiKey) {
+                await this.aiService.saveAPIKey(apiKey);
+                this.apiKeyInput.value = '';
+            }
+            await this.renderKeyState();
+            this.showStatusMessage(localize('statusProviderSaved', ProviderClass.label), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        } finally {
+            this.saveProviderBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Test the provider settings in the form, before or after saving them
+     */
+    async handleTestConnection() {
+        const config = this.getProviderForm();
+        const ProviderClass = getProviderClass(config.id);
+        const apiKey = this.apiKeyInput.value.trim();
+
+        this.testConnectionBtn.disabled = true;
+        this.connectionResult.className = 'options-result';
+        this.connectionResult.textContent = localize('statusConnecting', ProviderClass.label);
+
+        const started = Date.now();
+        try {
+            await this.aiService.testConnection({ ...config, apiKey: apiKey || null });
+            const elapsed = Date.now() - started;
+            const model = config.id === 'azure' ? config.deployment : config.model || ProviderClass.defaultModel;
+            this.connectionResult.classList.add('success');
+            this.connectionResult.textContent = model
+                ? localize('statusConnectedModel', [ProviderClass.label, model, elapsed])
+                : localize('statusConnected', [ProviderClass.label, elapsed]);
+        } catch (error) {
+            this.connectionResult.classList.add('error');
+            this.connectionResult.textContent = error.message;
+        } finally {
+            this.testConnectionBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Delete the saved key of the selected provider
+     */
+    async handleRemoveApiKey() {
+        const ProviderClass = getProviderClass(this.providerSelect.value);
+        if (!confirm(localize('confirmRemoveApiKey', ProviderClass.label))) {
+            return;
+        }
+
+        await this.aiService.keyVault.removeKey(ProviderClass.storageKey);
+        await this.renderKeyState();
+        this.showStatusMessage(localize('statusApiKeyRemoved', ProviderClass.label), 'success');
+    }
+
+    /**
+     * Reflect the key vault state in the security section
+     */
+    async renderSecurity() {
+        const status = await this.aiService.keyVault.getStatus();
+
+        const protection = status.protected
+            ? (status.locked ? 'securityProtectedLocked' : 'securityProtectedUnlocked')
+            : 'securityDeviceKey';
+        this.securityStatus.textContent = `${localize(protection)}\n${localize(status.syncKeys ? 'securitySyncOn' : 'securitySyncOff')}`;
+        this.securityStatus.style.whiteSpace = 'pre-line';
+
+        this.unlockGroup.style.display = status.locked ? 'block' : 'none';
+        this.setPassphraseBtn.textContent = localize(status.protected ? 'changePassphrase' : 'setPassphrase');
+        this.removePassphraseBtn.style.display = status.protected ? '' : 'none';
+        this.lockNowBtn.style.display = status.protected && !status.locked ? '' : 'none';
+        this.autoLockInput.value = status.autoLockMinutes;
+        this.syncKeysInput.checked = status.syncKeys;
+    }
+
+    /**
+     * Unlock the API keys with the passphrase
+     */
+    async handleUnlock() {
+        this.unlockBtn.disabled = true;
+        try {
+            await this.aiService.keyVault.unlock(this.unlockPassphraseInput.value);
+            this.unlockPassphraseInput.value = '';
+            this.showStatusMessage(localize('statusUnlocked'), 'success');
+        } catch (error) {
+            this.unlockPassphraseInput.select();
+            this.showStatusMessage(`🔒 ${error.message}`, 'error');
+        } finally {
+            this.unlockBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Set or change the passphrase that protects the API keys
+     */
+    async handleSetPassphrase() {
+        const passphrase = this.passphraseInput.value;
+        if (passphrase !== this.passphraseConfirmInput.value) {
+            this.showStatusMessage(localize('statusPassphraseMismatch'), 'error');
+            return;
+        }
+
+        this.setPassphraseBtn.disabled = true;
+        try {
+            await this.aiService.keyVault.setPassphrase(passphrase);
+            this.passphraseInput.value = '';
+            this.passphraseConfirmInput.value = '';
+            this.showStatusMessage(localize('statusPassphraseSaved'), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        } finally {
+            this.setPassphraseBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Go back to encrypting the API keys with the device key
+     */
+    async handleRemovePassphrase() {
+        if (!confirm(localize('confirmRemovePassphrase'))) {
+            return;
+        }
+
+        try {
+            await this.aiService.keyVault.removePassphrase();
+            this.showStatusMessage(localize('statusPassphraseRemoved'), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Lock the API keys until the passphrase is entered again
+     */
+    async handleLockNow() {
+        await this.aiService.keyVault.lock();
+        this.showStatusMessage(localize('statusLocked'), 'info');
+    }
+
+    /**
+     * Save the auto-lock timeout
+     */
+    async handleAutoLockChange() {
+        try {
+            await this.aiService.keyVault.setAutoLock(Number(this.autoLockInput.value || 0));
+            this.showStatusMessage(localize('statusAutoLockSaved'), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+            await this.renderSecurity();
+        }
+    }
+
+    /**
+     * Opt in to or out of syncing the encrypted API keys
+     */
+    async handleSyncKeysChange() {
+        const enabled = this.syncKeysInput.checked;
+        try {
+            // Joining keys that another profile syncs needs their passphrase
+            await this.aiService.keyVault.setSyncKeys(enabled, this.passphraseInput.value);
+            this.passphraseInput.value = '';
+            this.passphraseConfirmInput.value = '';
+            this.showStatusMessage(localize(enabled ? 'statusKeySyncOn' : 'statusKeySyncOff'), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+            await this.renderSecurity();
+        }
+    }
+
+    /**
+     * Fill the reply defaults: tone, language and signature
+     */
+    async renderReplies() {
+        const { language, signature, useSignature } = this.aiService.replySettings;
+        const { preferredTone } = await chrome.storage.sync.get(['preferredTone']);
+        const profiles = this.aiService.toneProfiles.getAll();
+
+        this.fillSelect(this.defaultToneSelect, profiles.map(profile => ({ value: profile.id, label: profile.name })));
+        this.defaultToneSelect.value = this.aiService.toneProfiles.get(preferredTone) ? preferredTone : DEFAULT_TONE_ID;
+
+        this.fillSelect(this.languageSelect, Object.entries(REPLY_LANGUAGES).map(([value, name]) => ({
+            value,
+            label: value === 'auto' ? localize('sameAsEmail') : getLanguageDisplayName(value, name)
+        })));
+        this.languageSelect.value = language;
+
+        this.signatureInput.value = signature;
+        this.useSignatureInput.checked = useSignature;
+    }
+
+    /**
+     * Save the reply defaults
+     */
+    async handleSaveReplies() {
+        try {
+            await this.aiService.saveReplySettings({
+                language: this.languageSelect.value,
+                signature: this.signatureInput.value,
+                useSignature: this.useSignatureInput.checked
+            });
+            await chrome.storage.sync.set({ preferredTone: this.defaultToneSelect.value });
+            this.showStatusMessage(localize('statusReplySettingsSaved'), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Fill the tone profile picker, keeping the profile being edited selected
+     */
+    renderTones() {
+        const profiles = this.aiService.toneProfiles.getAll();
+        const selected = this.toneProfileSelect.value;
+        this.toneProfileSelect.innerHTML = '';
+
+        const newOption = document.createElement('option');
+        newOption.value = '';
+        newOption.textContent = localize('newTone');
+        this.toneProfileSelect.appendChild(newOption);
+
+        [
+            { label: localize('myTones'), builtIn: false },
+            { label: localize('builtInTones'), builtIn: true }
+        ].forEach(({ label, builtIn }) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            profiles.filter(profile => Boolean(profile.builtIn) === builtIn).forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                group.appendChild(option);
+            });
+            if (group.children.length > 0) {
+                this.toneProfileSelect.appendChild(group);
+            }
+        });
+
+        this.toneProfileSelect.value = this.aiService.toneProfiles.get(selected) ? selected : '';
+        this.fillToneEditor(this.toneProfileSelect.value);
+    }
+
+    /**
+     * Load a profile into the editor form
+     * @param {string} toneId - Profile to edit, '' for a new one
+     */
+    fillToneEditor(toneId) {
+        const profile = this.aiService.toneProfiles.get(toneId);
+
+        // Built-in tones are read-only, so editing one starts a copy
+        this.editingToneId = profile && !profile.builtIn ? profile.id : null;
+
+        this.toneNameInput.value = profile ? (profile.builtIn ? localize('toneCopyName', profile.name) : profile.name) : '';
+        this.toneInstructionsInput.value = profile?.instructions || '';
+        this.toneExamplesInput.value = (profile?.examples || []).join('\n');
+        this.toneFormalityInput.value = profile?.formality || 3;
+        this.toneLengthSelect.value = profile?.defaultLength || 'medium';
+        this.deleteToneBtn.disabled = !this.editingToneId;
+        this.updateFormalityLabel();
+    }
+
+    /**
+     * Show the name of the selected formality level
+     */
+    updateFormalityLabel() {
+        this.toneFormalityLabel.textContent = localize(`formalityLevel${this.toneFormalityInput.value}`);
+    }
+
+    /**
+     * Validate and save the profile in the editor
+     */
+    async handleSaveTone() {
+        try {
+            const saved = await this.aiService.toneProfiles.save({
+                id: this.editingToneId,
+                name: this.toneNameInput.value,
+                instructions: this.toneInstructionsInput.value,
+                examples: this.toneExamplesInput.value.split('\n'),
+                formality: Number(this.toneFormalityInput.value),
+                defaultLength: this.toneLengthSelect.value
+            });
+
+            this.toneProfileSelect.value = '';
+            this.renderTones();
+            this.toneProfileSelect.value = saved.id;
+            this.fillToneEditor(saved.id);
+            this.renderReplies();
+            this.showStatusMessage(localize('statusToneSaved', saved.name), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Delete the custom profile in the editor
+     */
+    async handleDeleteTone() {
+        if (!this.editingToneId) {
+            return;
+        }
+
+        const profile = this.aiService.toneProfiles.get(this.editingToneId);
+        if (!confirm(localize('confirmDeleteTone', profile.name))) {
+            return;
+        }
+
+        try {
+            await this.aiService.toneProfiles.remove(this.editingToneId);
+            this.toneProfileSelect.value = '';
+            this.renderTones();
+            this.renderReplies();
+            this.showStatusMessage(localize('statusToneDeleted', profile.name), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Fill the limit fields from the saved settings
+     */
+    renderLimits() {
+        const settings = this.aiService.rateLimiter.settings;
+        const model = this.aiService.getModelName();
+
+        Object.entries(this.limitInputs).forEach(([name, input]) => {
+            input.value = settings[name];
+        });
+        this.modelCostLimitModel.textContent = model;
+        this.modelCostLimitInput.value = settings.modelCostLimits[model] || 0;
+        this.warnAtInput.value = Math.round(settings.warnAt * 100);
+    }
+
+    /**
+     * Summarize current usage above the limit fields
+     */
+    async renderLimitsUsage() {
+        const stats = await this.aiService.rateLimiter.getUsageStats(this.aiService.getModelName());
+        const dollars = value => formatLocalNumber(value, { style: 'currency', currency: 'USD' });
+        // Usage, with its limit when one is set
+        const of = (used, limit, format = value => formatLocalNumber(value)) => (limit > 0 ? localize('usageOfLimit', [format(used), format(limit)]) : format(used));
+
+        this.limitsUsage.textContent = [
+            localize('usageRequestsSummary', [of(stats.requestsThisMinute, stats.maxPerMinute), of(stats.requestsThisHour, stats.maxPerHour), of(stats.requestsToday, stats.maxPerDay)]),
+            localize('usageTokensSummary', [of(stats.tokensToday, stats.dailyTokenBudget), of(stats.tokensThisMonth, stats.monthlyTokenBudget)]),
+            localize('usageSpendingSummary', [of(stats.costThisMonth, stats.monthlyCostLimit, dollars), stats.model, of(stats.modelCostThisMonth, stats.modelCostLimit, dollars)]),
+            ...stats.warnings.map(warning => `⚠️ ${warning}`)
+        ].join('\n');
+        this.limitsUsage.style.whiteSpace = 'pre-line';
+    }
+
+    /**
+     * Validate and save the limits
+     */
+    async handleSaveLimits() {
+        const limiter = this.aiService.rateLimiter;
+        const model = this.modelCostLimitModel.textContent;
+        const settings = {
+            modelCostLimits: { ...limiter.settings.modelCostLimits, [model]: Number(this.modelCostLimitInput.value || 0) },
+            warnAt: Number(this.warnAtInput.value || 0) / 100
+        };
+        Object.entries(this.limitInputs).forEach(([name, input]) => {
+            settings[name] = Number(input.value || 0);
+        });
+
+        try {
+            await limiter.saveSettings(settings);
+            this.showStatusMessage(localize('statusLimitsSaved'), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Fill the redaction settings
+     */
+    renderRedaction() {
+        const { enabled, types, customPatterns } = this.aiService.redactor.settings;
+
+        this.redactionEnabledInput.checked = enabled;
+        this.redactionTypes.innerHTML = '';
+        Object.keys(PII_TYPES).forEach(type => {
+            const item = document.createElement('label');
+            const checkbox = document.createElement('input');
+            item.className = 'form-label options-checkbox';
+            checkbox.type = 'checkbox';
+            checkbox.value = type;
+            checkbox.checked = types[type];
+            item.append(checkbox, ` ${localize(`piiType_${type}`)}`);
+            this.redactionTypes.appendChild(item);
+        });
+        this.customPatternsInput.value = customPatterns.map(({ name, pattern }) => `${name}: ${pattern}`).join('\n');
+        this.renderRedactionTest();
+    }
+
+    /**
+     * Redaction settings as entered in the form
+     * @returns {Object} - { enabled, types, customPatterns }
+     */
+    getRedactionForm() {
+        const types = {};
+        this.redactionTypes.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            types[checkbox.value] = checkbox.checked;
+        });
+
+        const customPatterns = this.customPatternsInput.value.split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                const separator = line.indexOf(':');
+                return separator === -1
+                    ? { name: '', pattern: line }
+                    : { name: line.slice(0, separator), pattern: line.slice(separator + 1) };
+            });
+
+        return { enabled: this.redactionEnabledInput.checked, types, customPatterns };
+    }
+
+    /**
+     * Show what the test text would look like when sent, using the saved settings
+     */
+    renderRedactionTest() {
+        const text = this.redactionTestInput.value;
+        const redaction = this.aiService.redactor.createRedaction();
+        this.redactionTestResult.textContent = text ? redaction.apply(text) : '';
+        this.redactionTestResult.style.display = text ? 'block' : 'none';
+    }
+
+    /**
+     * Validate and save the redaction settings
+     */
+    async handleSaveRedaction() {
+        try {
+            await this.aiService.redactor.saveSettings(this.getRedactionForm());
+            this.renderRedaction();
+            this.showStatusMessage(localize('statusRedactionSaved'), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Show the consent state, a checkbox per scope and the policy changes since the last consent
+     */
+    renderPrivacy() {
+        const consentInfo = this.aiService.consentManager.getConsentInfo();
+        const date = timestamp => formatLocalDate(timestamp, { dateStyle: 'medium' });
+
+        if (consentInfo.outdated) {
+            this.consentInfo.textContent = localize('consentOutdated', consentInfo.version);
+        } else if (consentInfo.version) {
+            this.consentInfo.textContent = localize(consentInfo.granted ? 'consentPolicyVersion' : 'consentPolicyVersionAiOff', consentInfo.policyVersion);
+        } else {
+            this.consentInfo.textContent = localize('consentNone');
+        }
+
+        this.consentScopes.innerHTML = '';
+        Object.entries(CONSENT_SCOPES).forEach(([scope, { label, description }]) => {
+            const state = consentInfo.scopes[scope];
+            const item = document.createElement('label');
+            item.className = 'consent-scope';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = scope;
+            checkbox.checked = consentInfo.version ? state.previouslyGranted : scope === 'ai_processing';
+
+            const text = document.createElement('span');
+            const title = document.createElement('strong');
+            const help = document.createElement('small');
+            title.textContent = label;
+            help.textContent = state.granted
+                ? localize('consentScopeAllowed', [description, date(state.timestamp), date(state.expiresAt)])
+                : description;
+            text.append(title, help);
+
+            item.append(checkbox, text);
+            this.consentScopes.appendChild(item);
+        });
+
+        this.consentChanges.innerHTML = '';
+        this.consentChanges.style.display = consentInfo.outdated ? 'block' : 'none';
+        if (consentInfo.outdated) {
+            const intro = document.createElement('strong');
+            intro.textContent = localize('consentWhatsNew', consentInfo.policyVersion);
+            const list = document.createElement('ul');
+            consentInfo.changes.forEach(({ changes }) => changes.forEach(change => {
+                const item = document.createElement('li');
+                item.textContent = change;
+                list.appendChild(item);
+            }));
+            this.consentChanges.append(intro, list);
+        }
+
+        this.revokeConsentBtn.disabled = !Object.values(consentInfo.scopes).some(state => state.previouslyGranted);
+    }
+
+    /**
+     * Summarize the consent audit log
+     */
+    async renderAuditLogSummary() {
+        const log = await this.aiService.consentManager.getAuditLog();
+        const last = log[log.length - 1];
+
+        this.auditLogSummary.textContent = last
+            ? localize(last.action === 'grant' ? 'auditLogSummaryGrant' : 'auditLogSummaryRevoke', [log.length, CONSENT_SCOPES[last.scope]?.label || last.scope, formatLocalDate(last.timestamp)])
+            : localize('auditLogEmpty');
+        this.exportAuditLogBtn.disabled = log.length === 0;
+    }
+
+    /**
+     * Show how much Draftly keeps in local storage
+     */
+    async renderDataSummary() {
+        const entries = await this.aiService.history.getAll();
+        const summaries = Object.keys(await this.aiService.summaryCache.getAll()).length;
+        const { usage_stats = [] } = await chrome.storage.local.get(['usage_stats']);
+
+        this.dataSummary.textContent = [
+            localize('dataReplyHistory', entries.length),
+            localize('dataThreadSummaries', summaries),
+            localize('dataUsageStatistics', usage_stats.length)
+        ].join('\n');
+        this.dataSummary.style.whiteSpace = 'pre-line';
+        this.clearHistoryBtn.disabled = entries.length === 0 && summaries === 0;
+        this.clearUsageBtn.disabled = usage_stats.length === 0;
+    }
+
+    /**
+     * List the keyboard commands with their current shortcuts
+     */
+    async renderShortcuts() {
+        const commands = await chrome.commands.getAll();
+        this.shortcutList.innerHTML = '';
+
+        commands.forEach(command => {
+            const item = document.createElement('li');
+            item.textContent = `${command.description || localize('commandOpenPopup')}: `;
+            if (command.shortcut) {
+                command.shortcut.split('+').forEach((key, index) => {
+                    if (index > 0) {
+                        item.appendChild(document.createTextNode('+'));
+                    }
+                    const kbd = document.createElement('kbd');
+                    kbd.textContent = key;
+                    item.appendChild(kbd);
+                });
+            } else {
+                item.appendChild(document.createTextNode(localize('shortcutNotSet')));
+            }
+            this.shortcutList.appendChild(item);
+        });
+    }
+
+    /**
+     * Save the checked consent scopes; unchecking one revokes it and deletes its data
+     */
+    async handleSaveConsent() {
+        const choices = {};
+        this.consentScopes.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            choices[checkbox.value] = checkbox.checked;
+        });
+
+        const consentInfo = this.aiService.consentManager.getConsentInfo();
+        const revoked = Object.keys(choices).filter(scope => !choices[scope] && consentInfo.scopes[scope].previouslyGranted);
+        if (revoked.length > 0 && !confirm(localize('confirmRevokeConsent', revoked.map(scope => CONSENT_SCOPES[scope].label).join(', ')))) {
+            return;
+        }
+
+        try {
+            await this.aiService.consentManager.updateConsent(choices, { source: 'options page' });
+            this.renderPrivacy();
+            await this.renderKeyState();
+            await this.renderDataSummary();
+            this.showStatusMessage(localize(choices.ai_processing ? 'statusConsentSaved' : 'statusConsentSavedAiOff'), choices.ai_processing ? 'success' : 'info');
+        } catch (error) {
+            this.showStatusMessage(localize('statusConsentSaveFailed', error.message), 'error');
+        }
+    }
+
+    /**
+     * Revoke every scope, which also removes the stored data; API keys are kept
+     */
+    async handleRevokeConsent() {
+        if (!confirm(localize('confirmRevokeAllConsent'))) {
+            return;
+        }
+
+        await this.aiService.consentManager.revokeConsent(undefined, { source: 'options page' });
+        this.renderPrivacy();
+        await this.renderKeyState();
+        await this.renderDataSummary();
+        this.showStatusMessage(localize('statusConsentRevoked'), 'info');
+    }
+
+    /**
+     * Download the consent audit log as JSON
+     */
+    async handleExportAuditLog() {
+        const blob = new Blob([await this.aiService.consentManager.exportAuditLog()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `draftly-consent-log-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Delete the reply history and the cached thread summaries
+     */
+    async handleClearHistory() {
+        if (!confirm(localize('confirmClearHistoryAndSummaries'))) {
+            return;
+        }
+
+        await this.aiService.history.clear();
+        await this.aiService.summaryCache.clear();
+        await this.renderDataSummary();
+        this.showStatusMessage(localize('statusHistoryAndSummariesCleared'), 'success');
+    }
+
+    /**
+     * Delete the local usage statistics; budgets keep counting
+     */
+    async handleClearUsage() {
+        if (!confirm(localize('confirmClearUsage'))) {
+            return;
+        }
+
+        await chrome.storage.local.remove('usage_stats');
+        await chrome.storage.sync.set({ usageCount: 0 });
+        await this.renderDataSummary();
+        this.showStatusMessage(localize('statusUsageCleared'), 'success');
+    }
+
+    /**
+     * Remove every setting, key and stored reply, on this device and in sync. The consent
+     * audit log is kept, with the revocations added, as the record of what was agreed to.
+     */
+    async handleEraseAll() {
+        if (!confirm(localize('confirmEraseAll'))) {
+            return;
+        }
+
+        await this.aiService.consentManager.revokeConsent(undefined, { source: 'options page' });
+        const auditLog = await this.aiService.consentManager.getAuditLog();
+
+        await chrome.storage.sync.clear();
+        await chrome.storage.local.clear();
+        await chrome.storage.session.clear();
+        await chrome.storage.local.set({ [CONSENT_AUDIT_LOG_KEY]: auditLog });
+        this.showStatusMessage(localize('statusAllDataErased'), 'success');
+        setTimeout(() => window.location.reload(), 1000);
+    }
+
+    /**
+     * Replace the options of a select
+     * @param {HTMLSelectElement} select - Select to fill
+     * @param {Array<{value: string, label: string}>} options - New options
+     */
+    fillSelect(select, options) {
+        select.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Show status message
+     * @param {string} message - The message to show
+     * @param {string} type - The message type (success, error, info)
+     */
+    showStatusMessage(message, type = 'info') {
+        this.statusMessage.textContent = message;
+        this.statusMessage.className = `status-message ${type}`;
+        this.statusMessage.style.display = 'block';
+
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => {
+            this.statusMessage.style.display = 'none';
+        }, type === 'error' ? 6000 : 3000);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const options = new DraftlyOptions();
+    options.initialize();
+    window.draftlyOptions = options;
+});
@@ -0,0 +1,397 @@
+/**
+ * Draftly PII Redactor
+ * Replaces personal data (email addresses, phone numbers, IBANs, card numbers,
+ * postal addresses and custom patterns) with placeholders such as [EMAIL_1]
+ * before an email leaves the browser, and puts the values back into the reply.
+ */
+
+const PII_SETTINGS_KEY = 'pii_redaction_settings';
+
+const DEFAULT_PII_SETTINGS = {
+    enabled: true,
+    types: {
+        email: true,
+        phone: true,
+        iban: true,
+        card: true,
+        address: true
+    },
+    customPatterns: [] // [{ name, pattern }], pattern is a regular expression source
+};
+
+const PII_LIMITS = {
+    maxCustomPatterns: 20,
+    nameLength: 30,
+    patternLength: 200,
+    maxPlaceholderLength: 40
+};
+
+/**
+ * Check an IBAN with the ISO 13616 mod-97 checksum
+ * @param {string} value - Candidate IBAN, spaces allowed
+ * @returns {boolean} - Whether the checksum is valid
+ */
+function isValidIban(value) {
+    const iban = value.replace(/\s/g, '');
+    if (iban.length < 15 || iban.length > 34) {
+        return false;
+    }
+
+    const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, char => String(char.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} value - Candidate card number, spaces and dashes allowed
+ * @returns {boolean} - Whether the checksum is valid
+ */
+function isValidCardNumber(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) {
+        return false;
+    }
+
+    let sum = 0;
+    [...digits].reverse().forEach((char, index) => {
+        let digit = Number(char);
+        if (index % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    });
+    return sum % 10 === 0;
+}
+
+/**
+ * Tell phone numbers apart from dates, amounts and other numbers with separators
+ * @param {string} value - Candidate phone number
+ * @returns {boolean} - Whether it looks like a phone number
+ */
+function isLikelyPhoneNumber(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 7 || digits.length > 15) {
+        return false;
+    }
+    if (/^\+/.test(value) && digits.length < 8) {
+        return false; // Country code and at least 7 digits
+    }
+    if (/^00/.test(value) && digits.length < 10) {
+        return false; // 0042-2025
+    }
+    if (/^\(/.test(value) && digits.length < 8) {
+        return false; // (2024) 123
+    }
+    if (/^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/.test(value)) {
+        return false; // 2025-03-07, 07.03.2025
+    }
+    if (/^\d{1,3}([.,' ]\d{3})+$/.test(value)) {
+        return false; // 1.250.000
+    }
+    return true;
+}
+
+const PHONE_SEPARATORS = ' \\u00a0./-';
+
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Square|Sq|Parkway|Pkwy|Highway|Hwy';
+const STREET_SUFFIXES_DE = 'straße|strasse|str\\.|weg|gasse|platz|allee|ring|damm';
+
+/**
+ * Built-in kinds of personal data, in the order they are redacted
+ */
+const PII_TYPES = {
+    email: {
+        label: 'Email addresses',
+        placeholder: 'EMAIL',
+        pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi
+    },
+    iban: {
+        label: 'IBANs',
+        placeholder: 'IBAN',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+        validate: isValidIban
+    },
+    card: {
+        label: 'Credit card numbers',
+        placeholder: 'CARD',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        validate: isValidCardNumber
+    },
+    phone: {
+        label: 'Phone numbers',
+        placeholder: 'PHONE',
+        // Only numbers written like phone numbers; a plain run of digits could be anything,
+        // and a number that continues other digit groups is part of something longer
+        pattern: new RegExp(`(?<![\\w+/.:-]|\\d[${PHONE_SEPARATORS}])(?:${[
+            // +49 30 1234567, 0044 (0)20 7946 0958
+            `(?:\\+|\\b00)\\d[()\\d${PHONE_SEPARATORS}]{5,}\\d`,
+            // (030) 1234567, (555) 123-4567
+            `\\(\\d{2,5}\\)[ \\u00a0-]?\\d{2,}(?:[${PHONE_SEPARATORS}]\\d{2,})*`,
+            // 030 1234567, 0176-123 45 67; the separator repeats, so a time after a date is left out
+            `\\b0\\d{1,4}[${PHONE_SEPARATORS}]\\d{2,}(?:([${PHONE_SEPARATORS}])\\d{2,}(?:\\1\\d{2,})*)?`,
+            // 555-123-4567
+            '\\b\\d{3}([-. \\u00a0])\\d{3}\\2\\d{4}'
+        ].join('|')})(?![\\w/]|[.:-]\\d)`, 'g'),
+        validate: isLikelyPhoneNumber
+    },
+    address: {
+        label: 'Postal addresses',
+        placeholder: 'ADDRESS',
+        pattern: new RegExp([
+            // 221B Baker Street, Apt 4, London NW1 6XE / 1600 Amphitheatre Pkwy, Mountain View, CA 94043
+            `\\b\\d{1,5}[A-Za-z]?\\s+(?:[A-Z][a-z]+\\.?\\s+){0,3}(?:${STREET_SUFFIXES})\\b\\.?` +
+                '(?:,?\\s+(?:Apt|Suite|Unit|Flat|#)\\.?\\s*[\\w-]+)?' +
+                '(?:,\\s*[A-Z][A-Za-z .]+,?\\s+(?:[A-Z]{2}\\s+)?(?:\\d{5}(?:-\\d{4})?|[A-Z]{1,2}\\d[A-Z\\d]?\\s*\\d[A-Z]{2}))?',
+            // Hauptstraße 5, 10115 Berlin
+            `\\b[A-ZÄÖÜ][a-zäöüß]+(?:[- ][A-ZÄÖÜa-zäöüß][a-zäöüß]+)*(?:${STREET_SUFFIXES_DE})\\s+\\d{1,4}[a-z]?\\b` +
+                '(?:,?\\s*\\d{4,5}\\s+[A-ZÄÖÜ][a-zäöüß]+)?'
+        ].join('|'), 'g')
+    }
+};
+
+/**
+ * Placeholder prefix for a custom pattern, e.g. "Ticket ID" → TICKET_ID
+ * @param {string} name - Pattern name
+ * @returns {string} - Placeholder prefix
+ */
+function getCustomPlaceholder(name) {
+    return name.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'CUSTOM';
+}
+
+/**
+ * PII Redactor Class
+ * Loads the redaction settings and starts a redaction for each request
+ */
+class PiiRedactor {
+    constructor() {
+        this.settings = { ...DEFAULT_PII_SETTINGS, types: { ...DEFAULT_PII_SETTINGS.types } };
+    }
+
+    /**
+     * Load redaction settings from storage
+     */
+    async loadSettings() {
+        try {
+            const result = await chrome.storage.sync.get([PII_SETTINGS_KEY]);
+            const saved = result[PII_SETTINGS_KEY] || {};
+            this.settings = {
+                ...DEFAULT_PII_SETTINGS,
+                ...saved,
+                types: { ...DEFAULT_PII_SETTINGS.types, ...saved.types },
+                customPatterns: Array.isArray(saved.customPatterns) ? saved.customPatterns : []
+            };
+        } catch (error) {
+            console.error('Failed to load redaction settings:', error);
+        }
+    }
+
+    /**
+     * Check redaction settings before saving them
+     * @param {Object} settings - { enabled, types, customPatterns }
+     * @returns {Object} - Normalized settings
+     */
+    validateSettings(settings) {
+        const types = {};
+        Object.keys(PII_TYPES).forEach(type => {
+            types[type] = settings.types?.[type] !== false;
+        });
+
+        const customPatterns = (settings.customPatterns || [])
+            .map(({ name = '', pattern = '' }) => ({ name: name.trim(), pattern: pattern.trim() }))
+            .filter(({ name, pattern }) => name || pattern);
+
+        if (customPatterns.length > PII_LIMITS.maxCustomPatterns) {
+            throw new Error(`You can add up to ${PII_LIMITS.maxCustomPatterns} custom patterns`);
+        }
+        customPatterns.forEach(({ name, pattern }) => {
+            if (!name || name.length > PII_LIMITS.nameLength) {
+                throw new Error(`Give every custom pattern a name of up to ${PII_LIMITS.nameLength} characters`);
+            }
+            if (!pattern || pattern.length > PII_LIMITS.patternLength) {
+                throw new Error(`The pattern for "${name}" must be 1 to ${PII_LIMITS.patternLength} characters`);
+            }
+
+            let regex;
+            try {
+                regex = new RegExp(pattern, 'g');
+            } catch (error) {
+                throw new Error(`The pattern for "${name}" is not a valid regular expression: ${error.message}`);
+            }
+            if (regex.test('')) {
+                throw new Error(`The pattern for "${name}" matches empty text`);
+            }
+        });
+
+        return { enabled: Boolean(settings.enabled), types, customPatterns };
+    }
+
+    /**
+     * Validate and save redaction settings
+     * @param {Object} settings - { enabled, types, customPatterns }
+     * @returns {Promise<Object>} - The saved settings
+     */
+    async saveSettings(settings) {
+        const validated = this.validateSettings({ ...this.settings, ...settings });
+        await chrome.storage.sync.set({ [PII_SETTINGS_KEY]: validated });
+        this.settings = validated;
+        return validated;
+    }
+
+    /**
+     * Rules to apply, custom patterns first so they win over the built-in kinds
+     * @returns {Array<Object>} - { label, placeholder, pattern, validate }
+     */
+    getRules() {
+        if (!this.settings.enabled) {
+            return [];
+        }
+
+        const custom = this.settings.customPatterns.map(({ name, pattern }) => ({
+            label: name,
+            placeholder: getCustomPlaceholder(name),
+            pattern: new RegExp(pattern, 'g')
+        }));
+        const builtIn = Object.entries(PII_TYPES)
+            .filter(([type]) => this.settings.types[type])
+            .map(([, rule]) => rule);
+
+        return [...custom, ...builtIn];
+    }
+
+    /**
+     * Start a redaction; use one per request so placeholders stay stable within it
+     * @returns {PiiRedaction} - Empty redaction
+     */
+    createRedaction() {
+        return new PiiRedaction(this.getRules());
+    }
+}
+
+/**
+ * PII Redaction Class
+ * Remembers which value each placeholder stands for during one request
+ */
+class PiiRedaction {
+    /**
+     * @param {Array<Object>} rules - Rules from PiiRedactor.getRules()
+     */
+    constructor(rules) {
+        this.rules = rules;
+        this.values = new Map(); // placeholder → original value
+        this.placeholders = new Map(); // placeholder prefix + value → placeholder
+        this.counts = {};
+    }
+
+    /**
+     * Replace personal data with placeholders; the same value always gets the same placeholder
+     * @param {string} text - Text to redact
+     * @returns {string} - Redacted text
+     */
+    apply(text) {
+        if (!text) {
+            return text;
+        }
+
+        return this.rules.reduce((result, rule) => result.replace(rule.pattern, (match) => {
+            if (rule.validate && !rule.validate(match)) {
+                return match;
+            }
+            return this.getPlaceholder(rule, match);
+        }), text);
+    }
+
+    /**
+     * @param {Object} rule - Rule that matched
+     * @param {string} value - Matched value
+     * @returns {string} - Placeholder such as [EMAIL_1]
+     */
+    getPlaceholder(rule, value) {
+        const key = `${rule.placeholder}\u0000${value}`;
+        if (!this.placeholders.has(key)) {
+            this.counts[rule.placeholder] = (this.counts[rule.placeholder] || 0) + 1;
+            const placeholder = `[${rule.placeholder}_${this.counts[rule.placeholder]}]`;
+            this.placeholders.set(key, placeholder);
+            this.values.set(placeholder, { value, label: rule.label });
+        }
+        return this.placeholders.get(key);
+    }
+
+    /**
+     * Put the original values back
+     * @param {string} text - Text with placeholders, e.g. the generated reply
+     * @returns {string} - Text with the original values
+     */
+    restore(text) {
+        if (!text || this.values.size === 0) {
+            return text;
+        }
+        return text.replace(/\[[A-Z0-9_]+_\d+\]/g, placeholder => this.values.get(placeholder)?.value ?? placeholder);
+    }
+
+    /**
+     * Restore placeholders in a token stream; a placeholder split across tokens is
+     * held back until it is complete
+     * @param {Function} onToken - (token, textSoFar) receiving restored text
+     * @returns {{push: Function, flush: Function}} - push(token) for each token, flush() at the end
+     */
+    createStreamRestorer(onToken) {
+        let pending = '';
+        let text = '';
+        const emit = (chunk) => {
+            if (!chunk) {
+                return;
+            }
+            const restored = this.restore(chunk);
+            text += restored;
+            onToken(restored, text);
+        };
+
+        return {
+            push: (token) => {
+                pending += token;
+                const open = pending.lastIndexOf('[');
+                const incomplete = open !== -1 && !pending.includes(']', open) &&
+                    pending.length - open < PII_LIMITS.maxPlaceholderLength;
+                const ready = incomplete ? pending.slice(0, open) : pending;
+                pending = incomplete ? pending.slice(open) : '';
+                emit(ready);
+            },
+            flush: () => {
+                emit(pending);
+                pending = '';
+            }
+        };
+    }
+
+    /**
+     * What was redacted, for previews
+     * @returns {Array<{placeholder: string, value: string, label: string}>} - Redacted values in order
+     */
+    getMatches() {
+        return [...this.values].map(([placeholder, { value, label }]) => ({ placeholder, value, label }));
+    }
+
+    /**
+     * @returns {number} - Number of distinct redacted values
+     */
+    get count() {
+        return this.values.size;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PII_SETTINGS_KEY = PII_SETTINGS_KEY;
+    window.DEFAULT_PII_SETTINGS = DEFAULT_PII_SETTINGS;
+    window.PII_LIMITS = PII_LIMITS;
+    window.PII_TYPES = PII_TYPES;
+    window.PiiRedactor = PiiRedactor;
+    window.PiiRedaction = PiiRedaction;
+}
@@ -9,12 +9,62 @@ class DraftlyPopup {
         this.emailInput = document.getElementById('emailInput');
         this.toneSelect = document.getElementById('toneSelect');
         this.generateBtn = document.getElementById('generateBtn');
+        this.stopBtn = document.getElementById('stopBtn');
         this.outputSection = document.getElementById('outputSection');
         this.generatedReply = document.getElementById('generatedReply');
         this.copyBtn = document.getElementById('copyBtn');
         this.regenerateBtn = document.getElementById('regenerateBtn');
         this.statusMessage = document.getElementById('statusMessage');
         this.charCount = document.getElementById('charCount');
+        this.redactionPreview = document.getElementById('redactionPreview');
+
+        // Draft comparison elements
+        this.variantCountSelect = document.getElementById('variantCountSelect');
+        this.variantTones = document.getElementById('variantTones');
+        this.variantsGroup = document.getElementById('variantsGroup');
+        this.variantList = document.getElementById('variantList');
+        this.mergeVariantsBtn = document.getElementById('mergeVariantsBtn');
+        this.replyGroup = document.getElementById('replyGroup');
+
+        // Reply language elements
+        this.replyLanguageSelect = document.getElementById('replyLanguageSelect');
+        this.showTranslationInput = document.getElementById('showTranslationInput');
+        this.translationGroup = document.getElementById('translationGroup');
+        this.translationTitle = document.getElementById('translationTitle');
+        this.replyTranslation = document.getElementById('replyTranslation');
+
+        // Writing style elements
+        this.useStyleInput = document.getElementById('useStyleInput');
+        this.styleStatus = document.getElementById('styleStatus');
+        this.manageStyleBtn = document.getElementById('manageStyleBtn');
+        this.styleSection = document.getElementById('styleSection');
+        this.styleSummary = document.getElementById('styleSummary');
+        this.styleSampleInput = document.getElementById('styleSampleInput');
+        this.addStyleSampleBtn = document.getElementById('addStyleSampleBtn');
+        this.addThreadStyleSamplesBtn = document.getElementById('addThreadStyleSamplesBtn');
+        this.styleSampleList = document.getElementById('styleSampleList');
+        this.clearStyleBtn = document.getElementById('clearStyleBtn');
+        this.closeStyleBtn = document.getElementById('closeStyleBtn');
+
+        // Rewrite elements
+        this.rewriteActionSelect = document.getElementById('rewriteActionSelect');
+        this.rewriteLanguageSelect = document.getElementById('rewriteLanguageSelect');
+        this.rewriteSelectionBtn = document.getElementById('rewriteSelectionBtn');
+
+        // Thread summary elements
+        this.summarizeThreadBtn = document.getElementById('summarizeThreadBtn');
+        this.summarySection = document.getElementById('summarySection');
+        this.summaryTitle = document.getElementById('summaryTitle');
+        this.threadSummary = document.getElementById('threadSummary');
+        this.refreshSummaryBtn = document.getElementById('refreshSummaryBtn');
+        this.copySummaryBtn = document.getElementById('copySummaryBtn');
+
+        // Extracted tasks & dates elements
+        this.extractItemsBtn = document.getElementById('extractItemsBtn');
+        this.extractionSection = document.getElementById('extractionSection');
+        this.extractionTitle = document.getElementById('extractionTitle');
+        this.exportButtons = document.getElementById('exportButtons');
+        this.extractedItems = document.getElementById('extractedItems');
 
         // New AI-related elements
         this.setupSection = document.getElementById('setupSection');
@@ -22,15 +72,114 @@ class DraftlyPopup {
         this.inputSection = document.getElementById('inputSection');
         this.grantConsentBtn = document.getElementById('grantConsentBtn');
         this.declineConsentBtn = document.getElementById('declineConsentBtn');
+        this.consentScopes = document.getElementById('consentScopes');
+        this.consentChanges = document.getElementById('consentChanges');
         this.rateLimitWarning = document.getElementById('rateLimitWarning');
         this.apiStatus = document.getElementById('apiStatus');
         this.consentStatus = document.getElementById('consentStatus');
 
+        // Provider setup elements
+        this.providerSelect = document.getElementById('providerSelect');
+        this.modelInput = document.getElementById('modelInput');
+        this.endpointGroup = document.getElementById('endpointGroup');
+        this.endpointInput = document.getElementById('endpointInput');
+        this.deploymentGroup = document.getElementById('deploymentGroup');
+        this.deploymentInput = document.getElementById('deploymentInput');
+        this.apiKeyInput = document.getElementById('apiKeyInput');
+        this.apiKeyLabel = document.getElementById('apiKeyLabel');
+        this.apiKeyRequired = document.getElementById('apiKeyRequired');
+        this.apiKeyHelp = document.getElementById('apiKeyHelp');
+        this.saveApiKeyBtn = document.getElementById('saveApiKeyBtn');
+        this.providerName = document.getElementById('providerName');
+
+        // Tone profile editor elements
+        this.toneSection = document.getElementById('toneSection');
+        this.manageTonesBtn = document.getElementById('manageTonesBtn');
+        this.toneProfileSelect = document.getElementById('toneProfileSelect');
+        this.toneNameInput = document.getElementById('toneNameInput');
+        this.toneInstructionsInput = document.getElementById('toneInstructionsInput');
+        this.toneExamplesInput = document.getElementById('toneExamplesInput');
+        this.toneFormalityInput = document.getElementById('toneFormalityInput');
+        this.toneFormalityLabel = document.getElementById('toneFormalityLabel');
+        this.toneLengthSelect = document.getElementById('toneLengthSelect');
+        this.saveToneBtn = document.getElementById('saveToneBtn');
+        this.deleteToneBtn = document.getElementById('deleteToneBtn');
+        this.closeToneEditorBtn = document.getElementById('closeToneEditorBtn');
+
+        // Prompt template elements
+        this.templateSelect = document.getElementById('templateSelect');
+        this.templateFields = document.getElementById('templateFields');
+        this.manageTemplatesBtn = document.getElementById('manageTemplatesBtn');
+        this.templateSection = document.getElementById('templateSection');
+        this.templateEditSelect = document.getElementById('templateEditSelect');
+        this.templateNameInput = document.getElementById('templateNameInput');
+        this.templateBodyInput = document.getElementById('templateBodyInput');
+        this.saveTemplateBtn = document.getElementById('saveTemplateBtn');
+        this.deleteTemplateBtn = document.getElementById('deleteTemplateBtn');
+        this.closeTemplateEditorBtn = document.getElementById('closeTemplateEditorBtn');
+        this.importTemplatesBtn = document.getElementById('importTemplatesBtn');
+        this.exportTemplatesBtn = document.getElementById('exportTemplatesBtn');
+        this.templateImportInput = document.getElementById('templateImportInput');
+
+        // Usage limit elements
+        this.budgetWarning = document.getElementById('budgetWarning');
+        this.limitsSection = document.getElementById('limitsSection');
+        this.manageLimitsBtn = document.getElementById('manageLimitsBtn');
+        this.limitsUsage = document.getElementById('limitsUsage');
+        this.limitInputs = {
+            maxPerMinute: document.getElementById('maxPerMinuteInput'),
+            maxPerHour: document.getElementById('maxPerHourInput'),
+            maxPerDay: document.getElementById('maxPerDayInput'),
+            dailyTokenBudget: document.getElementById('dailyTokenBudgetInput'),
+            monthlyTokenBudget: document.getElementById('monthlyTokenBudgetInput'),
+            monthlyCostLimit: document.getElementById('monthlyCostLimitInput')
+        };
+        this.modelCostLimitInput = document.getElementById('modelCostLimitInput');
+        this.modelCostLimitModel = document.getElementById('modelCostLimitModel');
+        this.warnAtInput = document.getElementById('warnAtInput');
+        this.saveLimitsBtn = document.getElementById('saveLimitsBtn');
+        this.closeLimitsBtn = document.getElementById('closeLimitsBtn');
+
+        // Key security elements
+        this.unlockSection = document.getElementById('unlockSection');
+        this.unlockPassphraseInput = document.getElementById('unlockPassphraseInput');
+        this.unlockBtn = document.getElementById('unlockBtn');
+        this.securitySection = document.getElementById('securitySection');
+        this.securityStatus = document.getElementById('securityStatus');
+        this.passphraseInput = document.getElementById('passphraseInput');
+        this.passphraseConfirmInput = document.getElementById('passphraseConfirmInput');
+        this.setPassphraseBtn = document.getElementById('setPassphraseBtn');
+        this.removePassphraseBtn = document.getElementById('removePassphraseBtn');
+        this.autoLockInput = document.getElementById('autoLockInput');
+        this.syncKeysInput = document.getElementById('syncKeysInput');
+        this.lockNowBtn = document.getElementById('lockNowBtn');
+        this.closeSecurityBtn = document.getElementById('closeSecurityBtn');
+
+        // Reply history elements
+        this.historySection = document.getElementById('historySection');
+        this.historySearch = document.getElementById('historySearch');
+        this.historyToneFilter = document.getElementById('historyToneFilter');
+        this.historyDateFilter = document.getElementById('historyDateFilter');
+        this.historyList = document.getElementById('historyList');
+        this.historyEmpty = document.getElementById('historyEmpty');
+        this.clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        this.closeHistoryBtn = document.getElementById('closeHistoryBtn');
+
         // State
         this.currentInput = '';
-        this.currentTone = 'professional';
+        this.currentTone = DEFAULT_TONE_ID;
         this.aiService = null;
         this.rateLimitCountdown = null;
+        this.abortController = null;
+        this.pipelineStatus = null;
+        this.editingToneId = null;
+        this.promptTemplates = new PromptTemplateManager();
+        this.editingTemplateId = null;
+        this.historyEntries = [];
+        this.variantRun = null;
+        this.mergeSelection = [];
+        this.summary = null;
+        this.extraction = null;
 
         // Make AI service available globally for debugging
         window.draftlyPopup = this;
@@ -126,21 +275,15 @@ async initializeAI() {
         // Create AI service
         this.aiService = new DraftlyAIService();
         window.draftlyAI = this.aiService;
+        await this.aiService.initialize();
 
-        // Check user consent
-        const hasConsent = await this.aiService.consentManager.hasConsent();
-        if (!hasConsent) {
-            console.log("⚠️ No consent found → showing consent screen.");
-            this.showSection("consent");
-        } else {
-            console.log("✅ Consent verified → showing input section.");
-            this.showSection("input");
-            this.updateConsentStatus();
-            this.updateAPIStatus();
-        }
+        // Show setup, consent or input depending on what is configured
+        await this.checkInitialState();
+        this.populateProviderSettings();
 
-        // Attach event listeners
+        // Attach event listeners and follow changes made on the options page
         this.initializeEventListeners();
+        chrome.storage.onChanged.addListener((changes, namespace) => this.handleStorageChanges(changes, namespace));
         console.log("🎉 Draftly AI popup ready!");
     } catch (err) {
         console.error("❌ Failed to initialize AI:", err);
@@ -155,6 +298,13 @@ async initializeAI() {
         try {
             // Load API key
             await this.aiService.loadAPIKey();
+
+            if (this.aiService.keyLocked) {
+                // Ask for the passphrase first
+                this.showSection('unlock');
+                this.unlockPassphraseInput?.focus();
+                return;
+            }
             
             if (!this.aiService.hasAPIKey()) {
                 // Show API key setup
@@ -166,15 +316,23 @@ async initializeAI() {
             const hasConsent = await this.aiService.consentManager.hasConsent();
             
             if (!hasConsent) {
-                // Show consent dialog
+                // Show consent dialog, with what changed if an older policy was accepted
+                this.renderConsentChoices();
                 this.showSection('consent');
                 return;
             }
 
             // Show main input section
             this.showSection('input');
+            this.renderToneOptions();
+            await this.promptTemplates.load();
+            this.renderTemplateOptions();
+            await this.loadUserPreferences();
+            this.renderStyleStatus();
             this.updateConsentStatus();
             this.updateAPIStatus();
+            this.updateProviderName();
+            await this.showPendingReply();
             
         } catch (error) {
             console.error('Error checking initial state:', error);
@@ -182,15 +340,86 @@ async initializeAI() {
         }
     }
 
+    /**
+     * Apply settings changed elsewhere, e.g. on the options page, without reopening the popup
+     * @param {Object} changes - Changed storage keys
+     * @param {string} namespace - 'sync', 'local' or 'session'
+     */
+    async handleStorageChanges(changes, namespace) {
+        const keys = Object.keys(changes);
+        const changed = (test) => keys.some(test);
+
+        if (changed(key => key === 'llm_provider')) {
+            await this.aiService.loadProviderConfig();
+            this.populateProviderSettings();
+            this.updateProviderName();
+        }
+        if (changed(key => key.startsWith(TONE_PROFILE_KEY_PREFIX))) {
+            await this.aiService.toneProfiles.load();
+            this.renderToneOptions();
+        }
+        if (changed(key => key.startsWith(PROMPT_TEMPLATE_KEY_PREFIX))) {
+            await this.promptTemplates.load();
+            this.renderTemplateOptions();
+        }
+        if (changed(key => key === REPLY_SETTINGS_KEY)) {
+            await this.aiService.loadReplySettings();
+        }
+        if (changed(key => key === STYLE_PROFILE_KEY)) {
+            await this.aiService.styleProfile.load();
+            this.renderStyleStatus();
+            if (this.currentSection === 'style') {
+                this.renderStyleProfile();
+            }
+        }
+        if (changed(key => key === PII_SETTINGS_KEY)) {
+            await this.aiService.redactor.loadSettings();
+            this.renderRedactionPreview();
+        }
+        if (changed(key => key === RATE_LIMIT_SETTINGS_KEY)) {
+            await this.aiService.rateLimiter.loadSettings();
+            if (this.currentSection === 'input') {
+                this.updateAPIStatus();
+            }
+        }
+
+        // A new key, a lock or a consent change can mean a different screen, but leave editors open
+        const gateChanged = this.isLockChange(changes, namespace) || (namespace !== 'session' &&
+            changed(key => key === 'llm_provider' || key === CONSENT_KEY || key.endsWith('_api_key') || key.startsWith('key_vault_')));
+        if (gateChanged && ['setup', 'unlock', 'consent', 'input'].includes(this.currentSection)) {
+            await this.aiService.consentManager.initialize();
+            await this.checkInitialState();
+        }
+    }
+
+    /**
+     * Whether the API keys were locked or unlocked; the vault also rewrites its session
+     * on every use to extend the auto-lock, which is not a change worth re-rendering for
+     * @param {Object} changes - Changed storage keys
+     * @param {string} namespace - Storage area
+     * @returns {boolean} - Whether the lock state changed
+     */
+    isLockChange(changes, namespace) {
+        const session = changes[KEY_VAULT_SESSION_KEY];
+        return namespace === 'session' && Boolean(session) && !session.oldValue !== !session.newValue;
+    }
+
     /**
      * Show specific section and hide others
-     * @param {string} section - Section to show: 'setup', 'consent', 'input'
+     * @param {string} section - Section to show: 'setup', 'unlock', 'consent', 'input', 'tones', 'templates', 'style', 'limits', 'security', 'history'
      */
     showSection(section) {
         const sections = {
             setup: this.setupSection,
+            unlock: this.unlockSection,
             consent: this.consentSection,
-            input: this.inputSection
+            input: this.inputSection,
+            tones: this.toneSection,
+            templates: this.templateSection,
+            style: this.styleSection,
+            limits: this.limitsSection,
+            security: this.securitySection,
+            history: this.historySection
         };
 
         // Hide all sections
@@ -199,6 +428,7 @@ async initializeAI() {
         });
 
         // Show requested section
+        this.currentSection = section;
         if (sections[section]) {
             sections[section].style.display = 'block';
             sections[section].classList.add('section-fade-in');
@@ -209,6 +439,15 @@ async initializeAI() {
      * Initialize all event listeners
      */
     initializeEventListeners() {
+        // Provider setup
+        if (this.providerSelect) {
+            this.providerSelect.addEventListener('change', () => this.updateProviderFields());
+        }
+
+        if (this.saveApiKeyBtn) {
+            this.saveApiKeyBtn.addEventListener('click', () => this.handleSaveApiKey());
+        }
+
         // Consent management
         if (this.grantConsentBtn) {
             this.grantConsentBtn.addEventListener('click', () => this.handleGrantConsent());
@@ -222,45 +461,156 @@ async initializeAI() {
         if (this.emailInput) {
             this.emailInput.addEventListener('input', () => {
                 this.updateCharacterCount();
+                this.renderRedactionPreview();
                 this.validateInput();
             });
         }
 
         if (this.toneSelect) {
-            const allowedTones = ['formal', 'casual'];
-            const options = this.toneSelect.options;
-
-            for (let i = 0; i < options.length; i++) {
-                const option = options[i];
-                const tone = option.value.toLowerCase();
-
-                if (!allowedTones.includes(tone)) {
-                    option.disabled = true;
-                    option.style.color = 'grey';
-                    option.style.cursor = 'not-allowed';
-
-                    // Add an 'i' icon as a child element
-                    const infoIcon = document.createElement('span');
-                    infoIcon.innerText = ' ℹ️';
-                    infoIcon.style.color = 'grey';
-                    infoIcon.style.cursor = 'help';
-                    infoIcon.title = 'Buy our subscription or premium feature';
-
-                    // Append the icon to the option
-                    option.appendChild(infoIcon);
-                }
-            }
-
             this.toneSelect.addEventListener('change', () => {
                 this.currentTone = this.toneSelect.value;
                 this.saveUserPreferences();
             });
         }
 
+        // Tone profile editor
+        if (this.manageTonesBtn) {
+            this.manageTonesBtn.addEventListener('click', () => this.openToneEditor());
+        }
+
+        if (this.toneProfileSelect) {
+            this.toneProfileSelect.addEventListener('change', () => this.fillToneEditor(this.toneProfileSelect.value));
+        }
+
+        if (this.toneFormalityInput) {
+            this.toneFormalityInput.addEventListener('input', () => this.updateFormalityLabel());
+        }
+
+        if (this.saveToneBtn) {
+            this.saveToneBtn.addEventListener('click', () => this.handleSaveTone());
+        }
+
+        if (this.deleteToneBtn) {
+            this.deleteToneBtn.addEventListener('click', () => this.handleDeleteTone());
+        }
+
+        if (this.closeToneEditorBtn) {
+            this.closeToneEditorBtn.addEventListener('click', () => this.showSection('input'));
+        }
+
+        // Prompt templates
+        if (this.templateSelect) {
+            this.templateSelect.addEventListener('change', () => {
+                this.renderTemplateFields();
+                this.validateInput();
+            });
+        }
+
+        if (this.manageTemplatesBtn) {
+            this.manageTemplatesBtn.addEventListener('click', () => this.openTemplateEditor());
+        }
+
+        if (this.templateEditSelect) {
+            this.templateEditSelect.addEventListener('change', () => this.fillTemplateEditor(this.templateEditSelect.value));
+        }
+
+        if (this.saveTemplateBtn) {
+            this.saveTemplateBtn.addEventListener('click', () => this.handleSaveTemplate());
+        }
+
+        if (this.deleteTemplateBtn) {
+            this.deleteTemplateBtn.addEventListener('click', () => this.handleDeleteTemplate());
+        }
+
+        if (this.closeTemplateEditorBtn) {
+            this.closeTemplateEditorBtn.addEventListener('click', () => this.showSection('input'));
+        }
+
+        if (this.exportTemplatesBtn) {
+            this.exportTemplatesBtn.addEventListener('click', () => this.handleExportTemplates());
+        }
+
+        if (this.importTemplatesBtn && this.templateImportInput) {
+            this.importTemplatesBtn.addEventListener('click', () => this.templateImportInput.click());
+            this.templateImportInput.addEventListener('change', () => this.handleImportTemplates());
+        }
+
+        // Writing style
+        if (this.manageStyleBtn) {
+            this.manageStyleBtn.addEventListener('click', () => this.openStyleEditor());
+        }
+
+        if (this.addStyleSampleBtn) {
+            this.addStyleSampleBtn.addEventListener('click', () => this.handleAddStyleSample());
+        }
+
+        if (this.addThreadStyleSamplesBtn) {
+            this.addThreadStyleSamplesBtn.addEventListener('click', () => this.handleAddThreadStyleSamples());
+        }
+
+        if (this.clearStyleBtn) {
+            this.clearStyleBtn.addEventListener('click', () => this.handleClearStyle());
+        }
+
+        if (this.closeStyleBtn) {
+            this.closeStyleBtn.addEventListener('click', () => this.showSection('input'));
+        }
+
+        // Usage limits
+        if (this.manageLimitsBtn) {
+            this.manageLimitsBtn.addEventListener('click', () => this.openLimitsEditor());
+        }
+
+        if (this.saveLimitsBtn) {
+            this.saveLimitsBtn.addEventListener('click', () => this.handleSaveLimits());
+        }
+
+        if (this.closeLimitsBtn) {
+            this.closeLimitsBtn.addEventListener('click', () => this.showSection('input'));
+        }
+
+        // Key security
+        if (this.unlockBtn) {
+            this.unlockBtn.addEventListener('click', () => this.handleUnlock());
+            this.unlockPassphraseInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.handleUnlock();
+                }
+            });
+        }
+
+        if (this.setPassphraseBtn) {
+            this.setPassphraseBtn.addEventListener('click', () => this.handleSetPassphrase());
+        }
+
+        if (this.removePassphraseBtn) {
+            this.removePassphraseBtn.addEventListener('click', () => this.handleRemovePassphrase());
+        }
+
+        if (this.autoLockInput) {
+            this.autoLockInput.addEventListener('change', () => this.handleAutoLockChange());
+        }
+
+        if (this.syncKeysInput) {
+            this.syncKeysInput.addEventListener('change', () => this.handleSyncKeysChange());
+        }
+
+        if (this.lockNowBtn) {
+            this.lockNowBtn.addEventListener('click', () => this.handleLockNow());
+        }
+
+        if (this.closeSecurityBtn) {
+            this.closeSecurityBtn.addEventListener('click', () => this.checkInitialState());
+        }
+
         if (this.generateBtn) {
             this.generateBtn.addEventListener('click', () => this.handleGenerateReply());
         }
 
+        if (this.stopBtn) {
+            this.stopBtn.addEventListener('click', () => this.handleStopGeneration());
+        }
+
         if (this.copyBtn) {
             this.copyBtn.addEventListener('click', () => this.copyToClipboard());
         }
@@ -269,74 +619,350 @@ async initializeAI() {
             this.regenerateBtn.addEventListener('click', () => this.handleRegenerateReply());
         }
 
+        // Draft comparison
+        if (this.variantCountSelect) {
+            this.variantCountSelect.addEventListener('change', () => this.renderVariantToneOptions());
+        }
+
+        if (this.mergeVariantsBtn) {
+            this.mergeVariantsBtn.addEventListener('click', () => this.handleMergeVariants());
+        }
+
+        // Reply language
+        if (this.replyLanguageSelect) {
+            this.renderReplyLanguageOptions();
+        }
+
+        // Rewrite selected text
+        if (this.rewriteActionSelect) {
+            this.renderRewriteOptions();
+            this.rewriteActionSelect.addEventListener('change', () => this.updateRewriteLanguage());
+        }
+
+        if (this.rewriteSelectionBtn) {
+            this.rewriteSelectionBtn.addEventListener('click', () => this.handleRewriteSelection());
+        }
+
+        // Thread summary
+        if (this.summarizeThreadBtn) {
+            this.summarizeThreadBtn.addEventListener('click', () => this.handleSummarizeThread());
+        }
+
+        if (this.refreshSummaryBtn) {
+            this.refreshSummaryBtn.addEventListener('click', () => this.handleSummarizeThread({ refresh: true }));
+        }
+
+        if (this.copySummaryBtn) {
+            this.copySummaryBtn.addEventListener('click', () => this.copyThreadSummary());
+        }
+
+        // Extracted tasks & dates
+        if (this.extractItemsBtn) {
+            this.extractItemsBtn.addEventListener('click', () => this.handleExtractItems());
+        }
+
+        if (this.exportButtons) {
+            this.exportButtons.addEventListener('click', (event) => {
+                const format = event.target.closest('button')?.dataset.format;
+                if (format) {
+                    this.exportExtraction(format);
+                }
+            });
+        }
+
+        // Reply history
+        if (this.historySearch) {
+            this.historySearch.addEventListener('input', () => this.renderHistory());
+        }
+
+        [this.historyToneFilter, this.historyDateFilter].forEach(filter => {
+            if (filter) {
+                filter.addEventListener('change', () => this.renderHistory());
+            }
+        });
+
+        if (this.clearHistoryBtn) {
+            this.clearHistoryBtn.addEventListener('click', () => this.handleClearHistory());
+        }
+
+        if (this.closeHistoryBtn) {
+            this.closeHistoryBtn.addEventListener('click', () => this.showSection('input'));
+        }
+
         // Footer links
+        const historyLink = document.getElementById('historyLink');
+        const securityLink = document.getElementById('securityLink');
         const settingsLink = document.getElementById('settingsLink');
         const consentLink = document.getElementById('consentLink');
         const helpLink = document.getElementById('helpLink');
         const aboutLink = document.getElementById('aboutLink');
 
+        if (historyLink) {
+            historyLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showHistory();
+            });
+        }
+
+        if (securityLink) {
+            securityLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openSecuritySettings();
+            });
+        }
+
         if (settingsLink) {
             settingsLink.addEventListener('click', (e) => {
                 e.preventDefault();
-                this.showSettings();
+                this.openOptionsPage();
             });
         }
 
         if (consentLink) {
             consentLink.addEventListener('click', (e) => {
                 e.preventDefault();
-                this.showConsentManager();
+                this.openOptionsPage('privacy');
             });
         }
 
         if (helpLink) {
             helpLink.addEventListener('click', (e) => {
                 e.preventDefault();
-                this.showHelp();
+                this.openOptionsPage('help');
             });
         }
 
         if (aboutLink) {
             aboutLink.addEventListener('click', (e) => {
                 e.preventDefault();
-                this.showAbout();
+                this.openOptionsPage('about');
             });
         }
 
-        // Keyboard shortcuts
+        // Keyboard shortcuts; commands that work in Gmail are in manifest.json
         document.addEventListener('keydown', (e) => {
             if (e.ctrlKey && e.key === 'Enter') {
                 this.handleGenerateReply();
             }
-            if (e.ctrlKey && e.key === 'c' && this.outputSection && this.outputSection.style.display !== 'none') {
+            if (e.ctrlKey && e.key === 'c' && this.shouldCopyReplyOnShortcut(e)) {
                 this.copyToClipboard();
             }
         });
+    }
+
+    /**
+     * Whether Ctrl+C should copy the whole reply: only while a reply is shown and
+     * nothing is selected, so copying selected text or form fields keeps working
+     * @param {KeyboardEvent} event
+     * @returns {boolean}
+     */
+    shouldCopyReplyOnShortcut(event) {
+        if (!this.outputSection || this.outputSection.style.display === 'none') {
+            return false;
+        }
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
+            return false;
+        }
+        return window.getSelection().isCollapsed;
+    }
+
+    /**
+     * Fill the setup form from the saved provider settings
+     */
+    populateProviderSettings() {
+        if (!this.providerSelect || !this.aiService) {
+            return;
+        }
 
+        const config = this.aiService.providerConfig;
+        this.providerSelect.value = config.id;
+        if (this.modelInput) {
+            this.modelInput.value = config.model || '';
+        }
+        if (this.endpointInput) {
+            this.endpointInput.value = config.endpoint || '';
+        }
+        if (this.deploymentInput) {
+            this.deploymentInput.value = config.deployment || '';
+        }
+        this.updateProviderFields();
+    }
 
-        
-        // Inject Gmail button
-        this.injectGmailButton();
+    /**
+     * Show the fields and hints relevant to the selected provider
+     */
+    updateProviderFields() {
+        if (!this.providerSelect) {
+            return;
+        }
+
+        const ProviderClass = getProviderClass(this.providerSelect.value);
+        const hints = PROVIDER_KEY_HINTS[ProviderClass.id];
+
+        if (this.modelInput) {
+            this.modelInput.placeholder = ProviderClass.defaultModel || 'Deployment default';
+            this.modelInput.disabled = ProviderClass.id === 'azure';
+        }
+        if (this.endpointGroup) {
+            this.endpointGroup.style.display = ['azure', 'local'].includes(ProviderClass.id) ? 'block' : 'none';
+        }
+        if (this.endpointInput) {
+            this.endpointInput.placeholder = ProviderClass.defaultEndpoint || 'https://my-resource.openai.azure.com';
+        }
+        if (this.deploymentGroup) {
+            this.deploymentGroup.style.display = ProviderClass.id === 'azure' ? 'block' : 'none';
+        }
+        if (this.apiKeyLabel) {
+            this.apiKeyLabel.textContent = localize('apiKeyLabel', ProviderClass.label);
+        }
+        if (this.apiKeyRequired) {
+            this.apiKeyRequired.style.display = ProviderClass.requiresApiKey ? '' : 'none';
+        }
+        if (this.apiKeyInput && hints) {
+            this.apiKeyInput.placeholder = hints.placeholder;
+        }
+        if (this.apiKeyHelp && hints) {
+            this.apiKeyHelp.innerHTML = localize('apiKeyHelp', `<a href="${hints.url}" target="_blank">${hints.site}</a>`);
+        }
+    }
+
+    /**
+     * Handle save provider settings and API key
+     */
+    async handleSaveApiKey() {
+        if (!this.aiService || !this.providerSelect) {
+            return;
+        }
+
+        const apiKey = this.apiKeyInput?.value?.trim() || '';
+        const ProviderClass = getProviderClass(this.providerSelect.value);
+        const keyCheck = ProviderClass.validateApiKey(apiKey);
+
+        if (!keyCheck.valid) {
+            this.showStatusMessage(`🔑 ${keyCheck.message}`, 'error');
+            return;
+        }
+
+        this.setLoadingState(this.saveApiKeyBtn, true);
+
+        try {
+            await this.aiService.saveProviderConfig({
+                id: ProviderClass.id,
+                model: this.modelInput?.value?.trim() || '',
+                endpoint: this.endpointInput?.value?.trim() || '',
+                deployment: this.deploymentInput?.value?.trim() || ''
+            });
+            await this.aiService.saveAPIKey(apiKey);
+
+            if (this.apiKeyInput) {
+                this.apiKeyInput.value = '';
+            }
+            this.showStatusMessage(localize('statusProviderConfigured', ProviderClass.label), 'success');
+            this.updateProviderName();
+
+            setTimeout(() => this.checkInitialState(), 1000);
+        } catch (error) {
+            console.error('Error saving provider settings:', error);
+            this.showStatusMessage(error.message, 'error');
+        } finally {
+            this.setLoadingState(this.saveApiKeyBtn, false);
+        }
+    }
+
+    /**
+     * Show the active provider in the footer
+     */
+    updateProviderName() {
+        if (!this.providerName || !this.aiService) {
+            return;
+        }
+
+        this.providerName.textContent = this.aiService.getProviderClass().label;
+    }
+
+    /**
+     * Show a checkbox per consent scope and the policy changes since the last consent
+     */
+    renderConsentChoices() {
+        if (!this.consentScopes) {
+            return;
+        }
+
+        const consentInfo = this.aiService.consentManager.getConsentInfo();
+        this.consentScopes.innerHTML = '';
+        Object.entries(CONSENT_SCOPES).forEach(([scope, { label, description }]) => {
+            const item = document.createElement('label');
+            item.className = 'consent-scope';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = scope;
+            // Start from the previous choices; first-time users start with AI processing only
+            checkbox.checked = consentInfo.version ? consentInfo.scopes[scope].previouslyGranted : scope === 'ai_processing';
+
+            const text = document.createElement('span');
+            const title = document.createElement('strong');
+            const help = document.createElement('small');
+            title.textContent = label;
+            help.textContent = description;
+            text.append(title, help);
+
+            item.append(checkbox, text);
+            this.consentScopes.appendChild(item);
+        });
+
+        if (this.consentChanges) {
+            this.consentChanges.innerHTML = '';
+            this.consentChanges.style.display = consentInfo.outdated ? 'block' : 'none';
+            if (consentInfo.outdated) {
+                const intro = document.createElement('strong');
+                intro.textContent = localize('consentPolicyChanged', [consentInfo.version, consentInfo.policyVersion]);
+                const list = document.createElement('ul');
+                consentInfo.changes.forEach(({ changes }) => changes.forEach(change => {
+                    const item = document.createElement('li');
+                    item.textContent = change;
+                    list.appendChild(item);
+                }));
+                this.consentChanges.append(intro, list);
+            }
+        }
     }
 
     /**
-     * Handle grant consent
+     * Handle grant consent: save the checked scopes; unchecking one revokes it and deletes its data
      */
     async handleGrantConsent() {
         try {
-            await this.aiService.consentManager.grantConsent();
-            this.showStatusMessage('Consent granted successfully!', 'success');
+            const choices = {};
+            this.consentScopes.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                choices[checkbox.value] = checkbox.checked;
+            });
+
+            const consentInfo = this.aiService.consentManager.getConsentInfo();
+            const revoked = Object.keys(choices).filter(scope => !choices[scope] && consentInfo.scopes[scope].previouslyGranted);
+            if (revoked.length > 0 && !confirm(localize('confirmRevokeConsent', revoked.map(scope => CONSENT_SCOPES[scope].label).join(', ')))) {
+                return;
+            }
+
+            await this.aiService.consentManager.updateConsent(choices, { source: 'popup' });
+
+            if (!choices.ai_processing) {
+                this.showStatusMessage(localize('statusConsentChoicesSaved'), 'info');
+                return;
+            }
+            this.showStatusMessage(localize('statusConsentGranted'), 'success');
             
             setTimeout(() => {
                 this.showSection('input');
                 this.updateConsentStatus();
                 this.updateAPIStatus();
+                this.renderToneOptions();
                 this.loadUserPreferences();
             }, 1000);
             
         } catch (error) {
             console.error('Error granting consent:', error);
-            this.showStatusMessage('Failed to save consent.', 'error');
+            this.showStatusMessage(localize('statusConsentFailed'), 'error');
         }
     }
 
@@ -344,7 +970,7 @@ async initializeAI() {
      * Handle decline consent
      */
     handleDeclineConsent() {
-        this.showStatusMessage('Consent declined. AI features will not be available.', 'info');
+        this.showStatusMessage(localize('statusConsentDeclined'), 'info');
         // Could redirect to a non-AI mode or close popup
         setTimeout(() => window.close(), 2000);
     }
@@ -353,45 +979,113 @@ async initializeAI() {
      * Handle generate reply button click (AI-powered)
      */
     async handleGenerateReply() {
+        // Ignore repeated triggers while a reply is still streaming
+        if (this.abortController) {
+            return;
+        }
+
         const input = this.emailInput?.value?.trim();
+        const template = this.getSelectedTemplate();
+        let instructions = '';
+
+        // A template is sent as instructions alongside the email, or on its own
+        if (template) {
+            instructions = fillTemplate(template.body, this.getTemplateFieldValues());
+            const missing = findTemplatePlaceholders(instructions);
+            if (missing.length) {
+                this.showStatusMessage(localize('statusTemplateFieldsMissing', [missing.map(name => `{{${name}}}`).join(', '), template.name]), 'error');
+                return;
+            }
+        }
         
-        if (!input) {
-            this.showStatusMessage('Please enter an email message or prompt.', 'error');
+        if (!input && !instructions) {
+            this.showStatusMessage(localize('statusInputMissing'), 'error');
             return;
         }
 
-        if (input.length < 10) {
-            this.showStatusMessage('Please enter a more detailed message (at least 10 characters).', 'error');
+        if (input && input.length < 10) {
+            this.showStatusMessage(localize('statusInputTooShort'), 'error');
             return;
         }
 
-        // Check rate limits
-        if (!this.aiService.rateLimiter.canMakeRequest()) {
-            this.showRateLimitWarning();
+        // Check rate limits and budgets (enforced by the background pipeline)
+        if (this.pipelineStatus && !this.pipelineStatus.canMakeRequest) {
+            if (this.pipelineStatus.rateLimit.resetTime > 0) {
+                this.showRateLimitWarning();
+            } else {
+                this.showStatusMessage(`💳 ${this.pipelineStatus.rateLimit.message}`, 'error');
+            }
             return;
         }
 
-        this.currentInput = input;
+        const request = { action: 'generateReply', input: input || instructions, tone: this.currentTone, options: this.getLanguageOptions() };
+        if (this.useStyleInput && !this.useStyleInput.checked) {
+            request.options.useStyle = false;
+        }
+        if (template) {
+            Object.assign(request.options, input
+                ? { instructions, template: template.name }
+                : { inputType: 'instructions', template: template.name });
+        }
+
+        // Several drafts are written side by side instead of streaming one reply
+        const tones = this.getVariantTones();
+        const compareDrafts = tones.length > 1;
+
+        this.currentInput = request.input;
+        this.abortController = new AbortController();
         this.setLoadingState(this.generateBtn, true);
+        this.setStreamingState(true);
+        if (compareDrafts) {
+            this.renderVariantPlaceholders(tones);
+        } else {
+            this.hideVariants();
+        }
         this.hideStatusMessage();
         this.updateAPIStatus();
 
         try {
-            console.log('🤖 Generating AI reply...');
-            
-            const reply = await this.aiService.generateEmailReply(input, this.currentTone);
-            
-            if (!reply || reply.trim().length === 0) {
-                throw new Error('Generated reply is empty');
+            const handlers = {
+                signal: this.abortController.signal,
+                onRetry: (retry) => this.showStatusMessage(formatRetryStatus(retry), 'info')
+            };
+
+            if (compareDrafts) {
+                console.log(`🤖 Generating ${tones.length} AI drafts...`);
+
+                const { variants, historyId } = await generateVariants({ ...request, tones }, handlers);
+                this.displayVariants(variants, historyId);
+                this.showStatusMessage(localize('statusDraftsReady', variants.length), 'success');
+            } else {
+                console.log('🤖 Generating AI reply...');
+
+                let replyLanguage = null;
+                const reply = await streamGeneration(request, {
+                    ...handlers,
+                    onToken: (token, text) => this.renderStreamingReply(text),
+                    onLanguage: (language) => {
+                        replyLanguage = language;
+                    },
+                    onTranslation: (translation) => this.renderTranslation(translation)
+                });
+
+                if (!reply || reply.trim().length === 0) {
+                    throw new Error('Generated reply is empty');
+                }
+
+                this.displayGeneratedReply(reply);
+                this.showStatusMessage(`${localize('statusReplyGenerated')}${replyLanguage ? ` ${formatReplyLanguage(replyLanguage)}` : ''}`, 'success');
             }
             
-            this.displayGeneratedReply(reply);
-            this.showStatusMessage('AI reply generated successfully! 🎉', 'success');
-            
             // Update usage stats
             this.updateAPIStatus();
             
         } catch (error) {
+            if (error.code === PROVIDER_ERROR_CODES.ABORTED) {
+                this.showStatusMessage(localize(compareDrafts ? 'statusStopped' : 'statusStoppedPartial'), 'info');
+                return;
+            }
+
             console.error('❌ Error generating AI reply:', error);
             console.error('❌ Error details:', {
                 message: error.message,
@@ -400,51 +1094,134 @@ async initializeAI() {
             });
             
             // Provide specific error messages with debugging info
-            let errorMessage = 'Failed to generate reply. ';
+            let errorMessage = localize('errorGenerateFailed');
             let showDebugInfo = false;
             
             if (error.message.includes('consent')) {
-                errorMessage = '🚫 User consent required for AI processing.';
+                errorMessage = localize('errorConsentRequired');
                 setTimeout(() => this.showSection('consent'), 2000);
-            } else if (error.message.includes('API key not configured')) {
-                errorMessage = '🔑 OpenAI API key not configured.';
-                setTimeout(() => this.showSection('setup'), 2000);
-            } else if (error.message.includes('Invalid API key format')) {
-                errorMessage = '🔑 Invalid API key format. Must start with "sk-"';
-                setTimeout(() => this.showSection('setup'), 2000);
-            } else if (error.message.includes('Invalid OpenAI API key')) {
-                errorMessage = '🔑 Invalid OpenAI API key. Please check your key.';
-                setTimeout(() => this.showSection('setup'), 2000);
-            } else if (error.message.includes('quota exceeded')) {
-                errorMessage = '💳 OpenAI quota exceeded. Please add billing info at platform.openai.com';
+            } else if (error.message.includes('Draftly requests left')) {
+                errorMessage = `⏰ ${error.message}`;
             } else if (error.message.includes('Draftly rate limit')) {
                 errorMessage = error.message;
                 this.showRateLimitWarning();
-            } else if (error.message.includes('OpenAI API rate limit')) {
-                errorMessage = '⏰ OpenAI API rate limit exceeded. Please wait and try again.';
-            } else if (error.message.includes('Failed to fetch') || error.message.includes('Network')) {
-                errorMessage = '🌐 Network error. Check your internet connection.';
+            } else if (error.message.includes('Draftly budget')) {
+                errorMessage = `💳 ${error.message}`;
+                this.updateAPIStatus();
+            } else if (error.code === PROVIDER_ERROR_CODES.LOCKED) {
+                errorMessage = error.message;
+                setTimeout(() => this.showSection('unlock'), 2000);
+            } else if (error.code === PROVIDER_ERROR_CODES.CONFIG || error.code === PROVIDER_ERROR_CODES.INVALID_KEY) {
+                errorMessage = `🔑 ${error.message.replace(/^❌ /, '')}`;
+                setTimeout(() => this.showSection('setup'), 2000);
+            } else if (error.code === PROVIDER_ERROR_CODES.QUOTA) {
+                errorMessage = `💳 ${error.message.replace(/^❌ /, '')}`;
+            } else if (error.code === PROVIDER_ERROR_CODES.RATE_LIMIT) {
+                errorMessage = localize('errorProviderRateLimit');
+            } else if (error.code === PROVIDER_ERROR_CODES.NETWORK) {
+                errorMessage = error.message;
                 showDebugInfo = true;
-            } else if (error.message.includes('403')) {
-                errorMessage = '🚫 API access forbidden. Check your OpenAI API key permissions.';
-            } else if (error.message.includes('500') || error.message.includes('502') || error.message.includes('503')) {
-                errorMessage = '🔧 OpenAI service temporarily unavailable. Please try again in a moment.';
+            } else if (error.code === PROVIDER_ERROR_CODES.TIMEOUT) {
+                errorMessage = error.message;
+            } else if (error.code === PROVIDER_ERROR_CODES.FORBIDDEN) {
+                errorMessage = localize('errorForbidden');
+            } else if (error.code === PROVIDER_ERROR_CODES.SERVER) {
+                errorMessage = localize('errorServer');
             } else {
-                errorMessage = `❌ Unexpected error: ${error.message}`;
+                errorMessage = localize('errorUnexpected', error.message);
                 showDebugInfo = true;
             }
             
             // Add debug info for complex errors
             if (showDebugInfo) {
-                errorMessage += '\n\n🔧 Debug: Open console (F12) and run: draftly.debugOpenAI()';
+                errorMessage += `\n\n${localize('errorDebugHint')}`;
                 console.log('🔧 Run this in console to debug: draftly.debugOpenAI()');
             }
             
             this.showStatusMessage(errorMessage, 'error');
             
         } finally {
+            this.abortController = null;
+            this.setStreamingState(false);
             this.setLoadingState(this.generateBtn, false);
+
+            // Drop the placeholders of drafts that never arrived
+            if (compareDrafts && !this.variantRun && this.outputSection) {
+                this.hideVariants();
+                this.outputSection.style.display = 'none';
+            }
+        }
+    }
+
+    /**
+     * Abort the reply that is currently streaming
+     */
+    handleStopGeneration() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Toggle the streaming UI (Stop button and typing caret)
+     * @param {boolean} isStreaming - Whether a reply is streaming
+     */
+    setStreamingState(isStreaming) {
+        if (this.stopBtn) {
+            this.stopBtn.style.display = isStreaming ? 'inline-flex' : 'none';
+        }
+        if (this.generatedReply) {
+            this.generatedReply.classList.toggle('streaming', isStreaming);
+        }
+        if (isStreaming && this.generatedReply && this.outputSection) {
+            this.generatedReply.textContent = '';
+            this.outputSection.style.display = 'block';
+        }
+        if (isStreaming && this.translationGroup) {
+            this.translationGroup.style.display = 'none';
+        }
+    }
+
+    /**
+     * Language options for the next reply from the language picker
+     * @returns {Object} - { language, showTranslation }, leaving out what is at its default
+     */
+    getLanguageOptions() {
+        const options = {};
+        if (this.replyLanguageSelect?.value) {
+            options.language = this.replyLanguageSelect.value;
+        }
+        if (this.showTranslationInput?.checked) {
+            options.showTranslation = true;
+        }
+        return options;
+    }
+
+    /**
+     * Show the translation of the reply below it; it is for reading only
+     * @param {Object} translation - { language, text }, or { error } when translating failed
+     */
+    renderTranslation({ language, text, error }) {
+        if (!this.translationGroup || !this.replyTranslation) {
+            return;
+        }
+
+        this.translationTitle.textContent = error ? localize('noTranslation') : localize('translationTitle', getLanguageDisplayName(REPLY_TRANSLATION_LANGUAGE, language));
+        this.replyTranslation.textContent = error || text;
+        this.translationGroup.style.display = 'block';
+    }
+
+    /**
+     * Render the partial reply received so far
+     * @param {string} text - Reply text streamed so far
+     */
+    renderStreamingReply(text) {
+        if (!this.generatedReply) {
+            return;
         }
+
+        this.generatedReply.textContent = text;
+        this.generatedReply.scrollTop = this.generatedReply.scrollHeight;
     }
 
     /**
@@ -452,7 +1229,7 @@ async initializeAI() {
      */
     async handleRegenerateReply() {
         if (!this.currentInput) {
-            this.showStatusMessage('No previous input found.', 'error');
+            this.showStatusMessage(localize('statusNoPreviousInput'), 'error');
             return;
         }
 
@@ -465,7 +1242,7 @@ async initializeAI() {
     showRateLimitWarning() {
         if (!this.rateLimitWarning) return;
 
-        const resetTime = this.aiService.rateLimiter.getResetTime();
+        const resetTime = this.pipelineStatus?.rateLimit?.resetTime || 0;
         let remainingSeconds = Math.ceil(resetTime / 1000);
 
         this.rateLimitWarning.style.display = 'block';
@@ -495,13 +1272,22 @@ async initializeAI() {
     }
 
     /**
-     * Update API status display
+     * Update API status display from the background pipeline
      */
-    updateAPIStatus() {
-        if (!this.apiStatus || !this.aiService) return;
+    async updateAPIStatus() {
+        if (!this.apiStatus) {
+            return;
+        }
+
+        try {
+            this.pipelineStatus = await sendPipelineMessage({ action: 'getStatus' });
+        } catch (error) {
+            console.error('Failed to load pipeline status:', error);
+            return;
+        }
 
-        const canMakeRequest = this.aiService.rateLimiter.canMakeRequest();
-        const usageStats = this.aiService.rateLimiter.getUsageStats();
+        const canMakeRequest = this.pipelineStatus.canMakeRequest;
+        const usageStats = this.pipelineStatus.rateLimit;
         
         const statusDot = document.getElementById('statusDot');
         const statusText = document.getElementById('statusText');
@@ -510,89 +1296,1303 @@ async initializeAI() {
         if (statusDot && statusText) {
             if (canMakeRequest) {
                 statusDot.className = 'status-dot';
-                statusText.textContent = 'AI Ready';
+                statusText.textContent = localize('statusReady');
             } else {
                 statusDot.className = 'status-dot warning';
-                statusText.textContent = 'Rate Limited';
+                statusText.textContent = localize(usageStats.resetTime > 0 ? 'statusRateLimited' : 'statusBudgetReached');
+            }
+        }
+
+        if (requestCount) {
+            requestCount.textContent = usageStats.requestsThisMinute;
+        }
+
+        const requestLimit = document.getElementById('requestLimit');
+        if (requestLimit) {
+            requestLimit.textContent = usageStats.maxPerMinute;
+        }
+
+        const tokensToday = document.getElementById('tokensToday');
+        if (tokensToday) {
+            tokensToday.textContent = formatLocalNumber(usageStats.tokensToday);
+        }
+
+        const costThisMonth = document.getElementById('costThisMonth');
+        if (costThisMonth) {
+            costThisMonth.textContent = formatLocalNumber(usageStats.costThisMonth, { style: 'currency', currency: 'USD' });
+        }
+
+        // Warn before a budget runs out, and say which one stopped generation
+        if (this.budgetWarning) {
+            const budgetMessage = !canMakeRequest && usageStats.resetTime === 0 ? usageStats.message : '';
+            const warnings = budgetMessage ? [budgetMessage] : usageStats.warnings;
+            this.budgetWarning.textContent = warnings.map(warning => `⚠️ ${warning}`).join('\n');
+            this.budgetWarning.style.whiteSpace = 'pre-line';
+            this.budgetWarning.style.display = warnings.length > 0 ? 'block' : 'none';
+        }
+
+        this.apiStatus.style.display = 'block';
+        this.validateInput();
+    }
+
+    /**
+     * Show the usage limits editor with the current usage
+     */
+    async openLimitsEditor() {
+        await this.aiService.rateLimiter.loadSettings();
+        await this.updateAPIStatus();
+
+        const settings = this.aiService.rateLimiter.settings;
+        const model = this.pipelineStatus?.rateLimit?.model || this.aiService.getModelName();
+
+        Object.entries(this.limitInputs).forEach(([name, input]) => {
+            if (input) {
+                input.value = settings[name];
+            }
+        });
+        this.modelCostLimitModel.textContent = model;
+        this.modelCostLimitInput.value = settings.modelCostLimits[model] || 0;
+        this.warnAtInput.value = Math.round(settings.warnAt * 100);
+
+        this.renderLimitsUsage();
+        this.showSection('limits');
+    }
+
+    /**
+     * Summarize current usage above the limit fields
+     */
+    renderLimitsUsage() {
+        const stats = this.pipelineStatus?.rateLimit;
+        if (!this.limitsUsage || !stats) {
+            return;
+        }
+
+        const of = (limit, format = value => formatLocalNumber(value)) => (limit > 0 ? ` of ${format(limit)}` : '');
+        const dollars = value => `$${value.toFixed(2)}`;
+
+        this.limitsUsage.textContent = [
+            `Requests: ${stats.requestsThisMinute}${of(stats.maxPerMinute)} this minute, ${stats.requestsThisHour}${of(stats.maxPerHour)} this hour, ${stats.requestsToday}${of(stats.maxPerDay)} in 24 hours`,
+            `Tokens: ${formatLocalNumber(stats.tokensToday)}${of(stats.dailyTokenBudget)} today, ${formatLocalNumber(stats.tokensThisMonth)}${of(stats.monthlyTokenBudget)} this month`,
+            `Spending this month: ${dollars(stats.costThisMonth)}${of(stats.monthlyCostLimit, dollars)} (${stats.model}: ${dollars(stats.modelCostThisMonth)}${of(stats.modelCostLimit, dollars)})`
+        ].join('\n');
+        this.limitsUsage.style.whiteSpace = 'pre-line';
+    }
+
+    /**
+     * Validate and save the limits in the editor
+     */
+    async handleSaveLimits() {
+        const limiter = this.aiService.rateLimiter;
+        const model = this.modelCostLimitModel.textContent;
+        const settings = {
+            modelCostLimits: { ...limiter.settings.modelCostLimits, [model]: Number(this.modelCostLimitInput.value || 0) },
+            warnAt: Number(this.warnAtInput.value || 0) / 100
+        };
+        Object.entries(this.limitInputs).forEach(([name, input]) => {
+            settings[name] = Number(input.value || 0);
+        });
+
+        try {
+            await limiter.saveSettings(settings);
+            await this.updateAPIStatus();
+            this.renderLimitsUsage();
+            this.showStatusMessage(localize('statusLimitsSaved'), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Unlock the API keys with the passphrase
+     */
+    async handleUnlock() {
+        const passphrase = this.unlockPassphraseInput?.value || '';
+        if (!passphrase) {
+            this.showStatusMessage(localize('statusPassphraseMissing'), 'error');
+            return;
+        }
+
+        this.unlockBtn.disabled = true;
+        try {
+            await this.aiService.keyVault.unlock(passphrase);
+            this.unlockPassphraseInput.value = '';
+            this.showStatusMessage(localize('statusUnlocked'), 'success');
+            await this.checkInitialState();
+        } catch (error) {
+            this.unlockPassphraseInput.select();
+            this.showStatusMessage(`🔒 ${error.message}`, 'error');
+        } finally {
+            this.unlockBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show the key security settings
+     */
+    async openSecuritySettings() {
+        await this.aiService.keyVault.loadSettings();
+        await this.renderSecurityStatus();
+        this.showSection('security');
+    }
+
+    /**
+     * Reflect the key vault state in the security section
+     */
+    async renderSecurityStatus() {
+        const status = await this.aiService.keyVault.getStatus();
+
+        let summary = status.protected
+            ? `🔑 Protected by a passphrase • ${status.locked ? 'Locked' : 'Unlocked'}`
+            : '🔐 Encrypted with a key stored on this device (no passphrase)';
+        summary += status.syncKeys ? '\n🔄 Encrypted keys sync across your Chrome profiles' : '\n💻 Keys stay on this device';
+        this.securityStatus.textContent = summary;
+        this.securityStatus.style.whiteSpace = 'pre-line';
+
+        this.setPassphraseBtn.textContent = status.protected ? '🔑 Change Passphrase' : '🔑 Set Passphrase';
+        this.removePassphraseBtn.style.display = status.protected ? '' : 'none';
+        this.lockNowBtn.style.display = status.protected && !status.locked ? '' : 'none';
+        this.autoLockInput.value = status.autoLockMinutes;
+        this.syncKeysInput.checked = status.syncKeys;
+    }
+
+    /**
+     * Set or change the passphrase that protects the API keys
+     */
+    async handleSetPassphrase() {
+        const passphrase = this.passphraseInput.value;
+        if (passphrase !== this.passphraseConfirmInput.value) {
+            this.showStatusMessage(localize('statusPassphraseMismatch'), 'error');
+            return;
+        }
+
+        this.setPassphraseBtn.disabled = true;
+        try {
+            await this.aiService.keyVault.setPassphrase(passphrase);
+            this.passphraseInput.value = '';
+            this.passphraseConfirmInput.value = '';
+            this.showStatusMessage(localize('statusPassphraseSaved'), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        } finally {
+            this.setPassphraseBtn.disabled = false;
+            await this.renderSecurityStatus();
+        }
+    }
+
+    /**
+     * Go back to encrypting the API keys with the device key
+     */
+    async handleRemovePassphrase() {
+        if (!confirm(localize('confirmRemovePassphrase'))) {
+            return;
+        }
+
+        try {
+            await this.aiService.keyVault.removePassphrase();
+            this.showStatusMessage(localize('statusPassphraseRemoved'), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+        await this.renderSecurityStatus();
+    }
+
+    /**
+     * Save the auto-lock timeout
+     */
+    async handleAutoLockChange() {
+        try {
+            await this.aiService.keyVault.setAutoLock(Number(this.autoLockInput.value || 0));
+            this.showStatusMessage(localize('statusAutoLockSaved'), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+        await this.renderSecurityStatus();
+    }
+
+    /**
+     * Opt in to or out of syncing the encrypted API keys
+     */
+    async handleSyncKeysChange() {
+        const enabled = this.syncKeysInput.checked;
+        try {
+            // Joining keys that another profile syncs needs their passphrase
+            await this.aiService.keyVault.setSyncKeys(enabled, this.passphraseInput.value);
+            this.passphraseInput.value = '';
+            this.passphraseConfirmInput.value = '';
+            this.showStatusMessage(localize(enabled ? 'statusKeySyncOn' : 'statusKeySyncOff'), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+        await this.renderSecurityStatus();
+    }
+
+    /**
+     * Lock the API keys until the passphrase is entered again
+     */
+    async handleLockNow() {
+        await this.aiService.keyVault.lock();
+        await this.checkInitialState();
+        this.showStatusMessage(localize('statusLocked'), 'info');
+    }
+
+    /**
+     * Update consent status display
+     */
+    updateConsentStatus() {
+        if (!this.consentStatus || !this.aiService) return;
+
+        const consentInfo = this.aiService.consentManager.getConsentInfo();
+        
+        if (consentInfo.granted) {
+            this.consentStatus.textContent = localize('consentGranted');
+            this.consentStatus.style.color = '#10b981';
+        } else {
+            this.consentStatus.textContent = localize('consentNotGranted');
+            this.consentStatus.style.color = '#ef4444';
+        }
+    }
+
+    /**
+     * Start periodic updates for UI elements
+     */
+    startPeriodicUpdates() {
+        // Update API status every 5 seconds
+        setInterval(() => {
+            if (this.inputSection && this.inputSection.style.display !== 'none') {
+                this.updateAPIStatus();
+            }
+        }, 5000);
+    }
+
+    /**
+     * Update character count display
+     */
+    updateCharacterCount() {
+        if (!this.emailInput || !this.charCount) return;
+        
+        const count = this.emailInput.value.length;
+        this.charCount.textContent = count;
+        
+        if (count > 1800) {
+            this.charCount.style.color = '#ef4444';
+        } else if (count > 1500) {
+            this.charCount.style.color = '#f59e0b';
+        } else {
+            this.charCount.style.color = '#6b7280';
+        }
+    }
+
+    /**
+     * List the personal data that will be replaced with placeholders before sending
+     */
+    renderRedactionPreview() {
+        if (!this.redactionPreview || !this.emailInput || !this.aiService) {
+            return;
+        }
+
+        const redaction = this.aiService.redactor.createRedaction();
+        redaction.apply(this.emailInput.value);
+        const matches = redaction.getMatches();
+
+        this.redactionPreview.innerHTML = '';
+        this.redactionPreview.style.display = matches.length > 0 ? 'block' : 'none';
+        if (matches.length === 0) {
+            return;
+        }
+
+        const title = document.createElement('div');
+        title.textContent = `🛡️ Hidden from ${this.aiService.getProviderClass().label}, restored in the reply:`;
+        const list = document.createElement('ul');
+        matches.forEach(({ placeholder, value, label }) => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            item.title = label;
+            code.textContent = placeholder;
+            item.append(code, ` ${value}`);
+            list.appendChild(item);
+        });
+        this.redactionPreview.append(title, list);
+    }
+
+    /**
+     * Validate input and update UI accordingly
+     */
+    validateInput() {
+        if (!this.emailInput || !this.generateBtn) return;
+        
+        const isValid = this.emailInput.value.trim().length > 0 || Boolean(this.getSelectedTemplate());
+        const canMakeRequest = this.pipelineStatus?.canMakeRequest ?? true;
+        
+        this.generateBtn.disabled = !isValid || !canMakeRequest;
+    }
+
+    /**
+     * Display the generated reply in the UI
+     * @param {string} reply - The generated email reply
+     */
+    displayGeneratedReply(reply) {
+        if (!this.generatedReply || !this.outputSection) return;
+        
+        this.hideVariants();
+        this.generatedReply.textContent = reply;
+        this.outputSection.style.display = 'block';
+        this.outputSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Show a tone picker for each extra draft; the first draft uses the reply tone
+     */
+    renderVariantToneOptions() {
+        if (!this.variantTones || !this.variantCountSelect) {
+            return;
+        }
+
+        const count = Number(this.variantCountSelect.value) || 1;
+        const previous = Array.from(this.variantTones.querySelectorAll('select'), select => select.value);
+        const profiles = this.aiService.toneProfiles.getAll();
+
+        this.variantTones.innerHTML = '';
+        for (let index = 1; index < count; index++) {
+            const select = document.createElement('select');
+            select.className = 'form-select';
+            select.title = `Tone of draft ${index + 1}`;
+            [{ id: '', name: `Draft ${index + 1}: same tone` }, ...profiles].forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                select.appendChild(option);
+            });
+            select.value = profiles.some(profile => profile.id === previous[index - 1]) ? previous[index - 1] : '';
+            this.variantTones.appendChild(select);
+        }
+        this.variantTones.style.display = count > 1 ? 'flex' : 'none';
+    }
+
+    /**
+     * Tone of each draft to generate
+     * @returns {Array<string>} - One tone ID per draft; a single tone means one streamed reply
+     */
+    getVariantTones() {
+        const extraTones = Array.from(this.variantTones?.querySelectorAll('select') || [], select => select.value || this.currentTone);
+        return [this.currentTone, ...extraTones];
+    }
+
+    /**
+     * Show one placeholder card per draft while the drafts are written
+     * @param {Array<string>} tones - Tone ID of each draft
+     */
+    renderVariantPlaceholders(tones) {
+        if (!this.variantList) {
+            return;
+        }
+
+        this.variantRun = null;
+        this.mergeSelection = [];
+        this.variantList.innerHTML = '';
+        tones.forEach((tone, index) => {
+            const toneName = this.aiService.toneProfiles.get(tone)?.name || tone;
+            this.variantList.appendChild(this.createVariantCard({ tone, toneName }, index));
+        });
+        this.renderMergeSelection();
+        this.variantsGroup.style.display = 'block';
+        this.replyGroup.style.display = 'none';
+    }
+
+    /**
+     * Show generated drafts side by side
+     * @param {Array<Object>} variants - Drafts as { tone, toneName, text }
+     * @param {string|null} historyId - History entry that records the choice
+     */
+    displayVariants(variants, historyId) {
+        if (!this.variantList || !this.outputSection) {
+            return;
+        }
+
+        this.variantRun = { variants, historyId };
+        this.mergeSelection = [];
+        this.variantList.innerHTML = '';
+        variants.forEach((variant, index) => this.variantList.appendChild(this.createVariantCard(variant, index)));
+        this.renderMergeSelection();
+
+        this.variantsGroup.style.display = 'block';
+        this.replyGroup.style.display = 'none';
+        this.outputSection.style.display = 'block';
+        this.outputSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Leave draft comparison and show the single reply view
+     */
+    hideVariants() {
+        this.variantRun = null;
+        this.mergeSelection = [];
+        if (this.variantsGroup) {
+            this.variantsGroup.style.display = 'none';
+        }
+        if (this.replyGroup) {
+            this.replyGroup.style.display = 'block';
+        }
+    }
+
+    /**
+     * Build the card for one draft; without text it is a placeholder
+     * @param {Object} variant - { tone, toneName, text }
+     * @param {number} index - Position of the draft
+     * @returns {HTMLElement} - Draft card
+     */
+    createVariantCard(variant, index) {
+        const card = document.createElement('div');
+        card.className = 'variant-card';
+        card.dataset.index = index;
+
+        const header = document.createElement('div');
+        header.className = 'variant-header';
+        const title = document.createElement('span');
+        title.textContent = `Draft ${index + 1}`;
+        const tone = document.createElement('span');
+        tone.className = 'variant-tone';
+        tone.textContent = variant.toneName || variant.tone;
+        header.append(title, tone);
+
+        const body = document.createElement('div');
+        body.className = 'variant-body';
+        card.append(header, body);
+
+        if (!variant.text) {
+            body.classList.add('loading');
+            body.textContent = 'Writing…';
+            return card;
+        }
+
+        this.splitParagraphs(variant.text).forEach((text, paragraph) => {
+            const element = document.createElement('div');
+            element.className = 'variant-paragraph';
+            element.dataset.paragraph = paragraph;
+            element.textContent = text;
+            element.title = 'Click to add this paragraph to a merged reply';
+            element.addEventListener('click', () => this.toggleMergeParagraph(index, paragraph));
+            body.appendChild(element);
+        });
+
+        const pickBtn = document.createElement('button');
+        pickBtn.type = 'button';
+        pickBtn.className = 'btn btn-secondary btn-small';
+        pickBtn.textContent = '✅ Use this draft';
+        pickBtn.addEventListener('click', () => this.handlePickVariant(index));
+        card.appendChild(pickBtn);
+
+        return card;
+    }
+
+    /**
+     * Split a draft into paragraphs at blank lines
+     * @param {string} text - Draft text
+     * @returns {Array<string>} - Paragraphs
+     */
+    splitParagraphs(text) {
+        return text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    }
+
+    /**
+     * Add a paragraph to the merge selection, or take it out again
+     * @param {number} variant - Draft index
+     * @param {number} paragraph - Paragraph index within the draft
+     */
+    toggleMergeParagraph(variant, paragraph) {
+        const position = this.mergeSelection.findIndex(item => item.variant === variant && item.paragraph === paragraph);
+        if (position >= 0) {
+            this.mergeSelection.splice(position, 1);
+        } else {
+            this.mergeSelection.push({ variant, paragraph });
+        }
+        this.renderMergeSelection();
+    }
+
+    /**
+     * Number the selected paragraphs in merge order and update the Merge button
+     */
+    renderMergeSelection() {
+        if (!this.variantList || !this.mergeVariantsBtn) {
+            return;
+        }
+
+        this.variantList.querySelectorAll('.variant-card').forEach(card => {
+            card.querySelectorAll('.variant-paragraph').forEach(element => {
+                const order = this.mergeSelection.findIndex(item =>
+                    item.variant === Number(card.dataset.index) && item.paragraph === Number(element.dataset.paragraph));
+                element.classList.toggle('selected', order >= 0);
+                element.dataset.order = order >= 0 ? order + 1 : '';
+            });
+        });
+
+        const count = this.mergeSelection.length;
+        this.mergeVariantsBtn.disabled = count === 0;
+        this.mergeVariantsBtn.textContent = count > 0
+            ? `🧩 Merge ${count} paragraph${count === 1 ? '' : 's'}`
+            : '🧩 Merge selected';
+    }
+
+    /**
+     * Use one draft as the reply
+     * @param {number} index - Draft index
+     */
+    async handlePickVariant(index) {
+        if (!this.variantRun) {
+            return;
+        }
+
+        const variant = this.variantRun.variants[index];
+        await this.chooseVariant(variant.text, { chosenVariant: index, tone: variant.tone, toneName: variant.toneName });
+        this.showStatusMessage(localize('statusDraftSelected', index + 1), 'success');
+    }
+
+    /**
+     * Use the selected paragraphs, in the order they were clicked, as the reply
+     */
+    async handleMergeVariants() {
+        if (!this.variantRun || this.mergeSelection.length === 0) {
+            return;
+        }
+
+        const text = this.mergeSelection
+            .map(({ variant, paragraph }) => this.splitParagraphs(this.variantRun.variants[variant].text)[paragraph])
+            .join('\n\n');
+        await this.chooseVariant(text, { chosenVariant: 'merged', mergedFrom: this.mergeSelection.map(item => ({ ...item })) });
+
+        this.mergeSelection = [];
+        this.renderMergeSelection();
+        this.showStatusMessage(localize('statusMergedReady'), 'success');
+    }
+
+    /**
+     * Show the chosen reply and record the choice in the history entry of the drafts
+     * @param {string} text - Picked or merged reply
+     * @param {Object} choice - { chosenVariant (index or 'merged'), ... } stored with the entry
+     */
+    async chooseVariant(text, choice) {
+        this.showChosenVariant(text, choice.chosenVariant);
+
+        if (this.variantRun.historyId) {
+            await this.aiService.history.update(this.variantRun.historyId, { ...choice, output: text });
+        }
+        this.aiService.trackUsage('choose_variant', {
+            choice: choice.chosenVariant,
+            drafts: this.variantRun.variants.length
+        });
+    }
+
+    /**
+     * Show a picked or merged draft in the reply view below the drafts
+     * @param {string} text - Reply text
+     * @param {number|string} chosenVariant - Draft index, or 'merged'
+     */
+    showChosenVariant(text, chosenVariant) {
+        if (!this.generatedReply || !this.variantList) {
+            return;
+        }
+
+        this.variantList.querySelectorAll('.variant-card').forEach(card => {
+            card.classList.toggle('chosen', Number(card.dataset.index) === chosenVariant);
+        });
+        this.generatedReply.textContent = text;
+        this.replyGroup.style.display = 'block';
+        this.replyGroup.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Describe which draft of a comparison ended up as the reply
+     * @param {Object} entry - History entry
+     * @returns {string} - e.g. " · draft 2 of 3", or '' for single replies
+     */
+    describeVariantChoice(entry) {
+        const drafts = entry.variants?.length;
+        if (!drafts) {
+            return '';
+        }
+        if (entry.chosenVariant === 'merged') {
+            return ` · merged from ${drafts} drafts`;
+        }
+        if (entry.chosenVariant === null || entry.chosenVariant === undefined) {
+            return ` · ${drafts} drafts, none picked`;
+        }
+        return ` · draft ${entry.chosenVariant + 1} of ${drafts}`;
+    }
+
+    /**
+     * Open the reply history view
+     */
+    async showHistory() {
+        this.historyEntries = await this.aiService.history.getAll();
+
+        // Offer every tone that appears in the history, including deleted profiles
+        const tones = new Map(this.aiService.toneProfiles.getAll().map(profile => [profile.id, profile.name]));
+        this.historyEntries.forEach(entry => {
+            if (!tones.has(entry.tone)) {
+                tones.set(entry.tone, entry.toneName || entry.tone);
+            }
+        });
+
+        const selectedTone = this.historyToneFilter.value;
+        this.historyToneFilter.innerHTML = `<option value="">${localize('allTones')}</option>`;
+        tones.forEach((name, id) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            this.historyToneFilter.appendChild(option);
+        });
+        this.historyToneFilter.value = tones.has(selectedTone) ? selectedTone : '';
+
+        this.renderHistory();
+        this.showSection('history');
+    }
+
+    /**
+     * Render history entries matching the search and filters
+     */
+    renderHistory() {
+        const dateFilter = this.historyDateFilter.value;
+        let since = 0;
+        if (dateFilter === 'today') {
+            since = new Date().setHours(0, 0, 0, 0);
+        } else if (dateFilter) {
+            since = Date.now() - Number(dateFilter) * 24 * 60 * 60 * 1000;
+        }
+
+        const entries = this.aiService.history.filter(this.historyEntries, {
+            query: this.historySearch.value,
+            tone: this.historyToneFilter.value,
+            since
+        });
+
+        this.historyList.innerHTML = '';
+        entries.forEach(entry => this.historyList.appendChild(this.createHistoryEntryElement(entry)));
+        this.historyEmpty.style.display = entries.length === 0 ? 'block' : 'none';
+        this.clearHistoryBtn.disabled = this.historyEntries.length === 0;
+    }
+
+    /**
+     * Build the card for one history entry
+     * @param {Object} entry - History entry
+     * @returns {HTMLElement} - Entry card
+     */
+    createHistoryEntryElement(entry) {
+        const card = document.createElement('div');
+        card.className = 'history-entry';
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        const date = document.createElement('span');
+        date.textContent = formatLocalDate(entry.timestamp);
+        const tone = document.createElement('span');
+        tone.className = 'history-tone';
+        tone.textContent = `${entry.toneName || entry.tone} · ${entry.model || entry.provider}${this.describeVariantChoice(entry)}`;
+        meta.append(date, tone);
+        card.appendChild(meta);
+
+        const title = entry.subject || entry.instructions || (entry.inputType === 'email' ? entry.input : '');
+        if (title) {
+            const subject = document.createElement('div');
+            subject.className = 'history-subject';
+            subject.textContent = title.length > 80 ? `${title.slice(0, 80)}…` : title;
+            card.appendChild(subject);
+        }
+
+        const output = document.createElement('div');
+        output.className = 'history-output';
+        output.textContent = entry.output;
+        output.title = 'Click to expand';
+        output.addEventListener('click', () => output.classList.toggle('expanded'));
+        card.appendChild(output);
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        [
+            { label: '📋 Copy', handler: () => this.copyHistoryEntry(entry) },
+            { label: '✉️ Insert', handler: () => this.insertHistoryEntry(entry) },
+            { label: '↩️ Restore', handler: () => this.restoreHistoryEntry(entry) },
+            { label: '🗑️', handler: () => this.deleteHistoryEntry(entry) }
+        ].forEach(({ label, handler }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-outline btn-small';
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        });
+        card.appendChild(actions);
+
+        return card;
+    }
+
+    /**
+     * Copy a history entry's reply
+     * @param {Object} entry - History entry
+     */
+    async copyHistoryEntry(entry) {
+        try {
+            await navigator.clipboard.writeText(entry.output);
+            this.showStatusMessage(localize('statusReplyCopied'), 'success');
+        } catch (error) {
+            this.showStatusMessage(localize('statusCopyFailed'), 'error');
+        }
+    }
+
+    /**
+     * Insert a history entry's reply into the draft open in the current tab
+     * @param {Object} entry - History entry
+     */
+    async insertHistoryEntry(entry) {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const response = tab
+                ? await chrome.tabs.sendMessage(tab.id, { type: 'INSERT_TEXT', data: { text: entry.output } })
+                : null;
+
+            if (!response?.success) {
+                throw new Error(response?.error || 'No Draftly content script in this tab');
+            }
+            this.showStatusMessage(localize('statusReplyInserted'), 'success');
+        } catch (error) {
+            console.error('Failed to insert history entry:', error);
+            this.showStatusMessage(localize('statusOpenDraftToInsert'), 'error');
+        }
+    }
+
+    /**
+     * Load a history entry back into the main view
+     * @param {Object} entry - History entry
+     */
+    restoreHistoryEntry(entry) {
+        this.showSection('input');
+
+        if (this.emailInput && entry.inputType !== 'thread') {
+            this.emailInput.value = entry.input;
+            this.updateCharacterCount();
+            this.renderRedactionPreview();
+            this.validateInput();
+        }
+        if (this.aiService.toneProfiles.get(entry.tone)) {
+            this.currentTone = entry.tone;
+            this.toneSelect.value = entry.tone;
+        }
+
+        // Drafts come back for another comparison, with the earlier choice selected
+        if (entry.variants?.length) {
+            this.displayVariants(entry.variants, entry.id);
+            if (entry.chosenVariant !== null && entry.chosenVariant !== undefined) {
+                this.showChosenVariant(entry.output, entry.chosenVariant);
+            }
+        } else {
+            this.displayGeneratedReply(entry.output);
+        }
+    }
+
+    /**
+     * Delete one history entry
+     * @param {Object} entry - History entry
+     */
+    async deleteHistoryEntry(entry) {
+        await this.aiService.history.remove(entry.id);
+        this.historyEntries = this.historyEntries.filter(other => other.id !== entry.id);
+        this.renderHistory();
+    }
+
+    /**
+     * Delete the whole history after confirmation
+     */
+    async handleClearHistory() {
+        if (!confirm(localize('confirmClearHistory'))) {
+            return;
+        }
+
+        await this.aiService.history.clear();
+        this.historyEntries = [];
+        this.renderHistory();
+        this.showStatusMessage(localize('statusHistoryCleared'), 'success');
+    }
+
+    /**
+     * Offer the writing style next to the generate button once it has been learned;
+     * it is on until the user turns it off
+     */
+    renderStyleStatus() {
+        if (!this.useStyleInput) {
+            return;
+        }
+
+        const sampleCount = this.aiService.styleProfile.samples.length;
+        if (!sampleCount) {
+            this.useStyleInput.checked = false;
+        } else if (this.useStyleInput.disabled) {
+            this.useStyleInput.checked = true;
+        }
+        this.useStyleInput.disabled = !sampleCount;
+        this.styleStatus.textContent = sampleCount ? localize('styleLearnedFrom', sampleCount) : localize('styleNotLearned');
+    }
+
+    /**
+     * Show the writing style editor
+     */
+    openStyleEditor() {
+        this.renderStyleProfile();
+        this.showSection('style');
+        this.styleSampleInput?.focus();
+    }
+
+    /**
+     * Show what was learned and the emails it was learned from
+     */
+    renderStyleProfile() {
+        const { profile, samples } = this.aiService.styleProfile;
+        this.styleSummary.textContent = '';
+        this.styleSampleList.textContent = '';
+        this.clearStyleBtn.disabled = !profile;
+
+        if (!profile) {
+            this.styleSummary.textContent = localize('styleEmpty');
+            return;
+        }
+
+        const quote = (texts) => texts.map(text => `"${text}"`).join(', ');
+        [
+            localize('styleLearnedFrom', profile.sampleCount),
+            profile.greetings.length ? localize('styleGreetings', quote(profile.greetings.map(habit => habit.text))) : localize('styleNoGreeting'),
+            profile.signOffs.length ? localize('styleSignOffs', quote(profile.signOffs.map(habit => habit.text))) : localize('styleNoSignOff'),
+            localize('styleLength', [formatLocalNumber(profile.averageWords), formatLocalNumber(profile.averageSentenceWords)]),
+            localize('styleFormality', localize(`formalityLevel${profile.formality}`)),
+            profile.phrases.length ? localize('stylePhrases', quote(profile.phrases)) : ''
+        ].filter(Boolean).forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line;
+            this.styleSummary.appendChild(row);
+        });
+
+        samples.forEach(sample => this.styleSampleList.appendChild(this.createStyleSampleElement(sample)));
+    }
+
+    /**
+     * Build the card for one writing sample
+     * @param {Object} sample - { id, text, source, subject, addedAt }
+     * @returns {HTMLElement} - Sample card
+     */
+    createStyleSampleElement(sample) {
+        const card = document.createElement('div');
+        card.className = 'history-entry';
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        const date = document.createElement('span');
+        date.textContent = formatLocalDate(sample.addedAt);
+        const source = document.createElement('span');
+        source.className = 'history-tone';
+        source.textContent = localize(sample.source === 'thread' ? 'styleSourceThread' : 'styleSourcePasted');
+        meta.append(date, source);
+        card.appendChild(meta);
+
+        if (sample.subject) {
+            const subject = document.createElement('div');
+            subject.className = 'history-subject';
+            subject.textContent = sample.subject;
+            card.appendChild(subject);
+        }
+
+        const text = document.createElement('div');
+        text.className = 'history-output';
+        text.textContent = sample.text;
+        text.title = localize('clickToExpand');
+        text.addEventListener('click', () => text.classList.toggle('expanded'));
+        card.appendChild(text);
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn-outline btn-small';
+        remove.textContent = localize('removeStyleSample');
+        remove.addEventListener('click', () => this.handleRemoveStyleSample(sample));
+        actions.appendChild(remove);
+        card.appendChild(actions);
+
+        return card;
+    }
+
+    /**
+     * Learn from the email pasted into the editor
+     */
+    async handleAddStyleSample() {
+        try {
+            const added = await this.aiService.styleProfile.addSamples([this.styleSampleInput.value]);
+            this.styleSampleInput.value = '';
+            this.renderStyleProfile();
+            this.renderStyleStatus();
+            this.showStatusMessage(localize('statusStyleSamplesAdded', added), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Learn from the user's own messages in the conversation open in the current tab,
+     * such as an email opened from the Sent folder
+     */
+    async handleAddThreadStyleSamples() {
+        const thread = await this.getOpenThread();
+        if (!thread) {
+            return;
+        }
+
+        const ownMessages = thread.messages.filter(message => message.isFromMe);
+        if (ownMessages.length === 0) {
+            this.showStatusMessage(localize('statusNoOwnMessages'), 'error');
+            return;
+        }
+
+        try {
+            const added = await this.aiService.styleProfile.addSamples(ownMessages.map(message => message.body), {
+                source: 'thread',
+                subject: thread.subject || ''
+            });
+            this.renderStyleProfile();
+            this.renderStyleStatus();
+            this.showStatusMessage(localize('statusStyleSamplesAdded', added), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Stop learning from one email
+     * @param {Object} sample - Writing sample
+     */
+    async handleRemoveStyleSample(sample) {
+        await this.aiService.styleProfile.remove(sample.id);
+        this.renderStyleProfile();
+        this.renderStyleStatus();
+    }
+
+    /**
+     * Forget the writing style after confirmation
+     */
+    async handleClearStyle() {
+        if (!confirm(localize('confirmClearStyle'))) {
+            return;
+        }
+
+        await this.aiService.styleProfile.clear();
+        this.renderStyleProfile();
+        this.renderStyleStatus();
+        this.showStatusMessage(localize('statusStyleCleared'), 'success');
+    }
+
+    /**
+     * Fill the reply language picker; the empty choice keeps the language from the settings
+     */
+    renderReplyLanguageOptions() {
+        [['', localize('savedPreference')], ...Object.entries(REPLY_LANGUAGES)].forEach(([code, name]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = this.getLanguageLabel(code, name);
+            this.replyLanguageSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Name a reply language in the UI language
+     * @param {string} code - A REPLY_LANGUAGES key, or '' for the saved preference
+     * @param {string} name - English name to fall back to
+     * @returns {string}
+     */
+    getLanguageLabel(code, name) {
+        if (!code) {
+            return name;
+        }
+        if (code === 'auto') {
+            return localize('sameAsEmail');
+        }
+        return getLanguageDisplayName(code, name);
+    }
+
+    /**
+     * Fill the rewrite action and translation language pickers
+     */
+    renderRewriteOptions() {
+        Object.keys(REWRITE_ACTIONS).forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = localize(`rewriteAction_${id}`);
+            this.rewriteActionSelect.appendChild(option);
+        });
+
+        Object.entries(REPLY_LANGUAGES).forEach(([code, name]) => {
+            const option = document.createElement('option');
+            option.value = code === 'auto' ? '' : code;
+            option.textContent = code === 'auto' ? localize('defaultLanguage') : this.getLanguageLabel(code, name);
+            this.rewriteLanguageSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Show the language picker only for translations
+     */
+    updateRewriteLanguage() {
+        this.rewriteLanguageSelect.style.display = this.rewriteActionSelect.value === 'translate' ? 'block' : 'none';
+    }
+
+    /**
+     * Rewrite the text selected in the draft open in the current tab;
+     * the page's Draftly panel shows the progress and replaces the selection
+     */
+    async handleRewriteSelection() {
+        const action = this.rewriteActionSelect.value;
+        const language = action === 'translate' ? this.rewriteLanguageSelect.value : '';
+
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const response = tab
+                ? await chrome.tabs.sendMessage(tab.id, { type: 'REWRITE_SELECTION', data: { action, language } })
+                : null;
+
+            if (!response) {
+                throw new Error('No Draftly content script in this tab');
+            }
+            if (!response.success) {
+                this.showStatusMessage(response.error, 'error');
+                return;
+            }
+            this.showStatusMessage(localize('statusRewriting', localize(`rewriteAction_${action}`)), 'success');
+        } catch (error) {
+            console.error('Failed to rewrite selection:', error);
+            this.showStatusMessage(localize('statusOpenDraftToRewrite'), 'error');
+        }
+    }
+
+    /**
+     * Summarize the thread open in the current tab; a cached summary is shown without
+     * calling the AI provider unless the user asks for a refresh
+     * @param {Object} options - refresh makes a new summary
+     */
+    async handleSummarizeThread({ refresh = false } = {}) {
+        const thread = await this.getOpenThread();
+        if (!thread) {
+            return;
+        }
+
+        this.setThreadToolsBusy(true);
+        this.showStatusMessage(localize('statusSummarizing', thread.messages.length), 'info');
+
+        try {
+            const summary = await summarizeThread(thread, {
+                refresh,
+                onRetry: (retry) => this.showStatusMessage(formatRetryStatus(retry), 'info')
+            });
+            this.renderThreadSummary(summary);
+            this.showStatusMessage(localize(summary.cached ? 'statusSummaryCached' : 'statusSummarized'), 'success');
+            this.updateAPIStatus();
+        } catch (error) {
+            console.error('❌ Error summarizing thread:', error);
+            this.showStatusMessage(`❌ ${error.message.replace(/^❌ /, '')}`, 'error');
+        } finally {
+            this.setThreadToolsBusy(false);
+        }
+    }
+
+    /**
+     * Find action items, meeting requests and deadlines in the email typed into the popup,
+     * or in the conversation open in the current tab when the box is empty
+     */
+    async handleExtractItems() {
+        const input = this.emailInput?.value.trim();
+        const source = input ? { input } : { thread: await this.getOpenThread() };
+        if (!source.input && !source.thread) {
+            return;
+        }
+
+        this.setThreadToolsBusy(true);
+        this.showStatusMessage(localize('statusExtracting'), 'info');
+
+        try {
+            const items = await extractItems(source, {
+                onRetry: (retry) => this.showStatusMessage(formatRetryStatus(retry), 'info')
+            });
+            this.renderExtraction(items);
+            this.showStatusMessage(localize(hasExtractedItems(items) ? 'statusItemsFound' : 'noItemsFound'), hasExtractedItems(items) ? 'success' : 'info');
+            this.updateAPIStatus();
+        } catch (error) {
+            console.error('❌ Error extracting action items:', error);
+            this.showStatusMessage(`❌ ${error.message.replace(/^❌ /, '')}`, 'error');
+        } finally {
+            this.setThreadToolsBusy(false);
+        }
+    }
+
+    /**
+     * Read the conversation open in the current tab through the content script
+     * @returns {Promise<Object|null>} - The thread, or null after telling the user why not
+     */
+    async getOpenThread() {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const response = tab ? await chrome.tabs.sendMessage(tab.id, { type: 'GET_THREAD' }) : null;
+            if (!response) {
+                throw new Error('No Draftly content script in this tab');
+            }
+            if (!response.success) {
+                this.showStatusMessage(localize('statusNoThread', response.error), 'error');
+                return null;
+            }
+            return response.thread;
+        } catch (error) {
+            console.error('Failed to read the open thread:', error);
+            this.showStatusMessage(localize('statusOpenConversation'), 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Disable the summary and extraction buttons while one of them runs
+     * @param {boolean} isBusy
+     */
+    setThreadToolsBusy(isBusy) {
+        [this.summarizeThreadBtn, this.refreshSummaryBtn, this.copySummaryBtn, this.extractItemsBtn].forEach(button => {
+            if (button) {
+                button.disabled = isBusy;
             }
-        }
+        });
+    }
 
-        if (requestCount) {
-            requestCount.textContent = usageStats.requestsThisMinute;
+    /**
+     * Show a thread summary as sections, without using innerHTML for the model's text
+     * @param {Object} summary - { subject, tldr, decisions, openQuestions, actionItems, messageCount, createdAt }
+     */
+    renderThreadSummary(summary) {
+        if (!this.threadSummary || !this.summarySection) {
+            return;
         }
 
-        this.apiStatus.style.display = 'block';
+        this.summary = summary;
+        this.summaryTitle.textContent = summary.subject ? localize('summaryTitle', summary.subject) : localize('threadSummaryTitle');
+        this.summaryTitle.title = localize('summaryDetails', [summary.messageCount, formatLocalDate(summary.createdAt)]);
+        this.threadSummary.textContent = '';
+
+        const tldr = document.createElement('p');
+        tldr.textContent = summary.tldr;
+        this.threadSummary.appendChild(tldr);
+
+        [
+            ['summaryDecisions', summary.decisions],
+            ['summaryOpenQuestions', summary.openQuestions],
+            ['summaryActionItems', summary.actionItems.map(formatActionItem)]
+        ].filter(([, items]) => items.length).forEach(([title, items]) => {
+            const heading = document.createElement('h4');
+            heading.textContent = localize(title);
+            const list = document.createElement('ul');
+            items.forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                list.appendChild(item);
+            });
+            this.threadSummary.append(heading, list);
+        });
+
+        this.summarySection.style.display = 'block';
+        this.summarySection.scrollIntoView({ behavior: 'smooth' });
     }
 
     /**
-     * Update consent status display
+     * Show extracted items with dates in the user's locale, and a button per export format
+     * @param {Object} items - { actionItems, meetings, deadlines, subject }
      */
-    updateConsentStatus() {
-        if (!this.consentStatus || !this.aiService) return;
+    renderExtraction(items) {
+        if (!this.extractedItems || !this.extractionSection) {
+            return;
+        }
 
-        const consentInfo = this.aiService.consentManager.getConsentInfo();
-        
-        if (consentInfo.granted) {
-            this.consentStatus.textContent = 'Consent: Granted';
-            this.consentStatus.style.color = '#10b981';
+        this.extraction = items;
+        this.extractionTitle.textContent = items.subject ? localize('extractionSubjectTitle', items.subject) : localize('extractionTitle');
+        this.extractedItems.textContent = '';
+        this.exportButtons.textContent = '';
+
+        if (hasExtractedItems(items)) {
+            Object.keys(TASK_EXPORT_FORMATS).forEach(format => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'link-button';
+                button.dataset.format = format;
+                button.textContent = localize(`exportFormat_${format}`);
+                this.exportButtons.appendChild(button);
+            });
         } else {
-            this.consentStatus.textContent = 'Consent: Not granted';
-            this.consentStatus.style.color = '#ef4444';
+            const empty = document.createElement('p');
+            empty.textContent = localize('noItemsFound');
+            this.extractedItems.appendChild(empty);
         }
-    }
 
-    /**
-     * Start periodic updates for UI elements
-     */
-    startPeriodicUpdates() {
-        // Update API status every 5 seconds
-        setInterval(() => {
-            if (this.inputSection && this.inputSection.style.display !== 'none') {
-                this.updateAPIStatus();
-            }
-        }, 5000);
+        [
+            ['Action items', items.actionItems.map(item => [item.task, item.owner, item.due ? `due ${formatItemDate(item.due)}` : ''].filter(Boolean).join(' · '))],
+            ['Meetings', items.meetings.map(meeting => [meeting.title, formatItemDate(meeting.start), meeting.location, meeting.confirmed ? '' : 'proposed'].filter(Boolean).join(' · '))],
+            ['Deadlines', items.deadlines.map(deadline => `${formatItemDate(deadline.date)}: ${deadline.title}`)]
+        ].filter(([, entries]) => entries.length).forEach(([title, entries]) => {
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+            const list = document.createElement('ul');
+            entries.forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                list.appendChild(item);
+            });
+            this.extractedItems.append(heading, list);
+        });
+
+        this.extractionSection.style.display = 'block';
+        this.extractionSection.scrollIntoView({ behavior: 'smooth' });
     }
 
     /**
-     * Update character count display
+     * Download the extracted items
+     * @param {string} format - A TASK_EXPORT_FORMATS key
      */
-    updateCharacterCount() {
-        if (!this.emailInput || !this.charCount) return;
-        
-        const count = this.emailInput.value.length;
-        this.charCount.textContent = count;
-        
-        if (count > 1800) {
-            this.charCount.style.color = '#ef4444';
-        } else if (count > 1500) {
-            this.charCount.style.color = '#f59e0b';
-        } else {
-            this.charCount.style.color = '#6b7280';
+    exportExtraction(format) {
+        if (!this.extraction) {
+            return;
         }
+
+        downloadTaskExport(this.extraction, format);
+        this.showStatusMessage(localize('statusExportDownloaded', localize(`exportFormat_${format}`)), 'success');
     }
 
     /**
-     * Validate input and update UI accordingly
+     * Copy the shown thread summary as plain text
      */
-    validateInput() {
-        if (!this.emailInput || !this.generateBtn) return;
-        
-        const isValid = this.emailInput.value.trim().length > 0;
-        const canMakeRequest = this.aiService?.rateLimiter?.canMakeRequest() ?? true;
-        
-        this.generateBtn.disabled = !isValid || !canMakeRequest;
+    async copyThreadSummary() {
+        if (!this.summary) {
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(formatThreadSummary(this.summary));
+            this.showStatusMessage(localize('statusSummaryCopied'), 'success');
+        } catch (error) {
+            console.error('Failed to copy summary:', error);
+            this.showStatusMessage(localize('statusCopyFailed'), 'error');
+        }
     }
 
     /**
-     * Display the generated reply in the UI
-     * @param {string} reply - The generated email reply
+     * Show a reply generated from the context menu on a page Draftly cannot write into
      */
-    displayGeneratedReply(reply) {
-        if (!this.generatedReply || !this.outputSection) return;
-        
-        this.generatedReply.textContent = reply;
-        this.outputSection.style.display = 'block';
-        this.outputSection.scrollIntoView({ behavior: 'smooth' });
+    async showPendingReply() {
+        try {
+            const { pending_reply } = await chrome.storage.local.get(['pending_reply']);
+            if (!pending_reply) {
+                return;
+            }
+
+            this.displayGeneratedReply(pending_reply.reply);
+            this.showStatusMessage(localize(pending_reply.kind === 'rewrite' ? 'statusPendingRewrite' : 'statusPendingReply'), 'info');
+            await chrome.storage.local.remove(['pending_reply']);
+        } catch (error) {
+            console.error('Failed to load pending reply:', error);
+        }
     }
 
     /**
@@ -607,7 +2607,7 @@ async initializeAI() {
             
             // Update button text temporarily
             const originalText = this.copyBtn.innerHTML;
-            this.copyBtn.innerHTML = '<span class="btn-icon">✓</span>Copied!';
+            this.copyBtn.innerHTML = `<span class="btn-icon">✓</span>${localize('copied')}`;
             this.copyBtn.style.background = '#10b981';
             this.copyBtn.style.color = 'white';
             
@@ -617,7 +2617,7 @@ async initializeAI() {
                 this.copyBtn.style.color = '';
             }, 2000);
             
-            this.showStatusMessage('Reply copied to clipboard!', 'success');
+            this.showStatusMessage(localize('statusReplyCopied'), 'success');
             
             // Track usage
             if (this.aiService) {
@@ -626,7 +2626,7 @@ async initializeAI() {
             
         } catch (error) {
             console.error('Failed to copy to clipboard:', error);
-            this.showStatusMessage('Failed to copy to clipboard.', 'error');
+            this.showStatusMessage(localize('statusCopyFailed'), 'error');
         }
     }
 
@@ -685,181 +2685,380 @@ async initializeAI() {
     }
 
     /**
-     * Load user preferences from storage
+     * Fill the tone picker with built-in and custom tone profiles
      */
-    async loadUserPreferences() {
-        try {
-            const result = await chrome.storage.sync.get(['preferredTone', 'lastUsed']);
-            
-            if (result.preferredTone && this.toneSelect) {
-                this.toneSelect.value = result.preferredTone;
-                this.currentTone = result.preferredTone;
+    renderToneOptions() {
+        if (!this.toneSelect) {
+            return;
+        }
+
+        const profiles = this.aiService.toneProfiles.getAll();
+        this.toneSelect.innerHTML = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            this.toneSelect.appendChild(option);
+        });
+
+        if (!this.aiService.toneProfiles.get(this.currentTone)) {
+            this.currentTone = DEFAULT_TONE_ID;
+        }
+        this.toneSelect.value = this.currentTone;
+        this.renderVariantToneOptions();
+    }
+
+    /**
+     * Show the tone profile editor, starting with the selected tone
+     */
+    openToneEditor() {
+        const profiles = this.aiService.toneProfiles.getAll();
+        this.toneProfileSelect.innerHTML = '';
+
+        const newOption = document.createElement('option');
+        newOption.value = '';
+        newOption.textContent = '➕ New tone';
+        this.toneProfileSelect.appendChild(newOption);
+
+        [
+            { label: 'My tones', builtIn: false },
+            { label: 'Built-in (saved as a copy)', builtIn: true }
+        ].forEach(({ label, builtIn }) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            profiles.filter(profile => Boolean(profile.builtIn) === builtIn).forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                group.appendChild(option);
+            });
+            if (group.children.length > 0) {
+                this.toneProfileSelect.appendChild(group);
             }
-            
-            // Update last used timestamp
-            await chrome.storage.sync.set({ lastUsed: Date.now() });
-            
-        } catch (error) {
-            console.error('Failed to load preferences:', error);
+        });
+
+        this.toneProfileSelect.value = this.currentTone;
+        this.fillToneEditor(this.toneProfileSelect.value);
+        this.showSection('tones');
+    }
+
+    /**
+     * Load a profile into the editor form
+     * @param {string} toneId - Profile to edit, '' for a new one
+     */
+    fillToneEditor(toneId) {
+        const profile = this.aiService.toneProfiles.get(toneId);
+
+        // Built-in tones are read-only, so editing one starts a copy
+        this.editingToneId = profile && !profile.builtIn ? profile.id : null;
+
+        this.toneNameInput.value = profile ? (profile.builtIn ? `${profile.name} (copy)` : profile.name) : '';
+        this.toneInstructionsInput.value = profile?.instructions || '';
+        this.toneExamplesInput.value = (profile?.examples || []).join('\n');
+        this.toneFormalityInput.value = profile?.formality || 3;
+        this.toneLengthSelect.value = profile?.defaultLength || 'medium';
+        this.deleteToneBtn.disabled = !this.editingToneId;
+        this.updateFormalityLabel();
+    }
+
+    /**
+     * Show the name of the selected formality level
+     */
+    updateFormalityLabel() {
+        if (this.toneFormalityLabel) {
+            this.toneFormalityLabel.textContent = FORMALITY_LEVELS[this.toneFormalityInput.value];
         }
     }
 
     /**
-     * Save user preferences to storage
+     * Validate and save the profile in the editor
      */
-    async saveUserPreferences() {
+    async handleSaveTone() {
         try {
-            await chrome.storage.sync.set({
-                preferredTone: this.currentTone,
-                lastSaved: Date.now()
+            const saved = await this.aiService.toneProfiles.save({
+                id: this.editingToneId,
+                name: this.toneNameInput.value,
+                instructions: this.toneInstructionsInput.value,
+                examples: this.toneExamplesInput.value.split('\n'),
+                formality: this.toneFormalityInput.value,
+                defaultLength: this.toneLengthSelect.value
             });
+
+            this.currentTone = saved.id;
+            this.renderToneOptions();
+            await this.saveUserPreferences();
+            this.openToneEditor();
+            this.showStatusMessage(localize('statusToneSaved', saved.name), 'success');
         } catch (error) {
-            console.error('Failed to save preferences:', error);
+            this.showStatusMessage(error.message, 'error');
         }
     }
 
     /**
-     * Show settings modal
+     * Delete the custom profile in the editor
      */
-    async showSettings() {
-        const hasConsent = this.aiService ? await this.aiService.consentManager.hasConsent() : false;
-        const hasApiKey = this.aiService ? this.aiService.hasAPIKey() : false;
-        const consentInfo = this.aiService ? this.aiService.consentManager.getConsentInfo() : {};
-        
-        const settingsInfo = `
-Draftly Settings:
-
-🔑 API Key: ${hasApiKey ? 'Configured' : 'Not configured'}
-📋 Consent: ${hasConsent ? 'Granted' : 'Not granted'}
-${hasConsent ? `📅 Consent Date: ${new Date(consentInfo.timestamp).toLocaleDateString()}` : ''}
-${hasConsent ? `⏰ Expires: ${consentInfo.expiresAt?.toLocaleDateString()}` : ''}
-
-Actions:
-• Click "⚙️ Settings" → "🔑 API Key" to change API key
-• Click "📋 Consent" to manage data processing consent
-• All data is stored locally and synced across your devices
-
-Rate Limits:
-• 10 requests per minute
-• 50 requests per hour
-• Limits reset automatically
-        `.trim();
-        
-        alert(settingsInfo);
+    async handleDeleteTone() {
+        if (!this.editingToneId) {
+            return;
+        }
+
+        try {
+            const profile = this.aiService.toneProfiles.get(this.editingToneId);
+            await this.aiService.toneProfiles.remove(this.editingToneId);
+
+            this.renderToneOptions();
+            await this.saveUserPreferences();
+            this.openToneEditor();
+            this.showStatusMessage(localize('statusToneDeleted', profile.name), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
     }
 
     /**
-     * Show consent manager
+     * Fill the template picker next to the email input
      */
-    async showConsentManager() {
-        if (!this.aiService) return;
-        
-        const consentInfo = this.aiService.consentManager.getConsentInfo();
-        
-        const action = confirm(`
-Consent Management:
+    renderTemplateOptions() {
+        if (!this.templateSelect) {
+            return;
+        }
 
-Current Status: ${consentInfo.granted ? 'GRANTED' : 'NOT GRANTED'}
-${consentInfo.granted ? `Granted: ${new Date(consentInfo.timestamp).toLocaleDateString()}` : ''}
-${consentInfo.granted ? `Expires: ${consentInfo.expiresAt?.toLocaleDateString()}` : ''}
+        const selected = this.templateSelect.value;
+        this.templateSelect.innerHTML = `<option value="">${localize('noTemplate')}</option>`;
+        this.promptTemplates.getAll().forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            this.templateSelect.appendChild(option);
+        });
 
-Click OK to ${consentInfo.granted ? 'REVOKE' : 'GRANT'} consent
-Click Cancel to keep current settings
-        `);
-        
-        if (action) {
-            if (consentInfo.granted) {
-                await this.aiService.consentManager.revokeConsent();
-                this.showStatusMessage('Consent revoked. AI features disabled.', 'info');
-                this.showSection('consent');
-            } else {
-                this.showSection('consent');
-            }
-            this.updateConsentStatus();
+        this.templateSelect.value = this.promptTemplates.get(selected) ? selected : '';
+        this.renderTemplateFields();
+    }
+
+    /**
+     * @returns {Object|null} - Template selected for the next reply
+     */
+    getSelectedTemplate() {
+        return this.templateSelect ? this.promptTemplates.get(this.templateSelect.value) : null;
+    }
+
+    /**
+     * Ask for the placeholders of the selected template; the date is filled in already
+     */
+    renderTemplateFields() {
+        if (!this.templateFields) {
+            return;
+        }
+
+        const template = this.getSelectedTemplate();
+        const values = getTemplateValues(null);
+        this.templateFields.innerHTML = '';
+        if (!template) {
+            return;
         }
+
+        findTemplatePlaceholders(template.body).forEach(name => {
+            const label = document.createElement('label');
+            label.className = 'template-field-label';
+            label.textContent = TEMPLATE_PLACEHOLDER_LABELS[name] || name.replace(/_/g, ' ');
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'form-input';
+            input.dataset.placeholder = name;
+            input.value = values[name] || '';
+
+            label.appendChild(input);
+            this.templateFields.appendChild(label);
+        });
+    }
+
+    /**
+     * Values typed for the selected template's placeholders
+     * @returns {Object} - Values by placeholder name
+     */
+    getTemplateFieldValues() {
+        const values = {};
+        this.templateFields?.querySelectorAll('input').forEach(input => {
+            values[input.dataset.placeholder] = input.value.trim();
+        });
+        return values;
     }
 
     /**
-     * Show help modal
+     * Show the template editor, starting with the selected template
      */
-    showHelp() {
-        const helpText = `
-Draftly AI Email Assistant Help:
+    openTemplateEditor() {
+        const templates = this.promptTemplates.getAll();
+        this.templateEditSelect.innerHTML = '';
+
+        const newOption = document.createElement('option');
+        newOption.value = '';
+        newOption.textContent = '➕ New template';
+        this.templateEditSelect.appendChild(newOption);
+
+        [
+            { label: 'My templates', builtIn: false },
+            { label: 'Built-in (saved as a copy)', builtIn: true }
+        ].forEach(({ label, builtIn }) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            templates.filter(template => Boolean(template.builtIn) === builtIn).forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                group.appendChild(option);
+            });
+            if (group.children.length > 0) {
+                this.templateEditSelect.appendChild(group);
+            }
+        });
 
-🚀 Getting Started:
-1. Configure your OpenAI API key
-2. Grant consent for data processing
-3. Enter your email or prompt
-4. Select your preferred tone
-5. Click "🤖 Generate AI Reply"
+        this.templateEditSelect.value = this.templateSelect?.value || '';
+        this.fillTemplateEditor(this.templateEditSelect.value);
+        this.exportTemplatesBtn.disabled = this.promptTemplates.customTemplates.length === 0;
+        this.showSection('templates');
+    }
 
-⌨️ Keyboard Shortcuts:
-• Ctrl+Enter: Generate reply
-• Ctrl+C: Copy reply (when visible)
+    /**
+     * Load a template into the editor form
+     * @param {string} templateId - Template to edit, '' for a new one
+     */
+    fillTemplateEditor(templateId) {
+        const template = this.promptTemplates.get(templateId);
 
-🎯 Tips:
-• Be specific in your prompts for better results
-• Try different tones to match your style
-• The AI learns from context in your input
-• Rate limits prevent API abuse
+        // Built-in templates are read-only, so editing one starts a copy
+        this.editingTemplateId = template && !template.builtIn ? template.id : null;
 
-🔒 Privacy:
-• Your data is sent to OpenAI for processing
-• No permanent storage by Draftly
-• Consent can be revoked anytime
-• API key stored securely locally
+        this.templateNameInput.value = template ? (template.builtIn ? `${template.name} (copy)` : template.name) : '';
+        this.templateBodyInput.value = template?.body || '';
+        this.deleteTemplateBtn.disabled = !this.editingTemplateId;
+    }
 
-💡 Tones:
-• Professional: Business-appropriate, formal
-• Friendly: Warm but professional
-• Formal: Very structured, official
-• Casual: Relaxed but helpful
+    /**
+     * Validate and save the template in the editor
+     */
+    async handleSaveTemplate() {
+        try {
+            const saved = await this.promptTemplates.save({
+                id: this.editingTemplateId,
+                name: this.templateNameInput.value,
+                body: this.templateBodyInput.value
+            });
 
-🛠️ Troubleshooting:
-• Check API key format (starts with "sk-")
-• Ensure consent is granted
-• Watch for rate limit warnings
-• Verify internet connection
-        `.trim();
-        
-        alert(helpText);
+            this.renderTemplateOptions();
+            this.templateSelect.value = saved.id;
+            this.renderTemplateFields();
+            this.openTemplateEditor();
+            this.showStatusMessage(localize('statusTemplateSaved', saved.name), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
     }
 
     /**
-     * Show about modal
+     * Delete the custom template in the editor
      */
-    showAbout() {
-        const aboutText = `
-Draftly AI Email Assistant v2.0.0
+    async handleDeleteTemplate() {
+        if (!this.editingTemplateId) {
+            return;
+        }
+
+        try {
+            const template = this.promptTemplates.get(this.editingTemplateId);
+            await this.promptTemplates.remove(this.editingTemplateId);
 
-🤖 Powered by OpenAI GPT for intelligent email replies
+            this.renderTemplateOptions();
+            this.openTemplateEditor();
+            this.showStatusMessage(localize('statusTemplateDeleted', template.name), 'success');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
 
-✨ Features:
-• AI-powered email generation
-• Multiple tone options
-• Smart rate limiting
-• Privacy-focused design
-• One-click copying
-• Keyboard shortcuts
-• User consent management
+    /**
+     * Download the custom templates as a JSON file
+     */
+    handleExportTemplates() {
+        const blob = new Blob([this.promptTemplates.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'draftly-templates.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
 
-🔒 Privacy & Security:
-• Local API key storage
-• No permanent data retention
-• Transparent data processing
-• User consent required
-• GDPR compliant
+    /**
+     * Import templates from the JSON file the user picked
+     */
+    async handleImportTemplates() {
+        const file = this.templateImportInput.files[0];
+        this.templateImportInput.value = '';
+        if (!file) {
+            return;
+        }
 
-🎯 Built for productivity enthusiasts who value:
-• Quality AI-generated content
-• Data privacy and control
-• Professional email communication
-• Seamless workflow integration
+        try {
+            const { imported, skipped } = await this.promptTemplates.importJSON(await file.text());
 
-Developed with ❤️ for the modern workplace.
-        `.trim();
-        
-        alert(aboutText);
+            this.renderTemplateOptions();
+            this.openTemplateEditor();
+            const skippedNote = skipped ? ` ${localize('statusTemplatesSkipped', skipped)}` : '';
+            this.showStatusMessage(`${localize('statusTemplatesImported', imported)}${skippedNote}`, imported ? 'success' : 'error');
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Load user preferences from storage
+     */
+    async loadUserPreferences() {
+        try {
+            const result = await chrome.storage.sync.get(['preferredTone', 'lastUsed']);
+            
+            const preferredProfile = this.aiService.toneProfiles.get(result.preferredTone);
+            if (preferredProfile && this.toneSelect) {
+                this.toneSelect.value = preferredProfile.id;
+                this.currentTone = preferredProfile.id;
+            }
+            
+            // Update last used timestamp
+            await chrome.storage.sync.set({ lastUsed: Date.now() });
+            
+        } catch (error) {
+            console.error('Failed to load preferences:', error);
+        }
+    }
+
+    /**
+     * Save user preferences to storage
+     */
+    async saveUserPreferences() {
+        try {
+            await chrome.storage.sync.set({
+                preferredTone: this.currentTone,
+                lastSaved: Date.now()
+            });
+        } catch (error) {
+            console.error('Failed to save preferences:', error);
+        }
+    }
+
+    /**
+     * Open the options page, optionally at one of its sections
+     * @param {string} [section] - Section id, e.g. 'privacy' or 'help'
+     */
+    openOptionsPage(section) {
+        if (section) {
+            chrome.tabs.create({ url: chrome.runtime.getURL(`options/options.html#${section}`) });
+        } else {
+            chrome.runtime.openOptionsPage();
+        }
+        window.close();
     }
 
     /**
@@ -880,9 +3079,9 @@ Developed with ❤️ for the modern workplace.
         const hasKey = this.aiService.hasAPIKey();
         console.log(`🔑 API Key configured: ${hasKey}`);
         
+        console.log(`🧩 Provider: ${this.aiService.getProviderClass().label}`, this.aiService.providerConfig);
+
         if (hasKey && this.aiService.apiKey) {
-            const keyFormat = this.aiService.apiKey.startsWith('sk-') ? '✅ Valid format' : '❌ Invalid format';
-            console.log(`🔑 API Key format: ${keyFormat}`);
             console.log(`🔑 API Key length: ${this.aiService.apiKey.length} characters`);
         }
         
@@ -890,29 +3089,30 @@ Developed with ❤️ for the modern workplace.
         const hasConsent = await this.aiService.consentManager.hasConsent();
         console.log(`📋 User consent: ${hasConsent ? '✅ Granted' : '❌ Not granted'}`);
         
-        // Check rate limiting
-        const rateLimitStats = this.aiService.rateLimiter.getUsageStats();
-        console.log('📊 Rate Limit Status:', rateLimitStats);
-        console.log(`📊 Can make request: ${this.aiService.rateLimiter.canMakeRequest()}`);
+        // Check rate limiting (enforced by the background pipeline)
+        await this.updateAPIStatus();
+        const canMakeRequest = this.pipelineStatus?.canMakeRequest ?? false;
+        console.log('📊 Rate Limit Status:', this.pipelineStatus?.rateLimit);
+        console.log(`📊 Can make request: ${canMakeRequest}`);
         
         // Test a simple generation if everything looks good
-        if (hasKey && hasConsent && this.aiService.rateLimiter.canMakeRequest()) {
+        if (hasKey && hasConsent && canMakeRequest) {
             console.log('🧪 Testing AI generation with simple prompt...');
             try {
-                const testReply = await this.aiService.generateEmailReply(
-                    'Hello, thank you for your email. I wanted to follow up on our previous conversation.',
-                    'professional'
-                );
+                const { reply: testReply } = await sendPipelineMessage({
+                    action: 'generateReply',
+                    input: 'Hello, thank you for your email. I wanted to follow up on our previous conversation.'
+                });
                 console.log('✅ Test generation successful!');
                 console.log(`📝 Generated reply: "${testReply.substring(0, 100)}..."`);
             } catch (error) {
                 console.error('❌ Test generation failed:', error.message);
                 
                 // Provide specific guidance based on error
-                if (error.message.includes('Invalid OpenAI API key')) {
-                    console.log('💡 Solution: Check your API key at https://platform.openai.com/api-keys');
-                } else if (error.message.includes('quota exceeded')) {
-                    console.log('💡 Solution: Add billing info or upgrade your OpenAI plan');
+                if (error.code === PROVIDER_ERROR_CODES.INVALID_KEY) {
+                    console.log('💡 Solution: Check the API key configured for your provider');
+                } else if (error.code === PROVIDER_ERROR_CODES.QUOTA) {
+                    console.log('💡 Solution: Add billing info or upgrade your provider plan');
                 } else if (error.message.includes('rate limit')) {
                     console.log('💡 Solution: Wait a moment and try again');
                 }
@@ -921,7 +3121,9 @@ Developed with ❤️ for the modern workplace.
             console.log('⚠️ Cannot test generation - missing requirements');
             if (!hasKey) console.log('   • Need to configure API key');
             if (!hasConsent) console.log('   • Need to grant consent');
-            if (!this.aiService.rateLimiter.canMakeRequest()) console.log('   • Rate limit exceeded');
+            if (!canMakeRequest) {
+                console.log('   • Rate limit exceeded');
+            }
         }
         
         console.log('\n🔧 To run this debug again, type: draftly.debugOpenAI()');
@@ -931,102 +3133,23 @@ Developed with ❤️ for the modern workplace.
      * Quick test function for manual debugging
      */
     async testConnection() {
-        console.log('🧪 Testing OpenAI connection...');
+        console.log('🧪 Testing AI provider connection...');
         
-        if (!this.aiService || !this.aiService.apiKey) {
+        if (!this.aiService || !this.aiService.hasAPIKey()) {
             console.error('❌ No API key configured');
-            return;
+            return false;
         }
 
         try {
-            // Test with minimal request to check connection
-            const response = await fetch('https://api.openai.com/v1/models', {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${this.aiService.apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            console.log(`📡 Response status: ${response.status}`);
-            
-            if (response.ok) {
-                const data = await response.json();
-                console.log(`✅ Connection successful! Available models: ${data.data?.length || 0}`);
-                return true;
-            } else {
-                const errorData = await response.json().catch(() => ({}));
-                console.error('❌ Connection failed:', response.status, errorData);
-                return false;
-            }
+            await this.aiService.testConnection();
+            console.log(`✅ Connection to ${this.aiService.getProviderClass().label} successful!`);
+            return true;
         } catch (error) {
-            console.error('❌ Network error:', error);
+            console.error('❌ Connection failed:', error.code, error.message);
             return false;
         }
     }
 
-    /**
-     * Inject Gmail button with options for replying or generating a response
-     */
-    injectGmailButton() {
-        const checkToolbar = setInterval(() => {
-            const gmailToolbar = document.querySelector('.G-Ni'); // Gmail toolbar selector
-            if (gmailToolbar) {
-                clearInterval(checkToolbar);
-
-                // Create the button
-                const draftlyButton = document.createElement('button');
-                draftlyButton.innerText = 'Draftly AI';
-                draftlyButton.className = 'draftly-ai-button';
-                draftlyButton.style.margin = '0 8px';
-                draftlyButton.style.padding = '8px 12px';
-                draftlyButton.style.backgroundColor = '#4f46e5';
-                draftlyButton.style.color = '#fff';
-                draftlyButton.style.border = 'none';
-                draftlyButton.style.borderRadius = '4px';
-                draftlyButton.style.cursor = 'pointer';
-
-                // Add click event listener
-                draftlyButton.addEventListener('click', () => {
-                    const userChoice = confirm('Choose an option:\nOK: Reply to mail thread\nCancel: Generate email response by prompting');
-
-                    if (userChoice) {
-                        const emailContent = this.getEmailContent();
-                        if (emailContent) {
-                            this.aiService.generateEmailReply(emailContent, 'casual')
-                                .then(reply => alert(`AI Reply:\n${reply}`))
-                                .catch(err => alert(`Error: ${err.message}`));
-                        }
-                    } else {
-                        const prompt = prompt('Enter your prompt for the email reply:');
-                        if (prompt) {
-                            this.aiService.generateEmailReply(prompt, 'formal')
-                                .then(reply => alert(`Generated Reply:\n${reply}`))
-                                .catch(err => alert(`Error: ${err.message}`));
-                        }
-                    }
-                });
-
-                // Append the button to the Gmail toolbar
-                gmailToolbar.appendChild(draftlyButton);
-                console.log('✅ Draftly AI button injected into Gmail toolbar.');
-            }
-        }, 500); // Check every 500ms
-    }
-
-    /**
-     * Extract email content from Gmail interface
-     * @returns {string} - The email content
-     */
-    getEmailContent() {
-        const emailBody = document.querySelector('.a3s'); // Gmail email body selector
-        if (emailBody) {
-            return emailBody.innerText.trim();
-        }
-        alert('No email content found.');
-        return null;
-    }
-
     /**
      * Initialize Google API and ensure user is signed in
      */
@@ -1061,6 +3184,7 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('🚀 Initializing Draftly Email Assistant...');
     
     try {
+        localizePage();
         const popup = new DraftlyPopup();
         
         // Make instance globally accessible for debugging
@@ -1083,7 +3207,7 @@ document.addEventListener('DOMContentLoaded', () => {
             });
             console.log('\n🔧 Available debug functions:');
             console.log('- draftly.debugOpenAI() - Full AI debug');
-            console.log('- draftly.testConnection() - Test OpenAI connection');
+            console.log('- draftly.testConnection() - Test AI provider connection');
         };
         
         console.log('🔧 Debug helpers available:');
@@ -1110,7 +3234,7 @@ document.addEventListener('DOMContentLoaded', () => {
             font-family: system-ui, sans-serif;
             font-size: 14px;
         `;
-        errorDiv.textContent = `Extension Error: ${error.message}. Please reload the extension.`;
+        errorDiv.textContent = localize('statusExtensionError', error.message);
         document.body.appendChild(errorDiv);
     }
 });
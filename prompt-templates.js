@@ -0,0 +1,297 @@
+/**
+ * Draftly Prompt Templates
+ * Named, reusable instructions with {{placeholders}}.
+ * Shared by the popup and the content script.
+ */
+
+/**
+ * Templates that ship with Draftly; users add their own next to these
+ */
+const BUILT_IN_PROMPT_TEMPLATES = [
+    {
+        id: 'decline-meeting',
+        name: 'Decline meeting politely',
+        body: 'Politely decline the meeting with {{recipient_name}}. Thank them for the invitation, briefly say I am not available and offer to catch up another time.',
+        builtIn: true
+    },
+    {
+        id: 'invoice-status',
+        name: 'Ask for invoice status',
+        body: 'Ask {{recipient_name}} for the status of invoice {{invoice_number}}. Keep it friendly and ask when payment can be expected. Sign as {{my_name}}.',
+        builtIn: true
+    },
+    {
+        id: 'demo-follow-up',
+        name: 'Follow up after demo',
+        body: 'Follow up with {{recipient_name}} after our demo on {{date}}. Thank them for their time, summarize the next steps and offer to answer questions. Sign as {{my_name}}.',
+        builtIn: true
+    }
+];
+
+/**
+ * Custom templates are stored one per sync key to stay under the per-item quota
+ */
+const PROMPT_TEMPLATE_KEY_PREFIX = 'prompt_template_';
+
+const PROMPT_TEMPLATE_LIMITS = {
+    maxTemplates: 50,
+    nameLength: 60,
+    bodyLength: 2000
+};
+
+// {{ name }} with letters, digits and underscores
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{\{\s*([a-z0-9_]+)\s*\}\}/gi;
+
+/**
+ * Labels for placeholders Draftly can fill on its own
+ */
+const TEMPLATE_PLACEHOLDER_LABELS = {
+    recipient_name: 'Recipient name',
+    recipient_email: 'Recipient email',
+    my_name: 'My name',
+    date: 'Date',
+    subject: 'Subject'
+};
+
+/**
+ * List the placeholders used in a template body
+ * @param {string} body - Template text
+ * @returns {Array<string>} - Placeholder names in order of first use
+ */
+function findTemplatePlaceholders(body) {
+    const names = Array.from((body || '').matchAll(TEMPLATE_PLACEHOLDER_PATTERN), match => match[1].toLowerCase());
+    return [...new Set(names)];
+}
+
+/**
+ * Replace placeholders with values; unknown ones are left as they are
+ * @param {string} body - Template text
+ * @param {Object} values - Placeholder values by name
+ * @returns {string} - Filled text
+ */
+function fillTemplate(body, values) {
+    return (body || '').replace(TEMPLATE_PLACEHOLDER_PATTERN, (placeholder, name) => {
+        const value = values[name.toLowerCase()];
+        return value ? value : placeholder;
+    });
+}
+
+/**
+ * Placeholder values Draftly knows without asking
+ * @param {Object|null} thread - Parsed thread from a site adapter, if any
+ * @returns {Object} - Values by placeholder name
+ */
+function getTemplateValues(thread) {
+    const values = { date: new Date().toLocaleDateString(undefined, { dateStyle: 'long' }) };
+    if (!thread?.messages?.length) {
+        return values;
+    }
+
+    // The reply goes to the latest message not sent by the user
+    const incoming = thread.messages.filter(message => !message.isFromMe);
+    const target = incoming[incoming.length - 1] || thread.messages[thread.messages.length - 1];
+    const mine = thread.messages.find(message => message.isFromMe);
+
+    if (target.sender?.name) {
+        values.recipient_name = target.sender.name.split(/\s+/)[0];
+    }
+    if (target.sender?.email) {
+        values.recipient_email = target.sender.email;
+    }
+    if (mine?.sender?.name) {
+        values.my_name = mine.sender.name;
+    }
+    if (thread.subject) {
+        values.subject = thread.subject;
+    }
+
+    return values;
+}
+
+/**
+ * Prompt Template Manager Class
+ * Loads, validates and stores user-defined templates (chrome.storage.sync)
+ */
+class PromptTemplateManager {
+    constructor() {
+        this.customTemplates = [];
+    }
+
+    /**
+     * Load custom templates from sync storage
+     */
+    async load() {
+        try {
+            const items = await chrome.storage.sync.get(null);
+            this.customTemplates = Object.keys(items)
+                .filter(key => key.startsWith(PROMPT_TEMPLATE_KEY_PREFIX))
+                .map(key => items[key])
+                .filter(template => this.validate(template).valid)
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            console.error('Failed to load prompt templates:', error);
+        }
+    }
+
+    /**
+     * Get built-in and custom templates
+     * @returns {Array<Object>} - Templates, built-in first
+     */
+    getAll() {
+        return [...BUILT_IN_PROMPT_TEMPLATES, ...this.customTemplates];
+    }
+
+    /**
+     * Find a template by ID
+     * @param {string} id - Template ID
+     * @returns {Object|null} - Template
+     */
+    get(id) {
+        return this.getAll().find(template => template.id === id) || null;
+    }
+
+    /**
+     * Validate a template
+     * @param {Object} template - Template to check
+     * @returns {{valid: boolean, message: string}} - Validation result
+     */
+    validate(template) {
+        const limits = PROMPT_TEMPLATE_LIMITS;
+        const invalid = (message) => ({ valid: false, message });
+
+        if (!template || typeof template !== 'object') {
+            return invalid('Template is missing');
+        }
+        if (typeof template.name !== 'string' || !template.name.trim()) {
+            return invalid('Please give the template a name');
+        }
+        if (template.name.length > limits.nameLength) {
+            return invalid(`Template name must be at most ${limits.nameLength} characters`);
+        }
+        if (typeof template.body !== 'string' || !template.body.trim()) {
+            return invalid('Please enter the template instructions');
+        }
+        if (template.body.length > limits.bodyLength) {
+            return invalid(`Template instructions must be at most ${limits.bodyLength} characters`);
+        }
+
+        return { valid: true, message: 'Template is valid' };
+    }
+
+    /**
+     * Create or update a custom template
+     * @param {Object} template - { id?, name, body }; without an ID a new template is created
+     * @returns {Promise<Object>} - The saved template
+     */
+    async save(template) {
+        const existing = template.id ? this.get(template.id) : null;
+        if (existing?.builtIn) {
+            throw new Error('Built-in templates cannot be changed. Save a copy instead.');
+        }
+        if (!existing && this.customTemplates.length >= PROMPT_TEMPLATE_LIMITS.maxTemplates) {
+            throw new Error(`You can save up to ${PROMPT_TEMPLATE_LIMITS.maxTemplates} templates`);
+        }
+
+        const saved = {
+            id: existing ? existing.id : this.createId(template.name),
+            name: (template.name || '').trim(),
+            body: (template.body || '').trim(),
+            updatedAt: Date.now()
+        };
+
+        const validation = this.validate(saved);
+        if (!validation.valid) {
+            throw new Error(validation.message);
+        }
+
+        await chrome.storage.sync.set({ [PROMPT_TEMPLATE_KEY_PREFIX + saved.id]: saved });
+
+        this.customTemplates = this.customTemplates.filter(other => other.id !== saved.id).concat(saved)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        return saved;
+    }
+
+    /**
+     * Delete a custom template
+     * @param {string} id - Template ID
+     */
+    async remove(id) {
+        const template = this.get(id);
+        if (!template) {
+            return;
+        }
+        if (template.builtIn) {
+            throw new Error('Built-in templates cannot be deleted');
+        }
+
+        await chrome.storage.sync.remove(PROMPT_TEMPLATE_KEY_PREFIX + template.id);
+        this.customTemplates = this.customTemplates.filter(other => other.id !== template.id);
+    }
+
+    /**
+     * Serialize custom templates for export
+     * @returns {string} - JSON document
+     */
+    exportJSON() {
+        return JSON.stringify({
+            type: 'draftly-prompt-templates',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            templates: this.customTemplates.map(({ name, body }) => ({ name, body }))
+        }, null, 2);
+    }
+
+    /**
+     * Import templates exported by Draftly (or a plain array of { name, body })
+     * Templates whose name already exists are updated instead of duplicated
+     * @param {string} json - JSON document
+     * @returns {Promise<{imported: number, skipped: number}>} - Import summary
+     */
+    async importJSON(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        const templates = Array.isArray(data) ? data : data?.templates;
+        if (!Array.isArray(templates)) {
+            throw new Error('No templates found in the file');
+        }
+
+        let imported = 0;
+        for (const template of templates) {
+            const existing = this.customTemplates.find(other => other.name.toLowerCase() === String(template?.name).trim().toLowerCase());
+            try {
+                await this.save({ id: existing?.id, name: template?.name, body: template?.body });
+                imported++;
+            } catch (error) {
+                console.warn('Skipped template during import:', template?.name, error.message);
+            }
+        }
+
+        return { imported, skipped: templates.length - imported };
+    }
+
+    /**
+     * Build a storage-safe ID from a template name
+     * @param {string} name - Template name
+     * @returns {string} - Unique template ID
+     */
+    createId(name) {
+        const slug = (name || 'template').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 24) || 'template';
+        return `${slug}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.BUILT_IN_PROMPT_TEMPLATES = BUILT_IN_PROMPT_TEMPLATES;
+    window.PROMPT_TEMPLATE_KEY_PREFIX = PROMPT_TEMPLATE_KEY_PREFIX;
+    window.TEMPLATE_PLACEHOLDER_LABELS = TEMPLATE_PLACEHOLDER_LABELS;
+    window.findTemplatePlaceholders = findTemplatePlaceholders;
+    window.fillTemplate = fillTemplate;
+    window.getTemplateValues = getTemplateValues;
+    window.PromptTemplateManager = PromptTemplateManager;
+}
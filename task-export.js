@@ -0,0 +1,312 @@
+/**
+ * Draftly Task Export
+ * Turns action items, meetings and deadlines extracted from an email into files:
+ * an iCalendar (.ics) file for calendars and a Markdown or CSV task list.
+ * Shared by the popup and the content script.
+ */
+
+/**
+ * Export formats offered next to extracted items
+ */
+const TASK_EXPORT_FORMATS = {
+    ics: { label: 'Calendar (.ics)', extension: 'ics', mimeType: 'text/calendar' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+// Meetings without an end get this long in the calendar
+const DEFAULT_MEETING_MINUTES = 60;
+
+/**
+ * Split an extracted date into its parts
+ * @param {string} value - YYYY-MM-DD or YYYY-MM-DDTHH:MM[:SS]
+ * @returns {{date: Date, allDay: boolean}|null} - null for an empty or invalid date
+ */
+function parseItemDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value || '');
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds] = match;
+    const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hours || 0), Number(minutes || 0), Number(seconds || 0));
+    return Number.isNaN(date.getTime()) ? null : { date, allDay: hours === undefined };
+}
+
+/**
+ * Show an extracted date in the UI language
+ * @param {string} value - YYYY-MM-DD or YYYY-MM-DDTHH:MM
+ * @returns {string} - e.g. "Fri, Oct 23, 2026, 10:00 AM", or the value itself when it is not a date
+ */
+function formatItemDate(value) {
+    const parsed = parseItemDate(value);
+    if (!parsed) {
+        return value || '';
+    }
+
+    const options = { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' };
+    if (!parsed.allDay) {
+        options.hour = 'numeric';
+        options.minute = '2-digit';
+    }
+    return formatLocalDate(parsed.date, options);
+}
+
+/**
+ * Whether extracted items contain anything to export
+ * @param {Object} items - { actionItems, meetings, deadlines }
+ * @returns {boolean}
+ */
+function hasExtractedItems(items) {
+    return Boolean(items && (items.actionItems.length || items.meetings.length || items.deadlines.length));
+}
+
+/**
+ * Write an iCalendar file: meetings and deadlines become events, action items with a due
+ * date become tasks (calendars that do not support tasks, such as Google Calendar, skip them).
+ * Times have no time zone, so calendars put them at the same wall-clock time.
+ * @param {Object} items - { actionItems, meetings, deadlines, subject }
+ * @returns {string} - .ics file content
+ */
+function createIcsCalendar(items) {
+    const stamp = formatIcsDate(new Date(), { utc: true });
+    const uidBase = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const source = items.subject ? `From the email "${items.subject}"` : 'From an email';
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Draftly//Email Assistant//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    let index = 0;
+
+    const addEvent = ({ title, start, end, location = '', description }) => {
+        const from = parseItemDate(start);
+        if (!from) {
+            return;
+        }
+
+        // All-day events end on the next day; timed ones after the default length
+        let to = parseItemDate(end);
+        if (!to || to.allDay !== from.allDay || to.date <= from.date) {
+            const date = new Date(from.date);
+            if (from.allDay) {
+                date.setDate(date.getDate() + 1);
+            } else {
+                date.setMinutes(date.getMinutes() + DEFAULT_MEETING_MINUTES);
+            }
+            to = { date, allDay: from.allDay };
+        }
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${uidBase}-${index++}@draftly`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART${from.allDay ? ';VALUE=DATE' : ''}:${formatIcsDate(from.date, { allDay: from.allDay })}`,
+            `DTEND${to.allDay ? ';VALUE=DATE' : ''}:${formatIcsDate(to.date, { allDay: to.allDay })}`,
+            `SUMMARY:${escapeIcsText(title)}`
+        );
+        if (location) {
+            lines.push(`LOCATION:${escapeIcsText(location)}`);
+        }
+        lines.push(`DESCRIPTION:${escapeIcsText(description)}`, 'END:VEVENT');
+    };
+
+    items.meetings.forEach(meeting => addEvent({
+        title: meeting.title,
+        start: meeting.start,
+        end: meeting.end,
+        location: meeting.location,
+        description: [
+            source,
+            meeting.confirmed ? '' : 'Proposed time, not confirmed yet',
+            meeting.attendees.length ? `Attendees: ${meeting.attendees.join(', ')}` : ''
+        ].filter(Boolean).join('\n')
+    }));
+
+    items.deadlines.forEach(deadline => addEvent({
+        title: `Deadline: ${deadline.title}`,
+        start: deadline.date,
+        description: source
+    }));
+
+    items.actionItems.forEach(item => {
+        const due = parseItemDate(item.due);
+        if (!due) {
+            return;
+        }
+
+        lines.push(
+            'BEGIN:VTODO',
+            `UID:${uidBase}-${index++}@draftly`,
+            `DTSTAMP:${stamp}`,
+            `DUE${due.allDay ? ';VALUE=DATE' : ''}:${formatIcsDate(due.date, { allDay: due.allDay })}`,
+            `SUMMARY:${escapeIcsText(item.task)}`,
+            `DESCRIPTION:${escapeIcsText([source, item.owner ? `Owner: ${item.owner}` : ''].filter(Boolean).join('\n'))}`,
+            'STATUS:NEEDS-ACTION',
+            'END:VTODO'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Format a date for iCalendar
+ * @param {Date} date
+ * @param {Object} options - allDay for a DATE value, utc for a UTC DATE-TIME
+ * @returns {string} - e.g. 20261023, 20261023T100000 or 20261023T080000Z
+ */
+function formatIcsDate(date, { allDay = false, utc = false } = {}) {
+    const pad = (value) => String(value).padStart(2, '0');
+    if (utc) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    return allDay ? day : `${day}T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line longer than 75 octets of UTF-8, as iCalendar requires,
+ * without splitting a character
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let part = '';
+    let octets = 0;
+    // Continuation lines start with a space, which counts toward their length
+    let limit = 75;
+
+    for (const character of line) {
+        const size = encoder.encode(character).length;
+        if (octets + size > limit) {
+            parts.push(part);
+            part = '';
+            octets = 0;
+            limit = 74;
+        }
+        part += character;
+        octets += size;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Write the items as a Markdown task list
+ * @param {Object} items - { actionItems, meetings, deadlines, subject }
+ * @returns {string} - Markdown
+ */
+function createTaskMarkdown(items) {
+    const sections = [`# ${items.subject ? `Tasks from "${items.subject}"` : 'Tasks from email'}`];
+
+    if (items.actionItems.length) {
+        sections.push(['## Action items', ...items.actionItems.map(item => {
+            const details = [item.owner, item.due ? `due ${item.due}` : ''].filter(Boolean).join(', ');
+            return `- [ ] ${item.task}${details ? ` (${details})` : ''}`;
+        })].join('\n'));
+    }
+    if (items.meetings.length) {
+        sections.push(['## Meetings', ...items.meetings.map(meeting => {
+            const details = [
+                meeting.end ? `${meeting.start} to ${meeting.end}` : meeting.start,
+                meeting.location,
+                meeting.confirmed ? '' : 'proposed'
+            ].filter(Boolean).join(', ');
+            const attendees = meeting.attendees.length ? ` with ${meeting.attendees.join(', ')}` : '';
+            return `- ${meeting.title}${attendees} (${details})`;
+        })].join('\n'));
+    }
+    if (items.deadlines.length) {
+        sections.push(['## Deadlines', ...items.deadlines.map(deadline => `- ${deadline.date}: ${deadline.title}`)].join('\n'));
+    }
+
+    return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Write the items as CSV with one row per item, for spreadsheets and task tools
+ * @param {Object} items - { actionItems, meetings, deadlines }
+ * @returns {string} - CSV with a header row
+ */
+function createTaskCsv(items) {
+    const rows = [
+        ['Type', 'Title', 'Owner', 'Date', 'End', 'Location', 'Notes'],
+        ...items.actionItems.map(item => ['Action item', item.task, item.owner, item.due, '', '', '']),
+        ...items.meetings.map(meeting => [
+            'Meeting', meeting.title, '', meeting.start, meeting.end, meeting.location,
+            [meeting.confirmed ? '' : 'Proposed', meeting.attendees.join(', ')].filter(Boolean).join('; ')
+        ]),
+        ...items.deadlines.map(deadline => ['Deadline', deadline.title, '', deadline.date, '', '', ''])
+    ];
+    return rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a CSV value; values that a spreadsheet would run as a formula are prefixed with '
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Download extracted items in one of TASK_EXPORT_FORMATS
+ * @param {Object} items - { actionItems, meetings, deadlines, subject }
+ * @param {string} format - ics, markdown or csv
+ */
+function downloadTaskExport(items, format) {
+    const { extension, mimeType } = TASK_EXPORT_FORMATS[format];
+    let content = createTaskCsv(items);
+    if (format === 'ics') {
+        content = createIcsCalendar(items);
+    }
+    if (format === 'markdown') {
+        content = createTaskMarkdown(items);
+    }
+
+    const name = (items.subject || 'email').replace(/^(re|aw|fwd?|wg):\s*/i, '').replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '').slice(0, 40) || 'email';
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `draftly-${name.toLowerCase()}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TASK_EXPORT_FORMATS = TASK_EXPORT_FORMATS;
+    window.parseItemDate = parseItemDate;
+    window.formatItemDate = formatItemDate;
+    window.hasExtractedItems = hasExtractedItems;
+    window.createIcsCalendar = createIcsCalendar;
+    window.createTaskMarkdown = createTaskMarkdown;
+    window.createTaskCsv = createTaskCsv;
+    window.downloadTaskExport = downloadTaskExport;
+}
@@ -103,7 +103,7 @@ async function testCompleteWorkflow() {
         
         // 4. Test rate limiting
         console.log('\n4️⃣ Testing rate limiting...');
-        const canMakeRequest = aiService.rateLimiter.canMakeRequest();
+        const canMakeRequest = await aiService.rateLimiter.canMakeRequest(aiService.getModelName());
         console.log(`✅ Can make request: ${canMakeRequest}`);
         
         // 5. Test AI generation
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChrome, loadScripts } = require('./helpers/extension-env');
+
+const SCRIPTS = ['ai-providers.js', 'key-vault.js', 'pii-redactor.js', 'ai-service.js'];
+
+test('consent from before scopes existed has to be given again under the current policy', async() => {
+    const chrome = createChrome();
+    await chrome.storage.sync.set({ user_consent: true, consent_timestamp: Date.now(), consent_version: '1.0' });
+    const window = loadScripts(SCRIPTS, { chrome });
+
+    const consent = new window.ConsentManager();
+    await consent.initialize();
+
+    assert.equal(consent.isOutdated(), true);
+    assert.equal(consent.isGranted('ai_processing'), false);
+    assert.deepEqual([...consent.getPolicyChanges().map(policy => policy.version)], [window.CONSENT_POLICY_VERSION]);
+});
+
+test('updating one scope keeps the others as they were', async() => {
+    const window = loadScripts(SCRIPTS);
+    const consent = new window.ConsentManager();
+    await consent.initialize();
+
+    await consent.grantConsent(['ai_processing', 'local_history']);
+    await consent.updateConsent({ local_history: false });
+
+    assert.equal(consent.isGranted('ai_processing'), true);
+    assert.equal(consent.isGranted('local_history'), false);
+    assert.equal(await consent.hasConsent('ai_processing'), true);
+});
+
+test('hasConsent notices consent given in another context', async() => {
+    const chrome = createChrome();
+    const consent = new (loadScripts(SCRIPTS, { chrome }).ConsentManager)();
+    const options = new (loadScripts(SCRIPTS, { chrome }).ConsentManager)();
+    await consent.initialize();
+
+    await options.grantConsent(['ai_processing']);
+
+    assert.equal(await consent.hasConsent('ai_processing'), true);
+});
+
+test('requestConsent asks the background to open the consent page where tabs are unavailable', async() => {
+    const chrome = createChrome();
+    // Content scripts have no chrome.tabs
+    const contentScriptChrome = { ...chrome, tabs: undefined };
+    const consent = new (loadScripts(SCRIPTS, { chrome: contentScriptChrome }).ConsentManager)();
+    const options = new (loadScripts(SCRIPTS, { chrome }).ConsentManager)();
+    await consent.initialize();
+
+    const granted = consent.requestConsent(['ai_processing'], 1000);
+    assert.deepEqual({ ...chrome.sentMessages[0] }, { action: 'openConsentPage' });
+    assert.equal(chrome.createdTabs.length, 0);
+
+    await options.grantConsent(['ai_processing']);
+    assert.equal(await granted, true);
+});
+
+test('requestConsent opens the consent page itself on extension pages', async() => {
+    const chrome = createChrome();
+    const window = loadScripts(SCRIPTS, { chrome });
+    const consent = new window.ConsentManager();
+    await consent.initialize();
+
+    assert.equal(await consent.requestConsent(['ai_processing'], 10), false);
+    assert.equal(chrome.createdTabs[0].url, `chrome-extension://test/${window.CONSENT_PAGE}`);
+    assert.equal(chrome.sentMessages.length, 0);
+});
+
+test('a cached thread summary is not shown once consent was revoked elsewhere', async() => {
+    const chrome = createChrome();
+    const window = loadScripts(SCRIPTS, { chrome });
+    const options = new window.ConsentManager();
+    await options.initialize();
+    await options.grantConsent(['ai_processing', 'local_history']);
+
+    const service = new window.DraftlyAIService();
+    const thread = { threadId: 'thread-1', subject: 'Launch', messages: [{ from: 'Ann', body: 'Ship it on Friday.' }] };
+    await service.initialize();
+    await service.summaryCache.set(thread.threadId, service.summaryCache.fingerprint(thread), { tldr: 'Ship on Friday.' });
+    assert.equal((await service.summarizeThread(thread)).cached, true);
+
+    await options.revokeConsent(['ai_processing']);
+
+    await assert.rejects(service.summarizeThread(thread), /consent required/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/extension-env');
+
+const window = loadScripts(['ai-providers.js', 'key-vault.js', 'pii-redactor.js', 'ai-service.js']);
+const service = new window.DraftlyAIService();
+
+/**
+ * Parse a model answer into plain objects
+ * @param {Object|string} answer - Extraction as the model returned it
+ * @param {Function} [restore] - Puts redacted personal data back
+ * @returns {Object}
+ */
+function parse(answer, restore) {
+    const text = typeof answer === 'string' ? answer : JSON.stringify(answer);
+    return JSON.parse(JSON.stringify(service.parseExtraction(text, restore)));
+}
+
+test('items without a task, title or valid date are dropped', () => {
+    const items = parse(`Here you go: ${JSON.stringify({
+        actionItems: [{ task: ' Send the slides ', owner: 'me', due: 'Friday' }, { task: '', due: '2026-10-23' }, 'nonsense'],
+        meetings: [{ title: 'Review', start: '2026-10-23T10:00', attendees: ['Ann', ''] }, { title: 'Lunch', start: 'tomorrow' }],
+        deadlines: [{ title: 'Budget', date: '2026-10-30' }, { title: 'Taxes' }]
+    })}`);
+
+    assert.deepEqual(items, {
+        actionItems: [{ task: 'Send the slides', owner: 'me', due: '' }],
+        meetings: [{ title: 'Review', start: '2026-10-23T10:00', end: '', location: '', attendees: ['Ann'], confirmed: true }],
+        deadlines: [{ title: 'Budget', date: '2026-10-30' }]
+    });
+});
+
+test('an answer that is not JSON is an error', () => {
+    assert.throws(() => parse('I could not find any items.'), /expected format/);
+});
+
+test('a date followed by a time keeps its time after redaction', () => {
+    const redactor = new window.PiiRedactor();
+    redactor.settings.customPatterns = [{ name: 'Date', pattern: '\\d{4}-\\d{2}-\\d{2} \\d{2}' }];
+    const redaction = redactor.createRedaction();
+    const email = 'Can we meet on 2025-03-07 10:00 about [the launch]? Call me on 030 1234567.';
+
+    const redacted = redaction.apply(email);
+    assert.equal(redacted, 'Can we meet on [DATE_1]:00 about [the launch]? Call me on [PHONE_1].');
+
+    const items = parse({
+        actionItems: [{ task: 'Call [PHONE_1]', owner: 'me', due: '[DATE_1]:00' }],
+        meetings: [{ title: 'Launch', start: '[DATE_1]:00', end: '', attendees: [] }],
+        deadlines: []
+    }, text => redaction.restore(text));
+
+    assert.equal(items.meetings[0].start, '2025-03-07T10:00');
+    assert.deepEqual(items.actionItems[0], { task: 'Call 030 1234567', owner: 'me', due: '2025-03-07T10:00' });
+});
+
+test('dates and times are not redacted by the built-in rules', () => {
+    const redaction = new window.PiiRedactor().createRedaction();
+    assert.equal(redaction.apply('Meeting on 2025-03-07 10:00 CET'), 'Meeting on 2025-03-07 10:00 CET');
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/extension-env');
+
+const window = loadScripts(['generation-client.js', 'i18n.js']);
+
+test('a thread summary is copied as plain text in the UI language', () => {
+    const text = window.formatThreadSummary({
+        tldr: 'The launch moves to Friday.',
+        decisions: ['Ship on Friday'],
+        openQuestions: [],
+        actionItems: [{ owner: 'Ann', task: 'Send the slides', due: 'Thursday' }, { owner: 'me', task: 'Book a room', due: '' }]
+    });
+
+    assert.equal(text, [
+        'TL;DR: The launch moves to Friday.',
+        'Decisions:\n- Ship on Friday',
+        'Action items:\n- Ann: Send the slides (due Thursday)\n- me: Book a room'
+    ].join('\n\n'));
+});
+
+test('retries and reply languages are described in the UI language', () => {
+    assert.equal(
+        window.formatRetryStatus({ attempt: 2, maxAttempts: 3, delay: 1200, reason: 'OpenAI is unavailable (503)' }),
+        '⏳ OpenAI is unavailable (503). Retrying in 1s (attempt 2 of 3)…'
+    );
+    assert.equal(window.formatReplyLanguage({ code: null, name: null, detected: true }), 'Replying in the language of the email.');
+    assert.equal(window.formatReplyLanguage({ code: 'de', name: 'German', detected: true }), 'Replying in German (detected).');
+    assert.equal(window.formatReplyLanguage({ code: 'fr', name: 'French', detected: false }), 'Replying in French.');
+});
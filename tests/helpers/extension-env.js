@@ -0,0 +1,158 @@
+/**
+ * Test environment for Draftly's browser scripts
+ * Runs the given scripts in one VM context, the way the extension loads them with
+ * <script> tags or importScripts, with an in-memory chrome API in place of the browser's
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * In-memory chrome.storage area
+ * @param {string} name - Area name passed to onChanged listeners
+ * @param {Array<Function>} listeners - chrome.storage.onChanged listeners
+ * @returns {Object} - get, set, remove and clear like chrome.storage.local
+ */
+function createStorageArea(name, listeners) {
+    const data = {};
+    const notify = (changes) => {
+        if (Object.keys(changes).length > 0) {
+            listeners.forEach(listener => listener(changes, name));
+        }
+    };
+    const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+    return {
+        data,
+        async get(keys) {
+            if (keys === null || keys === undefined) {
+                return clone(data);
+            }
+            const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+            const result = {};
+            names.forEach(key => {
+                if (key in data) {
+                    result[key] = clone(data[key]);
+                } else if (!Array.isArray(keys) && typeof keys === 'object') {
+                    result[key] = keys[key];
+                }
+            });
+            return result;
+        },
+        async set(items) {
+            const changes = {};
+            Object.entries(items).forEach(([key, value]) => {
+                changes[key] = { oldValue: data[key], newValue: clone(value) };
+                data[key] = clone(value);
+            });
+            notify(changes);
+        },
+        async remove(keys) {
+            const changes = {};
+            [].concat(keys).forEach(key => {
+                if (key in data) {
+                    changes[key] = { oldValue: data[key] };
+                    delete data[key];
+                }
+            });
+            notify(changes);
+        },
+        async clear() {
+            await this.remove(Object.keys(data));
+        }
+    };
+}
+
+/**
+ * chrome.* with in-memory storage and the English messages
+ * @returns {Object} - The chrome object, plus sentMessages and createdTabs for assertions
+ */
+function createChrome() {
+    const listeners = [];
+    const messages = JSON.parse(fs.readFileSync(path.join(ROOT, '_locales', 'en', 'messages.json'), 'utf8'));
+    const sentMessages = [];
+    const createdTabs = [];
+
+    return {
+        sentMessages,
+        createdTabs,
+        storage: {
+            sync: createStorageArea('sync', listeners),
+            local: createStorageArea('local', listeners),
+            session: createStorageArea('session', listeners),
+            onChanged: {
+                addListener: listener => listeners.push(listener),
+                removeListener: listener => listeners.splice(listeners.indexOf(listener) >>> 0, 1)
+            }
+        },
+        i18n: {
+            getMessage(key, substitutions = []) {
+                const entry = messages[key];
+                if (!entry) {
+                    return '';
+                }
+                return entry.message.replace(/\$(\d)/g, (match, index) => [].concat(substitutions)[index - 1] ?? '');
+            },
+            getUILanguage: () => 'en',
+            async detectLanguage() {
+                return { isReliable: false, languages: [] };
+            }
+        },
+        runtime: {
+            id: 'test',
+            getURL: file => `chrome-extension://test/${file}`,
+            async sendMessage(message) {
+                sentMessages.push(message);
+                return { success: true };
+            }
+        },
+        tabs: {
+            async create(options) {
+                createdTabs.push(options);
+                return options;
+            }
+        },
+        identity: {
+            async getProfileUserInfo() {
+                return { email: 'user@example.com' };
+            }
+        }
+    };
+}
+
+/**
+ * Load extension scripts into a fresh context
+ * @param {Array<string>} files - Paths relative to the repository root, in load order
+ * @param {Object} [options] - chrome to share storage with another context; globals to add
+ * @returns {Object} - The context's global object, which is also its window
+ */
+function loadScripts(files, { chrome = createChrome(), globals = {} } = {}) {
+    const context = {
+        chrome,
+        console: { log() {}, info() {}, warn() {}, error: console.error },
+        setTimeout,
+        clearTimeout,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        AbortController,
+        crypto: globalThis.crypto,
+        btoa,
+        atob,
+        ...globals
+    };
+    context.window = context;
+    context.self = context;
+    vm.createContext(context);
+
+    files.forEach(file => {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = { createChrome, loadScripts };
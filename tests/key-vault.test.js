@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChrome, loadScripts } = require('./helpers/extension-env');
+
+const STORAGE_KEYS = ['openai_api_key', 'anthropic_api_key'];
+
+/**
+ * A Chrome profile with its own local and session storage
+ * @param {Object} [sync] - chrome.storage.sync shared with another profile
+ * @returns {Promise<{vault: KeyVault, chrome: Object}>}
+ */
+async function createProfile(sync) {
+    const chrome = createChrome();
+    if (sync) {
+        chrome.storage.sync = sync;
+    }
+    const { KeyVault } = loadScripts(['key-vault.js'], { chrome });
+    const vault = new KeyVault(STORAGE_KEYS);
+    await vault.loadSettings();
+    return { vault, chrome };
+}
+
+/**
+ * Read a key as a plain object; objects from the scripts' realm have their own prototypes
+ * @param {KeyVault} vault
+ * @param {string} storageKey
+ * @returns {Promise<{apiKey: string|null, locked: boolean}>}
+ */
+async function getKey(vault, storageKey) {
+    return { ...await vault.getKey(storageKey) };
+}
+
+test('encrypts plaintext keys left by earlier versions and removes them from sync', async() => {
+    const { vault, chrome } = await createProfile();
+    await chrome.storage.sync.set({ openai_api_key: 'sk-old-plaintext' });
+
+    await vault.migrate();
+
+    assert.deepEqual(await chrome.storage.sync.get(['openai_api_key']), {});
+    const { openai_api_key: stored } = await chrome.storage.local.get(['openai_api_key']);
+    assert.equal(stored.scheme, 'device');
+    assert.ok(!JSON.stringify(stored).includes('sk-old-plaintext'));
+    assert.deepEqual(await getKey(vault, 'openai_api_key'), { apiKey: 'sk-old-plaintext', locked: false });
+});
+
+test('locks passphrase-protected keys until the passphrase is entered', async() => {
+    const { vault } = await createProfile();
+    await vault.setKey('openai_api_key', 'sk-first');
+    await vault.setPassphrase('correct horse');
+    await vault.lock();
+
+    assert.deepEqual(await getKey(vault, 'openai_api_key'), { apiKey: null, locked: true });
+    await assert.rejects(vault.unlock('wrong passphrase'), /Wrong passphrase/);
+
+    await vault.unlock('correct horse');
+    assert.deepEqual(await getKey(vault, 'openai_api_key'), { apiKey: 'sk-first', locked: false });
+});
+
+test('a second profile joins synced keys with their passphrase instead of replacing it', async() => {
+    const first = await createProfile();
+    await first.vault.setKey('openai_api_key', 'sk-first');
+    await first.vault.setPassphrase('correct horse');
+    await first.vault.setSyncKeys(true);
+    const synced = await first.chrome.storage.sync.get(['key_vault_passphrase']);
+
+    const second = await createProfile(first.chrome.storage.sync);
+    await second.vault.setKey('openai_api_key', 'sk-second');
+    await second.vault.setKey('anthropic_api_key', 'sk-ant-second');
+
+    await assert.rejects(second.vault.setSyncKeys(true), /Enter their passphrase/);
+    await assert.rejects(second.vault.setSyncKeys(true, 'another passphrase'), /Wrong passphrase/);
+    await second.vault.setSyncKeys(true, 'correct horse');
+
+    assert.deepEqual(await first.chrome.storage.sync.get(['key_vault_passphrase']), synced);
+    assert.deepEqual(await second.chrome.storage.local.get([...STORAGE_KEYS, 'key_vault_passphrase']), {});
+
+    // Keys that were already synced win; keys only the second profile had are added
+    assert.deepEqual(await getKey(second.vault, 'openai_api_key'), { apiKey: 'sk-first', locked: false });
+    assert.deepEqual(await getKey(second.vault, 'anthropic_api_key'), { apiKey: 'sk-ant-second', locked: false });
+    assert.deepEqual(await getKey(first.vault, 'openai_api_key'), { apiKey: 'sk-first', locked: false });
+    assert.deepEqual(await getKey(first.vault, 'anthropic_api_key'), { apiKey: 'sk-ant-second', locked: false });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/extension-env');
+
+const { PiiRedactor } = loadScripts(['pii-redactor.js']);
+
+/**
+ * Redact a text with the default settings
+ * @param {string} text
+ * @returns {string}
+ */
+function redact(text) {
+    return new PiiRedactor().createRedaction().apply(text);
+}
+
+test('phone numbers are redacted', () => {
+    [
+        '+49 30 1234567',
+        '+44 (0)20 7946 0958',
+        '+1 (415) 555-2671',
+        '+14155552671',
+        '0049 30 1234567',
+        '(030) 1234567',
+        '030 1234567',
+        '030/1234567',
+        '0176-12345678',
+        '0176 123 45 67',
+        '555-123-4567',
+        '555.123.4567'
+    ].forEach(phone => assert.equal(redact(`Call me on ${phone}.`), 'Call me on [PHONE_1].', phone));
+});
+
+test('dates, times and reference numbers are not taken for phone numbers', () => {
+    [
+        'Call on 2025-03-07 10:00 CET',
+        '14.03.2025 10:00-11:00',
+        '07.03.2025 10:00',
+        'Invoice 2025-0042',
+        'Order 0042-2025',
+        'Ref 20250307',
+        '123456789',
+        '2024/0001234',
+        'Windows 10.0.19045.2965',
+        'Ticket #1234567',
+        'Budget 1.250.000',
+        'Founded (2024) 123 years later'
+    ].forEach(text => assert.equal(redact(text), text));
+});
+
+test('a phone number next to a date and time keeps the date and time', () => {
+    assert.equal(
+        redact('Call +49 30 1234567 on 2025-03-07 10:00, or 030/1234567 after 14:00'),
+        'Call [PHONE_1] on 2025-03-07 10:00, or [PHONE_2] after 14:00'
+    );
+});
+
+test('the same value gets the same placeholder and is restored', () => {
+    const redaction = new PiiRedactor().createRedaction();
+    const text = 'Mail jane@example.com or call 030 1234567. Again: jane@example.com';
+
+    const redacted = redaction.apply(text);
+
+    assert.equal(redacted, 'Mail [EMAIL_1] or call [PHONE_1]. Again: [EMAIL_1]');
+    assert.equal(redaction.restore(redacted), text);
+    assert.equal(redaction.count, 2);
+});
+
+test('IBANs and card numbers are only redacted with a valid checksum', () => {
+    assert.equal(redact('IBAN DE89 3704 0044 0532 0130 00'), 'IBAN [IBAN_1]');
+    assert.equal(redact('IBAN DE00 3704 0044 0532 0130 00'), 'IBAN DE00 3704 0044 0532 0130 00');
+    assert.equal(redact('Card 4111 1111 1111 1111'), 'Card [CARD_1]');
+});
+
+test('a placeholder split across streamed tokens is restored once complete', () => {
+    const redaction = new PiiRedactor().createRedaction();
+    redaction.apply('jane@example.com');
+    const tokens = [];
+
+    const restorer = redaction.createStreamRestorer(token => tokens.push(token));
+    ['Write to [EMA', 'IL_', '1] today'].forEach(restorer.push);
+    restorer.flush();
+
+    assert.equal(tokens.join(''), 'Write to jane@example.com today');
+    assert.equal(tokens[0], 'Write to ');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChrome, loadScripts } = require('./helpers/extension-env');
+
+const SCRIPTS = ['ai-providers.js', 'key-vault.js', 'pii-redactor.js', 'ai-service.js'];
+
+test('requests recorded in one context count in every other', async() => {
+    const chrome = createChrome();
+    const popup = new (loadScripts(SCRIPTS, { chrome }).RateLimiter)();
+    const background = new (loadScripts(SCRIPTS, { chrome }).RateLimiter)();
+    await popup.loadSettings();
+    await background.loadSettings();
+
+    await popup.recordRequest({ model: 'gpt-4o-mini', usage: { inputTokens: 100, outputTokens: 50, totalTokens: 150 } });
+
+    const stats = await background.getUsageStats('gpt-4o-mini');
+    assert.equal(stats.requestsThisMinute, 1);
+    assert.equal(stats.requestsToday, 1);
+});
+
+/**
+ * Start a reply and report how many requests it reserves
+ * @param {Object} options - generateEmailReply options
+ * @param {string} language - Reply language setting
+ * @returns {Promise<number>}
+ */
+async function getReservedRequests(options, language) {
+    const window = loadScripts(SCRIPTS);
+    const service = new window.DraftlyAIService();
+    await service.initialize();
+    service.replySettings.language = language;
+
+    let reserved = null;
+    service.prepareGeneration = async(input, tones, requests) => {
+        reserved = requests;
+        throw new Error('Stop before the provider is called');
+    };
+    await assert.rejects(service.generateEmailReply('Hallo, kommst du morgen?', window.DEFAULT_TONE_ID, options), /Stop before/);
+    return reserved;
+}
+
+test('a translation reserves a second request only when the reply is not in English', async() => {
+    assert.equal(await getReservedRequests({ showTranslation: true }, 'de'), 2);
+    assert.equal(await getReservedRequests({ showTranslation: true }, 'en'), 1);
+    assert.equal(await getReservedRequests({ showTranslation: true, language: 'en' }, 'de'), 1);
+    assert.equal(await getReservedRequests({}, 'de'), 1);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/extension-env');
+
+// Math.random is swapped out below to take the jitter out of the backoff
+const window = loadScripts(['ai-providers.js', 'key-vault.js', 'pii-redactor.js', 'ai-service.js'], { globals: { Math: Object.create(Math) } });
+const { RetryPolicy, ProviderError, PROVIDER_ERROR_CODES, parseRetryAfter } = window;
+
+const error = (code, details = {}) => new ProviderError('failed', code, details);
+const headers = (values) => new Map(Object.entries(values));
+
+test('retries transient failures until the last attempt', () => {
+    const policy = new RetryPolicy();
+
+    assert.equal(policy.shouldRetry(error(PROVIDER_ERROR_CODES.RATE_LIMIT), 1), true);
+    assert.equal(policy.shouldRetry(error(PROVIDER_ERROR_CODES.NETWORK), 2), true);
+    assert.equal(policy.shouldRetry(error(PROVIDER_ERROR_CODES.TIMEOUT), 3), false);
+});
+
+test('retries only the server errors that are worth repeating', () => {
+    const policy = new RetryPolicy();
+
+    assert.equal(policy.shouldRetry(error(PROVIDER_ERROR_CODES.SERVER, { status: 503 }), 1), true);
+    assert.equal(policy.shouldRetry(error(PROVIDER_ERROR_CODES.SERVER, { status: 529 }), 1), true);
+    assert.equal(policy.shouldRetry(error(PROVIDER_ERROR_CODES.SERVER, { status: 501 }), 1), false);
+    assert.equal(policy.shouldRetry(error(PROVIDER_ERROR_CODES.QUOTA), 1), false);
+    assert.equal(policy.shouldRetry(error(PROVIDER_ERROR_CODES.INVALID_KEY), 1), false);
+    assert.equal(policy.shouldRetry(error(PROVIDER_ERROR_CODES.ABORTED), 1), false);
+});
+
+test('gives up when the server asks for a longer pause than maxDelay', () => {
+    const policy = new RetryPolicy({ maxDelay: 5000 });
+
+    assert.equal(policy.shouldRetry(error(PROVIDER_ERROR_CODES.RATE_LIMIT, { retryAfter: 4000 }), 1), true);
+    assert.equal(policy.shouldRetry(error(PROVIDER_ERROR_CODES.RATE_LIMIT, { retryAfter: 6000 }), 1), false);
+});
+
+test('waits as long as Retry-After says', () => {
+    const policy = new RetryPolicy();
+
+    assert.equal(policy.getDelay(error(PROVIDER_ERROR_CODES.RATE_LIMIT, { retryAfter: 2500 }), 1), 2500);
+    assert.equal(policy.getDelay(error(PROVIDER_ERROR_CODES.RATE_LIMIT, { retryAfter: 0 }), 1), 0);
+});
+
+test('backs off exponentially with jitter, capped at maxDelay', () => {
+    const policy = new RetryPolicy({ baseDelay: 1000, maxDelay: 3000 });
+    const random = window.Math.random;
+
+    try {
+        window.Math.random = () => 0;
+        assert.equal(policy.getDelay(error(PROVIDER_ERROR_CODES.NETWORK), 1), 500);
+        assert.equal(policy.getDelay(error(PROVIDER_ERROR_CODES.NETWORK), 2), 1000);
+        assert.equal(policy.getDelay(error(PROVIDER_ERROR_CODES.NETWORK), 5), 1500);
+
+        window.Math.random = () => 0.999;
+        assert.ok(policy.getDelay(error(PROVIDER_ERROR_CODES.NETWORK), 2) <= 2000);
+        assert.ok(policy.getDelay(error(PROVIDER_ERROR_CODES.NETWORK), 5) <= 3000);
+    } finally {
+        window.Math.random = random;
+    }
+});
+
+test('reads Retry-After in seconds, milliseconds and as a date', () => {
+    assert.equal(parseRetryAfter(headers({ 'retry-after': '2' })), 2000);
+    assert.equal(parseRetryAfter(headers({ 'retry-after-ms': '1500', 'retry-after': '9' })), 1500);
+
+    const wait = parseRetryAfter(headers({ 'retry-after': new Date(Date.now() + 10000).toUTCString() }));
+    assert.ok(wait > 8000 && wait <= 10000);
+});
+
+test('falls back to the reset header of the exhausted rate limit', () => {
+    const wait = parseRetryAfter(headers({
+        'x-ratelimit-remaining-requests': '5',
+        'x-ratelimit-reset-requests': '1s',
+        'x-ratelimit-remaining-tokens': '0',
+        'x-ratelimit-reset-tokens': '6m0s'
+    }));
+
+    assert.equal(wait, 6 * 60 * 1000);
+    assert.equal(parseRetryAfter(headers({})), null);
+    assert.equal(parseRetryAfter(null), null);
+});
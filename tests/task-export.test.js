@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/extension-env');
+
+const window = loadScripts(['i18n.js', 'task-export.js']);
+
+const ITEMS = {
+    subject: 'Launch, phase 2',
+    actionItems: [
+        { task: 'Send the slides', owner: 'me', due: '2026-10-23' },
+        { task: 'Book a room', owner: '', due: '' }
+    ],
+    meetings: [
+        { title: 'Launch review', start: '2026-10-23T10:00', end: '', location: 'Room 4; 2nd floor', attendees: ['Ann', 'Bo'], confirmed: false }
+    ],
+    deadlines: [
+        { title: 'Budget', date: '2026-10-30' }
+    ]
+};
+
+/**
+ * Unfold an iCalendar file into its content lines
+ * @param {string} ics
+ * @returns {Array<string>}
+ */
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+test('meetings and deadlines become events and dated action items become tasks', () => {
+    const lines = unfold(window.createIcsCalendar(ITEMS));
+
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+    assert.equal(lines.filter(line => line === 'BEGIN:VTODO').length, 1);
+    assert.ok(lines.includes('DTSTART:20261023T100000'));
+    assert.ok(lines.includes('DTEND:20261023T110000'), 'a meeting without an end lasts an hour');
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20261030'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20261031'), 'an all-day event ends the next day');
+    assert.ok(lines.includes('DUE;VALUE=DATE:20261023'));
+    assert.ok(lines.includes('LOCATION:Room 4\\; 2nd floor'));
+    assert.ok(lines.includes('DESCRIPTION:From the email "Launch\\, phase 2"\\nProposed time\\, not confirmed yet\\nAttendees: Ann\\, Bo'));
+    assert.ok(lines.every(line => line === '' || line.includes(':')));
+});
+
+test('long lines are folded at 75 octets without splitting a character', () => {
+    const title = 'Überprüfung der Präsentation für das Quartalsgespräch 🗓️ mit allen Abteilungsleitern und Kollegen';
+    const ics = window.createIcsCalendar({ ...ITEMS, actionItems: [], deadlines: [], meetings: [{ ...ITEMS.meetings[0], title }] });
+    const encoder = new TextEncoder();
+
+    const physical = ics.split('\r\n');
+    assert.ok(physical.some(line => line.startsWith(' ')), 'the summary is folded');
+    physical.forEach(line => assert.ok(encoder.encode(line).length <= 75, line));
+    assert.ok(!ics.includes('�'));
+    assert.ok(unfold(ics).includes(`SUMMARY:${title}`));
+});
+
+test('CSV quotes values and defuses formulas', () => {
+    const csv = window.createTaskCsv({
+        actionItems: [{ task: '=HYPERLINK("http://example.com")', owner: 'Ann, Bo', due: '' }],
+        meetings: [],
+        deadlines: []
+    });
+
+    assert.equal(csv, [
+        'Type,Title,Owner,Date,End,Location,Notes',
+        'Action item,"\'=HYPERLINK(""http://example.com"")","Ann, Bo",,,,',
+        ''
+    ].join('\r\n'));
+});
+
+test('Markdown lists the items by kind', () => {
+    assert.equal(window.createTaskMarkdown(ITEMS), [
+        '# Tasks from "Launch, phase 2"',
+        '',
+        '## Action items',
+        '- [ ] Send the slides (me, due 2026-10-23)',
+        '- [ ] Book a room',
+        '',
+        '## Meetings',
+        '- Launch review with Ann, Bo (2026-10-23T10:00, Room 4; 2nd floor, proposed)',
+        '',
+        '## Deadlines',
+        '- 2026-10-30: Budget',
+        ''
+    ].join('\n'));
+});
+
+test('invalid dates are shown as they are', () => {
+    assert.equal(window.formatItemDate('next Friday'), 'next Friday');
+    assert.equal(window.parseItemDate('2026-10-23T10:00').allDay, false);
+    assert.equal(window.parseItemDate('2026-10-23').allDay, true);
+    assert.equal(window.parseItemDate(''), null);
+});